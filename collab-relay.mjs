@@ -0,0 +1,204 @@
+/**
+ * Collaboration relay for local development: npm run relay (PORT defaults to 8787)
+ *
+ * Clients connect to ws://localhost:8787/<room>. The relay keeps no project state, it only
+ * forwards each client's JSON messages to the other clients in the room (or to the one named
+ * in the message's `to`), adding `from`. It announces clients with:
+ *   welcome     - to a new client: { clientId, site, peers } (site is unique within the room)
+ *   peer-joined - { clientId }
+ *   peer-left   - { clientId }
+ *
+ * Minimal WebSocket server (RFC 6455): text frames, fragmentation, ping and close.
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8787;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+const rooms = new Map(); // room name -> { clients: Map<clientId, client>, nextSite }
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * A connected WebSocket; calls onMessage(text) for each complete text message
+ */
+class Client {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.isClosed = false;
+
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.close());
+        socket.on('error', () => this.close());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        // Parse as many complete frames as the buffer holds
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > MAX_MESSAGE_SIZE) {
+                this.close();
+                return;
+            }
+
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= this.buffer[maskOffset + (i % 4)];
+                }
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+
+            if (opcode === 0x8) {
+                this.close();
+                return;
+            } else if (opcode === 0x9) {
+                this.socket.write(encodeFrame(0xa, payload));
+            } else if (opcode === 0x1 || opcode === 0x0) {
+                this.fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(text);
+                }
+            }
+        }
+    }
+
+    send(message) {
+        if (this.isClosed) return;
+        this.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8')));
+    }
+
+    close() {
+        if (this.isClosed) return;
+        this.isClosed = true;
+        try {
+            this.socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+        } catch {
+            // Already gone
+        }
+        this.onClose();
+    }
+}
+
+function join(roomName, socket) {
+    if (!rooms.has(roomName)) {
+        rooms.set(roomName, { clients: new Map(), nextSite: 1 });
+    }
+    const room = rooms.get(roomName);
+    const clientId = crypto.randomUUID().slice(0, 8);
+    const site = room.nextSite++;
+
+    const broadcast = (message, exceptId) => {
+        for (const [id, other] of room.clients) {
+            if (id !== exceptId) other.send(message);
+        }
+    };
+
+    const client = new Client(socket, (text) => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch {
+            return;
+        }
+        // Messages are objects; anything else (null, numbers, arrays...) is dropped
+        if (!message || typeof message !== 'object' || Array.isArray(message)) return;
+        message.from = clientId;
+
+        if (message.to) {
+            const target = room.clients.get(message.to);
+            if (target) target.send(message);
+        } else {
+            broadcast(message, clientId);
+        }
+    }, () => {
+        room.clients.delete(clientId);
+        broadcast({ type: 'peer-left', clientId });
+        if (room.clients.size === 0) rooms.delete(roomName);
+        console.log(`[relay] ${clientId} left "${roomName}" (${room.clients.size} left)`);
+    });
+
+    client.send({ type: 'welcome', clientId, site, peers: [...room.clients.keys()] });
+    broadcast({ type: 'peer-joined', clientId });
+    room.clients.set(clientId, client);
+    console.log(`[relay] ${clientId} joined "${roomName}" (${room.clients.size} connected)`);
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('PatchToy collaboration relay: connect with a WebSocket to ws://<host>/<room>\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    let roomName;
+    try {
+        roomName = decodeURIComponent(new URL(req.url, 'http://relay').pathname.slice(1));
+    } catch {
+        roomName = null; // Malformed escape (e.g. /%)
+    }
+    if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket' || !roomName) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+    join(roomName, socket);
+});
+
+server.listen(PORT, () => {
+    console.log(`[relay] Listening on ws://localhost:${PORT}/<room>`);
+});
@@ -0,0 +1,49 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as password from '../shared/password';
+import * as db from '../shared/db';
+
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Parse request body
+    const body = JSON.parse(event.body || '{}');
+    const { currentPassword, newPassword } = body;
+
+    if (!currentPassword || !newPassword) {
+      return response.error('Current and new password are required', 400);
+    }
+
+    const passwordError = password.validatePassword(newPassword);
+    if (passwordError) {
+      return response.error(passwordError, 400);
+    }
+
+    const user = await db.getUser(payload.userId);
+    if (!user) {
+      return response.error('User not found', 404);
+    }
+
+    if (!(await password.verify(currentPassword, user.passwordHash))) {
+      return response.error('Current password is incorrect', 403);
+    }
+
+    await db.updateUser(user.userId, { passwordHash: await password.hash(newPassword) });
+
+    return response.success({ success: true });
+  } catch (err: any) {
+    console.error('Change password error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -0,0 +1,45 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as password from '../shared/password';
+import * as db from '../shared/db';
+
+/**
+ * Delete the account with its projects and node library (the client exports them first)
+ * Uploaded media and thumbnails are kept: forks of the user's projects still reference them
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Parse request body
+    const body = JSON.parse(event.body || '{}');
+    const { password: plainPassword } = body;
+
+    const user = await db.getUser(payload.userId);
+    if (!user) {
+      return response.error('User not found', 404);
+    }
+
+    if (!plainPassword || !(await password.verify(plainPassword, user.passwordHash))) {
+      return response.error('Password is incorrect', 403);
+    }
+
+    await db.deleteUserData(user.userId);
+    await db.deleteUser(user.userId);
+
+    return response.success({ success: true });
+  } catch (err: any) {
+    console.error('Delete account error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -0,0 +1,102 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as password from '../shared/password';
+import * as db from '../shared/db';
+
+const MAX_BIO_LENGTH = 500;
+
+/**
+ * Update account settings: username, email, bio, avatar
+ * Changing the email needs the current password. Returns a new token, since it holds the username and email.
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    const user = await db.getUser(payload.userId);
+    if (!user) {
+      return response.error('User not found', 404);
+    }
+
+    // Parse request body
+    const body = JSON.parse(event.body || '{}');
+    const { username, email, bio, avatarUrl, currentPassword } = body;
+
+    const updates: { username?: string; email?: string; bio?: string; avatarUrl?: string } = {};
+
+    if (username !== undefined) {
+      // Same rules as registration
+      if (typeof username !== 'string' || !/^[a-zA-Z0-9_-]{3,20}$/.test(username)) {
+        return response.error('Username must be 3-20 characters (letters, numbers, _, -)', 400);
+      }
+      if (username.toLowerCase() !== user.username) {
+        if (await db.getUserByUsername(username.toLowerCase())) {
+          return response.error('Username already taken', 409);
+        }
+        updates.username = username.toLowerCase();
+      }
+    }
+
+    if (email !== undefined) {
+      if (typeof email !== 'string' || !password.validateEmail(email)) {
+        return response.error('Invalid email format', 400);
+      }
+      if (email.toLowerCase() !== user.email) {
+        if (typeof currentPassword !== 'string' || !(await password.verify(currentPassword, user.passwordHash))) {
+          return response.error('Current password is incorrect', 403);
+        }
+        if (await db.getUserByEmail(email.toLowerCase())) {
+          return response.error('Email already in use', 409);
+        }
+        updates.email = email.toLowerCase();
+      }
+    }
+
+    if (bio !== undefined) {
+      if (typeof bio !== 'string' || bio.length > MAX_BIO_LENGTH) {
+        return response.error(`Bio must be at most ${MAX_BIO_LENGTH} characters`, 400);
+      }
+      updates.bio = bio;
+    }
+
+    if (avatarUrl !== undefined) {
+      // An uploaded image URL (see POST /api/assets), or empty to remove the avatar
+      if (typeof avatarUrl !== 'string' || (avatarUrl !== '' && !avatarUrl.startsWith('https://'))) {
+        return response.error('Invalid avatar URL', 400);
+      }
+      updates.avatarUrl = avatarUrl;
+    }
+
+    await db.updateUser(user.userId, updates);
+
+    // Projects store the owner's username for fast reads
+    if (updates.username) {
+      await db.renameProjectsOwner(user.userId, updates.username);
+    }
+
+    const updated = { ...user, ...updates };
+    const newToken = jwt.sign({ userId: updated.userId, email: updated.email, username: updated.username });
+
+    return response.success({
+      token: newToken,
+      userId: updated.userId,
+      email: updated.email,
+      username: updated.username,
+      bio: updated.bio || '',
+      avatarUrl: updated.avatarUrl || null,
+    });
+  } catch (err: any) {
+    console.error('Update account error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -0,0 +1,60 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { v4 as uuidv4 } from 'uuid';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+
+const s3 = new S3Client({});
+
+const ASSETS_BUCKET = process.env.ASSETS_BUCKET || '';
+const ASSETS_URL = process.env.ASSETS_URL || '';
+const MAX_ASSET_SIZE = 50 * 1024 * 1024; // 50 MB
+const ALLOWED_TYPES = /^(image|video|audio)\//;
+
+/**
+ * Hand out a pre-signed upload URL for an image, video or audio file used by a project
+ * The file is uploaded directly to the assets bucket and read back through its public URL
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Parse request body
+    const body = JSON.parse(event.body || '{}');
+    const { contentType, size } = body;
+
+    if (!contentType || !ALLOWED_TYPES.test(contentType)) {
+      return response.error('Only image, video and audio files can be uploaded', 400);
+    }
+
+    if (typeof size !== 'number' || size <= 0 || size > MAX_ASSET_SIZE) {
+      return response.error('File is too large (max 50 MB)', 400);
+    }
+
+    const key = `assets/${payload.userId}/${uuidv4()}`;
+    const uploadUrl = await getSignedUrl(s3, new PutObjectCommand({
+      Bucket: ASSETS_BUCKET,
+      Key: key,
+      ContentType: contentType,
+      ContentLength: size,
+    }), { expiresIn: 300 });
+
+    return response.success({
+      uploadUrl,
+      url: `${ASSETS_URL}/${key}`,
+    }, 201);
+  } catch (err: any) {
+    console.error('Upload asset error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
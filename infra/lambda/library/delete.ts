@@ -0,0 +1,33 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as db from '../shared/db';
+
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Get node name from path
+    const name = decodeURIComponent(event.pathParameters?.name || '');
+    if (!name) {
+      return response.error('Node name is required', 400);
+    }
+
+    // Nodes are keyed by user, so only the owner's copy can be deleted
+    await db.deleteLibraryNode(payload.userId, name);
+
+    return response.success({ success: true });
+  } catch (err: any) {
+    console.error('Delete library node error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -0,0 +1,33 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as db from '../shared/db';
+
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Get the user's library (every version, so the client can merge it)
+    const nodes = await db.listLibraryNodes(payload.userId);
+
+    return response.success({
+      nodes: nodes.map(n => ({
+        name: n.name,
+        versions: n.versions,
+        updatedAt: n.updatedAt,
+      })),
+    });
+  } catch (err: any) {
+    console.error('List library error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -0,0 +1,68 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as db from '../shared/db';
+import { isValidVersion, mergeVersions } from '../shared/library';
+
+const MAX_VERSIONS_SIZE = 350 * 1024; // DynamoDB items are limited to 400 KB
+
+/**
+ * Add versions of a custom node to the user's library
+ * Versions are merged by content hash, so uploading the same version twice is harmless
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Get node name from path
+    const name = decodeURIComponent(event.pathParameters?.name || '');
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+      return response.error('A valid node name is required', 400);
+    }
+
+    // Parse request body
+    const body = JSON.parse(event.body || '{}');
+    const { versions } = body;
+
+    if (!Array.isArray(versions) || versions.length === 0) {
+      return response.error('Versions are required', 400);
+    }
+
+    if (!versions.every(isValidVersion)) {
+      return response.error('Invalid version: code does not match its hash', 400);
+    }
+
+    const existing = await db.getLibraryNode(payload.userId, name);
+    const merged = mergeVersions(existing ? existing.versions : [], versions);
+
+    if (JSON.stringify(merged).length > MAX_VERSIONS_SIZE) {
+      return response.error('Too many versions stored for this node', 400);
+    }
+
+    const now = new Date().toISOString();
+    await db.putLibraryNode({
+      userId: payload.userId,
+      name,
+      versions: merged,
+      updatedAt: now,
+    });
+
+    return response.success({
+      name,
+      versions: merged,
+      updatedAt: now,
+    });
+  } catch (err: any) {
+    console.error('Save library node error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -0,0 +1,120 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { S3Client, CopyObjectCommand } from '@aws-sdk/client-s3';
+import { v4 as uuidv4 } from 'uuid';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as db from '../shared/db';
+import { newRevisionId, recordRevision, thumbnailKey } from '../shared/revisions';
+
+const s3 = new S3Client({});
+
+const ASSETS_BUCKET = process.env.ASSETS_BUCKET || '';
+const ASSETS_URL = process.env.ASSETS_URL || '';
+
+/**
+ * Copy the original's thumbnail to the fork's own key, so pruning the original's revisions doesn't remove it
+ * Returns the copy's URL, the original URL for images stored elsewhere, or undefined if the copy failed
+ */
+async function copyThumbnail(thumbnailUrl: string, forkId: string): Promise<string | undefined> {
+  if (!thumbnailUrl.startsWith(`${ASSETS_URL}/`)) return thumbnailUrl;
+
+  const sourceKey = thumbnailUrl.slice(ASSETS_URL.length + 1).split('?')[0];
+  const key = thumbnailKey(forkId, newRevisionId());
+  try {
+    await s3.send(new CopyObjectCommand({
+      Bucket: ASSETS_BUCKET,
+      CopySource: `${ASSETS_BUCKET}/${sourceKey}`,
+      Key: key,
+    }));
+    return `${ASSETS_URL}/${key}`;
+  } catch (err) {
+    console.error('Copy thumbnail error:', err);
+    return undefined;
+  }
+}
+
+/**
+ * Copy a public project (or one of your own) into the current user's account
+ * The copy is private and credits the original; name/data in the body replace the copied ones
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Get project ID from path
+    const projectId = event.pathParameters?.id;
+    if (!projectId) {
+      return response.error('Project ID is required', 400);
+    }
+
+    const original = await db.getProject(projectId);
+    const isOwner = original !== null && original.userId === payload.userId;
+    if (!original || (!original.isPublic && !isOwner)) {
+      return response.error('Project not found', 404); // Don't reveal existence of private projects
+    }
+
+    // Parse request body
+    const body = JSON.parse(event.body || '{}');
+    const name = body.name || original.name;
+    const data = body.data || original.data;
+
+    const forkId = uuidv4();
+    const etag = db.newEtag();
+    const now = new Date().toISOString();
+    const forkedFrom = {
+      projectId: original.projectId,
+      name: original.name,
+      username: original.username,
+    };
+
+    const thumbnailUrl = original.thumbnailUrl ? await copyThumbnail(original.thumbnailUrl, forkId) : undefined;
+
+    await db.createProject({
+      projectId: forkId,
+      userId: payload.userId,
+      username: payload.username, // Denormalized for fast reads
+      name,
+      data,
+      etag,
+      isPublic: false,
+      ...(thumbnailUrl ? { thumbnailUrl } : {}),
+      forkedFrom,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    // The fork's history starts here (the original's revisions stay with the original)
+    const revision = await recordRevision(
+      { projectId: forkId, userId: payload.userId, name, data },
+      { message: body.message || `Forked from "${original.name}" by @${original.username}`, thumbnailUrl }
+    );
+
+    // Copying your own project doesn't make it more popular
+    if (!isOwner) {
+      await db.incrementProjectStats(original.projectId, { forks: 1 });
+    }
+
+    return response.success({
+      id: forkId,
+      name,
+      username: payload.username,
+      forkedFrom,
+      revisionId: revision.revisionId,
+      etag,
+      createdAt: now,
+      updatedAt: now,
+    }, 201);
+  } catch (err: any) {
+    console.error('Fork project error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -0,0 +1,53 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as db from '../shared/db';
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 48;
+
+/**
+ * List public projects for the gallery (no auth required)
+ * Query: sort=recent|popular, limit, cursor (nextCursor from the previous page)
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    const query = event.queryStringParameters || {};
+
+    const sort = query.sort || 'recent';
+    if (sort !== 'recent' && sort !== 'popular') {
+      return response.error('sort must be recent or popular', 400);
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit || '', 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    // The cursor is the index position DynamoDB stopped at, passed through as opaque base64
+    let startKey: Record<string, any> | undefined;
+    if (query.cursor) {
+      try {
+        startKey = JSON.parse(Buffer.from(query.cursor, 'base64url').toString('utf8'));
+      } catch (e) {
+        return response.error('Invalid cursor', 400);
+      }
+    }
+
+    const { projects, lastKey } = await db.listPublicProjects(sort, limit, startKey);
+
+    // Return lightweight cards (the project data is fetched when opened)
+    return response.success({
+      projects: projects.map(p => ({
+        id: p.projectId,
+        name: p.name,
+        username: p.username,
+        thumbnailUrl: p.thumbnailUrl || null,
+        forkedFrom: p.forkedFrom || null,
+        viewCount: p.viewCount || 0,
+        forkCount: p.forkCount || 0,
+        updatedAt: p.updatedAt,
+      })),
+      nextCursor: lastKey ? Buffer.from(JSON.stringify(lastKey), 'utf8').toString('base64url') : null,
+    });
+  } catch (err: any) {
+    console.error('List gallery error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -29,13 +29,27 @@ export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayPr
       return response.error('Project not found', 404); // Don't reveal existence of private projects
     }
 
+    // Views by others rank the project in the gallery
+    if (!isOwner) {
+      try {
+        await db.incrementProjectStats(projectId, { views: 1 });
+      } catch (err: any) {
+        console.error('Count project view error:', err);
+      }
+    }
+
     return response.success({
       id: project.projectId,
       name: project.name,
       username: project.username,
       data: project.data,
+      etag: project.etag || null,
       isPublic: project.isPublic,
       isOwner: isOwner,
+      thumbnailUrl: project.thumbnailUrl || null,
+      forkedFrom: project.forkedFrom || null,
+      viewCount: project.viewCount || 0,
+      forkCount: project.forkCount || 0,
       createdAt: project.createdAt,
       updatedAt: project.updatedAt,
     });
@@ -23,6 +23,8 @@ export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayPr
     const projectList = projects.map(p => ({
       id: p.projectId,
       name: p.name,
+      thumbnailUrl: p.thumbnailUrl || null,
+      forkedFrom: p.forkedFrom || null,
       createdAt: p.createdAt,
       updatedAt: p.updatedAt,
     }));
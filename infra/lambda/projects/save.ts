@@ -3,6 +3,7 @@ import { v4 as uuidv4 } from 'uuid';
 import * as response from '../shared/response';
 import * as jwt from '../shared/jwt';
 import * as db from '../shared/db';
+import { recordRevision } from '../shared/revisions';
 
 export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
   try {
@@ -19,7 +20,7 @@ export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayPr
 
     // Parse request body
     const body = JSON.parse(event.body || '{}');
-    const { name, data, isPublic = false } = body;
+    const { name, data, isPublic = false, message } = body;
 
     if (!name || !data) {
       return response.error('Name and data are required', 400);
@@ -27,6 +28,7 @@ export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayPr
 
     // Create project
     const projectId = uuidv4();
+    const etag = db.newEtag();
     const now = new Date().toISOString();
 
     await db.createProject({
@@ -35,15 +37,20 @@ export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayPr
       username: payload.username, // Denormalized for fast reads
       name,
       data,
+      etag,
       isPublic: Boolean(isPublic),
       createdAt: now,
       updatedAt: now,
     });
 
+    const revision = await recordRevision({ projectId, userId: payload.userId, name, data }, { message });
+
     return response.success({
       id: projectId,
       name,
       username: payload.username,
+      revisionId: revision.revisionId,
+      etag,
       createdAt: now,
       updatedAt: now,
     }, 201);
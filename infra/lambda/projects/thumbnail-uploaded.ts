@@ -0,0 +1,76 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { S3Client, HeadObjectCommand } from '@aws-sdk/client-s3';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as db from '../shared/db';
+import { thumbnailObjectKey } from '../shared/revisions';
+
+const s3 = new S3Client({});
+
+const ASSETS_BUCKET = process.env.ASSETS_BUCKET || '';
+const ASSETS_URL = process.env.ASSETS_URL || '';
+
+/**
+ * Confirm a thumbnail upload (see thumbnail.ts): once the image is in the bucket,
+ * it becomes the project's thumbnail (and the revision's, with a revisionId)
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Get project ID from path
+    const projectId = event.pathParameters?.id;
+    if (!projectId) {
+      return response.error('Project ID is required', 400);
+    }
+
+    // Check ownership
+    const project = await db.getProject(projectId);
+    if (!project) {
+      return response.error('Project not found', 404);
+    }
+
+    if (project.userId !== payload.userId) {
+      return response.error('Unauthorized', 403);
+    }
+
+    // Parse request body
+    const body = JSON.parse(event.body || '{}');
+    const { revisionId } = body;
+
+    if (revisionId !== undefined && !(await db.getRevision(projectId, revisionId))) {
+      return response.error('Revision not found', 404);
+    }
+
+    const key = thumbnailObjectKey(projectId, revisionId);
+    try {
+      await s3.send(new HeadObjectCommand({ Bucket: ASSETS_BUCKET, Key: key }));
+    } catch (err: any) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) {
+        return response.error('Thumbnail has not been uploaded', 409);
+      }
+      throw err;
+    }
+
+    // Revision images are never replaced; the version parameter makes browsers fetch a replaced one
+    const thumbnailUrl = revisionId ? `${ASSETS_URL}/${key}` : `${ASSETS_URL}/${key}?v=${Date.now()}`;
+    await db.updateProject(projectId, { thumbnailUrl });
+    if (revisionId) {
+      await db.setRevisionThumbnail(projectId, revisionId, thumbnailUrl);
+    }
+
+    return response.success({ thumbnailUrl });
+  } catch (err: any) {
+    console.error('Confirm thumbnail error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
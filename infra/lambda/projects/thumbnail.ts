@@ -0,0 +1,74 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as db from '../shared/db';
+import { thumbnailObjectKey } from '../shared/revisions';
+
+const s3 = new S3Client({});
+
+const ASSETS_BUCKET = process.env.ASSETS_BUCKET || '';
+const MAX_THUMBNAIL_SIZE = 1024 * 1024; // 1 MB
+
+/**
+ * Hand out a pre-signed upload URL for a project's thumbnail (JPEG captured by the client)
+ * With a revisionId the image belongs to that revision; without one the project's single
+ * thumbnail object is replaced. Nothing is stored until the client confirms the upload
+ * (thumbnail-uploaded.ts), so an abandoned upload never leaves a broken image behind.
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Get project ID from path
+    const projectId = event.pathParameters?.id;
+    if (!projectId) {
+      return response.error('Project ID is required', 400);
+    }
+
+    // Check ownership
+    const project = await db.getProject(projectId);
+    if (!project) {
+      return response.error('Project not found', 404);
+    }
+
+    if (project.userId !== payload.userId) {
+      return response.error('Unauthorized', 403);
+    }
+
+    // Parse request body
+    const body = JSON.parse(event.body || '{}');
+    const { size, revisionId } = body;
+
+    if (typeof size !== 'number' || size <= 0 || size > MAX_THUMBNAIL_SIZE) {
+      return response.error('Thumbnail is too large (max 1 MB)', 400);
+    }
+
+    if (revisionId !== undefined && !(await db.getRevision(projectId, revisionId))) {
+      return response.error('Revision not found', 404);
+    }
+
+    const key = thumbnailObjectKey(projectId, revisionId);
+    const uploadUrl = await getSignedUrl(s3, new PutObjectCommand({
+      Bucket: ASSETS_BUCKET,
+      Key: key,
+      ContentType: 'image/jpeg',
+      ContentLength: size,
+    }), { expiresIn: 300 });
+
+    return response.success({ uploadUrl }, 201);
+  } catch (err: any) {
+    console.error('Upload thumbnail error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -2,6 +2,7 @@ import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
 import * as response from '../shared/response';
 import * as jwt from '../shared/jwt';
 import * as db from '../shared/db';
+import { recordRevision } from '../shared/revisions';
 
 export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
   try {
@@ -34,7 +35,7 @@ export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayPr
 
     // Parse request body
     const body = JSON.parse(event.body || '{}');
-    const { name, data, isPublic } = body;
+    const { name, data, isPublic, message } = body;
 
     if (!name && !data && isPublic === undefined) {
       return response.error('At least one of name, data, or isPublic is required', 400);
@@ -46,12 +47,44 @@ export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayPr
     if (data !== undefined) updates.data = data;
     if (isPublic !== undefined) updates.isPublic = Boolean(isPublic);
 
-    await db.updateProject(projectId, updates);
+    // Public projects from before the gallery get their gallery key on their next save
+    if (updates.isPublic === undefined && project.isPublic && !project.galleryKey) {
+      updates.isPublic = true;
+    }
+
+    // Offline edits send the version they're based on; if the project changed since, the client merges first
+    const options = data !== undefined && 'baseEtag' in body ? { expectedEtag: body.baseEtag } : {};
+
+    let saved: { updatedAt: string; etag?: string };
+    try {
+      saved = await db.updateProject(projectId, updates, options);
+    } catch (err: any) {
+      if (err.name !== 'ConditionalCheckFailedException') throw err;
+      const current = await db.getProject(projectId);
+      return response.error('Project changed since your last sync', 409, {
+        etag: current?.etag || null,
+        updatedAt: current?.updatedAt,
+      });
+    }
+
+    // Each save of the data is kept as a revision (renames and visibility changes aren't)
+    // The project is saved with its new etag already: a failed revision mustn't fail the save,
+    // or the client would retry from the old etag and conflict with its own save
+    let revision: db.Revision | null = null;
+    if (data !== undefined) {
+      try {
+        revision = await recordRevision({ projectId, userId: project.userId, name: name || project.name, data }, { message });
+      } catch (err) {
+        console.error('Record revision error:', err);
+      }
+    }
 
     return response.success({
       id: projectId,
       name: name || project.name,
-      updatedAt: new Date().toISOString(),
+      ...(revision ? { revisionId: revision.revisionId } : {}),
+      etag: saved.etag || project.etag || null,
+      updatedAt: saved.updatedAt,
     });
   } catch (err: any) {
     console.error('Update project error:', err);
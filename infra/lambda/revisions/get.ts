@@ -0,0 +1,58 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as db from '../shared/db';
+
+/**
+ * Get a revision of one of your projects, with its snapshot (for previewing and diffing)
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Get project and revision IDs from path
+    const projectId = event.pathParameters?.id;
+    const revisionId = event.pathParameters?.revisionId;
+    if (!projectId || !revisionId) {
+      return response.error('Project ID and revision ID are required', 400);
+    }
+
+    // Check ownership
+    const project = await db.getProject(projectId);
+    if (!project) {
+      return response.error('Project not found', 404);
+    }
+
+    if (project.userId !== payload.userId) {
+      return response.error('Unauthorized', 403);
+    }
+
+    const revision = await db.getRevision(projectId, revisionId);
+    if (!revision) {
+      return response.error('Revision not found', 404);
+    }
+
+    return response.success({
+      id: revision.revisionId,
+      name: revision.name,
+      data: revision.data,
+      message: revision.message,
+      restoredFrom: revision.restoredFrom || null,
+      thumbnailUrl: revision.thumbnailUrl || null,
+      size: revision.size,
+      createdAt: revision.createdAt,
+    });
+  } catch (err: any) {
+    console.error('Get revision error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -0,0 +1,61 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as db from '../shared/db';
+import { MAX_REVISIONS, MAX_REVISION_AGE_DAYS, MIN_REVISIONS } from '../shared/revisions';
+
+/**
+ * List the revisions of one of your projects, newest first (without their snapshots)
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Get project ID from path
+    const projectId = event.pathParameters?.id;
+    if (!projectId) {
+      return response.error('Project ID is required', 400);
+    }
+
+    // Check ownership
+    const project = await db.getProject(projectId);
+    if (!project) {
+      return response.error('Project not found', 404);
+    }
+
+    if (project.userId !== payload.userId) {
+      return response.error('Unauthorized', 403);
+    }
+
+    const revisions = await db.listRevisions(projectId);
+
+    return response.success({
+      revisions: revisions.map(r => ({
+        id: r.revisionId,
+        name: r.name,
+        message: r.message,
+        restoredFrom: r.restoredFrom || null,
+        thumbnailUrl: r.thumbnailUrl || null,
+        size: r.size,
+        createdAt: r.createdAt,
+      })),
+      retention: {
+        maxRevisions: MAX_REVISIONS,
+        minRevisions: MIN_REVISIONS,
+        maxAgeDays: MAX_REVISION_AGE_DAYS,
+      },
+    });
+  } catch (err: any) {
+    console.error('List revisions error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
@@ -0,0 +1,73 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as jwt from '../shared/jwt';
+import * as db from '../shared/db';
+import { recordRevision } from '../shared/revisions';
+
+/**
+ * Make a revision's snapshot the project's data again
+ * Restoring is recorded as a new revision, so the revisions after the restored one stay available
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Verify auth
+    const token = jwt.extractToken(event.headers.Authorization || event.headers.authorization);
+    if (!token) {
+      return response.error('Missing authorization token', 401);
+    }
+
+    const payload = jwt.verify(token);
+    if (!payload) {
+      return response.error('Invalid token', 401);
+    }
+
+    // Get project and revision IDs from path
+    const projectId = event.pathParameters?.id;
+    const revisionId = event.pathParameters?.revisionId;
+    if (!projectId || !revisionId) {
+      return response.error('Project ID and revision ID are required', 400);
+    }
+
+    // Check ownership
+    const project = await db.getProject(projectId);
+    if (!project) {
+      return response.error('Project not found', 404);
+    }
+
+    if (project.userId !== payload.userId) {
+      return response.error('Unauthorized', 403);
+    }
+
+    const revision = await db.getRevision(projectId, revisionId);
+    if (!revision) {
+      return response.error('Revision not found', 404);
+    }
+
+    // A fresh timestamp makes the restored data newer than local copies of the project
+    const now = new Date().toISOString();
+    const data = { ...revision.data, timestamp: now };
+
+    const saved = await db.updateProject(projectId, {
+      data,
+      ...(revision.thumbnailUrl ? { thumbnailUrl: revision.thumbnailUrl } : {}),
+    });
+
+    const restored = await recordRevision(
+      { projectId, userId: project.userId, name: project.name, data },
+      {
+        restoredFrom: { revisionId: revision.revisionId, createdAt: revision.createdAt },
+        thumbnailUrl: revision.thumbnailUrl,
+      }
+    );
+
+    return response.success({
+      id: projectId,
+      revisionId: restored.revisionId,
+      etag: saved.etag,
+      updatedAt: saved.updatedAt,
+    });
+  } catch (err: any) {
+    console.error('Restore revision error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
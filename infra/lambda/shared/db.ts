@@ -7,18 +7,30 @@ import {
   UpdateCommand,
   DeleteCommand,
 } from '@aws-sdk/lib-dynamodb';
+import { v4 as uuidv4 } from 'uuid';
+import { LibraryVersion } from './library';
 
 const client = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(client);
 
 const USERS_TABLE = process.env.USERS_TABLE || 'PatchToy-Users';
 const PROJECTS_TABLE = process.env.PROJECTS_TABLE || 'PatchToy-Projects';
+const LIBRARY_TABLE = process.env.LIBRARY_TABLE || 'PatchToy-NodeLibrary';
+const REVISIONS_TABLE = process.env.REVISIONS_TABLE || 'PatchToy-Revisions';
+
+// Public projects carry galleryKey so only they appear in the (sparse) gallery indexes
+const GALLERY_KEY = 'public';
+
+// A fork counts as much as this many views when sorting the gallery by popularity
+const FORK_POPULARITY = 5;
 
 export interface User {
   userId: string;
   email: string;
   username: string;
   passwordHash: string;
+  bio?: string;
+  avatarUrl?: string;
   createdAt: string;
 }
 
@@ -28,11 +40,41 @@ export interface Project {
   username: string; // Denormalized for fast reads
   name: string;
   data: any; // The full project JSON
+  etag?: string; // Changes with every save of the data (conflict detection for offline edits)
   isPublic: boolean; // Whether the project is publicly accessible
+  galleryKey?: string; // Set only while public (gallery index partition key)
+  thumbnailUrl?: string;
+  forkedFrom?: { projectId: string; name: string; username: string };
+  viewCount?: number;
+  forkCount?: number;
+  popularity?: number; // viewCount + forkCount * FORK_POPULARITY (gallery sort key)
   createdAt: string;
   updatedAt: string;
 }
 
+export interface Revision {
+  projectId: string;
+  revisionId: string; // Sort key, ordered by creation time (see shared/revisions.ts)
+  userId: string;
+  name: string; // Project name at the time
+  data: any; // Full snapshot of the project JSON
+  message: string; // Empty for plain saves
+  restoredFrom?: { revisionId: string; createdAt: string };
+  thumbnailUrl?: string;
+  size: number; // Bytes of the data JSON
+  createdAt: string;
+}
+
+// Revision attributes returned by listRevisions (everything but the snapshot)
+export type RevisionSummary = Omit<Revision, 'data'>;
+
+export interface LibraryNode {
+  userId: string;
+  name: string; // Custom node name (sort key)
+  versions: LibraryVersion[];
+  updatedAt: string;
+}
+
 /**
  * Get user by ID
  */
@@ -98,6 +140,49 @@ export async function createUser(user: User): Promise<void> {
   );
 }
 
+/**
+ * Update user fields
+ */
+export async function updateUser(
+  userId: string,
+  updates: { username?: string; email?: string; passwordHash?: string; bio?: string; avatarUrl?: string }
+): Promise<void> {
+  const updateExpressions: string[] = [];
+  const expressionAttributeValues: any = {};
+  const expressionAttributeNames: any = {};
+
+  for (const [field, value] of Object.entries(updates)) {
+    if (value === undefined) continue;
+    updateExpressions.push(`#${field} = :${field}`);
+    expressionAttributeNames[`#${field}`] = field;
+    expressionAttributeValues[`:${field}`] = value;
+  }
+
+  if (updateExpressions.length === 0) return;
+
+  await docClient.send(
+    new UpdateCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: 'SET ' + updateExpressions.join(', '),
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+    })
+  );
+}
+
+/**
+ * Delete user
+ */
+export async function deleteUser(userId: string): Promise<void> {
+  await docClient.send(
+    new DeleteCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+    })
+  );
+}
+
 /**
  * Get project by ID
  */
@@ -138,23 +223,43 @@ export async function createProject(project: Project): Promise<void> {
   await docClient.send(
     new PutCommand({
       TableName: PROJECTS_TABLE,
-      Item: project,
+      Item: {
+        viewCount: 0,
+        forkCount: 0,
+        popularity: 0,
+        ...project,
+        ...(project.isPublic ? { galleryKey: GALLERY_KEY } : {}),
+      },
     })
   );
 }
 
+/**
+ * Create an etag for a new version of a project's data
+ */
+export function newEtag(): string {
+  return uuidv4();
+}
+
 /**
  * Update project
+ * Saving data gives the project a new etag. With expectedEtag (null for projects saved before etags),
+ * the update fails with ConditionalCheckFailedException if the data changed since that version.
  */
 export async function updateProject(
   projectId: string,
-  updates: { name?: string; data?: any; isPublic?: boolean }
-): Promise<void> {
+  updates: { name?: string; data?: any; isPublic?: boolean; thumbnailUrl?: string },
+  options: { expectedEtag?: string | null } = {}
+): Promise<{ updatedAt: string; etag?: string }> {
+  const updatedAt = new Date().toISOString();
+  const etag = updates.data !== undefined ? newEtag() : undefined;
   const updateExpressions: string[] = [];
+  const removeExpressions: string[] = [];
   const expressionAttributeValues: any = {
-    ':updatedAt': new Date().toISOString(),
+    ':updatedAt': updatedAt,
   };
   const expressionAttributeNames: any = {};
+  let conditionExpression: string | undefined;
 
   if (updates.name !== undefined) {
     updateExpressions.push('#name = :name');
@@ -166,11 +271,34 @@ export async function updateProject(
     updateExpressions.push('#data = :data');
     expressionAttributeValues[':data'] = updates.data;
     expressionAttributeNames['#data'] = 'data';
+    updateExpressions.push('etag = :etag');
+    expressionAttributeValues[':etag'] = etag;
+  }
+
+  if (options.expectedEtag === null) {
+    conditionExpression = 'attribute_not_exists(etag)';
+  } else if (options.expectedEtag !== undefined) {
+    conditionExpression = 'attribute_not_exists(etag) OR etag = :expectedEtag';
+    expressionAttributeValues[':expectedEtag'] = options.expectedEtag;
   }
 
   if (updates.isPublic !== undefined) {
     updateExpressions.push('isPublic = :isPublic');
     expressionAttributeValues[':isPublic'] = updates.isPublic;
+
+    if (updates.isPublic) {
+      updateExpressions.push('galleryKey = :galleryKey');
+      expressionAttributeValues[':galleryKey'] = GALLERY_KEY;
+      updateExpressions.push('popularity = if_not_exists(popularity, :zero)');
+      expressionAttributeValues[':zero'] = 0;
+    } else {
+      removeExpressions.push('galleryKey');
+    }
+  }
+
+  if (updates.thumbnailUrl !== undefined) {
+    updateExpressions.push('thumbnailUrl = :thumbnailUrl');
+    expressionAttributeValues[':thumbnailUrl'] = updates.thumbnailUrl;
   }
 
   updateExpressions.push('updatedAt = :updatedAt');
@@ -179,15 +307,73 @@ export async function updateProject(
     new UpdateCommand({
       TableName: PROJECTS_TABLE,
       Key: { projectId },
-      UpdateExpression: 'SET ' + updateExpressions.join(', '),
+      UpdateExpression: 'SET ' + updateExpressions.join(', ') +
+        (removeExpressions.length > 0 ? ' REMOVE ' + removeExpressions.join(', ') : ''),
       ExpressionAttributeValues: expressionAttributeValues,
       ExpressionAttributeNames: Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
+      ...(conditionExpression ? { ConditionExpression: conditionExpression } : {}),
+    })
+  );
+
+  return { updatedAt, ...(etag ? { etag } : {}) };
+}
+
+/**
+ * Count a view or fork of a project (doesn't touch updatedAt, which is for edits)
+ */
+export async function incrementProjectStats(
+  projectId: string,
+  stats: { views?: number; forks?: number }
+): Promise<void> {
+  const views = stats.views || 0;
+  const forks = stats.forks || 0;
+
+  await docClient.send(
+    new UpdateCommand({
+      TableName: PROJECTS_TABLE,
+      Key: { projectId },
+      UpdateExpression: 'ADD viewCount :views, forkCount :forks, popularity :popularity',
+      ExpressionAttributeValues: {
+        ':views': views,
+        ':forks': forks,
+        ':popularity': views + forks * FORK_POPULARITY,
+      },
+      ConditionExpression: 'attribute_exists(projectId)',
     })
   );
 }
 
 /**
- * Delete project
+ * List public projects, newest or most popular first
+ * Returns one page; pass lastKey back as startKey to get the next one
+ */
+export async function listPublicProjects(
+  sort: 'recent' | 'popular',
+  limit: number,
+  startKey?: Record<string, any>
+): Promise<{ projects: Project[]; lastKey?: Record<string, any> }> {
+  const result = await docClient.send(
+    new QueryCommand({
+      TableName: PROJECTS_TABLE,
+      IndexName: sort === 'popular' ? 'gallery-popularity-index' : 'gallery-updatedAt-index',
+      KeyConditionExpression: 'galleryKey = :galleryKey',
+      ExpressionAttributeValues: {
+        ':galleryKey': GALLERY_KEY,
+      },
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: startKey,
+    })
+  );
+
+  return {
+    projects: (result.Items as Project[]) || [],
+    lastKey: result.LastEvaluatedKey,
+  };
+}
+
+/**
+ * Delete project and its revisions
  */
 export async function deleteProject(projectId: string): Promise<void> {
   await docClient.send(
@@ -196,4 +382,188 @@ export async function deleteProject(projectId: string): Promise<void> {
       Key: { projectId },
     })
   );
+
+  for (const revision of await listRevisions(projectId)) {
+    await deleteRevision(projectId, revision.revisionId);
+  }
+}
+
+/**
+ * Store a revision (snapshot) of a project
+ */
+export async function createRevision(revision: Revision): Promise<void> {
+  await docClient.send(
+    new PutCommand({
+      TableName: REVISIONS_TABLE,
+      Item: revision,
+    })
+  );
+}
+
+/**
+ * Get a revision with its snapshot
+ */
+export async function getRevision(projectId: string, revisionId: string): Promise<Revision | null> {
+  const result = await docClient.send(
+    new GetCommand({
+      TableName: REVISIONS_TABLE,
+      Key: { projectId, revisionId },
+    })
+  );
+
+  return (result.Item as Revision) || null;
+}
+
+/**
+ * List a project's revisions without their snapshots, newest first
+ */
+export async function listRevisions(projectId: string): Promise<RevisionSummary[]> {
+  const revisions: RevisionSummary[] = [];
+  let lastKey: Record<string, any> | undefined;
+
+  do {
+    const result = await docClient.send(
+      new QueryCommand({
+        TableName: REVISIONS_TABLE,
+        KeyConditionExpression: 'projectId = :projectId',
+        ProjectionExpression: 'projectId, revisionId, userId, #name, message, restoredFrom, thumbnailUrl, #size, createdAt',
+        ExpressionAttributeNames: {
+          '#name': 'name',
+          '#size': 'size',
+        },
+        ExpressionAttributeValues: {
+          ':projectId': projectId,
+        },
+        ScanIndexForward: false,
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    revisions.push(...((result.Items as RevisionSummary[]) || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return revisions;
+}
+
+/**
+ * Set the thumbnail of a revision (uploaded after the save that created it)
+ */
+export async function setRevisionThumbnail(projectId: string, revisionId: string, thumbnailUrl: string): Promise<void> {
+  await docClient.send(
+    new UpdateCommand({
+      TableName: REVISIONS_TABLE,
+      Key: { projectId, revisionId },
+      UpdateExpression: 'SET thumbnailUrl = :thumbnailUrl',
+      ExpressionAttributeValues: {
+        ':thumbnailUrl': thumbnailUrl,
+      },
+    })
+  );
+}
+
+/**
+ * Delete a revision
+ */
+export async function deleteRevision(projectId: string, revisionId: string): Promise<void> {
+  await docClient.send(
+    new DeleteCommand({
+      TableName: REVISIONS_TABLE,
+      Key: { projectId, revisionId },
+    })
+  );
+}
+
+/**
+ * List all custom nodes in a user's library
+ */
+export async function listLibraryNodes(userId: string): Promise<LibraryNode[]> {
+  const items: LibraryNode[] = [];
+  let lastKey: Record<string, any> | undefined;
+
+  // Libraries can exceed one query page (1 MB) since every version's code is stored
+  do {
+    const result = await docClient.send(
+      new QueryCommand({
+        TableName: LIBRARY_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: {
+          ':userId': userId,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    items.push(...((result.Items as LibraryNode[]) || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return items;
+}
+
+/**
+ * Get a custom node from a user's library
+ */
+export async function getLibraryNode(userId: string, name: string): Promise<LibraryNode | null> {
+  const result = await docClient.send(
+    new GetCommand({
+      TableName: LIBRARY_TABLE,
+      Key: { userId, name },
+    })
+  );
+
+  return (result.Item as LibraryNode) || null;
+}
+
+/**
+ * Create or replace a custom node in a user's library
+ */
+export async function putLibraryNode(node: LibraryNode): Promise<void> {
+  await docClient.send(
+    new PutCommand({
+      TableName: LIBRARY_TABLE,
+      Item: node,
+    })
+  );
+}
+
+/**
+ * Delete a custom node from a user's library
+ */
+export async function deleteLibraryNode(userId: string, name: string): Promise<void> {
+  await docClient.send(
+    new DeleteCommand({
+      TableName: LIBRARY_TABLE,
+      Key: { userId, name },
+    })
+  );
+}
+
+/**
+ * Update the username denormalized on a user's projects (after a username change)
+ */
+export async function renameProjectsOwner(userId: string, username: string): Promise<void> {
+  const projects = await listProjects(userId);
+  for (const project of projects) {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: PROJECTS_TABLE,
+        Key: { projectId: project.projectId },
+        UpdateExpression: 'SET username = :username',
+        ExpressionAttributeValues: {
+          ':username': username,
+        },
+      })
+    );
+  }
+}
+
+/**
+ * Delete all projects and library nodes of a user (account deletion)
+ */
+export async function deleteUserData(userId: string): Promise<void> {
+  for (const project of await listProjects(userId)) {
+    await deleteProject(project.projectId);
+  }
+  for (const node of await listLibraryNodes(userId)) {
+    await deleteLibraryNode(userId, node.name);
+  }
 }
@@ -0,0 +1,62 @@
+/**
+ * Custom node library helpers
+ * Must match src/core/NodeLibrary.js so hashes computed in the browser can be checked here
+ */
+
+export interface LibraryVersion {
+  version: number;
+  hash: string;
+  glsl: string;
+  createdAt: string;
+}
+
+/**
+ * Hash GLSL source (53-bit, as 16 hex digits), line endings normalized
+ */
+export function contentHash(glsl: string): string {
+  const text = glsl.replace(/\r\n?/g, '\n');
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Check an uploaded version (its hash must match its code)
+ */
+export function isValidVersion(v: any): v is LibraryVersion {
+  return v !== null && typeof v === 'object' &&
+    Number.isInteger(v.version) && v.version > 0 &&
+    typeof v.glsl === 'string' &&
+    typeof v.hash === 'string' && contentHash(v.glsl) === v.hash;
+}
+
+/**
+ * Add incoming versions to existing ones, matched by hash
+ * Existing versions keep their numbers; a new version whose number is taken gets the next free one.
+ */
+export function mergeVersions(existing: LibraryVersion[], incoming: LibraryVersion[]): LibraryVersion[] {
+  const merged = [...existing];
+  const known = new Set(merged.map(v => v.hash));
+
+  for (const v of [...incoming].sort((a, b) => a.version - b.version)) {
+    if (known.has(v.hash)) continue;
+
+    const taken = merged.some(m => m.version === v.version);
+    merged.push({
+      version: taken ? Math.max(...merged.map(m => m.version)) + 1 : v.version,
+      hash: v.hash,
+      glsl: v.glsl,
+      createdAt: v.createdAt || new Date().toISOString(),
+    });
+    known.add(v.hash);
+  }
+
+  return merged.sort((a, b) => a.version - b.version);
+}
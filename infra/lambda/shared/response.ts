@@ -13,7 +13,7 @@ export function success(data: any, statusCode = 200) {
   };
 }
 
-export function error(message: string, statusCode = 400) {
+export function error(message: string, statusCode = 400, details: Record<string, any> = {}) {
   return {
     statusCode,
     headers: {
@@ -21,6 +21,6 @@ export function error(message: string, statusCode = 400) {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Credentials': true,
     },
-    body: JSON.stringify({ error: message }),
+    body: JSON.stringify({ error: message, ...details }),
   };
 }
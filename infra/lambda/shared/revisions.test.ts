@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { selectExpiredRevisions, selectUnusedThumbnails, MAX_REVISIONS } from './revisions';
+
+const OWN = 'https://assets.example.com/thumbnails/p1/';
+
+// Newest first, like db.listRevisions
+function makeRevisions(count: number, thumbnailUrl: (index: number) => string | undefined) {
+  const now = Date.now();
+  return Array.from({ length: count }, (_, index) => ({
+    revisionId: `r${count - index}`,
+    createdAt: new Date(now - index * 1000).toISOString(),
+    thumbnailUrl: thumbnailUrl(index),
+  }));
+}
+
+test('expired revisions lose their own thumbnails', () => {
+  const revisions = makeRevisions(MAX_REVISIONS + 2, index => `${OWN}r${MAX_REVISIONS + 2 - index}.jpg`);
+  const expired = selectExpiredRevisions(revisions);
+
+  assert.deepEqual(expired.map(r => r.revisionId), ['r2', 'r1']);
+  assert.deepEqual(selectUnusedThumbnails(revisions, expired, `${OWN}r52.jpg`, OWN), [`${OWN}r2.jpg`, `${OWN}r1.jpg`]);
+});
+
+test("the project's thumbnail is kept when it belongs to an expired revision", () => {
+  // Only the oldest save captured a thumbnail, the gallery still shows it
+  const revisions = makeRevisions(MAX_REVISIONS + 1, index => (index === MAX_REVISIONS ? `${OWN}r1.jpg` : undefined));
+  const expired = selectExpiredRevisions(revisions);
+
+  assert.deepEqual(expired.map(r => r.revisionId), ['r1']);
+  assert.deepEqual(selectUnusedThumbnails(revisions, expired, `${OWN}r1.jpg`, OWN), []);
+});
+
+test('thumbnails shared with a kept revision or outside the project folder are kept', () => {
+  const revisions = makeRevisions(MAX_REVISIONS + 2, index => {
+    if (index === 0) return `${OWN}r1.jpg`; // Restored from r1
+    if (index === MAX_REVISIONS) return 'https://assets.example.com/thumbnails/other/x.jpg'; // Forked
+    if (index === MAX_REVISIONS + 1) return `${OWN}r1.jpg`;
+    return undefined;
+  });
+  const expired = selectExpiredRevisions(revisions);
+
+  assert.deepEqual(selectUnusedThumbnails(revisions, expired, undefined, OWN), []);
+});
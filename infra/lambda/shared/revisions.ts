@@ -0,0 +1,136 @@
+import { S3Client, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { v4 as uuidv4 } from 'uuid';
+import * as db from './db';
+
+/**
+ * Project revision helpers
+ * Every save of a project's data stores a full snapshot as a revision. Retention is enforced
+ * here, each time a revision is recorded: a project keeps its newest MAX_REVISIONS revisions,
+ * and revisions older than MAX_REVISION_AGE_DAYS are dropped beyond the newest MIN_REVISIONS.
+ */
+
+const s3 = new S3Client({});
+
+const ASSETS_BUCKET = process.env.ASSETS_BUCKET || '';
+const ASSETS_URL = process.env.ASSETS_URL || '';
+
+export const MAX_REVISIONS = 50;
+export const MIN_REVISIONS = 10; // Kept whatever their age
+export const MAX_REVISION_AGE_DAYS = 90;
+export const MAX_MESSAGE_LENGTH = 200;
+
+/**
+ * Create a revision ID: creation time (base-36 milliseconds, padded so IDs sort by time) and a random suffix
+ */
+export function newRevisionId(): string {
+  return Date.now().toString(36).padStart(10, '0') + '-' + uuidv4().slice(0, 8);
+}
+
+/**
+ * Key of a revision's thumbnail in the assets bucket
+ */
+export function thumbnailKey(projectId: string, revisionId: string): string {
+  return `thumbnails/${projectId}/${revisionId}.jpg`;
+}
+
+/**
+ * S3 key of a thumbnail upload: a revision's image, or the project's own thumbnail without a revision
+ */
+export function thumbnailObjectKey(projectId: string, revisionId?: string): string {
+  return revisionId ? thumbnailKey(projectId, revisionId) : `thumbnails/${projectId}.jpg`;
+}
+
+/**
+ * Store the current state of a project as a new revision, then apply the retention limits
+ */
+export async function recordRevision(
+  project: { projectId: string; userId: string; name: string; data: any },
+  options: { message?: string; restoredFrom?: db.Revision['restoredFrom']; thumbnailUrl?: string } = {}
+): Promise<db.Revision> {
+  const { message = '', restoredFrom, thumbnailUrl } = options;
+
+  const revision: db.Revision = {
+    projectId: project.projectId,
+    revisionId: newRevisionId(),
+    userId: project.userId,
+    name: project.name,
+    data: project.data,
+    message: String(message).trim().slice(0, MAX_MESSAGE_LENGTH),
+    ...(restoredFrom ? { restoredFrom } : {}),
+    ...(thumbnailUrl ? { thumbnailUrl } : {}),
+    size: Buffer.byteLength(JSON.stringify(project.data)),
+    createdAt: new Date().toISOString(),
+  };
+
+  await db.createRevision(revision);
+  await pruneRevisions(project.projectId);
+
+  return revision;
+}
+
+/**
+ * Pick the revisions past the retention limits (revisions are sorted newest first)
+ */
+export function selectExpiredRevisions<T extends { createdAt: string }>(revisions: T[], now = Date.now()): T[] {
+  const maxAge = MAX_REVISION_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return revisions.filter((revision, index) =>
+    index >= MAX_REVISIONS ||
+    (index >= MIN_REVISIONS && now - new Date(revision.createdAt).getTime() > maxAge)
+  );
+}
+
+/**
+ * Pick the thumbnails of expired revisions that can be deleted: images in the project's own
+ * folder (ownPrefix) that no kept revision and not the project itself still shows
+ */
+export function selectUnusedThumbnails<T extends { revisionId: string; thumbnailUrl?: string }>(
+  revisions: T[],
+  expired: T[],
+  projectThumbnailUrl: string | undefined,
+  ownPrefix: string
+): string[] {
+  // Restored revisions share the thumbnail of the revision they came from
+  const expiredIds = new Set(expired.map(r => r.revisionId));
+  const keptThumbnails = new Set(
+    revisions.filter(r => !expiredIds.has(r.revisionId)).map(r => r.thumbnailUrl)
+  );
+  // The gallery shows the project's thumbnail, which can be an older revision's image
+  keptThumbnails.add(projectThumbnailUrl);
+
+  const unused = expired
+    .map(r => r.thumbnailUrl)
+    .filter((url): url is string => !!url && url.startsWith(ownPrefix) && !keptThumbnails.has(url));
+  return [...new Set(unused)];
+}
+
+/**
+ * Delete a project's expired revisions and their thumbnails, returns how many were deleted
+ */
+export async function pruneRevisions(projectId: string): Promise<number> {
+  const revisions = await db.listRevisions(projectId);
+  const expired = selectExpiredRevisions(revisions);
+  if (expired.length === 0) return 0;
+
+  const project = await db.getProject(projectId);
+  const unusedThumbnails = selectUnusedThumbnails(
+    revisions, expired, project?.thumbnailUrl, `${ASSETS_URL}/thumbnails/${projectId}/`
+  );
+
+  for (const revision of expired) {
+    await db.deleteRevision(projectId, revision.revisionId);
+  }
+
+  for (const url of unusedThumbnails) {
+    try {
+      await s3.send(new DeleteObjectCommand({
+        Bucket: ASSETS_BUCKET,
+        Key: url.slice(ASSETS_URL.length + 1),
+      }));
+    } catch (err) {
+      // An orphaned image isn't worth failing the save over
+      console.error('Delete revision thumbnail error:', err);
+    }
+  }
+
+  return expired.length;
+}
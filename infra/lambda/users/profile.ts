@@ -0,0 +1,44 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as response from '../shared/response';
+import * as db from '../shared/db';
+
+/**
+ * Public profile of a user: bio, avatar and public projects (no auth required)
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    // Get username from path
+    const username = event.pathParameters?.username?.toLowerCase();
+    if (!username) {
+      return response.error('Username is required', 400);
+    }
+
+    const user = await db.getUserByUsername(username);
+    if (!user) {
+      return response.error('User not found', 404);
+    }
+
+    // Only public projects are listed, newest first
+    const projects = (await db.listProjects(user.userId)).filter(p => p.isPublic);
+
+    return response.success({
+      username: user.username,
+      bio: user.bio || '',
+      avatarUrl: user.avatarUrl || null,
+      createdAt: user.createdAt,
+      projects: projects.map(p => ({
+        id: p.projectId,
+        name: p.name,
+        username: p.username,
+        thumbnailUrl: p.thumbnailUrl || null,
+        forkedFrom: p.forkedFrom || null,
+        viewCount: p.viewCount || 0,
+        forkCount: p.forkCount || 0,
+        updatedAt: p.updatedAt,
+      })),
+    });
+  } catch (err: any) {
+    console.error('Get profile error:', err);
+    return response.error('Internal server error', 500);
+  }
+}
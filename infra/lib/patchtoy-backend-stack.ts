@@ -2,6 +2,7 @@ import { Duration, RemovalPolicy, Stack, StackProps, CfnOutput } from 'aws-cdk-l
 import * as cdk from 'aws-cdk-lib';
 import { Construct } from 'constructs';
 import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
+import * as s3 from 'aws-cdk-lib/aws-s3';
 import * as lambda from 'aws-cdk-lib/aws-lambda';
 import * as apigateway from 'aws-cdk-lib/aws-apigateway';
 import * as logs from 'aws-cdk-lib/aws-logs';
@@ -25,6 +26,9 @@ export class PatchToyBackendStack extends Stack {
   public readonly api: apigateway.RestApi;
   public readonly usersTable: dynamodb.Table;
   public readonly projectsTable: dynamodb.Table;
+  public readonly libraryTable: dynamodb.Table;
+  public readonly revisionsTable: dynamodb.Table;
+  public readonly assetsBucket: s3.Bucket;
 
   constructor(scope: Construct, id: string, props?: PatchToyBackendStackProps) {
     super(scope, id, props);
@@ -75,6 +79,69 @@ export class PatchToyBackendStack extends Stack {
       projectionType: dynamodb.ProjectionType.ALL,
     });
 
+    // Sparse GSIs for the public gallery: only public projects have galleryKey
+    // Cards only need these attributes, so the project data isn't copied into the indexes
+    // DynamoDB adds one GSI per update: existing stacks need two deploys to get both
+    const galleryAttributes = ['name', 'username', 'thumbnailUrl', 'forkedFrom', 'viewCount', 'forkCount'];
+
+    this.projectsTable.addGlobalSecondaryIndex({
+      indexName: 'gallery-updatedAt-index',
+      partitionKey: { name: 'galleryKey', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'updatedAt', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.INCLUDE,
+      nonKeyAttributes: galleryAttributes,
+    });
+
+    this.projectsTable.addGlobalSecondaryIndex({
+      indexName: 'gallery-popularity-index',
+      partitionKey: { name: 'galleryKey', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'popularity', type: dynamodb.AttributeType.NUMBER },
+      projectionType: dynamodb.ProjectionType.INCLUDE,
+      nonKeyAttributes: [...galleryAttributes, 'updatedAt'],
+    });
+
+    // Custom node library table (one item per node, holding all its versions)
+    this.libraryTable = new dynamodb.Table(this, 'NodeLibraryTable', {
+      tableName: 'PatchToy-NodeLibrary',
+      partitionKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'name', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+      pointInTimeRecovery: true,
+    });
+
+    // Project revisions table (snapshots of each save, newest kept per shared/revisions.ts)
+    this.revisionsTable = new dynamodb.Table(this, 'RevisionsTable', {
+      tableName: 'PatchToy-Revisions',
+      partitionKey: { name: 'projectId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'revisionId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+      pointInTimeRecovery: true,
+    });
+
+    // =====================
+    // S3 Assets Bucket
+    // =====================
+
+    // Images, videos and audio files used by projects - uploaded with pre-signed URLs, read publicly by URL
+    this.assetsBucket = new s3.Bucket(this, 'AssetsBucket', {
+      encryption: s3.BucketEncryption.S3_MANAGED,
+      blockPublicAccess: new s3.BlockPublicAccess({
+        blockPublicAcls: true,
+        ignorePublicAcls: true,
+        blockPublicPolicy: false,
+        restrictPublicBuckets: false,
+      }),
+      publicReadAccess: true,
+      cors: [{
+        allowedMethods: [s3.HttpMethods.GET, s3.HttpMethods.PUT],
+        allowedOrigins: ['*'], // TODO: Restrict in production
+        allowedHeaders: ['*'],
+      }],
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
     // =====================
     // Lambda Functions
     // =====================
@@ -86,6 +153,8 @@ export class PatchToyBackendStack extends Stack {
       environment: {
         USERS_TABLE: this.usersTable.tableName,
         PROJECTS_TABLE: this.projectsTable.tableName,
+        LIBRARY_TABLE: this.libraryTable.tableName,
+        REVISIONS_TABLE: this.revisionsTable.tableName,
         JWT_SECRET: jwtSecret,
       },
       bundling: {
@@ -96,6 +165,13 @@ export class PatchToyBackendStack extends Stack {
       logRetention: logs.RetentionDays.ONE_WEEK,
     };
 
+    // For functions that store or delete media and thumbnails
+    const assetsEnvironment = {
+      ...commonLambdaProps.environment,
+      ASSETS_BUCKET: this.assetsBucket.bucketName,
+      ASSETS_URL: `https://${this.assetsBucket.bucketRegionalDomainName}`,
+    };
+
     // Auth functions
     const registerFn = new NodejsFunction(this, 'RegisterFunction', {
       ...commonLambdaProps,
@@ -132,6 +208,32 @@ export class PatchToyBackendStack extends Stack {
       handler: 'handler',
     });
 
+    // Account and profile functions
+    const updateAccountFn = new NodejsFunction(this, 'UpdateAccountFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/account/update.ts',
+      handler: 'handler',
+    });
+
+    const changePasswordFn = new NodejsFunction(this, 'ChangePasswordFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/account/change-password.ts',
+      handler: 'handler',
+    });
+
+    const deleteAccountFn = new NodejsFunction(this, 'DeleteAccountFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/account/delete.ts',
+      handler: 'handler',
+      timeout: Duration.seconds(30), // Deletes every project and library node
+    });
+
+    const getProfileFn = new NodejsFunction(this, 'GetProfileFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/users/profile.ts',
+      handler: 'handler',
+    });
+
     // Project functions
     const listProjectsFn = new NodejsFunction(this, 'ListProjectsFunction', {
       ...commonLambdaProps,
@@ -149,12 +251,14 @@ export class PatchToyBackendStack extends Stack {
       ...commonLambdaProps,
       entry: 'lambda/projects/save.ts',
       handler: 'handler',
+      environment: assetsEnvironment, // Records revisions (pruning deletes their thumbnails)
     });
 
     const updateProjectFn = new NodejsFunction(this, 'UpdateProjectFunction', {
       ...commonLambdaProps,
       entry: 'lambda/projects/update.ts',
       handler: 'handler',
+      environment: assetsEnvironment, // Records revisions (pruning deletes their thumbnails)
     });
 
     const deleteProjectFn = new NodejsFunction(this, 'DeleteProjectFunction', {
@@ -169,12 +273,91 @@ export class PatchToyBackendStack extends Stack {
       handler: 'handler',
     });
 
+    const forkProjectFn = new NodejsFunction(this, 'ForkProjectFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/projects/fork.ts',
+      handler: 'handler',
+      environment: assetsEnvironment, // Records revisions (pruning deletes their thumbnails)
+    });
+
+    const galleryFn = new NodejsFunction(this, 'GalleryFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/projects/gallery.ts',
+      handler: 'handler',
+    });
+
+    const uploadThumbnailFn = new NodejsFunction(this, 'UploadThumbnailFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/projects/thumbnail.ts',
+      handler: 'handler',
+      environment: assetsEnvironment,
+    });
+
+    const confirmThumbnailFn = new NodejsFunction(this, 'ConfirmThumbnailFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/projects/thumbnail-uploaded.ts',
+      handler: 'handler',
+      environment: assetsEnvironment,
+    });
+
+    // Revision functions
+    const listRevisionsFn = new NodejsFunction(this, 'ListRevisionsFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/revisions/list.ts',
+      handler: 'handler',
+    });
+
+    const getRevisionFn = new NodejsFunction(this, 'GetRevisionFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/revisions/get.ts',
+      handler: 'handler',
+    });
+
+    const restoreRevisionFn = new NodejsFunction(this, 'RestoreRevisionFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/revisions/restore.ts',
+      handler: 'handler',
+      environment: assetsEnvironment,
+    });
+
+    // Node library functions
+    const listLibraryFn = new NodejsFunction(this, 'ListLibraryFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/library/list.ts',
+      handler: 'handler',
+    });
+
+    const saveLibraryNodeFn = new NodejsFunction(this, 'SaveLibraryNodeFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/library/save.ts',
+      handler: 'handler',
+    });
+
+    const deleteLibraryNodeFn = new NodejsFunction(this, 'DeleteLibraryNodeFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/library/delete.ts',
+      handler: 'handler',
+    });
+
+    // Asset functions
+    const uploadAssetFn = new NodejsFunction(this, 'UploadAssetFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/assets/upload.ts',
+      handler: 'handler',
+      environment: assetsEnvironment,
+    });
+
     // Grant DynamoDB permissions
     this.usersTable.grantReadWriteData(registerFn);
     this.usersTable.grantReadData(loginFn);
     this.usersTable.grantReadData(requestPasswordResetFn);
     this.usersTable.grantReadWriteData(resetPasswordFn);
 
+    this.usersTable.grantReadWriteData(updateAccountFn);
+    this.usersTable.grantReadWriteData(changePasswordFn);
+    this.usersTable.grantReadWriteData(deleteAccountFn);
+    this.usersTable.grantReadData(getProfileFn);
+
     // Grant SES permissions for sending password reset emails
     requestPasswordResetFn.addToRolePolicy(
       new iam.PolicyStatement({
@@ -183,12 +366,50 @@ export class PatchToyBackendStack extends Stack {
       })
     );
 
+    this.projectsTable.grantReadWriteData(updateAccountFn); // Renames the owner on projects
+    this.projectsTable.grantReadWriteData(deleteAccountFn);
+    this.projectsTable.grantReadData(getProfileFn);
     this.projectsTable.grantReadData(listProjectsFn);
-    this.projectsTable.grantReadData(getProjectFn);
+    this.projectsTable.grantReadWriteData(getProjectFn); // Counts views
     this.projectsTable.grantWriteData(saveProjectFn);
     this.projectsTable.grantReadWriteData(updateProjectFn);
     this.projectsTable.grantReadWriteData(deleteProjectFn);
     this.projectsTable.grantReadWriteData(toggleVisibilityFn);
+    this.projectsTable.grantReadWriteData(forkProjectFn);
+    this.projectsTable.grantReadData(galleryFn);
+    this.projectsTable.grantReadData(uploadThumbnailFn);
+    this.projectsTable.grantReadWriteData(confirmThumbnailFn);
+
+    this.projectsTable.grantReadData(listRevisionsFn);
+    this.projectsTable.grantReadData(getRevisionFn);
+    this.projectsTable.grantReadWriteData(restoreRevisionFn);
+
+    this.revisionsTable.grantReadWriteData(saveProjectFn);
+    this.revisionsTable.grantReadWriteData(updateProjectFn);
+    this.revisionsTable.grantReadWriteData(deleteProjectFn);
+    this.revisionsTable.grantReadWriteData(forkProjectFn);
+    this.revisionsTable.grantReadData(uploadThumbnailFn);
+    this.revisionsTable.grantReadWriteData(confirmThumbnailFn);
+    this.revisionsTable.grantReadWriteData(deleteAccountFn);
+    this.revisionsTable.grantReadData(listRevisionsFn);
+    this.revisionsTable.grantReadData(getRevisionFn);
+    this.revisionsTable.grantReadWriteData(restoreRevisionFn);
+
+    this.libraryTable.grantReadData(listLibraryFn);
+    this.libraryTable.grantReadWriteData(saveLibraryNodeFn);
+    this.libraryTable.grantWriteData(deleteLibraryNodeFn);
+    this.libraryTable.grantReadWriteData(deleteAccountFn);
+
+    // Grant S3 permissions (signing an upload URL needs the same rights as the upload)
+    this.assetsBucket.grantPut(uploadAssetFn);
+    this.assetsBucket.grantPut(uploadThumbnailFn);
+    this.assetsBucket.grantRead(confirmThumbnailFn); // Checks the upload is there
+    this.assetsBucket.grantReadWrite(forkProjectFn); // Copies the original's thumbnail
+
+    // Recording a revision prunes old ones along with their thumbnails
+    for (const fn of [saveProjectFn, updateProjectFn, forkProjectFn, restoreRevisionFn]) {
+      this.assetsBucket.grantDelete(fn);
+    }
 
     // =====================
     // API Gateway
@@ -258,6 +479,24 @@ export class PatchToyBackendStack extends Stack {
       apiKeyRequired: requireApiKey,
     });
 
+    // Account routes (the signed-in user's settings)
+    const account = apiRoot.addResource('account');
+    account.addMethod('PUT', new apigateway.LambdaIntegration(updateAccountFn), {
+      apiKeyRequired: requireApiKey,
+    });
+    account.addMethod('DELETE', new apigateway.LambdaIntegration(deleteAccountFn), {
+      apiKeyRequired: requireApiKey,
+    });
+    account.addResource('password').addMethod('PUT', new apigateway.LambdaIntegration(changePasswordFn), {
+      apiKeyRequired: requireApiKey,
+    });
+
+    // User profile routes (public)
+    const users = apiRoot.addResource('users');
+    users.addResource('{username}').addMethod('GET', new apigateway.LambdaIntegration(getProfileFn), {
+      apiKeyRequired: requireApiKey,
+    });
+
     // Projects routes
     const projects = apiRoot.addResource('projects');
     projects.addMethod('GET', new apigateway.LambdaIntegration(listProjectsFn), {
@@ -283,6 +522,59 @@ export class PatchToyBackendStack extends Stack {
       apiKeyRequired: requireApiKey,
     });
 
+    const fork = project.addResource('fork');
+    fork.addMethod('POST', new apigateway.LambdaIntegration(forkProjectFn), {
+      apiKeyRequired: requireApiKey,
+    });
+
+    const thumbnail = project.addResource('thumbnail');
+    thumbnail.addMethod('POST', new apigateway.LambdaIntegration(uploadThumbnailFn), {
+      apiKeyRequired: requireApiKey,
+    });
+    thumbnail.addMethod('PUT', new apigateway.LambdaIntegration(confirmThumbnailFn), {
+      apiKeyRequired: requireApiKey,
+    });
+
+    // Revision routes (owner only)
+    const revisions = project.addResource('revisions');
+    revisions.addMethod('GET', new apigateway.LambdaIntegration(listRevisionsFn), {
+      apiKeyRequired: requireApiKey,
+    });
+
+    const revision = revisions.addResource('{revisionId}');
+    revision.addMethod('GET', new apigateway.LambdaIntegration(getRevisionFn), {
+      apiKeyRequired: requireApiKey,
+    });
+    revision.addResource('restore').addMethod('POST', new apigateway.LambdaIntegration(restoreRevisionFn), {
+      apiKeyRequired: requireApiKey,
+    });
+
+    // Gallery routes (public projects, no auth)
+    const gallery = apiRoot.addResource('gallery');
+    gallery.addMethod('GET', new apigateway.LambdaIntegration(galleryFn), {
+      apiKeyRequired: requireApiKey,
+    });
+
+    // Node library routes
+    const library = apiRoot.addResource('library');
+    library.addMethod('GET', new apigateway.LambdaIntegration(listLibraryFn), {
+      apiKeyRequired: requireApiKey,
+    });
+
+    const libraryNode = library.addResource('{name}');
+    libraryNode.addMethod('PUT', new apigateway.LambdaIntegration(saveLibraryNodeFn), {
+      apiKeyRequired: requireApiKey,
+    });
+    libraryNode.addMethod('DELETE', new apigateway.LambdaIntegration(deleteLibraryNodeFn), {
+      apiKeyRequired: requireApiKey,
+    });
+
+    // Assets routes
+    const assets = apiRoot.addResource('assets');
+    assets.addMethod('POST', new apigateway.LambdaIntegration(uploadAssetFn), {
+      apiKeyRequired: requireApiKey,
+    });
+
     // Output API URL
     new CfnOutput(this, 'ApiUrl', {
       value: this.api.url,
@@ -53,7 +53,7 @@ export class PatchToyStack extends Stack {
       responseHeadersPolicyName: 'PatchToySecurityHeaders',
       securityHeadersBehavior: {
         contentSecurityPolicy: {
-          contentSecurityPolicy: "default-src 'self'; script-src 'self' 'unsafe-eval' https://cdnjs.cloudflare.com; style-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com; connect-src 'self' https://*.execute-api.eu-west-3.amazonaws.com https://cdnjs.cloudflare.com; img-src 'self' data: blob:; font-src 'self' data: https://cdnjs.cloudflare.com; worker-src 'self' blob:;",
+          contentSecurityPolicy: "default-src 'self'; script-src 'self' 'unsafe-eval' https://cdnjs.cloudflare.com; style-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com; connect-src 'self' https://*.execute-api.eu-west-3.amazonaws.com https://*.s3.eu-west-3.amazonaws.com https://cdnjs.cloudflare.com; img-src 'self' data: blob: https://*.s3.eu-west-3.amazonaws.com; media-src 'self' data: blob: https://*.s3.eu-west-3.amazonaws.com; font-src 'self' data: https://cdnjs.cloudflare.com; worker-src 'self' blob:;",
           override: true,
         },
         contentTypeOptions: { override: true },
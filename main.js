@@ -1,17 +1,32 @@
 import { NodeGraph } from './src/core/NodeGraph.js';
 import { ShaderCompiler } from './src/core/ShaderCompiler.js';
-import { NodeDefinitions } from './src/core/NodeDefinitions.js';
+import { NodeDefinitions, createNodeFromGLSL } from './src/core/NodeDefinitions.js';
+import { NodeLibrary } from './src/core/NodeLibrary.js';
 import { ApiClient } from './src/services/ApiClient.js';
 import { ProjectManager } from './src/managers/ProjectManager.js';
 import { CompilationManager } from './src/managers/CompilationManager.js';
 import { UniformRegistry } from './src/managers/UniformRegistry.js';
+import { GroupManager } from './src/managers/GroupManager.js';
+import { HistoryManager } from './src/managers/HistoryManager.js';
+import { TimelineManager } from './src/managers/TimelineManager.js';
+import { PerformanceManager } from './src/managers/PerformanceManager.js';
+import { OutputManager } from './src/managers/OutputManager.js';
+import { CollabManager } from './src/managers/CollabManager.js';
 import { FeedbackRenderer } from './src/rendering/FeedbackRenderer.js';
 import { BackgroundRenderer } from './src/rendering/BackgroundRenderer.js';
+import { OfflineRenderer } from './src/rendering/OfflineRenderer.js';
+import { InputRecorder } from './src/rendering/InputRecorder.js';
 import { AuthDialogs } from './src/ui/AuthDialogs.js';
 import { NodeDialogs } from './src/ui/NodeDialogs.js';
 import { ProjectDialogs } from './src/ui/ProjectDialogs.js';
+import { NodeLibraryDialog } from './src/ui/NodeLibraryDialog.js';
 import { UIHelpers } from './src/ui/UIHelpers.js';
+import { RenderDialog } from './src/ui/RenderDialog.js';
+import { TimelinePanel } from './src/ui/TimelinePanel.js';
+import { PerformanceView } from './src/ui/PerformanceView.js';
+import { OutputWindow } from './src/ui/OutputWindow.js';
 import { GLSLCommentParser } from './src/utils/GLSLCommentParser.js';
+import { ShaderToyConverter } from './src/utils/ShaderToyConverter.js';
 import { FloatingCodeEditor } from './src/ui/FloatingCodeEditor.js';
 
 class PatchToy {
@@ -47,6 +62,39 @@ class PatchToy {
         this.backgroundRenderer.graph = this.nodeGraph; // Pass graph reference for video node access
         this.feedbackRenderer = new FeedbackRenderer(this.nodeGraph, this.shaderCompiler, this.sharedGL, this.uniformRegistry);
         this.compilationManager = new CompilationManager(this.nodeGraph, this.shaderCompiler, null, this.backgroundRenderer, this.feedbackRenderer);
+        this.offlineRenderer = new OfflineRenderer(this.nodeGraph, this.feedbackRenderer, this.compilationManager, this.sharedGL);
+        this.inputRecorder = new InputRecorder(this.nodeGraph);
+        this.timeline = new TimelineManager(this.nodeGraph);
+        this.nodeGraph.timeline = this.timeline;
+        this.offlineRenderer.timeline = this.timeline;
+        this.timelinePanel = new TimelinePanel(this.timeline, this.nodeGraph);
+        this.performance = new PerformanceManager(this.nodeGraph);
+        this.nodeGraph.performance = this.performance;
+        this.projectManager.isSaveDisabled = this.performance.isSecondaryWindow;
+        this.performance.getProjectKey = () => this.projectManager.getStoreKey();
+        this.projectManager.onSyncConflict = (conflict) => ProjectDialogs.showSyncConflict(conflict);
+        this.projectManager.syncManager.onConflict = (projectId) => this.openCloudProject(projectId);
+        this.performanceView = new PerformanceView(this.performance, this.nodeGraph, this.backgroundRenderer);
+        this.outputManager = new OutputManager(this.nodeGraph);
+        this.groupManager = new GroupManager(this.nodeGraph);
+        this.groupManager.onGroupsChanged = () => this.groupManager.saveGroups();
+        this.removeRevisionPreviewBar = null; // Set while a project revision is previewed
+        this.historyManager = new HistoryManager(this.nodeGraph, {
+            onCreateCustomNode: (name, glsl) => this.createCustomNode(name, glsl, true),
+            onDefinitionsChanged: () => {
+                this.saveCustomNodes();
+                this.groupManager.saveGroups();
+            }
+        });
+        this.nodeGraph.history = this.historyManager;
+        this.collab = new CollabManager(this.nodeGraph, this.historyManager);
+        this.nodeGraph.collab = this.collab;
+        this.collab.onJoinSession = (room) => {
+            // Others are already in the room: their patch replaces the open project
+            this.createNewProject();
+            this.projectManager.setProjectTitle(`Session ${room}`);
+        };
+        this.collab.onStatusChanged = () => this.updateCollabButton();
 
         // State
         this.cameraEnabled = false;
@@ -62,8 +110,17 @@ class PatchToy {
 
     startAnimationLoop() {
         const animate = () => {
-            // Render feedback nodes every frame
-            this.feedbackRenderer.renderFeedbackNodes();
+            // The offline renderer steps the passes itself while rendering
+            if (!this.offlineRenderer.isRendering) {
+                // Advance the timeline transport and apply keyframed uniforms
+                this.timeline.update();
+                // Render feedback nodes every frame
+                this.feedbackRenderer.renderFeedbackNodes();
+                // Then render target passes, in dependency order
+                this.compilationManager.renderPasses();
+                // Keep output windows up to date
+                this.outputManager.update();
+            }
             requestAnimationFrame(animate);
         };
         requestAnimationFrame(animate);
@@ -109,7 +166,9 @@ class PatchToy {
         // Node right-click handlers
         this.nodeGraph.onNodeRightClick = (node, e) => {
             const definition = NodeDefinitions[node.type];
-            if (definition && definition.isCustomNode) {
+            if (definition && definition.isGroupNode) {
+                this.groupManager.enterGroup(node.type);
+            } else if (definition && definition.isCustomNode) {
                 NodeDialogs.showEditNodeDialog(node, definition, (nodeName, glslCode) => {
                     const result = this.createCustomNode(nodeName, glslCode);
                     this.compilationManager.scheduleCompile();
@@ -127,6 +186,11 @@ class PatchToy {
         // Custom node creation request
         this.nodeGraph.onCustomNodeRequested = () => {
             NodeDialogs.showCustomNodeDialog((nodeName, glslCode) => {
+                // Pasted ShaderToy shaders are converted and wired up
+                if (ShaderToyConverter.isShaderToy(glslCode)) {
+                    return this.importShaderToy(glslCode, nodeName);
+                }
+
                 const result = this.createCustomNode(nodeName, glslCode);
                 if (result.success) {
                     this.nodeGraph.addNode(nodeName, 200, 200);
@@ -137,15 +201,32 @@ class PatchToy {
 
         // Custom node deletion request
         this.nodeGraph.onCustomNodeDelete = (nodeName) => {
-            this.deleteCustomNode(nodeName);
+            if (NodeDefinitions[nodeName]?.isGroupNode) {
+                this.groupManager.deleteGroup(nodeName);
+            } else {
+                this.deleteCustomNode(nodeName);
+            }
         };
 
+        // Node groups
+        this.nodeGraph.onGroupSelection = () => this.groupManager.groupSelection();
+        this.nodeGraph.onUngroupSelection = () => this.groupManager.ungroupSelection();
+
         // Preview node code inspect
         this.nodeGraph.onPreviewCodeInspect = (node) => {
             // Try to get shader from last compilation (works even if compilation failed)
-            const shaderSource = node?.lastCompiledShader?.fragment ||
-                                 node?.renderer?.currentShaderSource?.fragment;
-            NodeDialogs.showGeneratedCode(shaderSource);
+            const shader = node?.lastCompiledShader || node?.renderer?.currentShaderSource;
+            const shaderToyExport = shader?.fragment ? ShaderToyConverter.exportShader(shader) : null;
+            NodeDialogs.showGeneratedCode(shader?.fragment, shaderToyExport);
+        };
+
+        // Preview node offline render
+        this.nodeGraph.onPreviewRender = (node) => {
+            RenderDialog.show({
+                node,
+                offlineRenderer: this.offlineRenderer,
+                inputRecorder: this.inputRecorder
+            });
         };
 
         // Preview node fullscreen
@@ -232,6 +313,80 @@ class PatchToy {
             await UIHelpers.enableAllMicrophones(this.nodeGraph);
         });
 
+        // Timeline button
+        const timelineBtn = document.getElementById('timelineBtn');
+        timelineBtn.addEventListener('click', () => {
+            timelineBtn.classList.toggle('active', this.timelinePanel.toggle());
+        });
+
+        // Publish selected nodes to the performance panel
+        document.getElementById('publishBtn').addEventListener('click', () => {
+            const selected = Array.from(this.nodeGraph.selectionManager.selectedNodes);
+            if (!this.performance.togglePublished(selected)) {
+                alert('Select Constant, Map or widget nodes to publish them to the performance panel.');
+            }
+            this.nodeGraph.render();
+        });
+
+        // Output window of the selected Preview node
+        document.getElementById('outputBtn').addEventListener('click', () => {
+            const previewNodes = this.nodeGraph.nodes.filter(n => n.isPreviewNode);
+            const node = previewNodes.find(n => this.nodeGraph.selectionManager.selectedNodes.has(n))
+                || (previewNodes.length === 1 ? previewNodes[0] : null);
+            if (!node) {
+                alert('Select the Preview node to show in the output window.');
+                return;
+            }
+            this.outputManager.open(node);
+        });
+
+        // Custom node library
+        document.getElementById('libraryBtn').addEventListener('click', () => {
+            NodeLibraryDialog.show({
+                apiClient: this.apiClient,
+                onUseVersion: (name, glsl) => {
+                    const result = this.createCustomNode(name, glsl);
+                    if (!result || !result.success) return false;
+                    this.projectManager.markDirty();
+                    this.compilationManager.scheduleCompile();
+                    return true;
+                },
+                onRemoveNode: (name) => {
+                    NodeLibrary.remove(name);
+                    if (this.apiClient.isEnabled() && this.apiClient.isLoggedIn()) {
+                        this.apiClient.deleteLibraryNode(name).catch(err => {
+                            console.warn('[NodeLibrary] Could not remove node from the cloud library:', err);
+                        });
+                    }
+                }
+            });
+        });
+
+        // Collaboration session
+        const collabBtn = document.getElementById('collabBtn');
+        collabBtn.classList.toggle('disabled', !CollabManager.isEnabled() || this.performance.isSecondaryWindow);
+        collabBtn.addEventListener('click', () => {
+            if (collabBtn.classList.contains('disabled')) return;
+            ProjectDialogs.showCollabDialog({
+                room: this.collab.room,
+                name: this.collab.name,
+                isConnected: this.collab.isConnected(),
+                peers: Array.from(this.collab.peers.values()),
+                onJoin: (room, name) => this.joinCollabSession(room, name),
+                onLeave: () => {
+                    this.collab.leave();
+                    const url = new URL(window.location);
+                    url.searchParams.delete('room');
+                    window.history.replaceState({}, '', url);
+                }
+            });
+        });
+
+        // Performance view
+        document.getElementById('performBtn').addEventListener('click', () => {
+            this.performanceView.enter();
+        });
+
         // MIDI button
         document.getElementById('midiBtn').addEventListener('click', async () => {
             await UIHelpers.enableMIDI();
@@ -239,13 +394,18 @@ class PatchToy {
 
         // Load file input
         document.getElementById('loadFileInput').addEventListener('change', async (e) => {
+            await this.exitRevisionPreview();
+
             // Close all open editors before loading new project
             FloatingCodeEditor.closeAll();
 
             const result = await this.projectManager.loadProjectFromFile(
                 e.target.files[0],
                 (name, glsl, skipSave) => this.createCustomNode(name, glsl, skipSave),
-                () => this.saveCustomNodes()
+                () => {
+                    this.saveCustomNodes();
+                    this.groupManager.saveGroups();
+                }
             );
             if (result && result.success) {
                 this.compilationManager.scheduleCompile();
@@ -263,28 +423,21 @@ class PatchToy {
                 currentProjectId: this.projectManager.currentProjectId,
                 onProjectTitleChange: (title) => this.projectManager.setProjectTitle(title),
                 onNewProject: () => this.handleNewProject(),
-                onShowCurrentProjectMenu: (anchorBtn) => {
+                onShowCurrentProjectMenu: (anchorBtn, closeProjectMenu) => {
+                    const { source, isOwner } = this.projectManager.projectState;
+                    const hasHistory = this.apiClient.isLoggedIn() && source === 'cloud' && isOwner;
                     ProjectDialogs.showCurrentProjectMenu({
                         anchorBtn,
-                        onDownload: () => this.projectManager.saveProjectToFile()
+                        onDownload: () => this.projectManager.saveProjectToFile(),
+                        onShowHistory: hasHistory ? () => {
+                            closeProjectMenu();
+                            this.showProjectHistory();
+                        } : null
                     });
                 },
                 onLoadLocalClick: () => document.getElementById('loadFileInput').click(),
-                onLoadCloudProject: async (projectId) => {
-                    // Close all open editors before loading cloud project
-                    FloatingCodeEditor.closeAll();
-
-                    const result = await this.projectManager.loadCloudProject(projectId, (name, glsl) => this.createCustomNode(name, glsl));
-                    if (result && result.success) {
-                        // Restore editor states if present
-                        if (result.editorStates && result.editorStates.length > 0) {
-                            FloatingCodeEditor.restoreAllStates(result.editorStates, this.nodeGraph.nodes);
-                        }
-                        this.compilationManager.scheduleCompile();
-                        // Update UI to show save button
-                        UIHelpers.updateAccountButton(this.apiClient);
-                    }
-                },
+                onLoadCloudProject: (projectId) => this.openCloudProject(projectId),
+                onShowGallery: () => this.showGallery(),
                 onShowProjectOptionsMenu: (project, anchorBtn, listItem) => {
                     ProjectDialogs.showProjectOptionsMenu({
                         project,
@@ -296,6 +449,7 @@ class PatchToy {
                             if (this.projectManager.currentProjectId === deletedProjectId) {
                                 this.projectManager.clearProject();
                             }
+                            this.projectManager.removeLocalCopy(deletedProjectId);
                         }
                     });
                 }
@@ -312,13 +466,18 @@ class PatchToy {
             } else if (result.needsName) {
                 // Just save with current project title
                 try {
-                    await this.projectManager.saveNewProject(this.projectManager.projectTitle, result.projectData);
+                    await this.projectManager.saveNewProject(this.projectManager.projectTitle, result.projectData, result.forkOf);
                     alert('Project saved to cloud!');
                 } catch (err) {
                     alert('Failed to save project: ' + err.message);
                 }
             } else if (result.success) {
                 alert('Project updated!');
+            } else if (result.queued) {
+                alert('You are offline. The project is saved on this device and will be saved to the cloud once you are back online.');
+            } else if (result.conflict) {
+                // Saved from somewhere else since the last sync: reopening asks which version to keep
+                await this.openCloudProject(this.projectManager.projectState.projectId);
             }
         });
 
@@ -329,6 +488,9 @@ class PatchToy {
                     this.apiClient.logout();
                     UIHelpers.updateAccountButton(this.apiClient);
                     this.projectManager.clearProject();
+                }, {
+                    onShowProfile: () => this.showUserProfile(this.apiClient.getCurrentUser().username),
+                    onShowSettings: () => this.showAccountSettings()
                 });
             } else {
                 AuthDialogs.showLogin(this.apiClient, () => {
@@ -342,6 +504,9 @@ class PatchToy {
 
         // Graph changes
         this.nodeGraph.onGraphChanged = () => {
+            // Record an undo step (no-op while restoring or mid-drag)
+            this.historyManager.record();
+
             // Mark project as dirty (has unsaved changes)
             this.projectManager.markDirty();
 
@@ -356,11 +521,35 @@ class PatchToy {
             // Then schedule main compilation (reuses the same global ID mapping)
             this.compilationManager.scheduleCompile();
             // Note: markDirty() already calls saveGraph()
+
+            // Rebuild the performance panel and sync other windows
+            this.performance.graphChanged();
+
+            // Send the edit to the collaboration session
+            this.collab.localChanged();
+        };
+
+        // Keyframe edits (no recompilation needed)
+        this.nodeGraph.onTimelineChanged = () => {
+            this.historyManager.record();
+            this.projectManager.markDirty();
+            this.performance.graphChanged();
+            this.collab.localChanged();
+        };
+
+        // Performance panel layout edits (no recompilation needed)
+        this.nodeGraph.onPerformanceChanged = () => {
+            this.historyManager.record();
+            this.projectManager.markDirty();
+            this.performance.graphChanged();
+            this.collab.localChanged();
         };
 
         // Uniform value changes (no recompilation needed)
         this.nodeGraph.onUniformValueChanged = (node) => {
             this.compilationManager.updateUniformsForNode(node);
+            this.performance.valuesChanged(node);
+            this.collab.localChanged();
             // Debounce save to avoid lag during dragging
             this.debouncedSave();
         };
@@ -407,7 +596,9 @@ class PatchToy {
         }
     }
 
-    handleNewProject() {
+    async handleNewProject() {
+        await this.exitRevisionPreview();
+
         // Check if there are nodes in the current graph
         const hasNodes = this.nodeGraph.nodes.length > 0;
 
@@ -419,7 +610,7 @@ class PatchToy {
                 // If logged in, save to cloud
                 if (this.apiClient.isLoggedIn()) {
                     this.projectManager.saveToCloud().then(result => {
-                        if (result.success || result.needsName) {
+                        if (result.success || result.queued || result.needsName) {
                             // If save succeeded or was handled, create new project
                             this.createNewProject();
                         }
@@ -457,14 +648,12 @@ class PatchToy {
             this.backgroundRenderer.setActivePreviewNode(null);
         }
 
-        // Reset project info
-        this.projectManager.projectTitle = 'Untitled Project';
-        this.projectManager.currentProjectId = null;
-        this.projectManager.viewingSharedProject = null;
-        document.getElementById('projectTitleDisplay').textContent = 'Untitled Project';
+        // Reset project info (also saves the empty graph)
+        this.projectManager.clearProject();
 
-        // Save the empty graph and trigger compilation
-        this.projectManager.saveGraph();
+        this.historyManager.reset();
+
+        // Trigger compilation
         this.compilationManager.compile();
         this.nodeGraph.render();
     }
@@ -486,148 +675,273 @@ class PatchToy {
             return false;
         }
 
-        // Extract all functions from code
-        const functions = GLSLCommentParser.extractFunctions(code);
-        if (functions.length === 0) {
-            alert('Could not parse GLSL function. Please ensure it has a valid signature like: vec3 myFunc(vec2 uv)');
+        // Inputs and outputs come from the entry function's signature
+        try {
+            NodeDefinitions[nodeName] = createNodeFromGLSL(nodeName, code, metadata);
+        } catch (error) {
+            alert('Could not create the node:\n' + error.message);
             return false;
         }
 
-        // Determine main function
-        let mainFunction;
-        if (metadata.node) {
-            mainFunction = functions.find(f => f.name === metadata.node);
-        } else if (functions.length === 1) {
-            mainFunction = functions[0];
-        } else {
-            alert('Multiple functions found but no @node directive specified');
-            return false;
+        // Every version of a node's code is kept in the library
+        NodeLibrary.commit(nodeName, code);
+
+        if (!skipSave) {
+            this.saveCustomNodes();
         }
 
-        if (!mainFunction) {
-            alert('Could not determine main function');
-            return false;
+        this.nodeGraph.refreshNodesOfType(nodeName, { preserveData: true });
+
+        // GLSL edits are undoable (loads pass skipSave and aren't recorded)
+        if (!skipSave) {
+            this.historyManager.record();
         }
 
-        // Parse function parameters
-        const funcMatch = code.match(
-            new RegExp(`${mainFunction.returnType}\\s+${mainFunction.name}\\s*\\(([^)]*)\\)`)
-        );
+        return { success: true, finalCode };
+    }
 
-        if (!funcMatch) {
-            alert('Could not parse function parameters');
-            return false;
+    /**
+     * Convert a ShaderToy shader into a custom node and add it with its inputs wired up
+     * The node takes the given name (the dialog's @node), else ShaderToy, ShaderToy2...
+     */
+    importShaderToy(source, name = '') {
+        // Without @node the dialog names the node after its last function, mainImage
+        let nodeName = name && name !== 'mainImage' ? name : '';
+        if (!nodeName) {
+            nodeName = 'ShaderToy';
+            for (let i = 2; NodeDefinitions[nodeName]; i++) {
+                nodeName = `ShaderToy${i}`;
+            }
         }
 
-        const paramsString = funcMatch[1];
-        const inputs = [];
+        let converted;
+        try {
+            converted = ShaderToyConverter.importShader(source, nodeName);
+        } catch (error) {
+            alert('ShaderToy import failed: ' + error.message);
+            return false;
+        }
 
-        if (paramsString.trim()) {
-            const params = paramsString.split(',').map(p => p.trim());
-            for (const param of params) {
-                const parts = param.split(/\s+/);
-                if (parts.length >= 2) {
-                    const type = parts[0];
-                    const name = parts[1];
+        if (converted.warnings.length > 0) {
+            alert('ShaderToy import notes:\n' + converted.warnings.join('\n'));
+        }
 
-                    // Check if there's custom metadata for this input
-                    const inputMeta = metadata.inputs[name];
+        const result = this.createCustomNode(nodeName, converted.code);
+        if (!result || !result.success) return false;
 
-                    inputs.push({
-                        name,
-                        type,
-                        displayName: inputMeta?.displayName || name,
-                        default: inputMeta?.default || null,
-                        defaultNode: inputMeta?.defaultNode || null
-                    });
+        // Add the node and its UV/Time/Resolution/Mouse sources as one undo step
+        this.historyManager.beginBatch();
+        const node = this.nodeGraph.addNode(nodeName, 200, 200);
+        if (node) {
+            converted.inputs.forEach((input, index) => {
+                if (input.defaultNode) {
+                    this.nodeGraph.createDefaultNodeForInput(node, index, input.defaultNode, node.x - 60, node.y + index * 70, input.defaultOutput);
                 }
+            });
+            if (this.nodeGraph.onGraphChanged) this.nodeGraph.onGraphChanged();
+        }
+        this.historyManager.endBatch();
+
+        return true;
+    }
+
+    /**
+     * Join a collaboration room (asks first when a project only saved on this device could be replaced)
+     */
+    async joinCollabSession(room, name) {
+        await this.exitRevisionPreview();
+
+        const { source } = this.projectManager.projectState;
+        if (source !== 'cloud' && this.nodeGraph.nodes.length > 0 &&
+            !confirm('If others are already in this room, their patch replaces this project, which is only saved on this device. Join anyway?')) {
+            return;
+        }
+        this.collab.join(room, name);
+    }
+
+    updateCollabButton() {
+        const collabBtn = document.getElementById('collabBtn');
+        const isConnected = this.collab.isConnected();
+        collabBtn.classList.toggle('active', isConnected);
+        collabBtn.title = isConnected
+            ? `Collaborating in "${this.collab.room}" (${this.collab.peers.size} other${this.collab.peers.size === 1 ? '' : 's'})`
+            : 'Collaborate';
+    }
+
+    /**
+     * Open a cloud project, or a fork of it in the user's account
+     */
+    async openCloudProject(projectId, { fork = false } = {}) {
+        await this.exitRevisionPreview();
+
+        // Close all open editors before loading cloud project
+        FloatingCodeEditor.closeAll();
+
+        const onCreateCustomNode = (name, glsl) => this.createCustomNode(name, glsl);
+        const result = fork
+            ? await this.projectManager.forkCloudProject(projectId, onCreateCustomNode)
+            : await this.projectManager.loadCloudProject(projectId, onCreateCustomNode);
+        this.finishCloudProjectLoad(result);
+        return result;
+    }
+
+    finishCloudProjectLoad(result) {
+        if (result && result.success) {
+            this.groupManager.saveGroups();
+            // Restore editor states if present
+            if (result.editorStates && result.editorStates.length > 0) {
+                FloatingCodeEditor.restoreAllStates(result.editorStates, this.nodeGraph.nodes);
             }
+            this.compilationManager.scheduleCompile();
+            // Update UI to show save button
+            UIHelpers.updateAccountButton(this.apiClient);
         }
+    }
 
-        // Use title from metadata, or function name if not specified
-        const displayTitle = metadata.title || mainFunction.name;
-
-        // Create the node definition
-        NodeDefinitions[nodeName] = {
-            category: metadata.category,
-            inputs: inputs.map(inp => {
-                const inputDef = {
-                    name: inp.displayName || inp.name,
-                    type: inp.type,
-                    paramName: inp.name  // Store original param name for function calls
-                };
-                // Include defaultNode if specified
-                if (inp.defaultNode) {
-                    inputDef.defaultNode = inp.defaultNode;
+    showProjectHistory() {
+        const { projectId, title } = this.projectManager.projectState;
+        ProjectDialogs.showHistory({
+            apiClient: this.apiClient,
+            projectId,
+            projectTitle: title,
+            getCurrentData: () => this.projectManager.getCurrentProjectData(),
+            onSaveRevision: async (message) => {
+                const result = await this.projectManager.saveToCloud(message);
+                if (result && result.queued) {
+                    alert('You are offline. The revision will be saved once you are back online.');
+                } else if (result && result.conflict) {
+                    await this.openCloudProject(this.projectManager.projectState.projectId);
                 }
-                return inputDef;
-            }),
-            outputs: [{ name: '', type: mainFunction.returnType }],
-            customGLSL: finalCode,
-            isCustomNode: true,
-            displayTitle: displayTitle,
-            description: metadata.description,
-            glsl: (node, inputValues) => {
-                // Build the function call with proper default values
-                // inputValues is indexed by display name (input.name)
-                const args = inputs.map((inp) => {
-                    const displayName = inp.displayName || inp.name;
-                    if (inputValues[displayName]) {
-                        return inputValues[displayName];
-                    }
+                return Boolean(result && result.success);
+            },
+            onPreview: (revision) => this.previewRevision(revision),
+            onRestore: (revision) => this.restoreRevision(revision)
+        });
+    }
 
-                    // Use custom default from @input directive if available
-                    if (inp.default) {
-                        return inp.default;
-                    }
+    /**
+     * Show a revision of the current project in the editor (nothing is saved until it's restored)
+     */
+    async previewRevision(revision) {
+        FloatingCodeEditor.closeAll();
+        this.historyManager.pause();
 
-                    // Generate appropriate default value based on type
-                    const type = inp.type;
-                    if (type === 'float') return '0.0';
-                    if (type === 'int') return '0';
-                    if (type === 'bool') return 'false';
+        try {
+            await this.projectManager.startRevisionPreview(revision, (name, glsl) => this.createCustomNode(name, glsl, true));
+        } catch (err) {
+            alert('Failed to preview revision: ' + err.message);
+            await this.exitRevisionPreview();
+            return;
+        }
 
-                    const vecMatch = type.match(/vec(\d+)/);
-                    if (vecMatch) {
-                        return `vec${vecMatch[1]}(0.0)`;
-                    }
+        this.removeRevisionPreviewBar = ProjectDialogs.showRevisionPreviewBar({
+            revision,
+            onRestore: () => this.restoreRevision(revision),
+            onExit: () => this.exitRevisionPreview()
+        });
 
-                    const matMatch = type.match(/mat(\d+)/);
-                    if (matMatch) {
-                        return `mat${matMatch[1]}(1.0)`;
-                    }
+        this.compilationManager.scheduleCompile();
+        this.nodeGraph.render();
+    }
 
-                    return '0.0';
-                }).join(', ');
+    async exitRevisionPreview() {
+        if (!this.projectManager.revisionPreview) return;
 
-                return {
-                    // Function definitions go in preamble (outside main)
-                    preamble: code,
-                    // Only the function call goes in main
-                    code: `${mainFunction.returnType} ${node.varName} = ${mainFunction.name}(${args});`,
-                    output: node.varName
-                };
-            }
-        };
+        if (this.removeRevisionPreviewBar) {
+            this.removeRevisionPreviewBar();
+            this.removeRevisionPreviewBar = null;
+        }
 
-        if (!skipSave) {
-            this.saveCustomNodes();
+        FloatingCodeEditor.closeAll();
+        const result = await this.projectManager.endRevisionPreview((name, glsl) => this.createCustomNode(name, glsl, true));
+        this.historyManager.resume();
+
+        this.restoreEditorStates(result.editorStates);
+        this.compilationManager.scheduleCompile();
+        this.nodeGraph.render();
+    }
+
+    async restoreRevision(revision) {
+        if (this.removeRevisionPreviewBar) {
+            this.removeRevisionPreviewBar();
+            this.removeRevisionPreviewBar = null;
         }
+        FloatingCodeEditor.closeAll();
 
-        this.nodeGraph.refreshNodesOfType(nodeName, { preserveData: true });
+        let result;
+        try {
+            result = await this.projectManager.restoreRevision(revision.id, (name, glsl) => this.createCustomNode(name, glsl));
+        } catch (err) {
+            alert('Failed to restore revision: ' + err.message);
+            await this.exitRevisionPreview();
+            return;
+        }
 
-        return { success: true, finalCode };
+        this.historyManager.resume();
+        this.finishCloudProjectLoad(result);
+    }
+
+    /**
+     * Fork a project from the gallery or a profile, resolves true once the fork is open
+     */
+    async forkSharedProject(project) {
+        if (!this.apiClient.isLoggedIn()) {
+            AuthDialogs.showLogin(this.apiClient, () => {
+                UIHelpers.updateAccountButton(this.apiClient);
+            });
+            return false;
+        }
+
+        try {
+            const result = await this.openCloudProject(project.id, { fork: true });
+            return Boolean(result && result.success);
+        } catch (err) {
+            alert('Failed to fork project: ' + err.message);
+            return false;
+        }
+    }
+
+    showGallery(sort = 'recent') {
+        ProjectDialogs.showGallery({
+            apiClient: this.apiClient,
+            sort,
+            onOpenProject: (projectId) => this.openCloudProject(projectId),
+            onForkProject: (project) => this.forkSharedProject(project),
+            onShowProfile: (username) => this.showUserProfile(username)
+        });
+    }
+
+    showUserProfile(username) {
+        ProjectDialogs.showUserProfile({
+            apiClient: this.apiClient,
+            username,
+            onOpenProject: (projectId) => this.openCloudProject(projectId),
+            onForkProject: (project) => this.forkSharedProject(project),
+            onEditProfile: () => this.showAccountSettings()
+        });
+    }
+
+    showAccountSettings() {
+        AuthDialogs.showAccountSettings(this.apiClient, {
+            onAccountChanged: () => UIHelpers.updateAccountButton(this.apiClient),
+            onAccountDeleted: () => {
+                UIHelpers.updateAccountButton(this.apiClient);
+                this.projectManager.clearProject();
+            }
+        });
     }
 
     deleteCustomNode(nodeName) {
         // Remove from NodeDefinitions
         delete NodeDefinitions[nodeName];
 
-        // Remove all instances of this node from the graph
+        // Remove all instances of this node from the graph (as one undo step)
         const nodesToRemove = this.nodeGraph.nodes.filter(n => n.type === nodeName);
+        this.historyManager.beginBatch();
         for (const node of nodesToRemove) {
             this.nodeGraph.deleteNode(node);
         }
+        this.historyManager.endBatch();
 
         // Save updated custom nodes list
         this.saveCustomNodes();
@@ -639,17 +953,7 @@ class PatchToy {
 
     saveCustomNodes() {
         try {
-            const customNodes = {};
-            for (const [name, def] of Object.entries(NodeDefinitions)) {
-                if (def.isCustomNode) {
-                    customNodes[name] = {
-                        category: def.category,
-                        inputs: def.inputs,
-                        outputs: def.outputs,
-                        customGLSL: def.customGLSL
-                    };
-                }
-            }
+            const customNodes = NodeLibrary.serializeProjectNodes();
             localStorage.setItem('patchtoy_custom_nodes', JSON.stringify(customNodes));
         } catch (e) {
             console.error('Failed to save custom nodes:', e);
@@ -756,8 +1060,10 @@ class PatchToy {
     async init() {
         this.resize();
 
-        // Load custom nodes first
+        // Load the node library, custom nodes and groups first
+        NodeLibrary.load();
         this.loadCustomNodes();
+        this.groupManager.loadGroups();
 
         // Check if URL contains password reset token
         const urlParams = new URLSearchParams(window.location.search);
@@ -783,6 +1089,8 @@ class PatchToy {
                 );
 
                 if (result && result.success) {
+                    this.groupManager.saveGroups();
+
                     // Restore editor states if present
                     if (result.editorStates && result.editorStates.length > 0) {
                         FloatingCodeEditor.restoreAllStates(result.editorStates, this.nodeGraph.nodes);
@@ -809,7 +1117,7 @@ class PatchToy {
                 } else {
                     // Failed to load - clear URL and start fresh
                     this.projectManager.clearProjectUrl();
-                    this.initDefaultProject();
+                    await this.initDefaultProject();
                 }
             } catch (err) {
                 console.error('Failed to load shared project:', err);
@@ -828,17 +1136,40 @@ class PatchToy {
 
                 // Clear URL and fall through to normal init
                 this.projectManager.clearProjectUrl();
-                this.initDefaultProject();
+                await this.initDefaultProject();
             }
         } else {
             // Normal initialization
-            this.initDefaultProject();
+            await this.initDefaultProject();
+
+            // The gallery and profile routes open over the last project
+            const gallerySort = urlParams.get('gallery');
+            const profileMatch = window.location.pathname.match(/^\/u\/([\w-]+)\/?$/);
+            if (profileMatch && this.apiClient.isEnabled()) {
+                this.showUserProfile(profileMatch[1]);
+            } else if (gallerySort !== null && this.apiClient.isEnabled()) {
+                this.showGallery(gallerySort);
+            }
+        }
+
+        // Push cloud saves queued while offline (the editor window does the saving)
+        if (!this.performance.isSecondaryWindow) {
+            this.projectManager.syncManager.start();
+        }
+
+        // Invite links join a collaboration session
+        const room = urlParams.get('room');
+        if (room && CollabManager.isEnabled() && !this.performance.isSecondaryWindow) {
+            await this.joinCollabSession(room);
         }
     }
 
-    initDefaultProject() {
-        // Try to load saved graph
-        const editorStates = this.projectManager.loadGraph();
+    async initDefaultProject() {
+        // Reopen the project that was open last (second windows open the editor's project)
+        const editorStates = await this.projectManager.loadGraph(
+            (name, glsl) => this.createCustomNode(name, glsl),
+            this.performance.isSecondaryWindow ? this.performance.projectKey : null
+        );
 
         if (editorStates && editorStates.length >= 0) {
             // Graph was loaded, restore editor states
@@ -851,13 +1182,24 @@ class PatchToy {
             this.nodeGraph.render();
         }
 
+        this.historyManager.reset();
+
         // Initial compilation
         this.compilationManager.scheduleCompile();
 
         // Update account button state
         UIHelpers.updateAccountButton(this.apiClient);
+
+        // Second windows open straight into the performance view
+        if (this.performance.isSecondaryWindow) {
+            this.performanceView.enter();
+        }
     }
 }
 
-// Start the application
-window.toy = new PatchToy();
+// Start the application (output windows only render what the editor sends them)
+if (OutputWindow.isOutputWindow()) {
+    window.output = new OutputWindow();
+} else {
+    window.toy = new PatchToy();
+}
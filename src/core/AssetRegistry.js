@@ -0,0 +1,206 @@
+/**
+ * Registry of uploaded media files (images/videos used by Image and Video File nodes)
+ *
+ * Nodes only store an asset ID, so large files stay out of the graph data, autosave and undo history.
+ * Files are kept in IndexedDB locally, embedded as data URLs in project files
+ * and uploaded through ApiClient for cloud saves.
+ *
+ * Asset record format:
+ * { id, name, type, blob?, url? }   // blob = local file data, url = cloud copy
+ */
+
+const DB_NAME = 'patchtoy_assets';
+const STORE_NAME = 'assets';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+async function dbRequest(mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Decoded by hand: the site's CSP doesn't allow fetching data: URLs
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',', 2);
+    const type = header.slice('data:'.length).split(';')[0];
+    if (!header.endsWith(';base64')) {
+        return new Blob([decodeURIComponent(data)], { type });
+    }
+
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+export const AssetRegistry = {
+    assets: new Map(),      // id -> asset record
+    objectUrls: new Map(),  // id -> object URL for the local blob
+
+    /**
+     * Add a file picked or dropped by the user, returns its asset record
+     */
+    async add(file) {
+        const asset = {
+            id: `asset_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            name: file.name,
+            type: file.type,
+            blob: file
+        };
+        this.assets.set(asset.id, asset);
+
+        try {
+            await dbRequest('readwrite', store => store.put(asset));
+        } catch (error) {
+            console.warn('[AssetRegistry] Could not store asset locally:', error);
+        }
+
+        return asset;
+    },
+
+    /**
+     * Get an asset record, loading it from IndexedDB if needed
+     */
+    async get(id) {
+        if (this.assets.has(id)) return this.assets.get(id);
+
+        try {
+            const asset = await dbRequest('readonly', store => store.get(id));
+            if (asset) {
+                this.assets.set(id, asset);
+                return asset;
+            }
+        } catch (error) {
+            console.warn('[AssetRegistry] Could not read local asset:', error);
+        }
+        return null;
+    },
+
+    /**
+     * Get a URL a media element can load the asset from
+     */
+    async getSourceUrl(id) {
+        const asset = await this.get(id);
+        if (!asset) return null;
+
+        if (asset.blob) {
+            if (!this.objectUrls.has(id)) {
+                this.objectUrls.set(id, URL.createObjectURL(asset.blob));
+            }
+            return this.objectUrls.get(id);
+        }
+        return asset.url || null;
+    },
+
+    /**
+     * Find the asset IDs used by a serialized graph and its node groups
+     */
+    collectIds(graphData, groups = {}) {
+        const ids = new Set();
+        const visit = (nodes) => {
+            for (const node of nodes || []) {
+                if (node.data && node.data.assetId) ids.add(node.data.assetId);
+            }
+        };
+        visit(graphData.nodes);
+        for (const group of Object.values(groups)) {
+            visit(group.nodes);
+        }
+        return [...ids];
+    },
+
+    /**
+     * Serialize assets with their data embedded (for project files)
+     */
+    async serializeEmbedded(ids) {
+        const result = {};
+        for (const id of ids) {
+            const asset = await this.get(id);
+            if (!asset) continue;
+
+            if (asset.blob) {
+                result[id] = { name: asset.name, type: asset.type, dataUrl: await blobToDataUrl(asset.blob) };
+            } else if (asset.url) {
+                result[id] = { name: asset.name, type: asset.type, url: asset.url };
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Upload assets that have no cloud copy yet and serialize them by URL (for cloud saves)
+     */
+    async serializeUploaded(ids, apiClient) {
+        const result = {};
+        for (const id of ids) {
+            const asset = await this.get(id);
+            if (!asset) continue;
+
+            if (!asset.url && asset.blob) {
+                asset.url = await apiClient.uploadAsset(asset.blob, asset.type);
+                try {
+                    await dbRequest('readwrite', store => store.put(asset));
+                } catch (error) {
+                    console.warn('[AssetRegistry] Could not update local asset:', error);
+                }
+            }
+            if (asset.url) {
+                result[id] = { name: asset.name, type: asset.type, url: asset.url };
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Register assets from saved project data (embedded data URLs or cloud URLs)
+     */
+    async load(assets) {
+        if (!assets) return;
+
+        for (const [id, saved] of Object.entries(assets)) {
+            const existing = await this.get(id);
+            if (existing && existing.blob) continue; // Local copy already available
+
+            const asset = { id, name: saved.name, type: saved.type, url: saved.url || null };
+            if (saved.dataUrl) {
+                asset.blob = dataUrlToBlob(saved.dataUrl);
+            }
+            this.assets.set(id, asset);
+
+            if (asset.blob) {
+                try {
+                    await dbRequest('readwrite', store => store.put(asset));
+                } catch (error) {
+                    console.warn('[AssetRegistry] Could not store asset locally:', error);
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,218 @@
+/**
+ * CollabDocument - The shared state of a collaboration session, as a map of last-writer-wins registers
+ *
+ * The project state (the format HistoryManager captures: graph, custom node GLSL, node groups)
+ * is split into entries:
+ *   node/<id>              - the node without its layout and data (null once deleted)
+ *   layout/<id>            - { x, y, width, height }
+ *   data/<id>/<key>        - one field of the node's data
+ *   conn/<from>><to>       - a connection, keyed by its endpoints
+ *   timeline, performance  - the timeline and performance panel, as a whole
+ *   glsl/<name>            - a custom node's GLSL
+ *   group/<name>           - a node group definition
+ *
+ * Edits are ops { key, value, stamp }, stamp being [Lamport clock, client ID]. An entry keeps
+ * the value with the highest stamp, so applying the same ops in any order, any number of
+ * times, gives every client the same state. Deleting a node doesn't delete its other entries,
+ * they're left out when the state is rebuilt.
+ *
+ * Local edits are found by comparing the editor's state with the last one synced (base), so
+ * remote changes that the editor hasn't shown yet are never mistaken for local deletions.
+ */
+
+const LAYOUT_KEYS = ['x', 'y', 'width', 'height'];
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Copy an object with its keys in the order of a reference object (new keys last)
+function orderLike(object, reference) {
+    if (!reference) return object;
+    const ordered = {};
+    for (const key of Object.keys(reference)) {
+        if (key in object) ordered[key] = object[key];
+    }
+    return Object.assign(ordered, object);
+}
+
+function isNewer(stamp, other) {
+    if (stamp[0] !== other[0]) return stamp[0] > other[0];
+    return stamp[1] > other[1];
+}
+
+export class CollabDocument {
+    constructor(clientId) {
+        this.clientId = clientId;
+        this.clock = 0;
+        this.entries = new Map(); // key -> { value, stamp }
+        this.base = new Map(); // Entries of the last local state synced
+    }
+
+    /**
+     * Split a project state into entries (key -> value)
+     */
+    static toEntries(state) {
+        const entries = new Map();
+        const graph = state.graph;
+
+        for (const node of graph.nodes) {
+            const { data, ...rest } = node;
+            const layout = {};
+            for (const key of LAYOUT_KEYS) {
+                if (rest[key] !== undefined) layout[key] = rest[key];
+                delete rest[key];
+            }
+            entries.set(`node/${node.id}`, rest);
+            entries.set(`layout/${node.id}`, layout);
+            for (const [key, value] of Object.entries(data || {})) {
+                entries.set(`data/${node.id}/${key}`, value);
+            }
+        }
+
+        for (const c of graph.connections) {
+            entries.set(`conn/${c.fromId}:${c.fromOutput}>${c.toId}:${c.toInput}`, c);
+        }
+
+        entries.set('timeline', graph.timeline || null);
+        entries.set('performance', graph.performance || null);
+
+        for (const [name, glsl] of Object.entries(state.customNodes || {})) {
+            entries.set(`glsl/${name}`, glsl);
+        }
+        for (const [name, group] of Object.entries(state.groups || {})) {
+            entries.set(`group/${name}`, group);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Record the local edits made since the last sync, returns the ops to broadcast
+     */
+    update(state) {
+        const local = CollabDocument.toEntries(state);
+        const ops = [];
+
+        const set = (key, value) => {
+            const op = { key, value, stamp: [++this.clock, this.clientId] };
+            this.entries.set(key, { value, stamp: op.stamp });
+            ops.push(op);
+        };
+
+        for (const [key, value] of local) {
+            if (!this.base.has(key) || !same(this.base.get(key), value)) set(key, value);
+        }
+        for (const key of this.base.keys()) {
+            if (!local.has(key)) set(key, null);
+        }
+
+        this.base = local;
+        return ops;
+    }
+
+    /**
+     * Take a local state as synced without recording edits (after showing the document's state)
+     */
+    rebase(state) {
+        this.base = CollabDocument.toEntries(state);
+    }
+
+    /**
+     * Apply ops from another client, returns whether anything changed
+     */
+    apply(ops) {
+        let changed = false;
+        for (const { key, value, stamp } of ops) {
+            this.clock = Math.max(this.clock, stamp[0]);
+            const entry = this.entries.get(key);
+            if (!entry || isNewer(stamp, entry.stamp)) {
+                this.entries.set(key, { value, stamp });
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Every entry as an op (to bring a client that just joined up to date)
+     */
+    getOps() {
+        return [...this.entries].map(([key, { value, stamp }]) => ({ key, value, stamp }));
+    }
+
+    /**
+     * Rebuild the project state (nextNodeId is left to the caller)
+     * Nodes follow the key order of the nodes in reference (the local state), so the graph
+     * can tell unchanged nodes apart by comparing their JSON.
+     */
+    getState(reference = null) {
+        const nodes = new Map();
+        const connections = new Map(); // Input -> { connection, stamp }
+        const customNodes = {};
+        const groups = {};
+        let timeline = null;
+        let performance = null;
+
+        const nodeFor = (id) => {
+            if (!nodes.has(id)) nodes.set(id, { data: {} });
+            return nodes.get(id);
+        };
+
+        for (const [key, { value, stamp }] of this.entries) {
+            if (value === null) continue;
+            // Group names may contain slashes, node IDs don't
+            const [kind, ...path] = key.split('/');
+            const name = kind === 'data' ? path[0] : path.join('/');
+            const field = path.slice(1).join('/');
+
+            if (kind === 'node') {
+                Object.assign(nodeFor(Number(name)), value, { exists: true });
+            } else if (kind === 'layout') {
+                Object.assign(nodeFor(Number(name)), value);
+            } else if (kind === 'data') {
+                nodeFor(Number(name)).data[field] = value;
+            } else if (kind === 'conn') {
+                // An input takes a single connection: the latest one
+                const input = `${value.toId}:${value.toInput}`;
+                const existing = connections.get(input);
+                if (!existing || isNewer(stamp, existing.stamp)) {
+                    connections.set(input, { connection: value, stamp });
+                }
+            } else if (kind === 'timeline') {
+                timeline = value;
+            } else if (kind === 'performance') {
+                performance = value;
+            } else if (kind === 'glsl') {
+                customNodes[name] = value;
+            } else if (kind === 'group') {
+                groups[name] = value;
+            }
+        }
+
+        const referenceNodes = new Map((reference ? reference.graph.nodes : []).map(n => [n.id, n]));
+        const liveNodes = [...nodes.values()]
+            .filter(node => node.exists)
+            .map(({ exists, data, ...node }) => {
+                const ref = referenceNodes.get(node.id);
+                const ordered = orderLike({ ...node, data: orderLike(data, ref && ref.data) }, ref);
+                if (ref && !('data' in ref) && Object.keys(data).length === 0) delete ordered.data;
+                return ordered;
+            })
+            .sort((a, b) => a.id - b.id);
+        const ids = new Set(liveNodes.map(n => n.id));
+
+        return {
+            graph: {
+                nodes: liveNodes,
+                connections: [...connections.values()]
+                    .map(entry => entry.connection)
+                    .filter(c => ids.has(c.fromId) && ids.has(c.toId)),
+                timeline,
+                performance
+            },
+            customNodes,
+            groups
+        };
+    }
+}
@@ -0,0 +1,149 @@
+import { NodeDefinitions } from './NodeDefinitions.js';
+import { NodeFactory } from '../graph/NodeFactory.js';
+
+/**
+ * Registry of node group definitions
+ * A group is a saved subgraph that appears as a single node type in NodeDefinitions.
+ * Every instance of a group references the same definition, so editing it updates them all.
+ *
+ * Group data format:
+ * {
+ *   displayTitle,
+ *   nodes: [serialized nodes],
+ *   connections: [{ fromId, fromOutput, toId, toInput, swizzle }],
+ *   inputs: [{ name, type, nodeId, input }],     // exposed inner input ports
+ *   outputs: [{ name, type, nodeId, output }]    // exposed inner output ports
+ * }
+ */
+export const GroupRegistry = {
+    // Node types that depend on live resources (devices, canvases, feedback buffers)
+    // and can't be instantiated inside a group
+    UNGROUPABLE_FLAGS: [
+        'isOutputNode',
+        'isPreviewNode',
+        'isFeedbackNode',
+        'isRenderTargetNode',
+        'isJSNode',
+        'isMicrophoneNode',
+        'isAudioSpectrumNode',
+        'isBpmNode',
+        'isMidiCCNode',
+        'isMidiNoteNode',
+        'isKeyboardNode',
+        'isControlNode',
+        'isCameraNode',
+        'isScreenCaptureNode',
+        'isVideoURLNode',
+        'isMediaFileNode',
+        'isForLoopStartNode',
+        'isForLoopEndNode'
+    ],
+
+    /**
+     * Check if a node type can be placed inside a group
+     */
+    canGroup(type) {
+        const def = NodeDefinitions[type];
+        if (!def) return false;
+        return !this.UNGROUPABLE_FLAGS.some(flag => def[flag]);
+    },
+
+    /**
+     * Register (or replace) a group definition
+     */
+    register(name, group) {
+        NodeDefinitions[name] = {
+            category: 'groups',
+            inputs: group.inputs.map(inp => ({ name: inp.name, type: inp.type })),
+            outputs: group.outputs.map(out => ({ name: out.name, type: out.type })),
+            isGroupNode: true,
+            displayTitle: group.displayTitle || name,
+            description: `Group of ${group.nodes.length} node${group.nodes.length === 1 ? '' : 's'}`,
+            group: group
+            // No glsl function - ShaderCompiler inlines the group's subgraph
+        };
+    },
+
+    /**
+     * Get all registered groups as plain data (for saving)
+     */
+    serialize() {
+        const groups = {};
+        for (const [name, def] of Object.entries(NodeDefinitions)) {
+            if (def.isGroupNode) {
+                groups[name] = def.group;
+            }
+        }
+        return groups;
+    },
+
+    /**
+     * Register all groups from saved data
+     */
+    load(groups) {
+        if (!groups) return;
+        for (const [name, group] of Object.entries(groups)) {
+            this.register(name, group);
+        }
+    },
+
+    /**
+     * Check if a group contains an instance of another group type (directly or nested)
+     */
+    containsType(groupName, type, visited = new Set()) {
+        const def = NodeDefinitions[groupName];
+        if (!def || !def.isGroupNode || visited.has(groupName)) return false;
+        visited.add(groupName);
+
+        for (const nodeData of def.group.nodes) {
+            if (nodeData.type === type) return true;
+            if (this.containsType(nodeData.type, type, visited)) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Create live node instances for a group's subgraph
+     * Inner node IDs are prefixed so they stay unique within a compilation
+     * Returns a lightweight graph ({ nodes, connections }) usable by ShaderCompiler
+     */
+    instantiate(group, idPrefix) {
+        const idMap = new Map();
+        const nodes = [];
+
+        for (const nodeData of group.nodes) {
+            const node = NodeFactory.deserializeNode({
+                ...nodeData,
+                id: `${idPrefix}${nodeData.id}`
+            }, null, null, null);
+            if (!node) continue;
+
+            idMap.set(nodeData.id, node);
+            nodes.push(node);
+        }
+
+        NodeFactory.expandDynamicInputs(idMap, [
+            ...group.connections,
+            ...group.inputs.map(inp => ({ toId: inp.nodeId, toInput: inp.input }))
+        ]);
+
+        const connections = [];
+        for (const connData of group.connections) {
+            const fromNode = idMap.get(connData.fromId);
+            const toNode = idMap.get(connData.toId);
+            // Skip connections to ports that no longer exist (e.g. a nested group lost a port)
+            if (fromNode && toNode &&
+                connData.fromOutput < fromNode.outputs.length && connData.toInput < toNode.inputs.length) {
+                connections.push({
+                    fromNode,
+                    fromOutput: connData.fromOutput,
+                    toNode,
+                    toInput: connData.toInput,
+                    accessor: connData.swizzle || null
+                });
+            }
+        }
+
+        return { nodes, connections, idMap };
+    }
+};
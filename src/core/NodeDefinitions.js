@@ -11,6 +11,32 @@
  */
 
 import { TypeRegistry } from './TypeRegistry.js';
+import { GLSLParser } from '../utils/GLSLParser.js';
+import { GLSLCommentParser } from '../utils/GLSLCommentParser.js';
+
+// Video source nodes (Camera, ScreenCapture, VideoURL) each sample their own texture,
+// uploaded from the node's video element by the renderer
+function videoTextureGLSL(node, inputs) {
+    return {
+        code: `vec4 ${node.varName} = texture(${node.varName}_tex, ${inputs.uv});`,
+        output: node.varName,
+        uniforms: [{
+            name: `${node.varName}_tex`,
+            type: 'sampler2D',
+            videoNodeId: node.id
+        }]
+    };
+}
+
+// Image/Video File nodes also expose the texture itself for TextureSample and custom nodes
+function mediaFileGLSL(node, inputs) {
+    const result = videoTextureGLSL(node, inputs);
+    node.outputVars = {
+        color: node.varName,
+        texture: `${node.varName}_tex`
+    };
+    return result;
+}
 
 export const NodeDefinitions = {
     // ===== OUTPUT NODES =====
@@ -310,16 +336,26 @@ export const NodeDefinitions = {
     'Mouse': {
         category: 'input',
         inputs: [],
-        outputs: [{ name: 'mouse', type: 'vec2' }],
-        uniforms: ['u_mouse'],
+        // u_mouse follows ShaderToy's iMouse: xy = drag position, zw = click position (pixels)
+        outputs: [
+            { name: 'mouse', type: 'vec2' },    // Normalized position (0-1)
+            { name: 'pixels', type: 'vec2' },   // Position in pixels
+            { name: 'click', type: 'vec2' },    // Normalized click position
+            { name: 'down', type: 'float' },    // 1.0 while pressed
+            { name: 'iMouse', type: 'vec4' }    // Raw ShaderToy vec4
+        ],
+        uniforms: ['u_mouse', 'u_resolution'],
         glsl: (node, inputs) => {
-            // return {
-            //     code: `vec2 ${node.varName} = u_mouse;`,
-            //     output: node.varName
-            // };
+            node.outputVars = {
+                mouse: '(u_mouse.xy / u_resolution)',
+                pixels: 'u_mouse.xy',
+                click: '(abs(u_mouse.zw) / u_resolution)',
+                down: '(u_mouse.z > 0.0 ? 1.0 : 0.0)',
+                iMouse: 'u_mouse'
+            };
             return {
                 code: ``,
-                output: "u_mouse"
+                output: node.outputVars.mouse
             };
         }
     },
@@ -328,50 +364,71 @@ export const NodeDefinitions = {
         category: 'input',
         inputs: [{ name: 'uv', type: 'vec2', default: 'gl_FragCoord.xy / u_resolution' }],
         outputs: [{ name: 'color', type: 'vec4' }],
-        uniforms: ['u_camera', 'u_resolution'],
+        uniforms: ['u_resolution'],
         isCameraNode: true,
-        glsl: (node, inputs) => {
-            return {
-                code: `vec4 ${node.varName} = texture(u_camera, ${inputs.uv});`,
-                output: node.varName
-            };
-        }
+        glsl: (node, inputs) => videoTextureGLSL(node, inputs)
     },
 
     'ScreenCapture': {
         category: 'input',
         inputs: [{ name: 'uv', type: 'vec2', default: 'gl_FragCoord.xy / u_resolution' }],
         outputs: [{ name: 'color', type: 'vec4' }],
-        uniforms: ['u_camera', 'u_resolution'],
+        uniforms: ['u_resolution'],
         isScreenCaptureNode: true,
-        glsl: (node, inputs) => {
-            return {
-                code: `vec4 ${node.varName} = texture(u_camera, ${inputs.uv});`,
-                output: node.varName
-            };
-        }
+        glsl: (node, inputs) => videoTextureGLSL(node, inputs)
     },
 
     'VideoURL': {
         category: 'input',
         inputs: [{ name: 'uv', type: 'vec2', default: 'gl_FragCoord.xy / u_resolution' }],
         outputs: [{ name: 'color', type: 'vec4' }],
-        uniforms: ['u_camera', 'u_resolution'],
+        uniforms: ['u_resolution'],
         data: { url: '', loop: true, autoplay: true },
         hasInputFields: true,
         isVideoURLNode: true,
-        glsl: (node, inputs) => {
-            return {
-                code: `vec4 ${node.varName} = texture(u_camera, ${inputs.uv});`,
-                output: node.varName
-            };
-        }
+        glsl: (node, inputs) => videoTextureGLSL(node, inputs)
+    },
+
+    'Image': {
+        category: 'input',
+        inputs: [{ name: 'uv', type: 'vec2', default: 'gl_FragCoord.xy / u_resolution' }],
+        outputs: [{ name: 'color', type: 'vec4' }, { name: 'texture', type: 'sampler2D' }],
+        uniforms: ['u_resolution'],
+        data: { assetId: null, fileName: '', wrap: 'clamp', mipmaps: true, flipY: true },
+        isMediaFileNode: true,
+        mediaKind: 'image',
+        glsl: (node, inputs) => mediaFileGLSL(node, inputs)
+    },
+
+    'VideoFile': {
+        category: 'input',
+        inputs: [{ name: 'uv', type: 'vec2', default: 'gl_FragCoord.xy / u_resolution' }],
+        outputs: [{ name: 'color', type: 'vec4' }, { name: 'texture', type: 'sampler2D' }],
+        uniforms: ['u_resolution'],
+        data: { assetId: null, fileName: '', wrap: 'clamp', mipmaps: false, flipY: true },
+        isMediaFileNode: true,
+        mediaKind: 'video',
+        displayTitle: 'Video File',
+        glsl: (node, inputs) => mediaFileGLSL(node, inputs)
+    },
+
+    'AudioFile': {
+        category: 'input',
+        inputs: [],
+        outputs: [],
+        data: { assetId: null, fileName: '', loop: true },
+        isMediaFileNode: true,
+        isAudioFileNode: true,
+        mediaKind: 'audio',
+        displayTitle: 'Audio File',
+        glsl: null
     },
 
     'Microphone': {
         category: 'input',
         inputs: [],
         outputs: [{ name: 'rms', type: 'float' }],
+        data: { source: 'mic', deviceId: '' },
         isMicrophoneNode: true,
         glsl: (node) => {
             return {
@@ -387,6 +444,89 @@ export const NodeDefinitions = {
         }
     },
 
+    'Audio Spectrum': {
+        category: 'input',
+        inputs: [],
+        outputs: [
+            { name: 'spectrum', type: 'sampler2D' }, // x = frequency, y = age (0 = newest)
+            { name: 'bass', type: 'float' },
+            { name: 'mid', type: 'float' },
+            { name: 'treble', type: 'float' },
+            { name: 'level', type: 'float' }
+        ],
+        data: {
+            bassCutoff: 250, trebleCutoff: 4000,
+            attack: 0.02, release: 0.3, gain: 1.0, history: 64,
+            autoGain: true, source: 'mic', deviceId: ''
+        },
+        hasInputFields: true,
+        isAudioSpectrumNode: true,
+        glsl: (node) => {
+            // Bands are packed into one vec4: (bass, mid, treble, level)
+            const bandsVar = `${node.varName}_bands`;
+            node.outputVars = {
+                spectrum: `${node.varName}_tex`,
+                bass: `${bandsVar}.x`,
+                mid: `${bandsVar}.y`,
+                treble: `${bandsVar}.z`,
+                level: `${bandsVar}.w`
+            };
+            return {
+                code: '',
+                output: node.outputVars.bass,
+                uniforms: [{
+                    name: `${node.varName}_tex`,
+                    type: 'sampler2D',
+                    videoNodeId: node.id
+                }, {
+                    name: bandsVar,
+                    type: 'vec4',
+                    value: [0, 0, 0, 0],
+                    audioSpectrumNodeId: node.id
+                }]
+            };
+        }
+    },
+
+    'BPM': {
+        category: 'input',
+        inputs: [],
+        outputs: [
+            { name: 'bpm', type: 'float' },
+            { name: 'phase', type: 'float' },     // 0-1 ramp over each beat
+            { name: 'pulse', type: 'float' },     // 1.0 on the beat, decaying
+            { name: 'beat', type: 'float' },      // Beat within the bar (0 to beatsPerBar - 1)
+            { name: 'bar', type: 'float' },       // Bar counter
+            { name: 'confidence', type: 'float' } // 0-1
+        ],
+        data: { beatsPerBar: 4, mode: 'auto', source: 'mic', deviceId: '' },
+        hasInputFields: true,
+        isBpmNode: true,
+        glsl: (node) => {
+            // (bpm, beats, pulse, confidence) - beats counts up continuously
+            const beatVar = `${node.varName}_beat`;
+            const beatsPerBar = `${Math.max(1, node.data.beatsPerBar)}.0`;
+            node.outputVars = {
+                bpm: `${beatVar}.x`,
+                phase: `fract(${beatVar}.y)`,
+                pulse: `${beatVar}.z`,
+                beat: `mod(floor(${beatVar}.y), ${beatsPerBar})`,
+                bar: `floor(${beatVar}.y / ${beatsPerBar})`,
+                confidence: `${beatVar}.w`
+            };
+            return {
+                code: '',
+                output: node.outputVars.bpm,
+                uniforms: [{
+                    name: beatVar,
+                    type: 'vec4',
+                    value: [0, 0, 0, 0],
+                    bpmNodeId: node.id
+                }]
+            };
+        }
+    },
+
     'MIDI CC': {
         category: 'input',
         inputs: [],
@@ -411,6 +551,219 @@ export const NodeDefinitions = {
         }
     },
 
+    'MIDI Note': {
+        category: 'input',
+        inputs: [],
+        // Voice outputs (voice0-voice7) are added by MidiNoteNode in polyphonic mode
+        outputs: [
+            { name: 'gate', type: 'float' },     // 1.0 while a note is held
+            { name: 'velocity', type: 'float' }, // 0-1
+            { name: 'pitch', type: 'float' },    // MIDI note number
+            { name: 'envelope', type: 'float' }  // ADSR level 0-1
+        ],
+        data: {
+            channel: 1, lowNote: 0, highNote: 127,
+            attack: 0.01, decay: 0.2, sustain: 0.7, release: 0.5,
+            pitchMode: 'last', polyphonic: false
+        },
+        hasInputFields: true,
+        isMidiNoteNode: true,
+        glsl: (node) => {
+            // One vec4 per note state: (gate, velocity, pitch, envelope)
+            const noteVar = `${node.varName}_note`;
+            const voicesVar = `${node.varName}_voices`;
+            node.outputVars = {
+                gate: `${noteVar}.x`,
+                velocity: `${noteVar}.y`,
+                pitch: `${noteVar}.z`,
+                envelope: `${noteVar}.w`
+            };
+
+            const uniforms = [{
+                name: noteVar,
+                type: 'vec4',
+                value: [0, 0, 0, 0],
+                midiNoteNodeId: node.id
+            }];
+
+            if (node.data.polyphonic) {
+                for (let i = 0; i < node.voiceCount; i++) {
+                    node.outputVars[`voice${i}`] = `${voicesVar}[${i}]`;
+                }
+                uniforms.push({
+                    name: voicesVar,
+                    type: 'vec4',
+                    arraySize: node.voiceCount,
+                    value: new Array(node.voiceCount * 4).fill(0),
+                    midiNoteNodeId: node.id
+                });
+            }
+
+            return {
+                code: '',
+                output: node.outputVars.gate,
+                uniforms
+            };
+        }
+    },
+
+    'Keyboard': {
+        category: 'input',
+        inputs: [],
+        // Key outputs (key_w, key_space...) and the keyboard texture are added by KeyboardNode
+        outputs: [],
+        data: { keys: 'W A S D', texture: false },
+        hasInputFields: true,
+        isKeyboardNode: true,
+        glsl: (node) => {
+            // One vec4 per key: (held, pressed, toggled, 0)
+            const keysVar = `${node.varName}_keys`;
+            const uniforms = [];
+            node.outputVars = {};
+
+            node.keys.forEach((key, i) => {
+                node.outputVars[key.name] = `${keysVar}[${i}].xyz`;
+            });
+            if (node.keys.length > 0) {
+                uniforms.push({
+                    name: keysVar,
+                    type: 'vec4',
+                    arraySize: node.keys.length,
+                    value: new Array(node.keys.length * 4).fill(0),
+                    keyboardNodeId: node.id
+                });
+            }
+
+            if (node.data.texture) {
+                node.outputVars.keyboard = `${node.varName}_tex`;
+                uniforms.push({
+                    name: `${node.varName}_tex`,
+                    type: 'sampler2D',
+                    videoNodeId: node.id
+                });
+            }
+
+            return {
+                code: '',
+                output: Object.values(node.outputVars)[0] || 'vec3(0.0)',
+                uniforms
+            };
+        }
+    },
+
+    // On-canvas controls (ControlNode): each outputs one uniform named after the node,
+    // updated in the UniformRegistry without recompiling
+    'XY Pad': {
+        category: 'widget',
+        inputs: [],
+        outputs: [
+            { name: 'xy', type: 'vec2' },
+            { name: 'x', type: 'float' },
+            { name: 'y', type: 'float' }
+        ],
+        data: { x: 0.5, y: 0.5, min: 0.0, max: 1.0, useUniform: true, midi: [] },
+        hasInputFields: true,
+        hasRange: true,
+        isControlNode: true,
+        isXYPadNode: true,
+        glsl: (node) => {
+            node.outputVars = {
+                xy: node.varName,
+                x: `${node.varName}.x`,
+                y: `${node.varName}.y`
+            };
+            return {
+                code: '',
+                output: node.varName,
+                uniforms: [{ name: node.varName, type: 'vec2', value: [node.data.x, node.data.y] }]
+            };
+        }
+    },
+
+    'Knob': {
+        category: 'widget',
+        inputs: [],
+        outputs: [{ name: 'value', type: 'float' }],
+        data: { value: 0.5, min: 0.0, max: 1.0, useUniform: true, midi: [] },
+        hasInputFields: true,
+        hasRange: true,
+        isControlNode: true,
+        isKnobNode: true,
+        glsl: (node) => ({
+            code: '',
+            output: node.varName,
+            uniforms: [{ name: node.varName, type: 'float', value: node.data.value }]
+        })
+    },
+
+    'Slider': {
+        category: 'widget',
+        inputs: [],
+        outputs: [{ name: 'value', type: 'float' }],
+        data: { value: 0.5, min: 0.0, max: 1.0, useUniform: true, midi: [] },
+        hasInputFields: true,
+        hasRange: true,
+        isControlNode: true,
+        isSliderNode: true,
+        glsl: (node) => ({
+            code: '',
+            output: node.varName,
+            uniforms: [{ name: node.varName, type: 'float', value: node.data.value }]
+        })
+    },
+
+    'Color Wheel': {
+        category: 'widget',
+        inputs: [],
+        outputs: [{ name: 'rgb', type: 'vec3' }],
+        data: { hue: 0.0, saturation: 1.0, brightness: 1.0, useUniform: true, midi: [] },
+        isControlNode: true,
+        isColorWheelNode: true,
+        glsl: (node) => ({
+            code: '',
+            output: node.varName,
+            uniforms: [{ name: node.varName, type: 'vec3', value: node.getRGB() }]
+        })
+    },
+
+    'Toggle': {
+        category: 'widget',
+        inputs: [],
+        outputs: [{ name: 'value', type: 'float' }],
+        data: { on: false, useUniform: true, midi: [] },
+        isControlNode: true,
+        isToggleNode: true,
+        glsl: (node) => ({
+            code: '',
+            output: node.varName,
+            uniforms: [{ name: node.varName, type: 'float', value: node.data.on ? 1.0 : 0.0 }]
+        })
+    },
+
+    'Trigger': {
+        category: 'widget',
+        inputs: [],
+        outputs: [
+            { name: 'gate', type: 'float' },  // 1.0 while held
+            { name: 'count', type: 'float' }  // Number of presses
+        ],
+        // Runtime state only, so no useUniform (nothing to keyframe)
+        data: { midi: [] },
+        isControlNode: true,
+        isTriggerNode: true,
+        glsl: (node) => {
+            node.outputVars = {
+                gate: `${node.varName}.x`,
+                count: `${node.varName}.y`
+            };
+            return {
+                code: '',
+                output: node.outputVars.gate,
+                uniforms: [{ name: node.varName, type: 'vec2', value: [node.isHeld ? 1.0 : 0.0, node.pressCount] }]
+            };
+        }
+    },
+
     'JS': {
         category: 'input',
         inputs: [],
@@ -458,6 +811,27 @@ export const NodeDefinitions = {
         }
     },
 
+    'RenderTarget': {
+        category: 'utility',
+        inputs: [{ name: 'in', type: 'vec4' }],
+        outputs: [{ name: 'out', type: 'sampler2D' }],
+        data: { width: 512, height: 512, format: 'RGBA8', filter: 'linear' },
+        hasInputFields: true,
+        isRenderTargetNode: true,
+        glsl: (node) => {
+            // Render target provides a sampler2D uniform with this frame's pass output
+            return {
+                code: '',
+                output: `${node.varName}_tex`,
+                uniforms: [{
+                    name: `${node.varName}_tex`,
+                    type: 'sampler2D',
+                    renderTargetNodeId: node.id  // Special marker for render target texture
+                }]
+            };
+        }
+    },
+
     'TextureSample': {
         category: 'utility',
         inputs: [
@@ -1245,63 +1619,192 @@ export const TypeSystem = {
 };
 
 /**
- * Helper to create node definitions from GLSL function strings
+ * Create a custom node definition from GLSL code with magic comments
+ *
+ * The entry function (@node, or the only function) is the node: its in and inout parameters are
+ * the inputs, its return value and out/inout parameters the outputs (named by @input/@output).
+ * Other functions are helpers (overloads included) and structs declared in the code become types.
+ * Throws an Error describing the problem if the code can't make a node.
  */
 export function createNodeFromGLSL(name, glslCode, metadata = null) {
-    // Parse GLSL function signature
-    // Example: "vec3 myFunction(vec2 uv, float time)"
-    const funcMatch = glslCode.match(/(\w+)\s+(\w+)\s*\((.*?)\)/);
-    if (!funcMatch) {
-        throw new Error('Invalid GLSL function format');
+    if (!metadata) {
+        metadata = GLSLCommentParser.parse(glslCode).metadata;
     }
 
-    const [, returnType, funcName, params] = funcMatch;
-
-    // Parse parameters
-    const inputs = [];
-    if (params.trim()) {
-        const paramList = params.split(',').map(p => p.trim());
-        for (const param of paramList) {
-            const [type, name] = param.split(/\s+/);
-            const inputDef = { name, type, default: getDefaultValue(type) };
-
-            // Check if metadata has additional info for this input (like defaultNode)
-            if (metadata && metadata.inputs && metadata.inputs[name]) {
-                const inputMetadata = metadata.inputs[name];
-                if (inputMetadata.defaultNode) {
-                    inputDef.defaultNode = inputMetadata.defaultNode;
-                }
-                // Override default if specified in metadata
-                if (inputMetadata.default) {
-                    inputDef.default = inputMetadata.default;
-                }
+    const { functions: declarations, structs } = GLSLParser.parseSignatures(glslCode);
+    const functions = declarations.filter(f => f.hasBody);
+    if (functions.length === 0) {
+        throw new Error('No function found. Please ensure it has a valid signature like: vec3 myFunc(vec2 uv)');
+    }
+
+    // An overloaded entry function is its first definition
+    let entry;
+    if (metadata.node) {
+        entry = functions.find(f => f.name === metadata.node);
+        if (!entry) throw new Error(`@node "${metadata.node}" does not match any function in the code`);
+    } else if (functions.length === 1) {
+        entry = functions[0];
+    } else {
+        throw new Error('Multiple functions found but no @node directive specified');
+    }
+
+    for (const param of entry.params) {
+        if (!param.name) throw new Error(`Parameters of ${entry.name}() need names`);
+        if (param.type.endsWith('[]')) throw new Error(`Array parameter ${param.name} of ${entry.name}() needs a size (a number)`);
+    }
+
+    const outParams = entry.params.filter(p => p.qualifier !== 'in');
+    if (entry.returnType === 'void' && outParams.length === 0) {
+        throw new Error(`${entry.name}() returns void and has no out parameters: the node would have no output`);
+    }
+
+    registerCustomStructs(name, structs);
+
+    const inputs = entry.params
+        .filter(param => param.qualifier !== 'out')
+        .map(param => {
+            const inputMeta = metadata.inputs[param.name];
+            const inputDef = {
+                name: inputMeta?.displayName || param.name,
+                type: param.type,
+                paramName: param.name  // Store original param name for function calls
+            };
+            if (inputMeta?.defaultNode) {
+                inputDef.defaultNode = inputMeta.defaultNode;
             }
+            return inputDef;
+        });
+
+    // The return value comes first so single-output nodes keep their connections
+    const outputs = [];
+    if (entry.returnType !== 'void') {
+        const returnName = metadata.outputs.return?.displayName || (outParams.length > 0 ? 'result' : '');
+        outputs.push({ name: returnName, type: entry.returnType, paramName: null });
+    }
+    for (const param of outParams) {
+        outputs.push({ name: metadata.outputs[param.name]?.displayName || param.name, type: param.type, paramName: param.name });
+    }
 
-            inputs.push(inputDef);
+    // Outputs are looked up by name (node.outputVars)
+    const outputNames = new Set();
+    for (const output of outputs) {
+        if (outputNames.has(output.name)) {
+            throw new Error(`Two outputs of ${entry.name}() are named "${output.name}": rename one with @output`);
         }
+        outputNames.add(output.name);
+    }
+
+    // Struct definitions the shader needs: the code's own and those of the signature
+    const structTypes = new Set(structs.map(s => s.name));
+    for (const type of [entry.returnType, ...entry.params.map(p => p.type)]) {
+        const baseType = type.replace(/\[.*$/, '');
+        if (TypeRegistry.isStruct(baseType)) structTypes.add(baseType);
     }
 
     return {
-        category: 'custom',
+        category: metadata.category,
         inputs,
-        outputs: [{ name: 'result', type: returnType }],
-        glslFunction: glslCode,
-        glsl: (node, inputs) => {
-            const args = Object.values(inputs).join(', ');
+        outputs,
+        customGLSL: glslCode,
+        isCustomNode: true,
+        displayTitle: metadata.title || entry.name,
+        description: metadata.description,
+        glsl: (node, inputValues) => {
+            // inputValues is indexed by display name (input.name)
+            const valueOf = (param) => {
+                const input = inputs.find(inp => inp.paramName === param.name);
+                if (inputValues[input.name]) {
+                    return inputValues[input.name];
+                }
+                // Custom default from the @input directive, else zero
+                return metadata.inputs[param.name]?.default || getDefaultValue(param.type);
+            };
+
+            const lines = [];
+            const outputVars = {};
+            const args = entry.params.map(param => {
+                if (param.qualifier === 'in') return valueOf(param);
+
+                const variable = `${node.varName}_${param.name}`;
+                const declaration = `${param.type} ${variable}`;
+                lines.push(param.qualifier === 'inout' ? `${declaration} = ${valueOf(param)};` : `${declaration};`);
+                outputVars[outputs.find(o => o.paramName === param.name).name] = variable;
+                return variable;
+            });
+
+            const call = `${entry.name}(${args.join(', ')})`;
+            if (entry.returnType === 'void') {
+                lines.push(`${call};`);
+            } else {
+                lines.push(`${entry.returnType} ${node.varName} = ${call};`);
+                outputVars[outputs[0].name] = node.varName;
+            }
+
+            node.outputVars = outputVars;
             return {
-                code: `${returnType} ${node.varName} = ${funcName}(${args});`,
-                output: node.varName,
-                requiresFunction: funcName
+                // Function definitions go in preamble (outside main)
+                preamble: glslCode,
+                // Only the function call goes in main
+                code: lines.join('\n'),
+                output: outputVars[outputs[0].name],
+                structs: [...structTypes]
             };
         }
     };
 }
 
+/**
+ * Register the structs declared in a custom node's code as types
+ * A struct may be declared again (by the same node, or identically by others), not redefined
+ */
+function registerCustomStructs(nodeName, structs) {
+    const sameMembers = (a, b) => a.length === b.length && a.every((m, i) => m.name === b[i].name && m.type === b[i].type);
+
+    for (const struct of structs) {
+        const existing = TypeRegistry.getType(struct.name);
+        if (existing && !existing.isStruct) {
+            throw new Error(`struct ${struct.name}: ${struct.name} is already a type`);
+        }
+        if (existing && existing.definedBy !== nodeName) {
+            if (!sameMembers(existing.members, struct.members)) {
+                const owner = existing.definedBy ? `the ${existing.definedBy} node` : 'PatchToy';
+                throw new Error(`struct ${struct.name} is already defined by ${owner} with other members`);
+            }
+            continue;
+        }
+
+        for (const member of struct.members) {
+            if (!TypeRegistry.hasType(member.type)) {
+                throw new Error(`struct ${struct.name}: member ${member.name} has type ${member.type}, which nodes can't pass around`);
+            }
+        }
+        TypeRegistry.registerStruct(struct.name, struct.members, `Declared by the ${nodeName} node`, nodeName);
+    }
+}
+
+/**
+ * GLSL zero value of a type (identity for matrices), used for unconnected inputs
+ */
 function getDefaultValue(type) {
+    const arrayMatch = type.match(/^(\w+)\[(\d+)\]$/);
+    if (arrayMatch) {
+        const element = getDefaultValue(arrayMatch[1]);
+        return `${type}(${Array(parseInt(arrayMatch[2], 10)).fill(element).join(', ')})`;
+    }
+
     if (type === 'float') return '0.0';
     if (type === 'int') return '0';
+    if (type === 'uint') return '0u';
     if (type === 'bool') return 'false';
-    if (type.startsWith('vec')) return `${type}(0.0)`;
+    if (/^vec\d$/.test(type)) return `${type}(0.0)`;
+    if (/^ivec\d$/.test(type)) return `${type}(0)`;
+    if (/^uvec\d$/.test(type)) return `${type}(0u)`;
+    if (/^bvec\d$/.test(type)) return `${type}(false)`;
     if (type.startsWith('mat')) return `${type}(1.0)`;
-    return `${type}()`;
+
+    const typeDef = TypeRegistry.getType(type);
+    if (typeDef && typeDef.isStruct) {
+        return `${type}(${typeDef.members.map(m => getDefaultValue(m.type)).join(', ')})`;
+    }
+    return '0.0';
 }
@@ -185,6 +185,20 @@ export class NodeGraph {
         // Clipboard
         this.clipboard = null;
 
+        // Undo/redo history (HistoryManager, set by the app)
+        this.history = null;
+
+        // Published controls (PerformanceManager, set by the app) and whether the performance view hides the graph
+        this.performance = null;
+        this.isSuspended = false;
+
+        // Collaboration session (CollabManager, set by the app) - draws other users' cursors and selections
+        this.collab = null;
+
+        // Group editing - parent levels are parked here while a group's contents are shown
+        this.groupEditStack = [];
+        this.onGroupEditStackChanged = null;
+
         // Text input focus
         this.focusedTextInput = null;
         this.focusedNode = null;
@@ -192,12 +206,17 @@ export class NodeGraph {
         // Text input dragging
         this.draggingTextInput = null;
 
+        // Control widget dragging (XY Pad, Knob, Slider...)
+        this.draggingWidget = null;
+
         // Animation for text input cursor blink
         this.lastUpdateTime = Date.now();
 
         // Callbacks
         this.onGraphChanged = null;
         this.onNodeRightClick = null;  // Callback for right-clicking nodes
+        this.onGroupSelection = null;  // Callback for collapsing the selection into a group
+        this.onUngroupSelection = null;  // Callback for expanding selected groups
 
         // Quick node search - extracted to separate class
         this.quickNodeSearch = new QuickNodeSearch(this);
@@ -207,13 +226,31 @@ export class NodeGraph {
     }
 
     setupEventListeners() {
-        this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        // Each press/release is one undo step (drags, resizes, rewiring a connection)
+        // The release ends it wherever it happens, the canvas's mouseup bubbles to the window
+        let isPressBatchOpen = false;
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (this.history && e.button !== 2 && !isPressBatchOpen) {
+                this.history.beginBatch();
+                isPressBatchOpen = true;
+            }
+            this.onMouseDown(e);
+        });
         this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
         this.canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        window.addEventListener('mouseup', () => {
+            if (!isPressBatchOpen) return;
+            isPressBatchOpen = false;
+            this.history.endBatch();
+        });
         this.canvas.addEventListener('contextmenu', (e) => this.onContextMenu(e));
         this.canvas.addEventListener('dblclick', (e) => this.onDoubleClick(e));
         this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
 
+        // Image/video files dropped onto the canvas
+        this.canvas.addEventListener('dragover', (e) => e.preventDefault());
+        this.canvas.addEventListener('drop', (e) => this.onFileDrop(e));
+
         // Keyboard events
         window.addEventListener('keydown', (e) => this.onKeyDown(e));
         window.addEventListener('paste', (e) => this.onPaste(e));
@@ -316,6 +353,45 @@ export class NodeGraph {
         }
     }
 
+    /**
+     * Load a dropped image/video into the Image/Video File node under the cursor,
+     * or create a new one at the drop position
+     */
+    async onFileDrop(e) {
+        e.preventDefault();
+        const file = e.dataTransfer && e.dataTransfer.files[0];
+        if (!file) return;
+
+        const kind = file.type.split('/')[0];
+        const nodeTypes = { image: 'Image', video: 'VideoFile', audio: 'AudioFile' };
+        if (!nodeTypes[kind]) {
+            alert('Only image, video and audio files can be dropped here.');
+            return;
+        }
+
+        const pos = this.getMousePos(e);
+        let target = null;
+        for (let i = this.nodes.length - 1; i >= 0; i--) {
+            if (this.nodes[i].containsPoint(pos.x, pos.y)) {
+                target = this.nodes[i];
+                break;
+            }
+        }
+
+        if (this.history) this.history.beginBatch();
+        try {
+            if (!target || !target.isMediaFileNode || target.mediaKind !== kind) {
+                target = this.addNode(nodeTypes[kind], pos.x, pos.y);
+            }
+            if (target) {
+                await target.loadFile(file);
+            }
+        } finally {
+            if (this.history) this.history.endBatch();
+        }
+        this.render();
+    }
+
     onKeyDown(e) {
         // Don't capture keyboard events if any input, textarea, or contenteditable is focused
         const activeElement = document.activeElement;
@@ -331,6 +407,9 @@ export class NodeGraph {
             return;
         }
 
+        // The performance view hides the graph, so its shortcuts are off
+        if (this.isSuspended) return;
+
         // If a canvas text input is focused, let it handle the key
         if (this.focusedTextInput) {
             const handled = this.focusedTextInput.handleKeyDown(e);
@@ -376,6 +455,26 @@ export class NodeGraph {
             this.selectAll();
         }
 
+        // Ctrl/Cmd+Z - undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y - redo
+        if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'z' || e.key === 'y') && this.history) {
+            e.preventDefault();
+            if (e.shiftKey || e.key === 'y') {
+                this.history.redo();
+            } else {
+                this.history.undo();
+            }
+        }
+
+        // Ctrl/Cmd+G - collapse selection into a group, Ctrl/Cmd+Shift+G - ungroup
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'g' && this.selectionManager.selectedNodes.size > 0) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                if (this.onUngroupSelection) this.onUngroupSelection();
+            } else {
+                if (this.onGroupSelection) this.onGroupSelection();
+            }
+        }
+
         // Accessor input during connection dragging (struct members and swizzle)
         if (this.connectingFrom) {
             const key = e.key;
@@ -442,6 +541,22 @@ export class NodeGraph {
             }
         }
 
+        this.removeNodes(nodesToDelete);
+
+        this.selectionManager.selectedNodes.clear();
+        if (this.onGraphChanged) this.onGraphChanged();
+        this.render();
+    }
+
+    deleteNode(node) {
+        this.removeNodes(new Set([node]));
+        this.selectionManager.selectedNodes.delete(node);
+        if (this.onGraphChanged) this.onGraphChanged();
+        this.render();
+    }
+
+    // Remove nodes and their connections, releasing node resources (no change notification)
+    removeNodes(nodesToDelete) {
         // Remove connections to/from nodes being deleted
         this.connections = this.connections.filter(conn =>
             !nodesToDelete.has(conn.fromNode) && !nodesToDelete.has(conn.toNode)
@@ -464,10 +579,6 @@ export class NodeGraph {
 
         // Check if we need to disable buttons after deletion
         this.updateDeviceButtonStates();
-
-        this.selectionManager.selectedNodes.clear();
-        if (this.onGraphChanged) this.onGraphChanged();
-        this.render();
     }
 
     updateDeviceButtonStates() {
@@ -483,7 +594,7 @@ export class NodeGraph {
         }
 
         // Check if any microphone nodes remain
-        const hasMicNodes = this.nodes.some(n => n.isMicrophoneNode);
+        const hasMicNodes = this.nodes.some(n => n.isAudioInputNode);
         if (!hasMicNodes) {
             const micBtn = document.getElementById('micBtn');
             if (micBtn) {
@@ -493,8 +604,8 @@ export class NodeGraph {
             }
         }
 
-        // Check if any MIDI CC nodes remain
-        const hasMidiNodes = this.nodes.some(n => n.isMidiCCNode);
+        // Check if any MIDI nodes remain
+        const hasMidiNodes = this.nodes.some(n => n.isMidiNode);
         if (!hasMidiNodes) {
             const midiBtn = document.getElementById('midiBtn');
             if (midiBtn) {
@@ -778,6 +889,11 @@ export class NodeGraph {
                 this.handleTextInputInteraction(result);
                 break;
 
+            case 'START_WIDGET_DRAG':
+                this.draggingWidget = result.node;
+                this.render();
+                break;
+
             case 'START_RESIZE':
                 this.resizingNode = { node: result.node, edge: result.edge };
                 this.canvas.style.cursor = result.cursor;
@@ -972,6 +1088,11 @@ export class NodeGraph {
             return;
         }
 
+        if (this.draggingWidget) {
+            this.draggingWidget.updateWidgetDrag(pos.x, pos.y);
+            return;
+        }
+
         // Handle node resizing (only for preview nodes with aspect ratio preservation)
         if (this.resizingNode) {
             const node = this.resizingNode.node;
@@ -1122,6 +1243,13 @@ export class NodeGraph {
             return;
         }
 
+        if (this.draggingWidget) {
+            this.draggingWidget.endWidgetDrag();
+            this.draggingWidget = null;
+            this.render();
+            return;
+        }
+
         if (this.resizingNode) {
             this.resizingNode = null;
             this.canvas.style.cursor = 'default';
@@ -1599,9 +1727,25 @@ export class NodeGraph {
                 connections: this.connections
             });
 
+            // Nodes published to the performance panel get a tag above their title
+            if (this.performance && this.performance.isPublished(node)) {
+                ctx.fillStyle = '#007acc';
+                ctx.beginPath();
+                ctx.roundRect(node.x + 8, node.y - 14, 30, 12, 3);
+                ctx.fill();
+                ctx.fillStyle = '#fff';
+                ctx.font = '9px -apple-system, sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText('LIVE', node.x + 23, node.y - 8);
+            }
+
             ctx.restore();
         }
 
+        // Other users' selections and cursors
+        if (this.collab) this.collab.drawPresence(ctx);
+
         // Draw ghost node if exists (semi-transparent)
         this.quickNodeSearch.drawGhostNode(ctx);
 
@@ -2101,7 +2245,7 @@ export class NodeGraph {
     }
 
     // Create a specific node type (from defaultNode attribute) and connect it to the input
-    createDefaultNodeForInput(targetNode, inputIndex, nodeType, dropX, dropY) {
+    createDefaultNodeForInput(targetNode, inputIndex, nodeType, dropX, dropY, outputIndex = 0) {
         // Position the node to the left of where we dropped
         const nodeX = dropX - 100;
         const nodeY = dropY - 40;
@@ -2113,10 +2257,10 @@ export class NodeGraph {
             return;
         }
 
-        // Connect it to the target input (assuming output at index 0)
+        // Connect it to the target input (first output unless specified)
         this.connections.push(new Connection(
             newNode,
-            0,
+            outputIndex,
             targetNode,
             inputIndex
         ));
@@ -2164,19 +2308,23 @@ export class NodeGraph {
     }
 
     serialize() {
+        // While a group is being edited, the project's own graph sits at the bottom of the edit stack
+        const root = this.groupEditStack.length > 0 ? this.groupEditStack[0] : this;
         return {
-            nodes: this.nodes.map(n => n.serialize()),
-            connections: this.connections.map(c => ({
+            nodes: root.nodes.map(n => n.serialize()),
+            connections: root.connections.map(c => ({
                 fromId: c.fromNode.id,
                 fromOutput: c.fromOutput,
                 toId: c.toNode.id,
                 toInput: c.toInput,
                 swizzle: c.swizzle
             })),
-            nextNodeId: this.nextNodeId,
-            panX: this.panX,
-            panY: this.panY,
-            zoom: this.zoom
+            nextNodeId: root.nextNodeId,
+            panX: root.panX,
+            panY: root.panY,
+            zoom: root.zoom,
+            timeline: this.timeline ? this.timeline.serialize(root.nodes) : null,
+            performance: this.performance ? this.performance.serialize(root.nodes) : null
         };
     }
 
@@ -2186,6 +2334,12 @@ export class NodeGraph {
         this.connections = [];
         this.selectionManager.selectedNodes.clear();
 
+        // Leave any group being edited (unsaved group edits are discarded)
+        if (this.groupEditStack.length > 0) {
+            this.groupEditStack = [];
+            if (this.onGroupEditStackChanged) this.onGroupEditStackChanged();
+        }
+
         // Clear background renderer when loading a new project
         if (this.onPreviewBackground) {
             this.onPreviewBackground(null);
@@ -2288,6 +2442,110 @@ export class NodeGraph {
             this.onPreviewBackground(backgroundNode);
         }
 
+        // Restore keyframes and the performance layout (projects without them reset them)
+        if (this.timeline) this.timeline.load(data.timeline);
+        if (this.performance) this.performance.load(data.performance);
+
+        // A freshly loaded graph starts a new history
+        if (this.history) this.history.reset();
+
+        this.render();
+        if (this.onGraphChanged) this.onGraphChanged();
+    }
+
+    /**
+     * Bring the graph to a serialized state (used by undo/redo)
+     * Unlike deserialize(), nodes that only moved or resized keep their live objects,
+     * so preview renderers and camera/microphone streams survive the restore
+     */
+    applySnapshot(data) {
+        const existing = new Map(this.nodes.map(n => [n.id, n]));
+        const layoutKeys = ['x', 'y', 'width', 'height'];
+        const withoutLayout = (json) => {
+            const rest = { ...json };
+            layoutKeys.forEach(key => delete rest[key]);
+            return JSON.stringify(rest);
+        };
+
+        // Reuse nodes whose only changes are position/size
+        const reused = new Set();
+        for (const nodeData of data.nodes) {
+            const current = existing.get(nodeData.id);
+            if (current && withoutLayout(current.serialize()) === withoutLayout(nodeData)) {
+                reused.add(current);
+            }
+        }
+
+        // Release nodes that were removed or replaced before creating their replacements
+        this.removeNodes(new Set(this.nodes.filter(n => !reused.has(n))));
+
+        const nodes = [];
+        for (const nodeData of data.nodes) {
+            const current = existing.get(nodeData.id);
+            if (current && reused.has(current)) {
+                current.x = nodeData.x;
+                current.y = nodeData.y;
+                if (nodeData.width !== undefined && (current.width !== nodeData.width || current.height !== nodeData.height)) {
+                    current.width = nodeData.width;
+                    current.height = nodeData.height;
+                    if (current.resizeCanvas) current.resizeCanvas();
+                }
+                nodes.push(current);
+                continue;
+            }
+
+            const node = deserializeNode(nodeData, this.canvas, this.videoElement, this.sharedGL);
+            if (!node) continue;
+            node.graph = this;
+            if (node instanceof PreviewNodeClass) {
+                this.previewNodes.set(node.id, node.renderer);
+            }
+            nodes.push(node);
+        }
+
+        this.nodes = nodes;
+        this.nextNodeId = data.nextNodeId || 0;
+
+        const idMap = new Map(nodes.map(n => [n.id, n]));
+        NodeFactory.expandDynamicInputs(idMap, data.connections);
+
+        // ForLoopStart is authoritative, so rebuild its ports before the paired ForLoopEnd
+        nodes.filter(n => n.isForLoopStartNode).forEach(n => n.updatePorts());
+        nodes.filter(n => n.isForLoopEndNode).forEach(n => n.updatePorts());
+
+        this.connections = [];
+        for (const connData of data.connections) {
+            const fromNode = idMap.get(connData.fromId);
+            const toNode = idMap.get(connData.toId);
+            if (fromNode && toNode) {
+                this.connections.push(new Connection(
+                    fromNode,
+                    connData.fromOutput,
+                    toNode,
+                    connData.toInput,
+                    connData.swizzle || null
+                ));
+            }
+        }
+
+        if (this.timeline) this.timeline.load(data.timeline);
+        if (this.performance) this.performance.load(data.performance);
+
+        // Drop selection of nodes that no longer exist
+        for (const node of [...this.selectionManager.selectedNodes]) {
+            if (!reused.has(node)) {
+                this.selectionManager.selectedNodes.delete(node);
+            }
+        }
+
+        // Keep the background renderer pointed at a live preview node
+        if (this.onPreviewBackground) {
+            const backgroundNode = nodes.find(n => n instanceof PreviewNodeClass && n.isBackground);
+            if (this.backgroundRenderer && this.backgroundRenderer.activePreviewNode !== (backgroundNode || null)) {
+                this.onPreviewBackground(backgroundNode || null);
+            }
+        }
+
         this.render();
         if (this.onGraphChanged) this.onGraphChanged();
     }
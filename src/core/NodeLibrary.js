@@ -0,0 +1,231 @@
+import { NodeDefinitions } from './NodeDefinitions.js';
+
+/**
+ * Library of custom node definitions
+ * Every distinct GLSL source a custom node has had is kept as a numbered version,
+ * identified by a hash of its code. NodeDefinitions holds the version in use and projects
+ * pin the version of each custom node they use, so loading a project brings back the code
+ * it was saved with while the other versions stay available.
+ *
+ * Library data format:
+ * {
+ *   [nodeName]: { versions: [{ version, hash, glsl, createdAt }] }   // sorted by version
+ * }
+ *
+ * Node packs (shared as files) wrap the same data:
+ * { format: 'patchtoy-node-pack', name, nodes: { ...library data } }
+ */
+
+const STORAGE_KEY = 'patchtoy_node_library';
+const PACK_FORMAT = 'patchtoy-node-pack';
+
+/**
+ * Hash GLSL source (53-bit, as 16 hex digits)
+ * Line endings are normalized so the same code pasted on another system keeps its hash.
+ * infra/lambda/shared/library.ts has the same function to check uploaded versions.
+ */
+export function contentHash(glsl) {
+    const text = glsl.replace(/\r\n?/g, '\n');
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 2654435761);
+        h2 = Math.imul(h2 ^ c, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+export const NodeLibrary = {
+    nodes: {},
+
+    /**
+     * Load the library from localStorage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                this.nodes = JSON.parse(saved);
+                return true;
+            }
+        } catch (e) {
+            console.error('Failed to load node library:', e);
+        }
+        return false;
+    },
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.nodes));
+        } catch (e) {
+            console.error('Failed to save node library:', e);
+        }
+    },
+
+    getVersions(name) {
+        return this.nodes[name] ? this.nodes[name].versions : [];
+    },
+
+    getLatest(name) {
+        const versions = this.getVersions(name);
+        return versions[versions.length - 1] || null;
+    },
+
+    findVersion(name, hash) {
+        return this.getVersions(name).find(v => v.hash === hash) || null;
+    },
+
+    /**
+     * Get the library version of the code a custom node currently uses
+     */
+    getActiveVersion(name) {
+        const def = NodeDefinitions[name];
+        if (!def || !def.isCustomNode) return null;
+        return this.findVersion(name, contentHash(def.customGLSL));
+    },
+
+    /**
+     * Record GLSL code for a node, returns its version (existing if the code was seen before)
+     */
+    commit(name, glsl) {
+        const hash = contentHash(glsl);
+        const existing = this.findVersion(name, hash);
+        if (existing) return existing;
+
+        const latest = this.getLatest(name);
+        const version = {
+            version: latest ? latest.version + 1 : 1,
+            hash,
+            glsl,
+            createdAt: new Date().toISOString()
+        };
+        this.nodes[name] = { versions: [...this.getVersions(name), version] };
+        this.save();
+        return version;
+    },
+
+    remove(name) {
+        delete this.nodes[name];
+        this.save();
+    },
+
+    /**
+     * Add versions from another library (pack or cloud), returns how many were new
+     * Versions are matched by hash; a new version whose number is taken gets the next free number.
+     */
+    mergeVersions(name, versions) {
+        const merged = [...this.getVersions(name)];
+        const known = new Set(merged.map(v => v.hash));
+        let added = 0;
+
+        for (const v of [...versions].sort((a, b) => a.version - b.version)) {
+            if (known.has(v.hash)) continue;
+            if (typeof v.glsl !== 'string' || contentHash(v.glsl) !== v.hash) {
+                console.warn(`[NodeLibrary] Skipping version ${v.version} of ${name}: code doesn't match its hash`);
+                continue;
+            }
+
+            const taken = merged.some(m => m.version === v.version);
+            merged.push({
+                version: taken ? Math.max(...merged.map(m => m.version)) + 1 : v.version,
+                hash: v.hash,
+                glsl: v.glsl,
+                createdAt: v.createdAt || new Date().toISOString()
+            });
+            known.add(v.hash);
+            added++;
+        }
+
+        if (added > 0) {
+            this.nodes[name] = { versions: merged.sort((a, b) => a.version - b.version) };
+        }
+        return added;
+    },
+
+    /**
+     * Collect the custom nodes in use, with the version each one is pinned to (for saving projects)
+     */
+    serializeProjectNodes() {
+        const customNodes = {};
+        for (const [name, def] of Object.entries(NodeDefinitions)) {
+            if (def.isCustomNode) {
+                const version = this.commit(name, def.customGLSL);
+                customNodes[name] = {
+                    category: def.category,
+                    inputs: def.inputs,
+                    outputs: def.outputs,
+                    customGLSL: def.customGLSL,
+                    version: version.version,
+                    hash: version.hash
+                };
+            }
+        }
+        return customNodes;
+    },
+
+    /**
+     * Create a node pack with the full history of the given nodes
+     */
+    createPack(names, packName) {
+        const nodes = {};
+        for (const name of names) {
+            if (this.nodes[name]) nodes[name] = this.nodes[name];
+        }
+        return { format: PACK_FORMAT, name: packName, createdAt: new Date().toISOString(), nodes };
+    },
+
+    /**
+     * Merge a node pack into the library, returns the names of nodes that got new versions
+     */
+    importPack(pack) {
+        if (!pack || pack.format !== PACK_FORMAT || typeof pack.nodes !== 'object') {
+            throw new Error('Not a PatchToy node pack');
+        }
+
+        const updated = [];
+        for (const [name, entry] of Object.entries(pack.nodes)) {
+            if (!/^[A-Za-z_]\w*$/.test(name) || !Array.isArray(entry.versions)) {
+                console.warn(`[NodeLibrary] Skipping invalid pack entry: ${name}`);
+                continue;
+            }
+            if (this.mergeVersions(name, entry.versions) > 0) {
+                updated.push(name);
+            }
+        }
+        this.save();
+        return updated;
+    },
+
+    /**
+     * Two-way sync with the user's library in the cloud
+     * Versions missing on either side are copied over; the cloud's numbering is kept
+     * so version numbers match on every device.
+     */
+    async syncWithCloud(apiClient) {
+        const { nodes } = await apiClient.listLibraryNodes();
+
+        let pulled = 0;
+        const remoteHashes = new Map();
+        for (const remote of nodes) {
+            pulled += this.mergeVersions(remote.name, remote.versions);
+            remoteHashes.set(remote.name, new Set(remote.versions.map(v => v.hash)));
+        }
+
+        let pushed = 0;
+        for (const [name, entry] of Object.entries(this.nodes)) {
+            const known = remoteHashes.get(name) || new Set();
+            const missing = entry.versions.filter(v => !known.has(v.hash));
+            if (missing.length === 0) continue;
+
+            const result = await apiClient.saveLibraryNode(name, missing);
+            this.nodes[name] = { versions: result.versions };
+            pushed += missing.length;
+        }
+
+        this.save();
+        return { pulled, pushed };
+    }
+};
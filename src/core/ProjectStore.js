@@ -0,0 +1,144 @@
+/**
+ * Local copies of projects, kept in IndexedDB (one record per project)
+ *
+ * The editor saves the open project here on every change, so edits survive reloads and
+ * going offline. Cloud projects also remember the cloud version they're based on, which
+ * is how changes made elsewhere are detected (see SyncManager).
+ *
+ * Record format:
+ * {
+ *   key,            // Cloud project ID, or LOCAL_KEY for a project that isn't in the cloud
+ *   title,
+ *   projectState,   // ProjectManager.projectState (isDirty = changes not in the cloud yet)
+ *   data,           // { version, graph, customNodes, nodeGroups, editorStates, timestamp } (media by asset ID)
+ *   sync: {
+ *     etag,         // Cloud version the local copy is based on (null if never synced)
+ *     base,         // Cloud data at that version (common ancestor for merges)
+ *     pending,      // A cloud save is waiting to be pushed
+ *     message       // Revision message of the waiting save
+ *   },
+ *   savedAt         // ISO timestamp of the last local save
+ * }
+ */
+
+const DB_NAME = 'patchtoy_projects';
+const STORE_NAME = 'projects';
+const CURRENT_KEY_STORAGE = 'patchtoy_current_project';
+
+export const LOCAL_KEY = 'local';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+async function dbRequest(mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export const ProjectStore = {
+    async get(key) {
+        return (await dbRequest('readonly', store => store.get(key))) || null;
+    },
+
+    async put(record) {
+        await dbRequest('readwrite', store => store.put(record));
+    },
+
+    async delete(key) {
+        await dbRequest('readwrite', store => store.delete(key));
+    },
+
+    async list() {
+        return await dbRequest('readonly', store => store.getAll());
+    },
+
+    /**
+     * Records with a cloud save waiting to be pushed
+     */
+    async listPending() {
+        return (await this.list()).filter(record => record.sync && record.sync.pending);
+    },
+
+    /**
+     * Key of the project open in the editor (reopened on the next visit)
+     */
+    getCurrentKey() {
+        return localStorage.getItem(CURRENT_KEY_STORAGE) || LOCAL_KEY;
+    },
+
+    setCurrentKey(key) {
+        localStorage.setItem(CURRENT_KEY_STORAGE, key);
+    },
+
+    /**
+     * Move projects saved by earlier versions (the open graph and per-project copies in localStorage)
+     */
+    async migrateFromLocalStorage() {
+        const graphJson = localStorage.getItem('patchtoy_graph');
+        const copyKeys = Object.keys(localStorage).filter(k => k.startsWith('patchtoy_project_'));
+        if (!graphJson && copyKeys.length === 0) return;
+
+        const toRecord = (saved, key) => {
+            // Saves from before project states assume the project is the user's own
+            const projectState = saved.projectState || {
+                projectId: key === LOCAL_KEY ? null : key,
+                source: key === LOCAL_KEY ? 'new' : 'cloud',
+                isOwner: key !== LOCAL_KEY,
+                isDirty: false
+            };
+            const data = {
+                version: '1.0',
+                graph: saved.graph || saved, // Oldest format: just the graph
+                customNodes: saved.customNodes || {},
+                nodeGroups: saved.nodeGroups || {},
+                assets: saved.assets || {},
+                editorStates: saved.editorStates || [],
+                timestamp: saved.localTimestamp || new Date().toISOString()
+            };
+            return {
+                key,
+                title: saved.projectTitle || 'Untitled Project',
+                projectState,
+                data,
+                // A saved copy is the cloud version it was loaded from (the etag is found on the first push)
+                sync: { etag: null, base: projectState.isDirty ? null : data, pending: false, message: '' },
+                savedAt: saved.localTimestamp || new Date().toISOString()
+            };
+        };
+
+        try {
+            for (const storageKey of copyKeys) {
+                const key = storageKey.slice('patchtoy_project_'.length);
+                await this.put(toRecord(JSON.parse(localStorage.getItem(storageKey)), key));
+                localStorage.removeItem(storageKey);
+            }
+
+            if (graphJson) {
+                const saved = JSON.parse(graphJson);
+                const isCloud = saved.currentProjectId && (!saved.projectState || saved.projectState.source === 'cloud');
+                const key = isCloud ? saved.currentProjectId : LOCAL_KEY;
+                await this.put(toRecord(saved, key));
+                this.setCurrentKey(key);
+                localStorage.removeItem('patchtoy_graph');
+            }
+            console.log('[ProjectStore] Moved saved projects from localStorage');
+        } catch (error) {
+            console.error('[ProjectStore] Could not move saved projects:', error);
+        }
+    }
+};
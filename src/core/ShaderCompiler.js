@@ -1,5 +1,6 @@
 import { NodeDefinitions, TypeSystem } from './NodeDefinitions.js';
 import { TypeRegistry } from './TypeRegistry.js';
+import { GroupRegistry } from './GroupRegistry.js';
 
 export class ShaderCompiler {
     constructor() {
@@ -19,6 +20,7 @@ export class ShaderCompiler {
         this.codeToNodeMap = new Map(); // Maps line number to node ID
         this.usedStructs = new Set(); // Track which struct types are used
         this.functionCounter = 0; // Counter for renamed functions
+        this.activeGroups = new Set(); // Group types currently being inlined (cycle guard)
         // NOTE: Do NOT reset nodeIdRemap here - it's injected by CompilationManager
         // and must persist across all compilation passes in a single cycle
         if (!this.nodeIdRemap) {
@@ -101,7 +103,7 @@ export class ShaderCompiler {
 
             // Extract uniform values - create completely new objects to avoid shared references
             const uniformValues = Array.from(this.uniforms)
-                .filter(u => typeof u === 'object' && (u.value !== undefined || u.feedbackNodeId !== undefined || u.microphoneNodeId !== undefined || u.midiCCNodeId !== undefined))
+                .filter(u => typeof u === 'object' && (u.value !== undefined || u.feedbackNodeId !== undefined || u.renderTargetNodeId !== undefined || u.videoNodeId !== undefined || u.microphoneNodeId !== undefined || u.midiCCNodeId !== undefined || u.midiNoteNodeId !== undefined || u.audioSpectrumNodeId !== undefined || u.bpmNodeId !== undefined || u.keyboardNodeId !== undefined))
                 .map(u => {
                     const uniform = { name: u.name, type: u.type };
                     if (u.value !== undefined) {
@@ -111,12 +113,33 @@ export class ShaderCompiler {
                     if (u.feedbackNodeId !== undefined) {
                         uniform.feedbackNodeId = u.feedbackNodeId;
                     }
+                    if (u.renderTargetNodeId !== undefined) {
+                        uniform.renderTargetNodeId = u.renderTargetNodeId;
+                    }
+                    if (u.videoNodeId !== undefined) {
+                        uniform.videoNodeId = u.videoNodeId;
+                    }
                     if (u.microphoneNodeId !== undefined) {
                         uniform.microphoneNodeId = u.microphoneNodeId;
                     }
                     if (u.midiCCNodeId !== undefined) {
                         uniform.midiCCNodeId = u.midiCCNodeId;
                     }
+                    if (u.midiNoteNodeId !== undefined) {
+                        uniform.midiNoteNodeId = u.midiNoteNodeId;
+                    }
+                    if (u.audioSpectrumNodeId !== undefined) {
+                        uniform.audioSpectrumNodeId = u.audioSpectrumNodeId;
+                    }
+                    if (u.bpmNodeId !== undefined) {
+                        uniform.bpmNodeId = u.bpmNodeId;
+                    }
+                    if (u.keyboardNodeId !== undefined) {
+                        uniform.keyboardNodeId = u.keyboardNodeId;
+                    }
+                    if (u.arraySize !== undefined) {
+                        uniform.arraySize = u.arraySize;
+                    }
                     return uniform;
                 });
 
@@ -215,8 +238,9 @@ export class ShaderCompiler {
             return null;
         }
 
-        // Special case: feedback node - don't traverse inputs, just provide the texture uniform
-        if (definition.isFeedbackNode) {
+        // Special case: feedback and render target nodes - don't traverse inputs, just provide the texture uniform
+        // (their inputs are compiled as separate passes)
+        if (definition.isFeedbackNode || definition.isRenderTargetNode) {
             // Generate GLSL for feedback node (provides sampler2D uniform)
             const result = definition.glsl(node, {});
 
@@ -328,6 +352,16 @@ export class ShaderCompiler {
             }
         }
 
+        // Special case: group node - inline the group's subgraph
+        if (definition.isGroupNode) {
+            const result = this.compileGroupNode(node, inputValues, nodeGraph);
+            if (result) {
+                this.compiledNodes.set(node.id, result);
+            }
+            node.varName = originalVarName; // Restore
+            return result;
+        }
+
         // Generate GLSL code for this node
         if (typeof definition.glsl === 'function') {
             const result = definition.glsl(node, inputValues);
@@ -339,6 +373,13 @@ export class ShaderCompiler {
                 }
             }
 
+            // Struct types the node's code uses (e.g. declared by a custom node)
+            if (result.structs) {
+                for (const structType of result.structs) {
+                    this.usedStructs.add(structType);
+                }
+            }
+
             // Add preamble (function definitions for custom nodes)
             // Preamble contains complete function definitions - add it directly as a block
             let preambleRenames = {};
@@ -385,6 +426,94 @@ export class ShaderCompiler {
         }
     }
 
+    /**
+     * Inline a group's subgraph into the current shader
+     * Inner nodes get IDs prefixed with the group's ID so their variables stay unique,
+     * and each exposed output is published through node.outputVars
+     */
+    compileGroupNode(node, inputValues, nodeGraph) {
+        const group = node.definition.group;
+
+        // A group that contains itself would recurse forever
+        if (this.activeGroups.has(node.type)) {
+            this.addError(`Group ${node.type} contains itself`, node.id);
+            return null;
+        }
+        this.activeGroups.add(node.type);
+
+        const errorCount = this.errors.length;
+        const firstLine = this.generatedCode.length;
+        const inner = GroupRegistry.instantiate(group, `${this.getRemappedNodeId(node.id)}_`);
+
+        // Route values connected to the group's inputs into the inner ports they expose
+        // Unconnected group inputs fall back to the inner node's own default
+        group.inputs.forEach((exposed, i) => {
+            const target = inner.idMap.get(exposed.nodeId);
+            const isConnected = nodeGraph.connections.some(
+                conn => conn.toNode === node && conn.toInput === i
+            );
+            if (!target || !isConnected || inputValues[exposed.name] === undefined) return;
+
+            // Stand-in source node whose compiled output is the outer value
+            const source = {
+                id: `${target.id}_in${exposed.input}`,
+                type: node.type,
+                outputs: [{ name: exposed.name, type: exposed.type }]
+            };
+            this.compiledNodes.set(source.id, { output: inputValues[exposed.name] });
+            inner.connections.push({
+                fromNode: source,
+                fromOutput: 0,
+                toNode: target,
+                toInput: exposed.input,
+                accessor: null
+            });
+        });
+
+        // Compile the inner nodes that drive each exposed output
+        const outputVars = {};
+        let failed = false;
+        for (const exposed of group.outputs) {
+            const source = inner.idMap.get(exposed.nodeId);
+            if (!source) {
+                this.addError(`Group ${node.type}: output '${exposed.name}' has no source node`, node.id);
+                failed = true;
+                continue;
+            }
+
+            const result = this.compileNode(source, inner);
+            if (!result) {
+                failed = true;
+                continue;
+            }
+
+            outputVars[exposed.name] = source.outputVars
+                ? source.outputVars[source.outputs[exposed.output].name]
+                : result.output;
+        }
+
+        this.activeGroups.delete(node.type);
+
+        // Attribute inner errors and generated lines to the group node itself
+        if (this.errors.length > errorCount) {
+            this.errorNodeId = node.id;
+        }
+        for (let line = firstLine; line < this.generatedCode.length; line++) {
+            this.codeToNodeMap.set(line, node.id);
+        }
+
+        if (failed) {
+            return null;
+        }
+
+        node.outputVars = outputVars;
+        const firstOutput = group.outputs[0];
+        return {
+            code: '',
+            output: firstOutput ? outputVars[firstOutput.name] : null
+        };
+    }
+
     buildFragmentShader(finalColor) {
         const uniformDeclarations = Array.from(this.uniforms)
             .map(u => this.getUniformDeclaration(u))
@@ -429,16 +558,19 @@ ${mainCode}
             return '';
         }
 
-        const allStructs = new Set();
-
-        // Collect all structs including dependencies
+        // Collect all structs including dependencies, each after the structs it contains
+        const structArray = [];
+        const visit = (structType) => {
+            if (structArray.includes(structType)) return;
+            for (const member of TypeRegistry.getType(structType).members) {
+                if (TypeRegistry.isStruct(member.type)) visit(member.type);
+            }
+            structArray.push(structType);
+        };
         for (const structType of this.usedStructs) {
-            const deps = TypeRegistry.getDependentStructs(structType);
-            deps.forEach(dep => allStructs.add(dep));
+            if (TypeRegistry.isStruct(structType)) visit(structType);
         }
 
-        // Generate definitions in dependency order (reverse of collection order ensures dependencies first)
-        const structArray = Array.from(allStructs).reverse();
         let code = structArray
             .map(structType => TypeRegistry.generateStructDefinition(structType))
             .join('\n');
@@ -446,8 +578,9 @@ ${mainCode}
         // Generate blend functions for all used struct types
         // (in case Blend nodes or custom blend operations are used)
         code += '\n';
-        for (const structType of allStructs) {
-            code += TypeRegistry.generateBlendFunction(structType);
+        const generatedBlends = new Set();
+        for (const structType of structArray) {
+            code += TypeRegistry.generateBlendFunction(structType, generatedBlends);
         }
 
         return code;
@@ -474,14 +607,16 @@ ${mainCode}
             const uniformTypes = {
                 'u_time': 'uniform float u_time;',
                 'u_resolution': 'uniform vec2 u_resolution;',
-                'u_mouse': 'uniform vec2 u_mouse;',
-                'u_camera': 'uniform sampler2D u_camera;'
+                'u_mouse': 'uniform vec4 u_mouse;'
             };
             return uniformTypes[uniform] || `uniform float ${uniform};`;
         }
 
         // Handle new-style object uniforms (from Float/Vec nodes)
         if (typeof uniform === 'object' && uniform.name && uniform.type) {
+            if (uniform.arraySize) {
+                return `uniform ${uniform.type} ${uniform.name}[${uniform.arraySize}];`;
+            }
             return `uniform ${uniform.type} ${uniform.name};`;
         }
 
@@ -506,7 +641,16 @@ void main() {
         if (!normalizedCode) return { originalNames: [], renamedNames: [] };
 
         // Extract all function definitions from the code block
-        const functions = this.extractAllFunctions(normalizedCode);
+        // Overloads share a name, so they are deduplicated and renamed together as one block
+        const functions = [];
+        for (const func of this.extractAllFunctions(normalizedCode)) {
+            const overloads = functions.find(f => f.name === func.name);
+            if (overloads) {
+                overloads.code += '\n\n' + func.code;
+            } else {
+                functions.push({ name: func.name, code: func.code });
+            }
+        }
         const renames = {}; // originalName -> newName
         const functionsToAdd = []; // Store functions to add after processing all
 
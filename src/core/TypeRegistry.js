@@ -65,8 +65,9 @@ export const TypeRegistry = {
 
     /**
      * Register a struct type
+     * definedBy: name of the custom node declaring it (null for built-in structs)
      */
-    registerStruct(name, members, description = '') {
+    registerStruct(name, members, description = '', definedBy = null) {
         // Validate that all member types exist
         for (const member of members) {
             if (!this.types[member.type]) {
@@ -79,7 +80,8 @@ export const TypeRegistry = {
             isPrimitive: false,
             isStruct: true,
             members,
-            description
+            description,
+            definedBy
         };
     },
 
@@ -310,9 +312,15 @@ export const TypeRegistry = {
             if (this.isStruct(member.type)) {
                 // Use nested struct's blend function
                 code += `    result.${member.name} = blend${member.type}(a.${member.name}, b.${member.name}, t);\n`;
-            } else {
+            } else if (member.type.startsWith('mat')) {
+                // mix() has no matrix overload
+                code += `    result.${member.name} = a.${member.name} + (b.${member.name} - a.${member.name}) * t;\n`;
+            } else if (member.type === 'float' || member.type.startsWith('vec')) {
                 // Use built-in mix for primitives
                 code += `    result.${member.name} = mix(a.${member.name}, b.${member.name}, t);\n`;
+            } else {
+                // Integers and booleans switch halfway
+                code += `    result.${member.name} = t < 0.5 ? a.${member.name} : b.${member.name};\n`;
             }
         }
 
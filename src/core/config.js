@@ -6,4 +6,7 @@
 export const config = {
   // Set to null to disable (button will be grayed out)
   API_URL: "https://7c11mva4zg.execute-api.eu-west-3.amazonaws.com/prod",
+
+  // WebSocket relay for real-time collaboration (npm run relay), null to disable
+  COLLAB_URL: "ws://localhost:8787",
 };
@@ -5,15 +5,29 @@ import { ColorNode } from '../nodes/ColorNode.js';
 import { MapNode } from '../nodes/MapNode.js';
 import { JSNode } from '../nodes/JSNode.js';
 import { FeedbackNode } from '../nodes/FeedbackNode.js';
+import { RenderTargetNode } from '../nodes/RenderTargetNode.js';
 import { ForLoopStartNode } from '../nodes/ForLoopStartNode.js';
 import { ForLoopEndNode } from '../nodes/ForLoopEndNode.js';
 import { MicrophoneNode } from '../nodes/MicrophoneNode.js';
+import { AudioSpectrumNode } from '../nodes/AudioSpectrumNode.js';
+import { BpmNode } from '../nodes/BpmNode.js';
 import { MidiCCNode } from '../nodes/MidiCCNode.js';
+import { MidiNoteNode } from '../nodes/MidiNoteNode.js';
+import { KeyboardNode } from '../nodes/KeyboardNode.js';
+import { XYPadNode } from '../nodes/XYPadNode.js';
+import { KnobNode } from '../nodes/KnobNode.js';
+import { SliderNode } from '../nodes/SliderNode.js';
+import { ColorWheelNode } from '../nodes/ColorWheelNode.js';
+import { ToggleNode } from '../nodes/ToggleNode.js';
+import { TriggerNode } from '../nodes/TriggerNode.js';
 import { CameraNode } from '../nodes/CameraNode.js';
 import { ScreenCaptureNode } from '../nodes/ScreenCaptureNode.js';
 import { VideoURLNode } from '../nodes/VideoURLNode.js';
+import { MediaFileNode } from '../nodes/MediaFileNode.js';
+import { AudioFileNode } from '../nodes/AudioFileNode.js';
 import { UVNode } from '../nodes/UVNode.js';
 import { OperatorNode } from '../nodes/OperatorNode.js';
+import { GroupNode } from '../nodes/GroupNode.js';
 import { NodeDefinitions } from '../core/NodeDefinitions.js';
 
 export class NodeFactory {
@@ -39,21 +53,49 @@ export class NodeFactory {
             node.updateDimensions();
         } else if (definition.isFeedbackNode) {
             node = new FeedbackNode(id, type, x, y);
+        } else if (definition.isRenderTargetNode) {
+            node = new RenderTargetNode(id, type, x, y);
         } else if (definition.isForLoopStartNode) {
             node = new ForLoopStartNode(id, type, x, y);
         } else if (definition.isForLoopEndNode) {
             node = new ForLoopEndNode(id, type, x, y);
         } else if (definition.isMicrophoneNode) {
             node = new MicrophoneNode(id, type, x, y);
+        } else if (definition.isAudioSpectrumNode) {
+            node = new AudioSpectrumNode(id, type, x, y);
+        } else if (definition.isBpmNode) {
+            node = new BpmNode(id, type, x, y);
         } else if (definition.isMidiCCNode) {
             node = new MidiCCNode(id, type, x, y);
             node.updateDimensions();
+        } else if (definition.isMidiNoteNode) {
+            node = new MidiNoteNode(id, type, x, y);
+        } else if (definition.isKeyboardNode) {
+            node = new KeyboardNode(id, type, x, y);
+        } else if (definition.isXYPadNode) {
+            node = new XYPadNode(id, type, x, y);
+        } else if (definition.isKnobNode) {
+            node = new KnobNode(id, type, x, y);
+        } else if (definition.isSliderNode) {
+            node = new SliderNode(id, type, x, y);
+        } else if (definition.isColorWheelNode) {
+            node = new ColorWheelNode(id, type, x, y);
+        } else if (definition.isToggleNode) {
+            node = new ToggleNode(id, type, x, y);
+        } else if (definition.isTriggerNode) {
+            node = new TriggerNode(id, type, x, y);
         } else if (definition.isCameraNode) {
             node = new CameraNode(id, type, x, y);
         } else if (definition.isScreenCaptureNode) {
             node = new ScreenCaptureNode(id, type, x, y);
         } else if (definition.isVideoURLNode) {
             node = new VideoURLNode(id, type, x, y);
+        } else if (definition.isAudioFileNode) {
+            node = new AudioFileNode(id, type, x, y);
+        } else if (definition.isMediaFileNode) {
+            node = new MediaFileNode(id, type, x, y);
+        } else if (definition.isGroupNode) {
+            node = new GroupNode(id, type, x, y);
         } else if (type === 'Color') {
             node = new ColorNode(id, type, x, y);
         } else if (type === 'UV') {
@@ -107,6 +149,9 @@ export class NodeFactory {
         } else if (definition.isFeedbackNode) {
             node = new FeedbackNode(json.id, json.type, json.x, json.y);
             // Dimensions are recalculated, not restored
+        } else if (definition.isRenderTargetNode) {
+            node = new RenderTargetNode(json.id, json.type, json.x, json.y);
+            // Dimensions are recalculated, not restored
         } else if (definition.isForLoopStartNode) {
             node = new ForLoopStartNode(json.id, json.type, json.x, json.y);
             // Dimensions are recalculated, not restored
@@ -116,6 +161,12 @@ export class NodeFactory {
         } else if (definition.isMicrophoneNode) {
             node = new MicrophoneNode(json.id, json.type, json.x, json.y);
             // Dimensions are recalculated, not restored
+        } else if (definition.isAudioSpectrumNode) {
+            node = new AudioSpectrumNode(json.id, json.type, json.x, json.y);
+            // Dimensions are recalculated, not restored
+        } else if (definition.isBpmNode) {
+            node = new BpmNode(json.id, json.type, json.x, json.y);
+            // Dimensions are recalculated, not restored
         } else if (definition.isMidiCCNode) {
             node = new MidiCCNode(json.id, json.type, json.x, json.y);
             // Restore saved values if available
@@ -128,6 +179,23 @@ export class NodeFactory {
                 console.log(`[NodeFactory] Restored smoothedValue for MIDI node ${json.id}: ${json.smoothedValue}`);
             }
             // Dimensions are recalculated, not restored
+        } else if (definition.isMidiNoteNode) {
+            node = new MidiNoteNode(json.id, json.type, json.x, json.y);
+        } else if (definition.isKeyboardNode) {
+            node = new KeyboardNode(json.id, json.type, json.x, json.y);
+            // Key outputs follow data.keys once data is restored
+        } else if (definition.isXYPadNode) {
+            node = new XYPadNode(json.id, json.type, json.x, json.y);
+        } else if (definition.isKnobNode) {
+            node = new KnobNode(json.id, json.type, json.x, json.y);
+        } else if (definition.isSliderNode) {
+            node = new SliderNode(json.id, json.type, json.x, json.y);
+        } else if (definition.isColorWheelNode) {
+            node = new ColorWheelNode(json.id, json.type, json.x, json.y);
+        } else if (definition.isToggleNode) {
+            node = new ToggleNode(json.id, json.type, json.x, json.y);
+        } else if (definition.isTriggerNode) {
+            node = new TriggerNode(json.id, json.type, json.x, json.y);
         } else if (definition.isCameraNode) {
             node = new CameraNode(json.id, json.type, json.x, json.y);
             // Dimensions are recalculated, not restored
@@ -137,6 +205,14 @@ export class NodeFactory {
         } else if (definition.isVideoURLNode) {
             node = new VideoURLNode(json.id, json.type, json.x, json.y);
             // Dimensions are recalculated, not restored
+        } else if (definition.isAudioFileNode) {
+            node = new AudioFileNode(json.id, json.type, json.x, json.y);
+        } else if (definition.isMediaFileNode) {
+            node = new MediaFileNode(json.id, json.type, json.x, json.y);
+            // Dimensions are recalculated, not restored
+        } else if (definition.isGroupNode) {
+            node = new GroupNode(json.id, json.type, json.x, json.y);
+            // Dimensions are recalculated, not restored
         } else if (json.type === 'Color') {
             node = new ColorNode(json.id, json.type, json.x, json.y);
             // Dimensions are recalculated, not restored
@@ -164,4 +240,25 @@ export class NodeFactory {
 
         return node;
     }
+
+    /**
+     * Add dynamic inputs (e.g. Blend) so every referenced input index exists, plus one free input
+     * idMap: serialized node ID -> node, connections: [{ toId, toInput }]
+     */
+    static expandDynamicInputs(idMap, connections) {
+        for (const [id, node] of idMap) {
+            if (!node.isDynamicInput) continue;
+
+            let maxInput = -1;
+            for (const connData of connections) {
+                if (connData.toId === id && connData.toInput > maxInput) {
+                    maxInput = connData.toInput;
+                }
+            }
+
+            while (node.inputs.length <= maxInput + 1) {
+                if (!node.addDynamicInput()) break;
+            }
+        }
+    }
 }
@@ -0,0 +1,380 @@
+import { CollabDocument } from '../core/CollabDocument.js';
+import { config } from '../core/config.js';
+
+const NAME_STORAGE = 'patchtoy_collab_name';
+
+// Local edits and presence are sent at most this often (coalesces drags)
+const SEND_INTERVAL = 50;
+
+// Time to wait for the session's state before starting it from the local project
+const SYNC_TIMEOUT = 3000;
+
+// Each client allocates node IDs in its own block, so nodes added at the same time never share an ID
+const ID_BLOCK = 100000;
+
+const COLORS = ['#e06c75', '#98c379', '#e5c07b', '#61afef', '#c678dd', '#56b6c2', '#d19a66', '#ff79c6'];
+
+/**
+ * CollabManager - Real-time collaboration on a graph through a WebSocket relay (collab-relay.mjs)
+ *
+ * Everyone in a room edits the same project. Local edits are turned into ops of a
+ * CollabDocument and broadcast; ops from others are merged into the document and the
+ * resulting state is shown through HistoryManager.restore(). Messages:
+ *   welcome / peer-joined / peer-left - sent by the relay
+ *   sync-request - a client that just joined asks for the session's state
+ *   sync-state   - every op of the document, sent to the client that asked
+ *   ops          - local edits
+ *   presence     - name, color, cursor position and selected node IDs
+ */
+export class CollabManager {
+    constructor(nodeGraph, historyManager) {
+        this.nodeGraph = nodeGraph;
+        this.history = historyManager;
+
+        this.socket = null;
+        this.room = null;
+        this.doc = null;
+        this.site = 0;
+        this.isSynced = false; // Local edits are only sent once the session's state is shown
+        this.syncTimer = null;
+        this.sendTimer = null;
+        this.presenceTimer = null;
+        this.applyFrame = null;
+
+        this.name = localStorage.getItem(NAME_STORAGE) || 'Guest';
+        this.cursor = null;
+        this.peers = new Map(); // clientId -> { name, color, cursor, selection }
+
+        // Callbacks
+        this.onJoinSession = null;   // Joined a session others are in: start a blank project for their state
+        this.onStatusChanged = null; // Connected, disconnected or peers changed
+
+        // Live cursor and drags (other edits arrive through the graph's change callbacks)
+        const canvas = nodeGraph.canvas;
+        canvas.addEventListener('mousemove', (e) => {
+            if (!this.isConnected()) return;
+            this.cursor = nodeGraph.getMousePos(e);
+            this.schedulePresence();
+            if (nodeGraph.draggedNode || nodeGraph.resizingNode) this.localChanged();
+        });
+        canvas.addEventListener('mouseleave', () => {
+            if (!this.isConnected()) return;
+            this.cursor = null;
+            this.schedulePresence();
+        });
+        canvas.addEventListener('mouseup', () => {
+            if (this.isConnected()) this.schedulePresence();
+        });
+    }
+
+    static isEnabled() {
+        return !!config.COLLAB_URL;
+    }
+
+    isConnected() {
+        return !!this.socket;
+    }
+
+    /**
+     * Join a room (leaving the current one)
+     */
+    join(room, name = this.name) {
+        this.leave();
+
+        this.room = room;
+        this.name = name || 'Guest';
+        localStorage.setItem(NAME_STORAGE, this.name);
+
+        const socket = new WebSocket(`${config.COLLAB_URL}/${encodeURIComponent(room)}`);
+        this.socket = socket;
+        socket.onmessage = (e) => {
+            try {
+                this.receive(JSON.parse(e.data));
+            } catch (err) {
+                console.error('[Collab] Could not handle message:', err);
+            }
+        };
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            if (!this.doc) {
+                alert(`Could not connect to the collaboration server (${config.COLLAB_URL}).`);
+            } else {
+                console.warn(`[Collab] Disconnected from "${room}"`);
+            }
+            this.disconnect();
+        };
+        this.statusChanged();
+    }
+
+    leave() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.disconnect();
+        socket.close();
+    }
+
+    disconnect() {
+        // Catch up on remote edits that weren't shown yet
+        if (this.applyFrame) {
+            cancelAnimationFrame(this.applyFrame);
+            this.applyRemote();
+        }
+        clearTimeout(this.syncTimer);
+        clearTimeout(this.sendTimer);
+        clearTimeout(this.presenceTimer);
+        this.syncTimer = this.sendTimer = this.presenceTimer = null;
+
+        this.socket = null;
+        this.doc = null;
+        this.isSynced = false;
+        this.peers.clear();
+
+        // Back to allocating IDs after every node
+        const maxId = this.nodeGraph.nodes.reduce((max, node) => Math.max(max, node.id), -1);
+        this.nodeGraph.nextNodeId = Math.max(this.nodeGraph.nextNodeId, maxId + 1);
+
+        this.nodeGraph.render();
+        this.statusChanged();
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    receive(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.doc = new CollabDocument(message.clientId);
+                this.site = message.site;
+                if (message.peers.length > 0 && this.onJoinSession) this.onJoinSession(this.room);
+
+                // IDs from before joining could come back with an undo
+                this.claimIdBlock();
+                this.history.reset();
+                this.sendPresence();
+
+                if (message.peers.length === 0) {
+                    this.startSession();
+                } else {
+                    this.doc.rebase(this.captureState());
+                    this.send({ type: 'sync-request' });
+                    // Nobody answering (e.g. everyone else just joined too): start from here
+                    this.syncTimer = setTimeout(() => this.startSession(), SYNC_TIMEOUT);
+                }
+                break;
+
+            case 'sync-request':
+                if (this.isSynced) {
+                    this.flush();
+                    this.send({ type: 'sync-state', to: message.from, ops: this.doc.getOps() });
+                }
+                break;
+
+            case 'sync-state':
+            case 'ops':
+                if (this.doc && this.doc.apply(message.ops)) this.scheduleApply();
+                if (message.type === 'sync-state' && !this.isSynced) {
+                    clearTimeout(this.syncTimer);
+                    this.isSynced = true;
+                }
+                break;
+
+            case 'presence':
+                this.peers.set(message.from, {
+                    name: message.name,
+                    color: message.color,
+                    cursor: message.cursor,
+                    selection: message.selection
+                });
+                this.nodeGraph.render();
+                this.statusChanged();
+                break;
+
+            case 'peer-joined':
+                this.sendPresence();
+                break;
+
+            case 'peer-left':
+                this.peers.delete(message.clientId);
+                this.nodeGraph.render();
+                this.statusChanged();
+                break;
+        }
+    }
+
+    /**
+     * The local project becomes the session's state
+     */
+    startSession() {
+        clearTimeout(this.syncTimer);
+        this.isSynced = true;
+        this.flush();
+    }
+
+    /**
+     * Project state as captured for undo, plus the performance panel layout
+     */
+    captureState() {
+        const state = JSON.parse(this.history.captureState());
+        const performance = this.nodeGraph.performance;
+        state.graph.performance = performance ? performance.serialize(this.nodeGraph.nodes) : null;
+        return state;
+    }
+
+    /**
+     * Called on every local edit; edits are sent in batches
+     */
+    localChanged() {
+        if (!this.isSynced || this.sendTimer) return;
+        this.sendTimer = setTimeout(() => {
+            this.sendTimer = null;
+            this.flush();
+        }, SEND_INTERVAL);
+    }
+
+    flush() {
+        // Group contents aren't part of the graph; the edit is sent when the group is closed
+        if (!this.isSynced || this.nodeGraph.groupEditStack.length > 0) return;
+        // Loading a project or undoing resets nextNodeId
+        this.claimIdBlock();
+        const ops = this.doc.update(this.captureState());
+        if (ops.length > 0) this.send({ type: 'ops', ops });
+    }
+
+    scheduleApply() {
+        if (!this.applyFrame) {
+            this.applyFrame = requestAnimationFrame(() => this.applyRemote());
+        }
+    }
+
+    /**
+     * Show the document's state in the editor
+     */
+    applyRemote() {
+        this.applyFrame = null;
+        if (!this.doc) return;
+
+        // Wait until the user is done dragging, wiring or editing a group
+        const graph = this.nodeGraph;
+        if (graph.draggedNode || graph.resizingNode || graph.draggingWidget || graph.draggingTextInput ||
+            graph.connectingFrom || graph.groupEditStack.length > 0) {
+            this.scheduleApply();
+            return;
+        }
+
+        // Local edits first, so they aren't overwritten
+        this.flush();
+
+        const local = this.captureState();
+        const state = this.doc.getState(local);
+        // Same key order as the local state, so an unchanged state compares equal
+        state.graph = { ...local.graph, ...state.graph, nextNodeId: this.nextIdInBlock(state.graph.nodes) };
+        if (JSON.stringify(state) !== JSON.stringify(local)) {
+            this.history.restore(JSON.stringify(state));
+        }
+        this.doc.rebase(this.captureState());
+    }
+
+    /**
+     * Make new nodes get IDs in this client's block
+     */
+    claimIdBlock() {
+        const base = this.site * ID_BLOCK;
+        const next = this.nodeGraph.nextNodeId;
+        if (next < base || next >= base + ID_BLOCK) {
+            this.nodeGraph.nextNodeId = this.nextIdInBlock(this.nodeGraph.nodes);
+        }
+    }
+
+    nextIdInBlock(nodes) {
+        const base = this.site * ID_BLOCK;
+        return nodes.reduce((next, node) => (
+            node.id >= base && node.id < base + ID_BLOCK ? Math.max(next, node.id + 1) : next
+        ), base);
+    }
+
+    getColor() {
+        const clientId = this.doc ? this.doc.clientId : '';
+        let hash = 0;
+        for (const char of clientId) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+        return COLORS[Math.abs(hash) % COLORS.length];
+    }
+
+    schedulePresence() {
+        if (this.presenceTimer) return;
+        this.presenceTimer = setTimeout(() => {
+            this.presenceTimer = null;
+            this.sendPresence();
+        }, SEND_INTERVAL);
+    }
+
+    sendPresence() {
+        if (!this.doc) return;
+        this.send({
+            type: 'presence',
+            name: this.name,
+            color: this.getColor(),
+            cursor: this.cursor,
+            selection: Array.from(this.nodeGraph.selectionManager.selectedNodes, node => node.id)
+        });
+    }
+
+    statusChanged() {
+        if (this.onStatusChanged) this.onStatusChanged();
+    }
+
+    /**
+     * Draw other users' cursors and selections (in graph coordinates)
+     */
+    drawPresence(ctx) {
+        if (this.peers.size === 0 || this.nodeGraph.groupEditStack.length > 0) return;
+        const scale = 1 / this.nodeGraph.zoom;
+        const nodesById = new Map(this.nodeGraph.nodes.map(node => [node.id, node]));
+
+        ctx.save();
+        ctx.font = `${11 * scale}px -apple-system, sans-serif`;
+        ctx.textBaseline = 'middle';
+
+        for (const peer of this.peers.values()) {
+            // Selected nodes get an outline in the user's color
+            ctx.strokeStyle = peer.color;
+            ctx.lineWidth = 2 * scale;
+            for (const id of peer.selection || []) {
+                const node = nodesById.get(id);
+                if (!node) continue;
+                const margin = 4 * scale;
+                ctx.beginPath();
+                ctx.roundRect(node.x - margin, node.y - margin, node.width + margin * 2, node.height + margin * 2, 6 * scale);
+                ctx.stroke();
+            }
+
+            if (!peer.cursor) continue;
+            const { x, y } = peer.cursor;
+
+            // Arrow
+            ctx.fillStyle = peer.color;
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x, y + 16 * scale);
+            ctx.lineTo(x + 4.5 * scale, y + 12 * scale);
+            ctx.lineTo(x + 11 * scale, y + 12 * scale);
+            ctx.closePath();
+            ctx.fill();
+
+            // Name tag
+            const labelX = x + 10 * scale;
+            const labelY = y + 18 * scale;
+            const padding = 4 * scale;
+            const width = ctx.measureText(peer.name).width + padding * 2;
+            ctx.beginPath();
+            ctx.roundRect(labelX, labelY, width, 16 * scale, 3 * scale);
+            ctx.fill();
+            ctx.fillStyle = '#fff';
+            ctx.fillText(peer.name, labelX + padding, labelY + 8 * scale);
+        }
+
+        ctx.restore();
+    }
+}
@@ -7,6 +7,8 @@ export class CompilationManager {
         this.feedbackRenderer = feedbackRenderer;
         this.autoCompile = true;
         this.compileTimeout = null;
+        this.renderPassOrder = []; // Render target nodes in dependency order
+        this.renderTargetErrors = [];
     }
 
     scheduleCompile() {
@@ -34,10 +36,146 @@ export class CompilationManager {
             this.createGlobalNodeIdMapping();
         }
 
+        // Render target passes first so preview shaders can sample their textures
+        this.compileRenderTargets();
+
         // Just compile preview nodes - no main output anymore
         this.compilePreviewNodes();
     }
 
+    /**
+     * Compile each render target's upstream subgraph into its own pass,
+     * then order the passes so each one runs after the render targets it samples
+     */
+    compileRenderTargets() {
+        const renderTargets = this.nodeGraph.nodes.filter(n => n.isRenderTargetNode);
+        const gl = this.nodeGraph.sharedGL;
+        this.renderTargetErrors = [];
+
+        if (!gl) {
+            this.renderPassOrder = [];
+            return;
+        }
+
+        // Create (or reconfigure) all targets first so their textures exist when passes are injected
+        for (const node of renderTargets) {
+            node.initPass(gl, this.nodeGraph);
+        }
+
+        for (const node of renderTargets) {
+            node.compiledShader = null;
+
+            const inputConnection = this.nodeGraph.connections.find(
+                conn => conn.toNode === node && conn.toInput === 0
+            );
+
+            // Unconnected targets render TV static, like preview nodes
+            if (!inputConnection) {
+                node.renderer.program = null;
+                continue;
+            }
+
+            const shader = this.shaderCompiler.compileFromNodeAsOutput(
+                inputConnection.fromNode,
+                inputConnection.fromOutput,
+                this.nodeGraph
+            );
+
+            if (!shader || !shader.fragment) {
+                node.renderer.program = null;
+                node.hasError = true;
+                this.renderTargetErrors.push(...(shader ? shader.errors : ['Render target compilation failed']));
+                continue;
+            }
+
+            if (this.feedbackRenderer) {
+                this.feedbackRenderer.injectFeedbackTextures(shader, gl);
+            }
+
+            node.compiledShader = shader;
+
+            if (!node.renderer.loadShader(shader)) {
+                // loadShader keeps the previous program on failure - don't keep rendering a stale pass
+                node.renderer.program = null;
+                node.compiledShader = null;
+                node.hasError = true;
+
+                if (shader.webglErrors && shader.webglErrors.length > 0) {
+                    const errorString = shader.webglErrors.join('\n');
+                    this.renderTargetErrors.push(errorString);
+
+                    const errorNodeId = this.shaderCompiler.parseWebGLError(errorString);
+                    const errorNode = this.nodeGraph.nodes.find(n => n.id === errorNodeId);
+                    if (errorNode) {
+                        errorNode.hasError = true;
+                    }
+                }
+            }
+        }
+
+        this.renderPassOrder = this.sortRenderPasses(renderTargets);
+
+        if (this.renderTargetErrors.length > 0) {
+            this.showErrors(this.renderTargetErrors);
+            this.nodeGraph.render();
+        }
+    }
+
+    /**
+     * Topologically sort render targets by the render target textures their pass samples
+     * Targets that depend on themselves (directly or through other targets) are left out
+     */
+    sortRenderPasses(renderTargets) {
+        const order = [];
+        const state = new Map(); // node -> 'visiting' | 'done'
+        let hasCycle = false;
+
+        const getDependencies = (node) => {
+            if (!node.compiledShader || !node.compiledShader.uniformValues) return [];
+            return node.compiledShader.uniformValues
+                .filter(u => u.renderTargetNode)
+                .map(u => u.renderTargetNode);
+        };
+
+        const visit = (node) => {
+            if (state.get(node) === 'done') return order.includes(node);
+            if (state.get(node) === 'visiting') return false; // Cycle
+
+            state.set(node, 'visiting');
+            const ok = getDependencies(node).every(dep => visit(dep));
+            state.set(node, 'done');
+
+            if (ok) {
+                order.push(node);
+            } else {
+                node.hasError = true;
+                hasCycle = true;
+            }
+            return ok;
+        };
+
+        for (const node of renderTargets) {
+            visit(node);
+        }
+
+        if (hasCycle) {
+            this.renderTargetErrors.push('Render targets sample each other in a loop - use a Feedback node to read the previous frame');
+        }
+
+        return order;
+    }
+
+    /**
+     * Render all render target passes in dependency order (called every frame)
+     */
+    renderPasses() {
+        for (const node of this.renderPassOrder) {
+            if (node.renderer && node.compiledShader) {
+                node.renderer.renderPass();
+            }
+        }
+    }
+
     createGlobalNodeIdMapping() {
         // Collect all unique node IDs and sort them
         const nodeIds = [...new Set(this.nodeGraph.nodes.map(n => n.id))].sort((a, b) => a - b);
@@ -127,7 +265,7 @@ export class CompilationManager {
         }
 
         // If all shaders compiled successfully, hide the error display
-        if (!anyErrors) {
+        if (!anyErrors && this.renderTargetErrors.length === 0) {
             this.hideError();
         }
 
@@ -141,8 +279,8 @@ export class CompilationManager {
             for (const previewNode of previewNodes) {
                 if (previewNode.previewInstance && previewNode.previewInstance.customUniformValues) {
                     for (const uniform of previewNode.previewInstance.customUniformValues) {
-                        // Skip feedback/microphone/MIDI uniforms - they're managed by renderers
-                        if (uniform.feedbackNodeId !== undefined || uniform.microphoneNodeId !== undefined || uniform.midiCCNodeId !== undefined) {
+                        // Skip feedback/render target/microphone/MIDI uniforms - they're managed by renderers
+                        if (this.isRendererManagedUniform(uniform)) {
                             continue;
                         }
 
@@ -164,8 +302,8 @@ export class CompilationManager {
             if (this.backgroundRenderer && this.backgroundRenderer.shaderPreview &&
                 this.backgroundRenderer.shaderPreview.customUniformValues) {
                 for (const uniform of this.backgroundRenderer.shaderPreview.customUniformValues) {
-                    // Skip feedback/microphone/MIDI uniforms - they're managed by renderers
-                    if (uniform.feedbackNodeId !== undefined || uniform.microphoneNodeId !== undefined || uniform.midiCCNodeId !== undefined) {
+                    // Skip feedback/render target/microphone/MIDI uniforms - they're managed by renderers
+                    if (this.isRendererManagedUniform(uniform)) {
                         continue;
                     }
 
@@ -183,13 +321,13 @@ export class CompilationManager {
                 }
             }
 
-            // Also register uniforms from feedback nodes
-            const feedbackNodes = this.nodeGraph.nodes.filter(n => n.isFeedbackNode);
-            for (const feedbackNode of feedbackNodes) {
-                if (feedbackNode.compiledShader && feedbackNode.compiledShader.uniformValues) {
-                    for (const uniform of feedbackNode.compiledShader.uniformValues) {
-                        // Skip feedback/microphone/MIDI uniforms - they're managed by renderers
-                        if (uniform.feedbackNodeId !== undefined || uniform.microphoneNodeId !== undefined || uniform.midiCCNodeId !== undefined) {
+            // Also register uniforms from feedback and render target passes
+            const passNodes = this.nodeGraph.nodes.filter(n => n.isFeedbackNode || n.isRenderTargetNode);
+            for (const passNode of passNodes) {
+                if (passNode.compiledShader && passNode.compiledShader.uniformValues) {
+                    for (const uniform of passNode.compiledShader.uniformValues) {
+                        // Skip feedback/render target/microphone/MIDI uniforms - they're managed by renderers
+                        if (this.isRendererManagedUniform(uniform)) {
                             continue;
                         }
 
@@ -210,6 +348,15 @@ export class CompilationManager {
         }
     }
 
+    // Uniforms whose values come from renderers and live nodes rather than the registry
+    isRendererManagedUniform(uniform) {
+        return uniform.feedbackNodeId !== undefined || uniform.renderTargetNodeId !== undefined ||
+            uniform.videoNodeId !== undefined || uniform.microphoneNodeId !== undefined ||
+            uniform.midiCCNodeId !== undefined || uniform.midiNoteNodeId !== undefined ||
+            uniform.audioSpectrumNodeId !== undefined || uniform.bpmNodeId !== undefined ||
+            uniform.keyboardNodeId !== undefined;
+    }
+
     // Find a node by its remapped variable name (e.g., "node_5")
     findNodeByRemappedName(varName) {
         if (!this.shaderCompiler.nodeIdRemap) return null;
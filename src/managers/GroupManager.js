@@ -0,0 +1,483 @@
+import { NodeDefinitions } from '../core/NodeDefinitions.js';
+import { GroupRegistry } from '../core/GroupRegistry.js';
+import { TypeRegistry } from '../core/TypeRegistry.js';
+import { Connection } from '../core/NodeGraph.js';
+import { NodeFactory } from '../graph/NodeFactory.js';
+
+/**
+ * GroupManager - Collapses selections into group nodes, expands them again,
+ * and lets the user edit a group's shared definition in place
+ */
+export class GroupManager {
+    constructor(nodeGraph) {
+        this.nodeGraph = nodeGraph;
+        this.banner = null;
+
+        // Called after a group definition is created, edited or deleted
+        this.onGroupsChanged = null;
+
+        this.nodeGraph.onGroupEditStackChanged = () => this.updateBanner();
+    }
+
+    /**
+     * Collapse the selected nodes into a new group type and replace them with an instance
+     */
+    groupSelection() {
+        const graph = this.nodeGraph;
+        const selected = new Set(graph.selectionManager.selectedNodes);
+        if (selected.size === 0) return null;
+
+        const ungroupable = [...selected].filter(n => !GroupRegistry.canGroup(n.type));
+        if (ungroupable.length > 0) {
+            const types = [...new Set(ungroupable.map(n => n.type))].join(', ');
+            alert(`These nodes can't be grouped: ${types}`);
+            return null;
+        }
+
+        const title = prompt('Group name:', 'Group');
+        if (!title || !title.trim()) return null;
+
+        // Pick a unique type name
+        const baseName = title.trim();
+        let name = baseName;
+        let counter = 1;
+        while (NodeDefinitions[name]) {
+            name = `${baseName}_${counter}`;
+            counter++;
+        }
+
+        const { group, incoming, outgoing, outputKeys, origin } = this.buildGroup(selected, baseName);
+        GroupRegistry.register(name, group);
+
+        // Swap the selection for a single group instance
+        graph.removeNodes(selected);
+        const groupNode = graph.addNode(name, origin.x, origin.y);
+
+        incoming.forEach((conn, i) => {
+            graph.connections.push(new Connection(conn.fromNode, conn.fromOutput, groupNode, i, conn.accessor));
+        });
+        for (const conn of outgoing) {
+            const outputIndex = outputKeys.indexOf(`${conn.fromNode.id}:${conn.fromOutput}`);
+            graph.connections.push(new Connection(groupNode, outputIndex, conn.toNode, conn.toInput, conn.accessor));
+        }
+
+        graph.selectionManager.selectedNodes.clear();
+        graph.selectionManager.selectedNodes.add(groupNode);
+
+        if (this.onGroupsChanged) this.onGroupsChanged();
+        if (graph.onGraphChanged) graph.onGraphChanged();
+        graph.render();
+        return groupNode;
+    }
+
+    /**
+     * Build group data from a set of nodes in the current graph
+     * Connections crossing the selection boundary become the group's inputs and outputs
+     */
+    buildGroup(selected, displayTitle) {
+        const graph = this.nodeGraph;
+        const nodes = [...selected];
+        const origin = {
+            x: Math.min(...nodes.map(n => n.x)),
+            y: Math.min(...nodes.map(n => n.y))
+        };
+
+        const internal = graph.connections.filter(c => selected.has(c.fromNode) && selected.has(c.toNode));
+        const incoming = graph.connections.filter(c => !selected.has(c.fromNode) && selected.has(c.toNode));
+        const outgoing = graph.connections.filter(c => selected.has(c.fromNode) && !selected.has(c.toNode));
+
+        const inputNames = new Set();
+        const inputs = incoming.map(conn => {
+            const port = conn.toNode.inputs[conn.toInput];
+            // 'any' inputs take the type that is actually connected
+            const type = TypeRegistry.isAny(port.type) ? (conn.getOutputType() || port.type) : port.type;
+            return {
+                name: this.uniquePortName(port.name || 'in', inputNames),
+                type,
+                nodeId: conn.toNode.id,
+                input: conn.toInput
+            };
+        });
+
+        // Each distinct inner output that feeds the outside becomes one group output
+        // With nothing leaving the selection, expose the outputs nobody inside consumes
+        const outputSources = outgoing.length > 0
+            ? outgoing.map(c => ({ node: c.fromNode, output: c.fromOutput }))
+            : nodes.flatMap(node => node.outputs
+                .map((_, output) => ({ node, output }))
+                .filter(({ output }) => !internal.some(c => c.fromNode === node && c.fromOutput === output)));
+
+        const outputKeys = [];
+        const outputNames = new Set();
+        const outputs = [];
+        for (const { node, output } of outputSources) {
+            const key = `${node.id}:${output}`;
+            if (outputKeys.includes(key)) continue;
+            outputKeys.push(key);
+
+            const port = node.outputs[output];
+            outputs.push({
+                name: this.uniquePortName(port.name || 'out', outputNames),
+                // Dynamic nodes (e.g. Blend) report their resolved type on the first output
+                type: (output === 0 && node.resolvedOutputType) || port.type,
+                nodeId: node.id,
+                output
+            });
+        }
+
+        const group = {
+            displayTitle,
+            nodes: nodes.map(n => ({ ...n.serialize(), x: n.x - origin.x, y: n.y - origin.y })),
+            connections: internal.map(c => ({
+                fromId: c.fromNode.id,
+                fromOutput: c.fromOutput,
+                toId: c.toNode.id,
+                toInput: c.toInput,
+                swizzle: c.swizzle
+            })),
+            inputs,
+            outputs
+        };
+
+        return { group, incoming, outgoing, outputKeys, origin };
+    }
+
+    uniquePortName(base, used) {
+        let name = base;
+        let counter = 2;
+        while (used.has(name)) {
+            name = `${base}${counter}`;
+            counter++;
+        }
+        used.add(name);
+        return name;
+    }
+
+    /**
+     * Replace selected group instances with copies of their inner nodes
+     */
+    ungroupSelection() {
+        const groupNodes = [...this.nodeGraph.selectionManager.selectedNodes].filter(n => n.isGroupNode);
+        if (groupNodes.length === 0) return;
+
+        this.nodeGraph.selectionManager.selectedNodes.clear();
+        for (const groupNode of groupNodes) {
+            const newNodes = this.ungroup(groupNode);
+            newNodes.forEach(n => this.nodeGraph.selectionManager.selectedNodes.add(n));
+        }
+
+        if (this.nodeGraph.onGraphChanged) this.nodeGraph.onGraphChanged();
+        this.nodeGraph.render();
+    }
+
+    ungroup(groupNode) {
+        const graph = this.nodeGraph;
+        const group = groupNode.definition.group;
+
+        const { idMap } = this.addGroupContents(group, groupNode.x, groupNode.y);
+
+        // Re-wire the outer connections to the inner ports they were exposing
+        for (const conn of graph.connections.filter(c => c.toNode === groupNode)) {
+            const exposed = group.inputs[conn.toInput];
+            const target = exposed && idMap.get(exposed.nodeId);
+            if (target) {
+                graph.connections.push(new Connection(conn.fromNode, conn.fromOutput, target, exposed.input, conn.accessor));
+            }
+        }
+        for (const conn of graph.connections.filter(c => c.fromNode === groupNode)) {
+            const exposed = group.outputs[conn.fromOutput];
+            const source = exposed && idMap.get(exposed.nodeId);
+            if (source) {
+                graph.connections.push(new Connection(source, exposed.output, conn.toNode, conn.toInput, conn.accessor));
+            }
+        }
+
+        graph.removeNodes(new Set([groupNode]));
+        return [...idMap.values()];
+    }
+
+    /**
+     * Create graph nodes for a group's contents at the given offset
+     * Returns a map of inner node ID -> new node
+     */
+    addGroupContents(group, offsetX, offsetY) {
+        const graph = this.nodeGraph;
+        const idMap = new Map();
+
+        for (const nodeData of group.nodes) {
+            const node = NodeFactory.deserializeNode({
+                ...nodeData,
+                id: graph.nextNodeId++,
+                x: nodeData.x + offsetX,
+                y: nodeData.y + offsetY
+            }, graph.canvas, graph.videoElement, graph.sharedGL);
+            if (!node) continue;
+
+            node.graph = graph;
+            graph.nodes.push(node);
+            idMap.set(nodeData.id, node);
+        }
+
+        NodeFactory.expandDynamicInputs(idMap, [
+            ...group.connections,
+            ...group.inputs.map(inp => ({ toId: inp.nodeId, toInput: inp.input }))
+        ]);
+
+        for (const connData of group.connections) {
+            const fromNode = idMap.get(connData.fromId);
+            const toNode = idMap.get(connData.toId);
+            if (fromNode && toNode) {
+                graph.connections.push(new Connection(fromNode, connData.fromOutput, toNode, connData.toInput, connData.swizzle || null));
+            }
+        }
+
+        return { idMap };
+    }
+
+    /**
+     * Open a group's definition for editing in place of the current graph
+     */
+    enterGroup(groupName) {
+        const graph = this.nodeGraph;
+        const definition = NodeDefinitions[groupName];
+        if (!definition || !definition.isGroupNode) return;
+
+        // Park the current level on the edit stack
+        graph.groupEditStack.push({
+            groupName,
+            nodes: graph.nodes,
+            connections: graph.connections,
+            nextNodeId: graph.nextNodeId,
+            panX: graph.panX,
+            panY: graph.panY,
+            zoom: graph.zoom
+        });
+
+        // Load the group's nodes with their original IDs so exposed ports still resolve
+        graph.nodes = [];
+        graph.connections = [];
+        graph.selectionManager.selectedNodes.clear();
+        graph.nextNodeId = 0;
+
+        const { idMap } = this.addGroupContents(definition.group, 0, 0);
+        for (const [innerId, node] of idMap) {
+            node.id = innerId;
+            node.varName = `node_${innerId}`;
+        }
+        graph.nextNodeId = Math.max(-1, ...definition.group.nodes.map(n => n.id)) + 1;
+
+        graph.panX = 80;
+        graph.panY = 80;
+        graph.zoom = 1.0;
+
+        this.updateBanner();
+        if (graph.onGraphChanged) graph.onGraphChanged();
+        graph.render();
+    }
+
+    /**
+     * Save the edited group back to its definition and return to the parent graph
+     * All instances of the group pick up the change
+     */
+    exitGroup() {
+        const graph = this.nodeGraph;
+        const entry = graph.groupEditStack[graph.groupEditStack.length - 1];
+        if (!entry) return;
+
+        const oldGroup = NodeDefinitions[entry.groupName].group;
+
+        // A group can't contain itself, directly or through another group
+        const recursive = graph.nodes.find(n =>
+            n.type === entry.groupName || GroupRegistry.containsType(n.type, entry.groupName)
+        );
+        if (recursive) {
+            alert(`A group can't contain itself. Remove the ${recursive.type} node first.`);
+            return;
+        }
+
+        const ungroupable = graph.nodes.filter(n => !GroupRegistry.canGroup(n.type));
+        if (ungroupable.length > 0) {
+            const types = [...new Set(ungroupable.map(n => n.type))].join(', ');
+            alert(`These nodes can't be part of a group: ${types}`);
+            return;
+        }
+
+        const findNode = (id) => graph.nodes.find(n => n.id === id);
+
+        // Keep exposed ports whose inner node still exists and (for inputs) isn't wired internally
+        const inputs = oldGroup.inputs.filter(exposed => {
+            const node = findNode(exposed.nodeId);
+            return node && exposed.input < node.inputs.length &&
+                !graph.connections.some(c => c.toNode === node && c.toInput === exposed.input);
+        });
+        const outputs = oldGroup.outputs.filter(exposed => {
+            const node = findNode(exposed.nodeId);
+            return node && exposed.output < node.outputs.length;
+        });
+
+        const group = {
+            displayTitle: oldGroup.displayTitle,
+            nodes: graph.nodes.map(n => n.serialize()),
+            connections: graph.connections.map(c => ({
+                fromId: c.fromNode.id,
+                fromOutput: c.fromOutput,
+                toId: c.toNode.id,
+                toInput: c.toInput,
+                swizzle: c.swizzle
+            })),
+            inputs,
+            outputs
+        };
+
+        // Restore the parent level
+        graph.groupEditStack.pop();
+        graph.nodes = entry.nodes;
+        graph.connections = entry.connections;
+        graph.nextNodeId = entry.nextNodeId;
+        graph.panX = entry.panX;
+        graph.panY = entry.panY;
+        graph.zoom = entry.zoom;
+        graph.selectionManager.selectedNodes.clear();
+
+        // Remap connections of existing instances when exposed ports were removed
+        GroupRegistry.register(entry.groupName, group);
+        this.remapGroupPorts(
+            entry.groupName,
+            oldGroup.inputs.map(exposed => inputs.indexOf(exposed)),
+            oldGroup.outputs.map(exposed => outputs.indexOf(exposed))
+        );
+
+        this.updateBanner();
+        if (this.onGroupsChanged) this.onGroupsChanged();
+        if (graph.onGraphChanged) graph.onGraphChanged();
+        graph.render();
+    }
+
+    /**
+     * Follow a change of a group's exposed ports (maps from old to new port index, -1 if removed)
+     * in its instances: at the current level, at the levels parked on the edit stack and in other
+     * group definitions, whose own exposed ports may go in turn
+     */
+    remapGroupPorts(groupName, inputMap, outputMap) {
+        const graph = this.nodeGraph;
+        const definition = NodeDefinitions[groupName];
+        const mapPort = (map, index) => (map[index] === undefined ? -1 : map[index]);
+
+        for (const level of [graph, ...graph.groupEditStack]) {
+            for (const node of level.nodes) {
+                if (node.type === groupName) node.applyDefinition(definition, { preserveData: true });
+            }
+            level.connections = level.connections.filter(conn => {
+                if (conn.toNode.type === groupName) conn.toInput = mapPort(inputMap, conn.toInput);
+                if (conn.fromNode.type === groupName) conn.fromOutput = mapPort(outputMap, conn.fromOutput);
+                return conn.toInput !== -1 && conn.fromOutput !== -1;
+            });
+        }
+
+        for (const [name, def] of Object.entries(NodeDefinitions)) {
+            if (!def.isGroupNode || name === groupName) continue;
+            const oldGroup = def.group;
+            const instanceIds = new Set(oldGroup.nodes.filter(n => n.type === groupName).map(n => n.id));
+            if (instanceIds.size === 0) continue;
+
+            const connections = oldGroup.connections
+                .map(c => ({
+                    ...c,
+                    toInput: instanceIds.has(c.toId) ? mapPort(inputMap, c.toInput) : c.toInput,
+                    fromOutput: instanceIds.has(c.fromId) ? mapPort(outputMap, c.fromOutput) : c.fromOutput
+                }))
+                .filter(c => c.toInput !== -1 && c.fromOutput !== -1);
+            const inputs = oldGroup.inputs
+                .map(exposed => (instanceIds.has(exposed.nodeId) ? { ...exposed, input: mapPort(inputMap, exposed.input) } : exposed))
+                .filter(exposed => exposed.input !== -1);
+            const outputs = oldGroup.outputs
+                .map(exposed => (instanceIds.has(exposed.nodeId) ? { ...exposed, output: mapPort(outputMap, exposed.output) } : exposed))
+                .filter(exposed => exposed.output !== -1);
+
+            GroupRegistry.register(name, { ...oldGroup, connections, inputs, outputs });
+
+            // Ports of this group that exposed a removed port are gone too, and its instances change with it
+            let nextInput = 0;
+            let nextOutput = 0;
+            this.remapGroupPorts(
+                name,
+                oldGroup.inputs.map(exposed => (instanceIds.has(exposed.nodeId) && mapPort(inputMap, exposed.input) === -1 ? -1 : nextInput++)),
+                oldGroup.outputs.map(exposed => (instanceIds.has(exposed.nodeId) && mapPort(outputMap, exposed.output) === -1 ? -1 : nextOutput++))
+            );
+        }
+    }
+
+    /**
+     * Delete a group definition and all of its instances
+     */
+    deleteGroup(groupName) {
+        delete NodeDefinitions[groupName];
+
+        const graph = this.nodeGraph;
+        const instances = graph.nodes.filter(n => n.type === groupName);
+        if (instances.length > 0) {
+            graph.removeNodes(new Set(instances));
+        }
+
+        if (this.onGroupsChanged) this.onGroupsChanged();
+        if (graph.onGraphChanged) graph.onGraphChanged();
+        graph.render();
+    }
+
+    /**
+     * Show which group is being edited, with a button to go back up a level
+     */
+    updateBanner() {
+        const stack = this.nodeGraph.groupEditStack;
+
+        if (stack.length === 0) {
+            if (this.banner) {
+                this.banner.remove();
+                this.banner = null;
+            }
+            return;
+        }
+
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.style.cssText = 'position: absolute; top: 12px; left: 50%; transform: translateX(-50%); background: rgba(45, 45, 45, 0.95); border: 1px solid #4ec9b0; border-radius: 6px; padding: 6px 10px; color: #ccc; font-size: 12px; display: flex; gap: 10px; align-items: center; z-index: 1000;';
+            document.getElementById('container').appendChild(this.banner);
+        }
+
+        this.banner.innerHTML = '';
+
+        const path = document.createElement('span');
+        path.textContent = 'Editing group: ' + stack
+            .map(entry => NodeDefinitions[entry.groupName]?.displayTitle || entry.groupName)
+            .join(' › ');
+        this.banner.appendChild(path);
+
+        const doneBtn = document.createElement('button');
+        doneBtn.textContent = 'Done';
+        doneBtn.title = 'Save group and return';
+        doneBtn.style.cssText = 'padding: 3px 10px; background: #007acc; border: none; border-radius: 3px; color: #fff; cursor: pointer; font-size: 12px;';
+        doneBtn.addEventListener('click', () => this.exitGroup());
+        this.banner.appendChild(doneBtn);
+    }
+
+    saveGroups() {
+        try {
+            localStorage.setItem('patchtoy_node_groups', JSON.stringify(GroupRegistry.serialize()));
+        } catch (e) {
+            console.error('Failed to save node groups:', e);
+        }
+    }
+
+    loadGroups() {
+        try {
+            const saved = localStorage.getItem('patchtoy_node_groups');
+            if (saved) {
+                GroupRegistry.load(JSON.parse(saved));
+                return true;
+            }
+        } catch (e) {
+            console.error('Failed to load node groups:', e);
+        }
+        return false;
+    }
+}
@@ -0,0 +1,254 @@
+import { NodeDefinitions } from '../core/NodeDefinitions.js';
+import { GroupRegistry } from '../core/GroupRegistry.js';
+
+const MAX_HISTORY = 100;
+const COALESCE_MS = 1000; // Consecutive edits of the same kind within this window merge into one step
+
+/**
+ * A single undoable step: the project state before and after the edit
+ */
+class SnapshotCommand {
+    constructor(before, after, key) {
+        this.before = before;
+        this.after = after;
+        this.key = key; // Coalescing key (null = never merge)
+        this.time = Date.now();
+    }
+
+    undo(history) {
+        history.restore(this.before);
+    }
+
+    redo(history) {
+        history.restore(this.after);
+    }
+}
+
+/**
+ * HistoryManager - Undo/redo for graph edits
+ *
+ * Every change reported through onGraphChanged (plus mouse interactions such as drags
+ * and resizes) is recorded as a command holding the project state before and after.
+ * State covers the graph, custom node GLSL and node group definitions.
+ */
+export class HistoryManager {
+    constructor(nodeGraph, { onCreateCustomNode = null, onDefinitionsChanged = null } = {}) {
+        this.nodeGraph = nodeGraph;
+        this.onCreateCustomNode = onCreateCustomNode;
+        this.onDefinitionsChanged = onDefinitionsChanged;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batchDepth = 0;
+        this.isRestoring = false;
+        this.isPaused = false;
+        this.currentState = this.captureState();
+    }
+
+    captureState() {
+        const { nodes, connections, nextNodeId, timeline } = this.nodeGraph.serialize();
+
+        const customNodes = {};
+        for (const [name, def] of Object.entries(NodeDefinitions)) {
+            if (def.isCustomNode) {
+                customNodes[name] = def.customGLSL;
+            }
+        }
+
+        return JSON.stringify({
+            graph: { nodes, connections, nextNodeId, timeline },
+            customNodes,
+            groups: GroupRegistry.serialize()
+        });
+    }
+
+    /**
+     * Forget all history and take the current state as the baseline (e.g. after loading a project)
+     */
+    reset() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batchDepth = 0;
+        this.currentState = this.captureState();
+    }
+
+    /**
+     * Stop recording and undoing (e.g. while a project revision is previewed)
+     */
+    pause() {
+        this.isPaused = true;
+    }
+
+    /**
+     * Start recording again, from the current state (keeps the undo stack)
+     */
+    resume() {
+        this.isPaused = false;
+        this.currentState = this.captureState();
+    }
+
+    /**
+     * Record the current state as an undo step if anything changed
+     */
+    record() {
+        if (this.batchDepth > 0) return; // Committed when the batch ends
+        this.commit(true);
+    }
+
+    /**
+     * Group everything until endBatch() into a single undo step (e.g. a mouse drag)
+     */
+    beginBatch() {
+        this.batchDepth++;
+    }
+
+    endBatch() {
+        if (this.batchDepth === 0) return;
+        this.batchDepth--;
+        if (this.batchDepth === 0) {
+            this.commit(false);
+        }
+    }
+
+    commit(allowCoalesce) {
+        // Edits inside a group are recorded as one step when the group is closed
+        if (this.isRestoring || this.isPaused || this.nodeGraph.groupEditStack.length > 0) return;
+
+        const state = this.captureState();
+        if (state === this.currentState) return;
+
+        const key = allowCoalesce ? this.getCoalesceKey(this.currentState, state) : null;
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (key && last && last.key === key && Date.now() - last.time < COALESCE_MS) {
+            last.after = state;
+            last.time = Date.now();
+        } else {
+            this.undoStack.push(new SnapshotCommand(this.currentState, state, key));
+            if (this.undoStack.length > MAX_HISTORY) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.currentState = state;
+    }
+
+    /**
+     * Classify an edit so repeated edits of the same thing (typing into one field,
+     * editing one custom node's GLSL) can merge into one step
+     */
+    getCoalesceKey(beforeString, afterString) {
+        const before = JSON.parse(beforeString);
+        const after = JSON.parse(afterString);
+
+        if (JSON.stringify(before.groups) !== JSON.stringify(after.groups)) return null;
+
+        const sameGraph = JSON.stringify(before.graph) === JSON.stringify(after.graph);
+        const glslNames = [...new Set([...Object.keys(before.customNodes), ...Object.keys(after.customNodes)])];
+        const changedGLSL = glslNames.filter(name => before.customNodes[name] !== after.customNodes[name]);
+
+        if (changedGLSL.length > 0) {
+            const edited = changedGLSL.length === 1 &&
+                before.customNodes[changedGLSL[0]] !== undefined &&
+                after.customNodes[changedGLSL[0]] !== undefined;
+            return sameGraph && edited ? `glsl:${changedGLSL[0]}` : null;
+        }
+
+        // Only node data changed, on the same nodes, with the same wiring
+        if (JSON.stringify(before.graph.connections) !== JSON.stringify(after.graph.connections)) return null;
+        if (before.graph.nodes.length !== after.graph.nodes.length) return null;
+
+        const changedIds = [];
+        for (let i = 0; i < before.graph.nodes.length; i++) {
+            const a = before.graph.nodes[i];
+            const b = after.graph.nodes[i];
+            if (a.id !== b.id || a.type !== b.type) return null;
+            if (JSON.stringify(a) === JSON.stringify(b)) continue;
+            if (a.x !== b.x || a.y !== b.y) return null;
+            changedIds.push(a.id);
+        }
+
+        return changedIds.length > 0 ? `data:${changedIds.join(',')}` : null;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0 && !this.isPaused && this.nodeGraph.groupEditStack.length === 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0 && !this.isPaused && this.nodeGraph.groupEditStack.length === 0;
+    }
+
+    undo() {
+        if (!this.canUndo() || this.batchDepth > 0) return false;
+        const command = this.undoStack.pop();
+        command.undo(this);
+        this.redoStack.push(command);
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo() || this.batchDepth > 0) return false;
+        const command = this.redoStack.pop();
+        command.redo(this);
+        this.undoStack.push(command);
+        return true;
+    }
+
+    /**
+     * Apply a captured state: definitions first, then the graph
+     */
+    restore(stateString) {
+        const state = JSON.parse(stateString);
+        const current = JSON.parse(this.currentState);
+
+        this.isRestoring = true;
+        try {
+            let definitionsChanged = false;
+
+            // Custom nodes
+            for (const [name, glsl] of Object.entries(state.customNodes)) {
+                if (current.customNodes[name] !== glsl && this.onCreateCustomNode) {
+                    this.onCreateCustomNode(name, glsl);
+                    definitionsChanged = true;
+                }
+            }
+            for (const name of Object.keys(current.customNodes)) {
+                if (state.customNodes[name] === undefined) {
+                    delete NodeDefinitions[name];
+                    definitionsChanged = true;
+                }
+            }
+
+            // Node groups
+            const changedGroups = [];
+            for (const [name, group] of Object.entries(state.groups)) {
+                if (JSON.stringify(current.groups[name]) !== JSON.stringify(group)) {
+                    GroupRegistry.register(name, group);
+                    changedGroups.push(name);
+                }
+            }
+            for (const name of Object.keys(current.groups)) {
+                if (state.groups[name] === undefined) {
+                    delete NodeDefinitions[name];
+                    definitionsChanged = true;
+                }
+            }
+            for (const name of changedGroups) {
+                this.nodeGraph.refreshNodesOfType(name, { preserveData: true });
+                definitionsChanged = true;
+            }
+
+            if (definitionsChanged && this.onDefinitionsChanged) {
+                this.onDefinitionsChanged();
+            }
+
+            this.nodeGraph.applySnapshot(state.graph);
+        } finally {
+            this.isRestoring = false;
+        }
+
+        this.currentState = this.captureState();
+    }
+}
@@ -0,0 +1,205 @@
+import { RenderClock } from '../rendering/RenderClock.js';
+import { VideoTextureCache } from '../rendering/VideoTextureCache.js';
+
+/**
+ * OutputManager - Output windows (e.g. on a projector) rendering a Preview node at screen resolution
+ *
+ * The output window (index.html?output=<nodeId>, see OutputWindow) compiles the Preview node's
+ * shader in its own WebGL context. Every frame the editor posts it:
+ *   output-shader  - the shader, whenever the Preview node is recompiled (null once the node is gone)
+ *   output-frame   - u_time and the values of the shader's uniforms
+ *   output-texture - new frames of camera, video, image and generated textures (ImageBitmaps or RGBA data)
+ * Feedback and Render Target inputs live in the editor's context and stay black in the output.
+ *
+ * Output windows announce themselves with output-ready, again after the editor reloads.
+ * With the Window Management API the window opens over another screen.
+ */
+export class OutputManager {
+    constructor(nodeGraph) {
+        this.nodeGraph = nodeGraph;
+
+        // Window -> { nodeId, shader, textures: Map<uniform name, { source, time, isPending }>, hasWarned }
+        this.outputs = new Map();
+
+        window.addEventListener('message', (e) => this.receive(e));
+    }
+
+    /**
+     * Open (or bring up) the output window of a Preview node
+     */
+    async open(node) {
+        const features = await this.getWindowFeatures();
+        if (features === null) return;
+
+        const outputWindow = window.open(`${window.location.pathname}?output=${node.id}`, `patchtoy-output-${node.id}`, features);
+        if (!outputWindow) {
+            alert('The output window was blocked. Allow popups for this site and try again.');
+            return;
+        }
+        outputWindow.focus();
+    }
+
+    /**
+     * Popup position and size: over another screen when the Window Management API lists one
+     * Returns null if the screen choice was cancelled
+     */
+    async getWindowFeatures() {
+        const fallback = 'popup,width=960,height=540';
+        if (!('getScreenDetails' in window)) return fallback;
+
+        let details;
+        try {
+            details = await window.getScreenDetails();
+        } catch (err) {
+            console.warn('[Output] Screen details unavailable, opening on this screen:', err);
+            return fallback;
+        }
+
+        const screens = details.screens.filter(screen => screen !== details.currentScreen);
+        if (screens.length === 0) return fallback;
+
+        let screen = screens[0];
+        if (screens.length > 1) {
+            const list = screens.map((s, i) => `${i + 1}. ${s.label || 'Screen'} (${s.width}×${s.height})`).join('\n');
+            const choice = prompt(`Open the output on:\n${list}`, '1');
+            if (choice === null) return null;
+            screen = screens[parseInt(choice, 10) - 1] || screen;
+        }
+
+        return `popup,left=${screen.availLeft},top=${screen.availTop},width=${screen.availWidth},height=${screen.availHeight}`;
+    }
+
+    receive(e) {
+        const message = e.data;
+        if (e.origin !== window.location.origin || !message || message.type !== 'output-ready' || !e.source) return;
+
+        // A new window, or one that lost the editor (reload): it gets the shader on the next frame
+        this.outputs.set(e.source, {
+            nodeId: String(message.nodeId),
+            shader: undefined,
+            textures: new Map(),
+            hasWarned: false
+        });
+    }
+
+    post(outputWindow, message, transfer = []) {
+        try {
+            outputWindow.postMessage(message, window.location.origin, transfer);
+        } catch (err) {
+            console.error('[Output] Failed to send to the output window:', err);
+        }
+    }
+
+    /**
+     * Called every frame: sends shader changes, uniform values and new texture frames
+     */
+    update() {
+        for (const [outputWindow, output] of this.outputs) {
+            if (outputWindow.closed) {
+                this.outputs.delete(outputWindow);
+                continue;
+            }
+
+            const node = this.nodeGraph.nodes.find(n => n.isPreviewNode && String(n.id) === output.nodeId);
+            const preview = node ? node.previewInstance : null;
+            const shader = preview ? preview.currentShaderSource || null : null;
+
+            if (shader !== output.shader) {
+                output.shader = shader;
+                output.textures.clear();
+                this.post(outputWindow, { type: 'output-shader', shader: shader ? this.describeShader(shader) : null });
+            }
+            if (!shader) continue;
+
+            const values = [];
+            for (const uniform of preview.customUniformValues) {
+                if (uniform.type === 'sampler2D') continue;
+                preview.updateUniformValue(uniform);
+                // Typed array views (MIDI notes, keys) would clone their whole buffer
+                const value = ArrayBuffer.isView(uniform.value) ? Array.from(uniform.value) : uniform.value;
+                values.push([uniform.name, uniform.type, value]);
+            }
+            this.post(outputWindow, { type: 'output-frame', time: RenderClock.getTime(preview.startTime), values });
+
+            this.sendTextures(outputWindow, output, preview);
+        }
+    }
+
+    describeShader(shader) {
+        return {
+            vertex: shader.vertex,
+            fragment: shader.fragment,
+            uniforms: (shader.uniformValues || []).map(u => ({
+                name: u.name,
+                type: u.type,
+                arraySize: u.arraySize,
+                value: ArrayBuffer.isView(u.value) ? Array.from(u.value) : u.value
+            }))
+        };
+    }
+
+    /**
+     * Send the media frames that changed since the last ones sent (one pending ImageBitmap per texture)
+     */
+    sendTextures(outputWindow, output, preview) {
+        for (const uniform of preview.customUniformValues) {
+            if (uniform.type !== 'sampler2D') continue;
+
+            const node = uniform.videoNode;
+            if (!node) {
+                if (!output.hasWarned) {
+                    console.warn(`[Output] ${uniform.name} comes from a Feedback or Render Target node, which output windows can't show`);
+                    output.hasWarned = true;
+                }
+                continue;
+            }
+
+            let state = output.textures.get(uniform.name);
+            if (!state) {
+                state = { source: null, time: -1, isPending: false };
+                output.textures.set(uniform.name, state);
+            }
+
+            const source = node.getTextureSource ? node.getTextureSource() : (node.isActive ? node.videoElement : null);
+            if (!source || state.isPending || !VideoTextureCache.isReady(source)) continue;
+
+            const options = node.getTextureOptions ? node.getTextureOptions() : {};
+
+            // Generated textures (spectrum, keys) are small: their pixels are copied
+            if (source.data) {
+                if (source === state.source && source.frame === state.time) continue;
+                state.source = source;
+                state.time = source.frame;
+                this.post(outputWindow, {
+                    type: 'output-texture',
+                    name: uniform.name,
+                    options,
+                    image: { width: source.width, height: source.height, data: source.data.slice(), frame: source.frame }
+                });
+                continue;
+            }
+
+            const time = source instanceof HTMLVideoElement ? source.currentTime : 0;
+            if (source === state.source && time === state.time) continue;
+            state.source = source;
+            state.time = time;
+            state.isPending = true;
+
+            // UNPACK_FLIP_Y_WEBGL doesn't apply to ImageBitmaps, so they are flipped here
+            const flipY = options.flipY !== false;
+            createImageBitmap(source, flipY ? { imageOrientation: 'flipY' } : {})
+                .then(image => {
+                    state.isPending = false;
+                    if (outputWindow.closed || output.textures.get(uniform.name) !== state) {
+                        image.close();
+                        return;
+                    }
+                    this.post(outputWindow, { type: 'output-texture', name: uniform.name, options, image }, [image]);
+                })
+                .catch(err => {
+                    state.isPending = false;
+                    console.warn('[Output] Failed to capture a frame:', err);
+                });
+        }
+    }
+}
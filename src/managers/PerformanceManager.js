@@ -0,0 +1,294 @@
+import { LOCAL_KEY } from '../core/ProjectStore.js';
+
+// Followed by the project's key, so only windows of the same project talk to each other
+const CHANNEL_PREFIX = 'patchtoy-performance-';
+
+// Delay before a graph change is sent to the other windows (coalesces drags and typing)
+const GRAPH_SYNC_DELAY = 150;
+
+/**
+ * PerformanceManager - Published controls of the performance view and the sync between windows
+ *
+ * Nodes are published to the performance panel (Constant nodes, Map nodes and control widgets,
+ * anything implementing getPerformanceFields()). The layout (order, labels, panel side) is saved
+ * with the project.
+ *
+ * Second windows of a project (e.g. output on a projector, controls on a laptop) are kept in sync
+ * with its editor window over a BroadcastChannel of that project. Editor windows ignore each
+ * other (another tab could have the same project open), and only second windows take the graph:
+ *   hello / here / bye - windows announcing themselves, so nothing is sent while working alone
+ *   values - uniform values of one node (no recompilation)
+ *   graph  - the serialized graph after structural edits (editor to second windows)
+ *   layout - the performance panel layout after edits in a second window (to the editor)
+ */
+export class PerformanceManager {
+    constructor(nodeGraph) {
+        this.nodeGraph = nodeGraph;
+
+        // Saved layout
+        this.controls = []; // [{ nodeId, label }] in panel order
+        this.side = 'right';
+
+        // Second windows mirror the editor window of the project in their URL (?perform=<key>) and don't save it
+        const params = new URLSearchParams(window.location.search);
+        this.isSecondaryWindow = params.has('perform');
+        this.projectKey = this.isSecondaryWindow ? params.get('perform') || LOCAL_KEY : null;
+
+        this.windowId = Math.random().toString(36).slice(2);
+        this.peers = new Set(); // Windows of the other kind (second windows for the editor, the editor for a second window)
+        this.applyingRemote = false;
+        this.graphSyncTimer = null;
+        this.channel = null;
+
+        // Callbacks
+        this.onControlsChanged = null; // Published controls or layout changed (panel rebuild)
+        this.onValuesChanged = null;   // Values of published nodes changed (panel update)
+        this.getProjectKey = null;     // Key of the project open in the editor (set by the app)
+
+        if (this.isSecondaryWindow) this.openChannel(this.projectKey);
+        window.addEventListener('pagehide', () => this.post({ type: 'bye' }));
+    }
+
+    /**
+     * Move the editor window to the channel of the project it has open
+     */
+    updateChannel() {
+        if (this.isSecondaryWindow || !this.getProjectKey) return;
+        const key = this.getProjectKey();
+        if (key !== this.projectKey) this.openChannel(key);
+    }
+
+    openChannel(key) {
+        if (typeof BroadcastChannel === 'undefined') return;
+        if (this.channel) {
+            this.post({ type: 'bye' });
+            this.channel.close();
+        }
+
+        this.projectKey = key;
+        this.peers.clear();
+        this.channel = new BroadcastChannel(CHANNEL_PREFIX + key);
+        this.channel.onmessage = (e) => this.receive(e.data);
+        this.post({ type: 'hello' });
+    }
+
+    /**
+     * Whether a node can be published (it lists the values it exposes)
+     */
+    static isPublishable(node) {
+        return !!node && typeof node.getPerformanceFields === 'function';
+    }
+
+    isPublished(node) {
+        return this.controls.some(control => control.nodeId === node.id);
+    }
+
+    /**
+     * Publish the given nodes, or unpublish them if they all are already
+     * Returns false if none of them can be published
+     */
+    togglePublished(nodes) {
+        const publishable = nodes.filter(node => PerformanceManager.isPublishable(node));
+        if (publishable.length === 0) return false;
+
+        if (publishable.every(node => this.isPublished(node))) {
+            const ids = new Set(publishable.map(node => node.id));
+            this.controls = this.controls.filter(control => !ids.has(control.nodeId));
+        } else {
+            for (const node of publishable) {
+                if (!this.isPublished(node)) {
+                    this.controls.push({ nodeId: node.id, label: node.definition?.displayTitle || node.type });
+                }
+            }
+        }
+
+        this.changed();
+        return true;
+    }
+
+    unpublish(nodeId) {
+        this.controls = this.controls.filter(control => control.nodeId !== nodeId);
+        this.changed();
+    }
+
+    /**
+     * Move a control up (-1) or down (+1) in the panel
+     */
+    move(nodeId, offset) {
+        const index = this.controls.findIndex(control => control.nodeId === nodeId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.controls.length) return;
+
+        const [control] = this.controls.splice(index, 1);
+        this.controls.splice(target, 0, control);
+        this.changed();
+    }
+
+    rename(nodeId, label) {
+        const control = this.controls.find(c => c.nodeId === nodeId);
+        if (!control || !label || control.label === label) return;
+
+        control.label = label;
+        this.changed();
+    }
+
+    setSide(side) {
+        this.side = side;
+        this.changed();
+    }
+
+    /**
+     * Published controls with their live nodes (controls of deleted nodes are skipped)
+     */
+    getControls() {
+        return this.controls
+            .map(control => ({ ...control, node: this.nodeGraph.nodes.find(n => n.id === control.nodeId) }))
+            .filter(control => PerformanceManager.isPublishable(control.node));
+    }
+
+    /**
+     * Notify the panel and the project (autosave, undo history) after a layout edit
+     */
+    changed() {
+        if (this.onControlsChanged) this.onControlsChanged();
+        if (this.nodeGraph.onPerformanceChanged) this.nodeGraph.onPerformanceChanged();
+
+        // The editor keeps its own graph; only layout edits made here go back to it
+        if (this.isSecondaryWindow && !this.applyingRemote) {
+            this.post({ type: 'layout', layout: this.serialize(this.nodeGraph.nodes) });
+        }
+    }
+
+    /**
+     * Called after every graph change: the panel is rebuilt and other windows get the new graph
+     */
+    graphChanged() {
+        if (this.onControlsChanged) this.onControlsChanged();
+        // Loading another project moves the editor to that project's channel
+        this.updateChannel();
+        if (this.isSecondaryWindow || this.applyingRemote || this.peers.size === 0) return;
+
+        clearTimeout(this.graphSyncTimer);
+        this.graphSyncTimer = setTimeout(() => this.sendGraph(), GRAPH_SYNC_DELAY);
+    }
+
+    /**
+     * Called when a node's uniform values change without recompiling (widgets, uniform constants)
+     */
+    valuesChanged(node) {
+        if (this.onValuesChanged) this.onValuesChanged(node);
+        if (this.applyingRemote || this.peers.size === 0) return;
+
+        this.post({
+            type: 'values',
+            nodeId: node.id,
+            data: node.data,
+            state: node.getSharedState ? node.getSharedState() : null
+        });
+    }
+
+    sendGraph() {
+        this.graphSyncTimer = null;
+        this.post({ type: 'graph', graph: this.nodeGraph.serialize() });
+    }
+
+    post(message) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage({ ...message, from: this.windowId, isSecondary: this.isSecondaryWindow });
+        } catch (err) {
+            console.error('[Performance] Failed to sync with other windows:', err);
+        }
+    }
+
+    receive(message) {
+        // Editor windows ignore each other, and so do second windows
+        if (!message || message.from === this.windowId || message.isSecondary === this.isSecondaryWindow) return;
+
+        switch (message.type) {
+            case 'hello':
+                this.peers.add(message.from);
+                this.post({ type: 'here' });
+                // The editor window brings a new window up to date (its autosave may lag behind)
+                if (!this.isSecondaryWindow) this.sendGraph();
+                break;
+
+            case 'here':
+                this.peers.add(message.from);
+                break;
+
+            case 'bye':
+                this.peers.delete(message.from);
+                break;
+
+            case 'values':
+                this.peers.add(message.from);
+                this.applyRemote(() => this.applyValues(message));
+                break;
+
+            case 'graph':
+                this.peers.add(message.from);
+                if (this.isSecondaryWindow) {
+                    this.applyRemote(() => this.nodeGraph.applySnapshot(message.graph));
+                }
+                break;
+
+            case 'layout':
+                this.peers.add(message.from);
+                if (!this.isSecondaryWindow) {
+                    this.applyRemote(() => {
+                        this.load(message.layout);
+                        if (this.nodeGraph.onPerformanceChanged) this.nodeGraph.onPerformanceChanged();
+                    });
+                }
+                break;
+        }
+    }
+
+    /**
+     * Apply a change from another window without sending it back
+     */
+    applyRemote(apply) {
+        this.applyingRemote = true;
+        try {
+            apply();
+        } finally {
+            this.applyingRemote = false;
+        }
+    }
+
+    applyValues({ nodeId, data, state }) {
+        const node = this.nodeGraph.nodes.find(n => n.id === nodeId);
+        if (!node) return;
+
+        node.data = { ...data };
+        node.rebuildTextInputs();
+        if (node.updateUniformRegistry) node.updateUniformRegistry();
+        if (state && node.applySharedState) node.applySharedState(state);
+
+        // Saves the values (the editor window keeps the project up to date)
+        if (this.nodeGraph.onUniformValueChanged) this.nodeGraph.onUniformValueChanged(node);
+        this.nodeGraph.render();
+    }
+
+    /**
+     * Serialize the layout, skipping controls of nodes that no longer exist
+     */
+    serialize(nodes) {
+        const nodeIds = new Set(nodes.map(n => n.id));
+        return {
+            side: this.side,
+            controls: this.controls.filter(control => nodeIds.has(control.nodeId))
+        };
+    }
+
+    /**
+     * Restore a saved layout (a missing one resets to defaults)
+     */
+    load(data) {
+        const saved = data ? JSON.parse(JSON.stringify(data)) : {};
+        this.side = saved.side === 'left' ? 'left' : 'right';
+        this.controls = Array.isArray(saved.controls) ? saved.controls : [];
+        if (this.onControlsChanged) this.onControlsChanged();
+    }
+}
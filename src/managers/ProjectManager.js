@@ -1,5 +1,15 @@
 import { NodeDefinitions } from '../core/NodeDefinitions.js';
+import { GroupRegistry } from '../core/GroupRegistry.js';
+import { AssetRegistry } from '../core/AssetRegistry.js';
+import { NodeLibrary } from '../core/NodeLibrary.js';
+import { ProjectStore, LOCAL_KEY } from '../core/ProjectStore.js';
+import { ProjectMerge } from '../utils/ProjectMerge.js';
 import { FloatingCodeEditor } from '../ui/FloatingCodeEditor.js';
+import { SyncManager } from './SyncManager.js';
+
+function emptySync() {
+    return { etag: null, base: null, pending: false, message: '' };
+}
 
 export class ProjectManager {
     constructor(nodeGraph, apiClient) {
@@ -18,59 +28,71 @@ export class ProjectManager {
             isDirty: false,       // Has unsaved changes
             source: 'new',        // 'new', 'file', 'cloud'
             lastModified: null,   // Timestamp of last modification
-            title: 'Untitled Project'
+            title: 'Untitled Project',
+            forkedFrom: null      // { projectId, name, username } of the project this was forked from
         };
+
+        // Second performance windows mirror the editor window, which does the saving
+        this.isSaveDisabled = false;
+
+        // Revision shown in place of the project: { revision, stash } (stash = the project to return to)
+        this.revisionPreview = null;
+
+        // How the local copy relates to the cloud project (see ProjectStore)
+        this.sync = emptySync();
+        this.localSave = Promise.resolve(); // Local saves are written in order
+        this.cloudPush = Promise.resolve(); // So are cloud saves
+        this.saveRequests = 0; // Counts saves, to tell if another one was asked for during a push
+        this.syncManager = new SyncManager(this, apiClient);
+
+        // Asks which version to keep when the project changed both here and in the cloud:
+        // async ({ title, local, cloud, base, merged, cloudUpdatedAt }) => 'merge' | 'local' | 'cloud' | null (decide later)
+        // merged is ProjectMerge's { data, conflicts }, or null without a common version to merge from
+        this.onSyncConflict = null;
+    }
+
+    /**
+     * Key of the open project's local copy
+     */
+    getStoreKey() {
+        return this.projectState.projectId || LOCAL_KEY;
     }
 
+    /**
+     * Save the project to its local copy (also remembered as the project to reopen)
+     */
     saveGraph() {
+        if (this.isSaveDisabled) return;
+
         try {
-            const data = {
-                graph: this.nodeGraph.serialize(),
-                projectTitle: this.projectTitle,
-                currentProjectId: this.currentProjectId,
-                editorStates: FloatingCodeEditor.getAllStates(),
-                projectState: this.projectState
+            const now = new Date().toISOString();
+            const record = {
+                key: this.getStoreKey(),
+                title: this.projectTitle,
+                projectState: { ...this.projectState },
+                data: { ...this.getCurrentProjectData(), timestamp: now },
+                sync: { ...this.sync },
+                savedAt: now
             };
-            localStorage.setItem('patchtoy_graph', JSON.stringify(data));
+            ProjectStore.setCurrentKey(record.key);
+            this.localSave = this.localSave
+                .then(() => ProjectStore.put(record))
+                .catch(e => console.error('Failed to save graph:', e));
         } catch (e) {
             console.error('Failed to save graph:', e);
         }
     }
 
-    loadGraph() {
+    /**
+     * Open a project's local copy (by default the project that was open last), returns editor states to restore
+     */
+    async loadGraph(onCreateCustomNode, key = null) {
         try {
-            const saved = localStorage.getItem('patchtoy_graph');
-            if (saved) {
-                const data = JSON.parse(saved);
-
-                // Handle old format (just graph) and new format (with metadata)
-                if (data.graph) {
-                    this.nodeGraph.deserialize(data.graph);
-                    this.projectTitle = data.projectTitle || 'Untitled Project';
-                    this.currentProjectId = data.currentProjectId || null;
-                    document.getElementById('projectTitleDisplay').textContent = this.projectTitle;
-
-                    // Restore project state if present
-                    if (data.projectState) {
-                        this.projectState = { ...data.projectState };
-                        this.updateOwnershipDisplay();
-                    } else {
-                        // Migrate old data to new format
-                        this.projectState.title = this.projectTitle;
-                        this.projectState.projectId = this.currentProjectId;
-                        if (this.currentProjectId) {
-                            this.projectState.source = 'cloud';
-                            this.projectState.isOwner = true; // Assume ownership for old data
-                        }
-                    }
-
-                    // Return editor states if present (caller will restore them)
-                    return data.editorStates || [];
-                } else {
-                    // Old format - just the graph data
-                    this.nodeGraph.deserialize(data);
-                    return [];
-                }
+            await ProjectStore.migrateFromLocalStorage();
+            const record = await ProjectStore.get(key || ProjectStore.getCurrentKey());
+            if (record) {
+                await this.openLocalCopy(record, onCreateCustomNode);
+                return record.data.editorStates || [];
             } else {
                 // No saved data - initialize with bare minimum
                 console.log('No saved graph found, initializing empty project');
@@ -102,6 +124,7 @@ export class ProjectManager {
             lastModified: null,
             title: 'Untitled Project'
         };
+        this.sync = emptySync();
 
         const titleElement = document.getElementById('projectTitleDisplay');
         if (titleElement) {
@@ -114,26 +137,20 @@ export class ProjectManager {
         this.saveGraph();
     }
 
-    saveProjectToFile() {
+    async saveProjectToFile() {
         try {
-            // Collect all custom nodes
-            const customNodes = {};
-            for (const [name, def] of Object.entries(NodeDefinitions)) {
-                if (def.isCustomNode) {
-                    customNodes[name] = {
-                        category: def.category,
-                        inputs: def.inputs,
-                        outputs: def.outputs,
-                        customGLSL: def.customGLSL
-                    };
-                }
-            }
+            // Collect all custom nodes, pinned to the versions in use
+            const customNodes = NodeLibrary.serializeProjectNodes();
 
-            // Create project data
+            // Create project data (media files are embedded so the file is self-contained)
+            const graph = this.nodeGraph.serialize();
+            const nodeGroups = GroupRegistry.serialize();
             const projectData = {
                 version: '1.0',
-                graph: this.nodeGraph.serialize(),
+                graph: graph,
                 customNodes: customNodes,
+                nodeGroups: nodeGroups,
+                assets: await AssetRegistry.serializeEmbedded(AssetRegistry.collectIds(graph, nodeGroups)),
                 editorStates: FloatingCodeEditor.getAllStates(),
                 timestamp: new Date().toISOString()
             };
@@ -169,33 +186,28 @@ export class ProjectManager {
                 throw new Error('Invalid project file: missing graph data');
             }
 
-            // Handle custom nodes
+            // Use the custom node versions the project was saved with
+            // (replaced versions stay in the node library and can be switched back to)
             const customNodesToLoad = projectData.customNodes || {};
-            const conflictingNodes = [];
-
-            // Check for conflicts with existing custom nodes
+            const switchedNodes = [];
             for (const [name, nodeData] of Object.entries(customNodesToLoad)) {
                 const existing = NodeDefinitions[name];
-                if (existing && existing.isCustomNode) {
-                    // Check if GLSL is different
-                    if (existing.customGLSL !== nodeData.customGLSL) {
-                        conflictingNodes.push({ name, existing, incoming: nodeData });
-                    }
-                } else if (!existing) {
-                    // New custom node - load it
-                    onCreateCustomNode(name, nodeData.customGLSL, true);
+                if (existing) {
+                    if (!existing.isCustomNode || existing.customGLSL === nodeData.customGLSL) continue;
+                    switchedNodes.push(name);
                 }
+                onCreateCustomNode(name, nodeData.customGLSL, true);
             }
-
-            // Handle conflicts
-            if (conflictingNodes.length > 0) {
-                const resolved = await this.resolveCustomNodeConflicts(conflictingNodes, onCreateCustomNode);
-                if (!resolved) {
-                    console.log('Load cancelled by user');
-                    return;
-                }
+            if (switchedNodes.length > 0) {
+                console.log(`Switched custom nodes to the project's versions: ${switchedNodes.join(', ')}`);
             }
 
+            // Register node groups (their nested groups and custom nodes are loaded by now)
+            GroupRegistry.load(projectData.nodeGroups);
+
+            // Register media files before nodes start loading them
+            await AssetRegistry.load(projectData.assets);
+
             // Load the graph
             this.nodeGraph.deserialize(projectData.graph);
 
@@ -210,12 +222,13 @@ export class ProjectManager {
                 lastModified: new Date().toISOString(),
                 title: this.projectTitle
             };
+            this.sync = emptySync();
 
             // Clear URL since this is a local file
             this.clearProjectUrl();
             this.updateOwnershipDisplay();
 
-            // Save to localStorage (skip project copy since loaded from file)
+            // Save the local copy
             this.saveGraph();
             onSaveCustomNodes();
 
@@ -233,177 +246,139 @@ export class ProjectManager {
         }
     }
 
-    async resolveCustomNodeConflicts(conflicts, onCreateCustomNode) {
-        return new Promise((resolve) => {
-            const overlay = document.createElement('div');
-            overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background: rgba(0,0,0,0.7); display: flex; align-items: center; justify-content: center; z-index: 10000;';
-
-            const dialog = document.createElement('div');
-            dialog.style.cssText = 'background: #2d2d2d; border: 1px solid #444; border-radius: 8px; padding: 20px; width: 600px; max-width: 90vw; max-height: 80vh; overflow-y: auto;';
-
-            const title = document.createElement('h2');
-            title.textContent = 'Custom Node Conflicts';
-            title.style.cssText = 'margin: 0 0 15px 0; color: #fff; font-size: 18px;';
-            dialog.appendChild(title);
-
-            const description = document.createElement('p');
-            description.textContent = 'The following custom nodes already exist with different code. Choose which version to keep:';
-            description.style.cssText = 'color: #ccc; margin-bottom: 20px;';
-            dialog.appendChild(description);
-
-            const choices = {};
-
-            for (const conflict of conflicts) {
-                const conflictDiv = document.createElement('div');
-                conflictDiv.style.cssText = 'margin-bottom: 20px; padding: 15px; background: #1e1e1e; border-radius: 4px;';
-
-                const nodeName = document.createElement('div');
-                nodeName.textContent = `Node: ${conflict.name}`;
-                nodeName.style.cssText = 'color: #4ec9b0; font-weight: bold; margin-bottom: 10px;';
-                conflictDiv.appendChild(nodeName);
-
-                const optionLocal = document.createElement('label');
-                optionLocal.style.cssText = 'display: block; color: #ccc; margin: 5px 0; cursor: pointer;';
-                const radioLocal = document.createElement('input');
-                radioLocal.type = 'radio';
-                radioLocal.name = `conflict_${conflict.name}`;
-                radioLocal.value = 'local';
-                radioLocal.checked = true;
-                radioLocal.style.marginRight = '8px';
-                optionLocal.appendChild(radioLocal);
-                optionLocal.appendChild(document.createTextNode('Keep local version (currently in editor)'));
-                conflictDiv.appendChild(optionLocal);
-
-                const optionIncoming = document.createElement('label');
-                optionIncoming.style.cssText = 'display: block; color: #ccc; margin: 5px 0; cursor: pointer;';
-                const radioIncoming = document.createElement('input');
-                radioIncoming.type = 'radio';
-                radioIncoming.name = `conflict_${conflict.name}`;
-                radioIncoming.value = 'incoming';
-                radioIncoming.style.marginRight = '8px';
-                optionIncoming.appendChild(radioIncoming);
-                optionIncoming.appendChild(document.createTextNode('Use version from file'));
-                conflictDiv.appendChild(optionIncoming);
-
-                dialog.appendChild(conflictDiv);
-
-                choices[conflict.name] = { radioLocal, radioIncoming, conflict };
-            }
+    /**
+     * Save the project to the cloud; each save of an existing project is kept as a revision
+     * @param {string} message - Optional description shown in the project history
+     */
+    async saveToCloud(message = '') {
+        if (!this.apiClient.isLoggedIn()) {
+            alert('Please login first');
+            return { needsLogin: true };
+        }
 
-            const buttonContainer = document.createElement('div');
-            buttonContainer.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;';
-
-            const cancelBtn = document.createElement('button');
-            cancelBtn.textContent = 'Cancel';
-            cancelBtn.style.cssText = 'padding: 8px 16px; background: #444; border: 1px solid #666; border-radius: 4px; color: #fff; cursor: pointer;';
-            cancelBtn.addEventListener('click', () => {
-                overlay.remove();
-                resolve(false);
-            });
-
-            const continueBtn = document.createElement('button');
-            continueBtn.textContent = 'Continue';
-            continueBtn.style.cssText = 'padding: 8px 16px; background: #007acc; border: 1px solid #007acc; border-radius: 4px; color: #fff; cursor: pointer;';
-            continueBtn.addEventListener('click', () => {
-                // Apply choices
-                for (const [name, choice] of Object.entries(choices)) {
-                    if (choice.radioIncoming.checked) {
-                        // Use incoming version - recreate the node
-                        onCreateCustomNode(name, choice.conflict.incoming.customGLSL, true);
-                    }
-                    // If radioLocal is checked, do nothing (keep existing)
-                }
-                overlay.remove();
-                resolve(true);
-            });
+        if (this.revisionPreview) {
+            alert('Leave the revision preview before saving (or restore the revision)');
+            return { error: new Error('Previewing a revision') };
+        }
 
-            buttonContainer.appendChild(cancelBtn);
-            buttonContainer.appendChild(continueBtn);
-            dialog.appendChild(buttonContainer);
+        const { source, isOwner, projectId } = this.projectState;
 
-            overlay.appendChild(dialog);
-            document.body.appendChild(overlay);
-        });
-    }
+        if (source === 'cloud' && isOwner) {
+            // Queue the save in the local copy, so it goes through once back online
+            this.sync.pending = true;
+            this.sync.message = message;
+            this.saveRequests++;
 
-    async saveToCloud() {
-        if (!this.apiClient.isLoggedIn()) {
-            alert('Please login first');
-            return { needsLogin: true };
+            try {
+                return await this.pushToCloud();
+            } catch (err) {
+                alert('Failed to save project: ' + err.message);
+                return { error: err };
+            }
         }
 
         try {
-            // Collect all custom nodes
-            const customNodes = {};
-            for (const [nodeName, def] of Object.entries(NodeDefinitions)) {
-                if (def.isCustomNode) {
-                    customNodes[nodeName] = {
-                        category: def.category,
-                        inputs: def.inputs,
-                        outputs: def.outputs,
-                        customGLSL: def.customGLSL
-                    };
-                }
-            }
+            // Collect all custom nodes, pinned to the versions in use
+            const customNodes = NodeLibrary.serializeProjectNodes();
 
-            // Create project data with custom nodes
+            // Create project data with custom nodes (media files are uploaded and stored by URL)
+            const graph = this.nodeGraph.serialize();
+            const nodeGroups = GroupRegistry.serialize();
             const projectData = {
                 version: '1.0',
-                graph: this.nodeGraph.serialize(),
+                graph: graph,
                 customNodes: customNodes,
+                nodeGroups: nodeGroups,
+                assets: await AssetRegistry.serializeUploaded(AssetRegistry.collectIds(graph, nodeGroups), this.apiClient),
                 editorStates: FloatingCodeEditor.getAllStates(),
                 timestamp: new Date().toISOString()
             };
 
-            const { source, isOwner, projectId } = this.projectState;
-
-            // Determine save behavior based on project state
-            if (source === 'new' || source === 'file') {
-                // Create new cloud project
-                return { needsName: true, projectData };
-            } else if (source === 'cloud' && isOwner) {
-                // Update existing project
-                await this.apiClient.updateProject(projectId, {
-                    name: this.projectTitle,
-                    data: projectData
-                });
-
-                // Update state
-                this.projectState.lastModified = projectData.timestamp;
-                this.markClean();
-
-                // Save both to localStorage and project-specific copy
-                this.saveGraph();
-                this.saveLocalProjectCopy(projectId, {
-                    graph: projectData.graph,
-                    projectTitle: this.projectTitle,
-                    currentProjectId: projectId,
-                    editorStates: projectData.editorStates,
-                    projectState: this.projectState,
-                    customNodes: projectData.customNodes
-                });
-
-                console.log('Project updated:', this.projectTitle);
-                return { success: true };
-            } else if (source === 'cloud' && !isOwner) {
+            if (source === 'cloud') {
                 // Fork: Create copy of someone else's project
                 return {
                     needsName: true,
                     projectData,
                     isFork: true,
+                    forkOf: projectId,
                     originalName: this.projectState.title
                 };
             }
+
+            // New or loaded from a file: create a new cloud project
+            return { needsName: true, projectData };
         } catch (err) {
             alert('Failed to save project: ' + err.message);
             return { error: err };
         }
     }
 
-    async saveNewProject(name, projectData) {
+    /**
+     * Push the open project's queued save to the cloud
+     * Returns { success, revisionId }, { queued } while offline, or { conflict } if the cloud
+     * project changed since the last sync (reopen the project to resolve it)
+     */
+    pushToCloud() {
+        // One push at a time, so each is based on the version the previous one saved
+        const push = this.cloudPush.then(() => this.pushQueuedSave());
+        this.cloudPush = push.catch(() => {});
+        return push;
+    }
+
+    async pushQueuedSave() {
+        if (!this.sync.pending) return { success: true }; // Already pushed
+
+        const key = this.getStoreKey();
+        const lastModified = this.projectState.lastModified;
+        const saveRequest = this.saveRequests;
+        this.saveGraph();
+        await this.localSave;
+        const record = await ProjectStore.get(key);
+
+        const result = await this.syncManager.push(record);
+
+        // The editor may have moved on to another project during the push
+        if (this.getStoreKey() !== key || this.revisionPreview) {
+            await this.localSave;
+            await this.syncManager.applyPushResult(record, result);
+        } else if (result.status === 'saved') {
+            const isPending = this.saveRequests !== saveRequest;
+            this.sync = { etag: result.etag, base: result.data, pending: isPending, message: isPending ? this.sync.message : '' };
+            // Edits made during the push are still to be saved
+            if (this.projectState.lastModified === lastModified) {
+                this.markClean();
+            }
+            this.saveGraph();
+            this.updateOwnershipDisplay();
+            await this.uploadThumbnail(key, result.revisionId);
+
+            console.log('Project updated:', this.projectTitle);
+        } else {
+            this.updateOwnershipDisplay();
+        }
+
+        if (result.status === 'saved') return { success: true, revisionId: result.revisionId };
+        if (result.status === 'offline') {
+            console.log('[ProjectManager] Offline, the save is queued:', this.projectTitle);
+            return { queued: true };
+        }
+        return { conflict: true };
+    }
+
+    /**
+     * Save the project as a new cloud project, or as a fork of forkOf (keeps attribution)
+     */
+    async saveNewProject(name, projectData, forkOf = null) {
         try {
             const currentUser = this.apiClient.getCurrentUser();
-            const result = await this.apiClient.saveProject(name, projectData);
+            const result = forkOf
+                ? await this.apiClient.forkProject(forkOf, { name, data: projectData })
+                : await this.apiClient.saveProject(name, projectData);
+            await this.uploadThumbnail(result.id, result.revisionId);
+
+            // The local copy moves to the new project's key
+            this.removeLocalCopy(this.getStoreKey());
+            this.sync = { etag: result.etag || null, base: projectData, pending: false, message: '' };
 
             // Update legacy fields
             this.currentProjectId = result.id;
@@ -419,7 +394,8 @@ export class ProjectManager {
                 isDirty: false,
                 source: 'cloud',
                 lastModified: projectData.timestamp || new Date().toISOString(),
-                title: name
+                title: name,
+                forkedFrom: result.forkedFrom || null
             };
 
             // Update UI
@@ -429,7 +405,7 @@ export class ProjectManager {
             // Set URL to new project
             this.setProjectUrl(result.id);
 
-            // Save to localStorage
+            // Save the local copy
             this.saveGraph();
 
             return true;
@@ -440,72 +416,64 @@ export class ProjectManager {
 
     async loadCloudProject(projectId, onCreateCustomNode) {
         try {
-            // IMPORTANT: Save current project's local copy before switching
-            // This must happen BEFORE we change projectState
-            if (this.projectState.projectId && this.projectState.isDirty) {
-                const currentData = {
-                    graph: this.nodeGraph.serialize(),
-                    projectTitle: this.projectTitle,
-                    currentProjectId: this.currentProjectId,
-                    editorStates: FloatingCodeEditor.getAllStates(),
-                    projectState: this.projectState
-                };
-                this.saveLocalProjectCopy(this.projectState.projectId, currentData);
-                console.log(`Saved local copy of project ${this.projectState.projectId} before switching`);
+            // The open project's local copy is saved on every change, make sure it's written before switching
+            await this.localSave;
+
+            const localCopy = await ProjectStore.get(projectId);
+            let project;
+            try {
+                project = await this.apiClient.getProject(projectId);
+            } catch (err) {
+                // Offline: carry on with the local copy
+                if (err.status || !localCopy) throw err;
+                console.warn('[ProjectManager] Could not reach the cloud, opening the local copy:', err);
+                await this.openLocalCopy(localCopy, onCreateCustomNode);
+                this.setProjectUrl(projectId);
+                this.saveGraph();
+                return { success: true, offline: true, editorStates: localCopy.data.editorStates || [] };
             }
-
-            const project = await this.apiClient.getProject(projectId);
             console.log('Loaded project from API:', project);
             const currentUser = this.apiClient.getCurrentUser();
 
-            // Check if we have a local copy
-            const localCopy = this.getLocalProjectCopy(projectId);
-
-            // Compare timestamps if both exist
-            let useLocalCopy = false;
+            const cloudEtag = project.etag || null;
             let dataToLoad = project.data;
+            let sync = { etag: cloudEtag, base: project.data, pending: false, message: '' };
+            let useLocalCopy = false;
 
-            if (localCopy && localCopy.localTimestamp && project.data.timestamp) {
-                const localTime = new Date(localCopy.localTimestamp);
-                const cloudTime = new Date(project.data.timestamp);
-
-                if (localTime > cloudTime) {
-                    useLocalCopy = true;
-                    console.log('Using local copy (more recent than cloud version)');
-
-                    // Local copy has the full localStorage structure, extract the project data
-                    // Need to reconstruct it in the same format as project.data
-                    dataToLoad = {
-                        version: '1.0',
-                        graph: localCopy.graph,
-                        customNodes: localCopy.customNodes || {},
-                        editorStates: localCopy.editorStates || [],
-                        timestamp: localCopy.localTimestamp
-                    };
-                }
-            }
-
-            // Handle new format (with version, graph, customNodes)
-            if (dataToLoad.graph) {
-                // New format: {version, graph, customNodes, ...}
-                // Load custom nodes first
-                if (dataToLoad.customNodes) {
-                    for (const [nodeName, nodeData] of Object.entries(dataToLoad.customNodes)) {
-                        onCreateCustomNode(nodeName, nodeData.customGLSL);
+            // Changes that didn't make it to the cloud yet
+            if (localCopy && localCopy.projectState.isDirty) {
+                useLocalCopy = true;
+                if ((localCopy.sync.etag || null) === cloudEtag) {
+                    // The cloud project is still the version they're based on
+                    dataToLoad = localCopy.data;
+                    sync = { ...localCopy.sync, base: localCopy.sync.base || project.data };
+                } else {
+                    // It was saved elsewhere in the meantime
+                    const { choice, data } = await this.resolveConflict(localCopy, project);
+                    if (choice === 'cloud') {
+                        useLocalCopy = false;
+                    } else if (choice === null) {
+                        // Decide later: the conflict comes back on the next save
+                        dataToLoad = data;
+                        sync = { ...emptySync(), ...localCopy.sync, pending: false };
+                    } else {
+                        // Now based on the cloud version, a queued save can go through
+                        dataToLoad = data;
+                        sync = { ...sync, pending: localCopy.sync.pending, message: localCopy.sync.message };
                     }
                 }
+            }
 
-                // Then deserialize the graph
-                this.nodeGraph.deserialize(dataToLoad.graph);
-            } else if (dataToLoad.nodes) {
-                // Very old format - graph data directly with nodes/connections
-                this.nodeGraph.deserialize(dataToLoad);
-            } else {
-                throw new Error('Invalid project data format');
+            if (useLocalCopy) {
+                // Media files only the cloud version has are still needed
+                dataToLoad = { ...dataToLoad, assets: { ...(project.data.assets || {}), ...(dataToLoad.assets || {}) } };
             }
 
-            // Update legacy fields
-            this.projectTitle = project.name;
+            await this.applyProjectData(dataToLoad, onCreateCustomNode);
+            this.sync = sync;
+
+            // Update legacy fields (the title may have been changed offline)
+            this.projectTitle = useLocalCopy ? localCopy.title : project.name;
             this.currentProjectId = projectId;
 
             // Update project state
@@ -515,10 +483,11 @@ export class ProjectManager {
                 ownerId: project.userId,
                 ownerUsername: project.username,
                 isOwner: isOwner,
-                isDirty: useLocalCopy, // Mark as dirty if using local (newer) copy
+                isDirty: useLocalCopy, // Local changes still to be saved to the cloud
                 source: 'cloud',
-                lastModified: useLocalCopy ? localCopy.localTimestamp : (project.data.timestamp || new Date().toISOString()),
-                title: project.name
+                lastModified: useLocalCopy ? localCopy.savedAt : (project.data.timestamp || new Date().toISOString()),
+                title: this.projectTitle,
+                forkedFrom: project.forkedFrom || null
             };
 
             // Update legacy viewingSharedProject for compatibility
@@ -534,15 +503,19 @@ export class ProjectManager {
             }
 
             // Update UI
-            document.getElementById('projectTitleDisplay').textContent = project.name;
+            document.getElementById('projectTitleDisplay').textContent = this.projectTitle;
             this.updateOwnershipDisplay();
 
             // Set URL
             this.setProjectUrl(projectId);
 
-            // Save to localStorage (but skip project copy to avoid overwriting)
             this.saveGraph();
 
+            // A save queued before the conflict was resolved
+            if (this.sync.pending && isOwner) {
+                this.pushToCloud().catch(err => console.error('[ProjectManager] Could not push queued save:', err));
+            }
+
             console.log(`Loaded project: ${project.name}${useLocalCopy ? ' (from local copy)' : ''}`);
 
             // Return editor states if present
@@ -557,6 +530,196 @@ export class ProjectManager {
         }
     }
 
+    /**
+     * Open a project's local copy in the editor (the project open last, or a cloud project while offline)
+     */
+    async openLocalCopy(record, onCreateCustomNode) {
+        await this.applyProjectData(record.data, onCreateCustomNode);
+
+        const isCloud = record.key !== LOCAL_KEY;
+        this.projectTitle = record.title || 'Untitled Project';
+        this.projectState = {
+            projectId: isCloud ? record.key : null,
+            ownerId: null,
+            ownerUsername: null,
+            isOwner: false,
+            isDirty: false,
+            source: isCloud ? 'cloud' : 'new',
+            lastModified: record.savedAt || null,
+            forkedFrom: null,
+            ...record.projectState,
+            title: this.projectTitle
+        };
+        this.currentProjectId = this.projectState.projectId;
+        this.sync = { ...emptySync(), ...record.sync };
+
+        const { projectId, isOwner, ownerUsername } = this.projectState;
+        this.viewingSharedProject = isCloud && !isOwner
+            ? { id: projectId, name: this.projectTitle, username: ownerUsername, isOwner: false }
+            : null;
+
+        document.getElementById('projectTitleDisplay').textContent = this.projectTitle;
+        this.updateOwnershipDisplay();
+    }
+
+    /**
+     * Ask which version to keep when a project changed both locally and in the cloud since the last sync
+     * Returns { choice, data }, choice being 'merge', 'local', 'cloud' or null (decide later, keeps the local data)
+     */
+    async resolveConflict(localCopy, project) {
+        const local = localCopy.data;
+        const cloud = project.data;
+        const base = localCopy.sync.base;
+
+        // Local copies that were never synced have nothing to merge from
+        const merged = base ? ProjectMerge.merge(base, local, cloud) : null;
+        const choice = this.onSyncConflict
+            ? await this.onSyncConflict({ title: project.name, local, cloud, base, merged, cloudUpdatedAt: project.updatedAt })
+            : 'local';
+
+        if (choice === 'merge' && merged) return { choice, data: merged.data };
+        if (choice === 'cloud') return { choice, data: cloud };
+        return { choice: choice === 'merge' ? 'local' : choice, data: local };
+    }
+
+    /**
+     * Load cloud project data (or a revision's) into the editor
+     */
+    async applyProjectData(data, onCreateCustomNode) {
+        // Handle new format (with version, graph, customNodes)
+        if (data.graph) {
+            // New format: {version, graph, customNodes, ...}
+            // Load custom nodes first
+            if (data.customNodes) {
+                for (const [nodeName, nodeData] of Object.entries(data.customNodes)) {
+                    onCreateCustomNode(nodeName, nodeData.customGLSL);
+                }
+            }
+
+            // Then node groups, which may reference custom nodes
+            GroupRegistry.load(data.nodeGroups);
+
+            // And the media files used by Image/Video File nodes
+            await AssetRegistry.load(data.assets);
+
+            // Then deserialize the graph
+            this.nodeGraph.deserialize(data.graph);
+        } else if (data.nodes) {
+            // Very old format - graph data directly with nodes/connections
+            this.nodeGraph.deserialize(data);
+        } else {
+            throw new Error('Invalid project data format');
+        }
+    }
+
+    /**
+     * Get the project as saved data, without media files (for previews and diffs)
+     * While a revision is previewed, that's the project the preview returns to.
+     */
+    getCurrentProjectData() {
+        if (this.revisionPreview) return this.revisionPreview.stash.data;
+
+        return {
+            version: '1.0',
+            graph: this.nodeGraph.serialize(),
+            customNodes: NodeLibrary.serializeProjectNodes(),
+            nodeGroups: GroupRegistry.serialize(),
+            editorStates: FloatingCodeEditor.getAllStates()
+        };
+    }
+
+    /**
+     * Show a revision in the editor without touching the project
+     * Saving is off until the preview ends; custom nodes should be created without saving them.
+     */
+    async startRevisionPreview(revision, onCreateCustomNode) {
+        if (!this.revisionPreview) {
+            this.revisionPreview = {
+                stash: {
+                    data: this.getCurrentProjectData(),
+                    projectState: { ...this.projectState },
+                    isSaveDisabled: this.isSaveDisabled
+                }
+            };
+            this.isSaveDisabled = true;
+        }
+        this.revisionPreview.revision = revision;
+
+        await this.applyProjectData(revision.data, onCreateCustomNode);
+    }
+
+    /**
+     * Return from a revision preview to the project as it was, returns editor states to restore
+     */
+    async endRevisionPreview(onCreateCustomNode) {
+        if (!this.revisionPreview) return null;
+        const { stash } = this.revisionPreview;
+
+        // Custom nodes only the revision had
+        for (const [name, def] of Object.entries(NodeDefinitions)) {
+            if (def.isCustomNode && !stash.data.customNodes[name]) {
+                delete NodeDefinitions[name];
+            }
+        }
+
+        await this.applyProjectData(stash.data, onCreateCustomNode);
+        this.projectState = stash.projectState;
+
+        this.revisionPreview = null;
+        this.isSaveDisabled = stash.isSaveDisabled;
+        this.saveGraph();
+
+        return { success: true, editorStates: stash.data.editorStates };
+    }
+
+    /**
+     * Restore a revision of the current cloud project and reload it (unsaved changes are discarded)
+     */
+    async restoreRevision(revisionId, onCreateCustomNode) {
+        const { projectId } = this.projectState;
+
+        await this.apiClient.restoreRevision(projectId, revisionId);
+
+        // Whatever was in the editor (a preview or unsaved edits) gives way to the restored data
+        if (this.revisionPreview) {
+            this.projectState = this.revisionPreview.stash.projectState;
+            this.isSaveDisabled = this.revisionPreview.stash.isSaveDisabled;
+            this.revisionPreview = null;
+        }
+        this.markClean();
+        this.sync.pending = false;
+        this.removeLocalCopy(projectId);
+
+        return await this.loadCloudProject(projectId, onCreateCustomNode);
+    }
+
+    /**
+     * Copy a public project into the current user's account and open the copy
+     */
+    async forkCloudProject(projectId, onCreateCustomNode) {
+        const fork = await this.apiClient.forkProject(projectId);
+        return await this.loadCloudProject(fork.id, onCreateCustomNode);
+    }
+
+    /**
+     * Upload a thumbnail of the project for the gallery and history (background Preview node, else the first one)
+     * A missing thumbnail isn't worth failing a save over, so errors are only logged
+     */
+    async uploadThumbnail(projectId, revisionId = null) {
+        const previewNodes = this.nodeGraph.nodes.filter(n => n.isPreviewNode && n.captureThumbnail);
+        const node = previewNodes.find(n => n.isBackground) || previewNodes[0];
+        if (!node) return;
+
+        try {
+            const blob = await node.captureThumbnail();
+            if (blob) {
+                await this.apiClient.uploadThumbnail(projectId, blob, revisionId);
+            }
+        } catch (err) {
+            console.warn('[ProjectManager] Could not upload thumbnail:', err);
+        }
+    }
+
     setProjectTitle(title) {
         this.projectTitle = title || 'Untitled Project';
         this.projectState.title = this.projectTitle;
@@ -581,9 +744,11 @@ export class ProjectManager {
             lastModified: null,
             title: 'Untitled Project'
         };
+        this.sync = emptySync();
+        this.viewingSharedProject = null;
 
         this.clearProjectUrl();
-        // Save to localStorage only (no project copy for cleared project)
+        this.updateOwnershipDisplay();
         this.saveGraph();
     }
 
@@ -610,7 +775,7 @@ export class ProjectManager {
     markDirty() {
         this.projectState.isDirty = true;
         this.projectState.lastModified = new Date().toISOString();
-        this.saveGraph(); // Auto-save to localStorage
+        this.saveGraph(); // Auto-save the local copy
     }
 
     /**
@@ -621,35 +786,12 @@ export class ProjectManager {
     }
 
     /**
-     * Get local copy of a project by ID
-     */
-    getLocalProjectCopy(projectId) {
-        try {
-            const key = `patchtoy_project_${projectId}`;
-            const saved = localStorage.getItem(key);
-            if (saved) {
-                return JSON.parse(saved);
-            }
-        } catch (e) {
-            console.error('Failed to get local project copy:', e);
-        }
-        return null;
-    }
-
-    /**
-     * Save local copy of a project by ID
+     * Remove the local copy of a project (after it's deleted, or so it doesn't win over restored cloud data)
      */
-    saveLocalProjectCopy(projectId, projectData) {
-        try {
-            const key = `patchtoy_project_${projectId}`;
-            const data = {
-                ...projectData,
-                localTimestamp: new Date().toISOString()
-            };
-            localStorage.setItem(key, JSON.stringify(data));
-        } catch (e) {
-            console.error('Failed to save local project copy:', e);
-        }
+    removeLocalCopy(projectId) {
+        this.localSave = this.localSave
+            .then(() => ProjectStore.delete(projectId))
+            .catch(e => console.error('Failed to remove local project copy:', e));
     }
 
     /**
@@ -679,11 +821,19 @@ export class ProjectManager {
             return;
         }
 
+        const parts = [];
         if (this.projectState && this.projectState.ownerUsername && !this.projectState.isOwner) {
-            ownershipElement.textContent = `by @${this.projectState.ownerUsername}`;
-            ownershipElement.style.display = 'block';
-        } else {
-            ownershipElement.style.display = 'none';
+            parts.push(`by @${this.projectState.ownerUsername}`);
+        }
+        if (this.projectState && this.projectState.forkedFrom) {
+            const { name, username } = this.projectState.forkedFrom;
+            parts.push(`forked from "${name}" by @${username}`);
         }
+        if (this.sync && this.sync.pending) {
+            parts.push('saved locally, not synced yet');
+        }
+
+        ownershipElement.textContent = parts.join(' · ');
+        ownershipElement.style.display = parts.length > 0 ? 'block' : 'none';
     }
 }
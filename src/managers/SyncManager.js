@@ -0,0 +1,126 @@
+import { AssetRegistry } from '../core/AssetRegistry.js';
+import { ProjectStore } from '../core/ProjectStore.js';
+
+/**
+ * SyncManager - Pushes queued cloud saves of local project copies (see ProjectStore)
+ *
+ * Saving a cloud project marks its local copy as pending. The save is pushed right away
+ * when online, otherwise when the browser comes back online (and on the next visit).
+ * Each push sends the etag of the cloud version the local copy is based on; if the project
+ * changed in the cloud since (saved from another device), the update lambda answers 409
+ * and the push is a conflict, which the user resolves when opening the project.
+ * Local copies from before etags (moved from localStorage) take the cloud project's etag
+ * if its content is still the one they're based on.
+ */
+
+// Whether two versions of a project have the same nodes, custom nodes and groups
+// (the cloud returns object keys in any order)
+function sameContent(a, b) {
+    const sortedJson = (value) => JSON.stringify(value, (key, v) => (
+        v && typeof v === 'object' && !Array.isArray(v)
+            ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+            : v
+    ));
+    const content = (data) => sortedJson([data.graph, data.customNodes || {}, data.nodeGroups || {}]);
+    return content(a) === content(b);
+}
+
+export class SyncManager {
+    constructor(projectManager, apiClient) {
+        this.projectManager = projectManager;
+        this.apiClient = apiClient;
+        this.isFlushing = false;
+
+        // Called with the project ID when a queued save of the open project hits a conflict
+        this.onConflict = null;
+    }
+
+    /**
+     * Push queued saves now and whenever the browser comes back online
+     */
+    start() {
+        window.addEventListener('online', () => this.flush());
+        this.flush();
+    }
+
+    async flush() {
+        if (this.isFlushing || !navigator.onLine || !this.apiClient.isEnabled() || !this.apiClient.isLoggedIn()) return;
+        this.isFlushing = true;
+
+        try {
+            for (const record of await ProjectStore.listPending()) {
+                try {
+                    if (record.key === this.projectManager.getStoreKey()) {
+                        // The open project is pushed from the editor's state
+                        const result = await this.projectManager.pushToCloud();
+                        if (result.conflict && this.onConflict) this.onConflict(record.key);
+                    } else {
+                        const result = await this.push(record);
+                        await this.applyPushResult(record, result);
+                    }
+                } catch (err) {
+                    // E.g. the project was deleted, or belongs to another account
+                    console.error(`[SyncManager] Could not push the queued save of "${record.title}":`, err);
+                }
+            }
+        } catch (err) {
+            console.error('[SyncManager] Could not read queued saves:', err);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    /**
+     * Push a local copy to its cloud project
+     * Returns { status: 'saved', etag, revisionId, data } (data as saved, media by URL),
+     * { status: 'conflict' } or { status: 'offline' }; other errors are thrown
+     */
+    async push(record) {
+        try {
+            const { graph, nodeGroups } = record.data;
+            const data = {
+                ...record.data,
+                assets: await AssetRegistry.serializeUploaded(AssetRegistry.collectIds(graph, nodeGroups), this.apiClient)
+            };
+            const result = await this.apiClient.updateProject(record.key, {
+                name: record.title,
+                data,
+                message: record.sync.message || '',
+                baseEtag: record.sync.etag || await this.findBaseEtag(record)
+            });
+            return { status: 'saved', etag: result.etag, revisionId: result.revisionId, data };
+        } catch (err) {
+            if (err.status === 409) return { status: 'conflict' };
+            // fetch rejects with a TypeError when the network is down
+            if (err instanceof TypeError || !navigator.onLine) return { status: 'offline' };
+            throw err;
+        }
+    }
+
+    /**
+     * Etag for pushing a local copy that has none: the cloud version's if the copy is based on it
+     * (its base, or its data for copies moved while they had unsaved changes), else null (a conflict)
+     */
+    async findBaseEtag(record) {
+        const project = await this.apiClient.getProject(record.key);
+        const base = record.sync.base || record.data;
+        return project.etag && sameContent(project.data, base) ? project.etag : null;
+    }
+
+    /**
+     * Store the outcome of a push in a local copy that isn't open in the editor
+     * A conflict stops the retries; it's resolved when the project is opened.
+     */
+    async applyPushResult(record, result) {
+        if (result.status === 'offline') return;
+
+        const latest = (await ProjectStore.get(record.key)) || record;
+        const sync = result.status === 'saved'
+            ? { etag: result.etag, base: result.data, pending: false, message: '' }
+            : { ...latest.sync, pending: false };
+        // Still dirty if it was edited during the push
+        const isDirty = result.status !== 'saved' || latest.savedAt !== record.savedAt;
+
+        await ProjectStore.put({ ...latest, projectState: { ...latest.projectState, isDirty }, sync });
+    }
+}
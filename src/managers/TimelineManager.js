@@ -0,0 +1,273 @@
+import { RenderClock } from '../rendering/RenderClock.js';
+
+export const EASINGS = ['linear', 'bezier', 'step'];
+const DEFAULT_BEZIER = [0.42, 0, 0.58, 1]; // ease-in-out
+
+/**
+ * Solve a CSS-style cubic bezier easing curve (0,0)-(x1,y1)-(x2,y2)-(1,1) for y at x = t
+ */
+function cubicBezier([x1, y1, x2, y2], t) {
+    const sample = (a, b, s) => 3 * a * s * (1 - s) * (1 - s) + 3 * b * s * s * (1 - s) + s * s * s;
+
+    // Find the curve parameter for x = t by bisection (x is monotonic for x1, x2 in [0, 1])
+    let low = 0;
+    let high = 1;
+    let s = t;
+    for (let i = 0; i < 30; i++) {
+        const x = sample(x1, x2, s);
+        if (Math.abs(x - t) < 1e-5) break;
+        if (x < t) low = s; else high = s;
+        s = (low + high) / 2;
+    }
+    return sample(y1, y2, s);
+}
+
+function ease(keyframe, t) {
+    if (keyframe.easing === 'step') return 0;
+    if (keyframe.easing === 'bezier') return cubicBezier(keyframe.bezier || DEFAULT_BEZIER, t);
+    return t;
+}
+
+function interpolate(a, b, t, type) {
+    if (type === 'bool') return t < 1 ? a : b;
+    if (Array.isArray(a)) return a.map((v, i) => v + (b[i] - v) * t);
+    const value = a + (b - a) * t;
+    return type === 'int' ? Math.round(value) : value;
+}
+
+/**
+ * TimelineManager - Keyframe animation of uniform-mode constants and the playback transport
+ *
+ * Tracks belong to nodes (by node ID) and hold the uniform value the node produces,
+ * captured when a keyframe is set. Every frame the animated values are written to the
+ * UniformRegistry entries of their node, so all renderers pick them up.
+ *
+ * While the timeline panel is open or the project has keyframes, u_time follows the
+ * transport (play/pause/scrub, looping over the loop region) instead of the wall clock.
+ *
+ * Track format:
+ * { nodeId, type, keyframes: [{ time, value, easing, bezier? }] }   // sorted by time
+ * The easing of a keyframe applies to the segment that starts at it.
+ */
+export class TimelineManager {
+    constructor(nodeGraph) {
+        this.nodeGraph = nodeGraph;
+        this.tracks = new Map(); // nodeId -> track
+
+        // Saved with the project
+        this.duration = 10;
+        this.loopStart = 0;
+        this.loopEnd = 10;
+        this.loop = true;
+
+        // Transport (not saved)
+        this.time = 0;
+        this.isPlaying = true;
+        this.isShown = false;
+        this.lastUpdate = null;
+
+        // Panel callbacks: every frame while active (playhead) and after keyframe edits
+        this.onTick = null;
+        this.onTracksChanged = null;
+    }
+
+    get isActive() {
+        return this.isShown || this.tracks.size > 0;
+    }
+
+    /**
+     * Advance the transport and apply animated values (called every animation frame)
+     */
+    update() {
+        const now = performance.now();
+        const dt = this.lastUpdate === null ? 0 : (now - this.lastUpdate) / 1000;
+        this.lastUpdate = now;
+
+        if (!this.isActive) {
+            RenderClock.transportTime = null;
+            return;
+        }
+
+        if (this.isPlaying) {
+            this.time += dt;
+            const loopLength = this.loopEnd - this.loopStart;
+            if (this.loop && loopLength > 0 && this.time >= this.loopEnd) {
+                this.time = this.loopStart + (this.time - this.loopStart) % loopLength;
+            }
+        }
+
+        RenderClock.transportTime = this.time;
+        this.applyAt(this.time);
+
+        if (this.onTick) this.onTick();
+    }
+
+    play() {
+        this.isPlaying = true;
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    seek(time) {
+        this.time = Math.max(0, time);
+        RenderClock.transportTime = this.time;
+        this.applyAt(this.time);
+    }
+
+    setLoopRegion(start, end) {
+        this.loopStart = Math.max(0, Math.min(start, end));
+        this.loopEnd = Math.max(start, end);
+        this.changed();
+    }
+
+    /**
+     * Write every track's value at a time into the UniformRegistry
+     */
+    applyAt(time) {
+        const registry = this.nodeGraph.uniformRegistry;
+        if (!registry || this.tracks.size === 0) return;
+
+        for (const uniform of registry.uniforms.values()) {
+            const track = this.tracks.get(uniform.sourceNodeId);
+            if (!track || track.keyframes.length === 0 || track.type !== uniform.type) continue;
+            registry.registerUniform(uniform.name, uniform.type, this.evaluate(track, time), uniform.sourceNode);
+        }
+    }
+
+    evaluate(track, time) {
+        const keyframes = track.keyframes;
+        const last = keyframes[keyframes.length - 1];
+        if (time <= keyframes[0].time) return keyframes[0].value;
+        if (time >= last.time) return last.value;
+
+        let i = 0;
+        while (keyframes[i + 1].time <= time) i++;
+        const a = keyframes[i];
+        const b = keyframes[i + 1];
+        const t = (time - a.time) / (b.time - a.time);
+        return interpolate(a.value, b.value, ease(a, t), track.type);
+    }
+
+    /**
+     * Get the uniform a node currently produces ({ type, value }), or null if it can't be animated
+     */
+    static captureValue(node) {
+        if (!node.data || !node.data.useUniform || !node.definition || !node.definition.glsl) return null;
+
+        const result = node.definition.glsl(node, {});
+        const uniform = result && result.uniforms && result.uniforms[0];
+        if (!uniform) return null;
+
+        const value = Array.isArray(uniform.value) ? [...uniform.value] : uniform.value;
+        return { type: uniform.type, value };
+    }
+
+    /**
+     * Key a node's current value at a time (replaces a keyframe at the same time)
+     * Returns false if the node can't be animated
+     */
+    setKeyframe(node, time) {
+        const captured = TimelineManager.captureValue(node);
+        if (!captured) return false;
+
+        let track = this.tracks.get(node.id);
+        if (!track || track.type !== captured.type) {
+            track = { nodeId: node.id, type: captured.type, keyframes: [] };
+            this.tracks.set(node.id, track);
+        }
+
+        const existing = track.keyframes.find(k => Math.abs(k.time - time) < 1e-3);
+        if (existing) {
+            existing.value = captured.value;
+        } else {
+            track.keyframes.push({ time, value: captured.value, easing: 'linear' });
+            track.keyframes.sort((a, b) => a.time - b.time);
+        }
+
+        this.changed();
+        return true;
+    }
+
+    removeKeyframe(nodeId, keyframe) {
+        const track = this.tracks.get(nodeId);
+        if (!track) return;
+
+        track.keyframes = track.keyframes.filter(k => k !== keyframe);
+        if (track.keyframes.length === 0) {
+            this.tracks.delete(nodeId);
+        }
+        this.changed();
+    }
+
+    /**
+     * Move a keyframe in time (pass commit = false while dragging, true on release)
+     */
+    moveKeyframe(nodeId, keyframe, time, commit = true) {
+        const track = this.tracks.get(nodeId);
+        if (!track) return;
+
+        keyframe.time = Math.max(0, time);
+        track.keyframes.sort((a, b) => a.time - b.time);
+        if (commit) this.changed();
+    }
+
+    setEasing(keyframe, easing, bezier = null) {
+        keyframe.easing = easing;
+        if (easing === 'bezier') {
+            keyframe.bezier = bezier || keyframe.bezier || [...DEFAULT_BEZIER];
+        } else {
+            delete keyframe.bezier;
+        }
+        this.changed();
+    }
+
+    removeTrack(nodeId) {
+        if (this.tracks.delete(nodeId)) {
+            this.changed();
+        }
+    }
+
+    /**
+     * Notify the panel and the project (autosave, undo history) after an edit
+     * Keyframes don't change the shader, so this skips the recompile of onGraphChanged
+     */
+    changed() {
+        if (this.onTracksChanged) this.onTracksChanged();
+        if (this.nodeGraph.onTimelineChanged) this.nodeGraph.onTimelineChanged();
+    }
+
+    /**
+     * Serialize keyframes and loop settings, skipping tracks of nodes that no longer exist
+     */
+    serialize(nodes) {
+        const nodeIds = new Set(nodes.map(n => n.id));
+        return {
+            duration: this.duration,
+            loopStart: this.loopStart,
+            loopEnd: this.loopEnd,
+            loop: this.loop,
+            tracks: [...this.tracks.values()].filter(track => nodeIds.has(track.nodeId))
+        };
+    }
+
+    /**
+     * Restore saved keyframes (a missing timeline resets to defaults)
+     */
+    load(data) {
+        const saved = data ? JSON.parse(JSON.stringify(data)) : {};
+
+        this.duration = saved.duration ?? 10;
+        this.loopStart = saved.loopStart ?? 0;
+        this.loopEnd = saved.loopEnd ?? this.duration;
+        this.loop = saved.loop ?? true;
+
+        this.tracks.clear();
+        for (const track of saved.tracks || []) {
+            this.tracks.set(track.nodeId, track);
+        }
+
+        if (this.onTracksChanged) this.onTracksChanged();
+    }
+}
@@ -23,6 +23,7 @@ export class UniformRegistry {
     /**
      * Register or update a uniform value
      * Called by constant nodes when they're in uniform mode
+     * (sourceNode is null for values mirrored from another window)
      */
     registerUniform(name, type, value, sourceNode) {
         const existing = this.uniforms.get(name);
@@ -32,7 +33,7 @@ export class UniformRegistry {
             type,
             value,
             sourceNode,
-            sourceNodeId: sourceNode.id
+            sourceNodeId: sourceNode ? sourceNode.id : null
         });
 
         // Notify listeners if this is a new uniform or value changed
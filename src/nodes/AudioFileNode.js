@@ -0,0 +1,182 @@
+import { MediaFileNode } from './MediaFileNode.js';
+import { audioService } from '../services/AudioService.js';
+
+/**
+ * AudioFileNode - Audio file player (Audio File node)
+ *
+ * Plays through the speakers and can be picked as the source of the audio analysis
+ * nodes (Microphone, Audio Spectrum, BPM). It has no shader outputs.
+ */
+export class AudioFileNode extends MediaFileNode {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isAudioFileNode = true;
+
+        // MediaElementAudioSourceNode of the current element
+        this.sourceNode = null;
+    }
+
+    updateDimensions() {
+        // Title (30) + file row (26) + transport row (26) + seek bar + padding
+        this.height = 110;
+    }
+
+    createMediaElement(url, onLoaded, onError) {
+        const element = new Audio();
+        element.crossOrigin = 'anonymous';
+        element.preload = 'auto';
+        element.loop = this.data.loop;
+        element.addEventListener('loadedmetadata', onLoaded, { once: true });
+        element.addEventListener('error', onError, { once: true });
+
+        // Keep the play button and seek bar current
+        const render = () => {
+            if (this.graph) this.graph.render();
+        };
+        element.addEventListener('timeupdate', render);
+        element.addEventListener('play', render);
+        element.addEventListener('pause', render);
+        element.addEventListener('ended', render);
+
+        element.src = url;
+
+        // Route through the shared context so analysis nodes can tap the output
+        const context = audioService.context;
+        this.sourceNode = context.createMediaElementSource(element);
+        this.sourceNode.connect(context.destination);
+
+        return element;
+    }
+
+    releaseMedia() {
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        super.releaseMedia();
+    }
+
+    /**
+     * AudioNode for the analysis nodes (null until a file is loaded)
+     */
+    getAudioOutput() {
+        this.syncMedia();
+        return this.isActive ? this.sourceNode : null;
+    }
+
+    // Audio has no texture
+    getTextureSource() {
+        return null;
+    }
+
+    isPlaying() {
+        return this.isActive && !this.mediaElement.paused;
+    }
+
+    togglePlay() {
+        if (!this.isActive) return;
+
+        if (this.mediaElement.paused) {
+            audioService.resume();
+            this.mediaElement.play().catch(err => {
+                console.warn('[Audio File Node] Playback failed:', err);
+            });
+        } else {
+            this.mediaElement.pause();
+        }
+    }
+
+    getButtons() {
+        const rowY = this.y + 38;
+        const transportY = this.y + 64;
+        return [
+            { action: 'pick', x: this.x + 10, y: rowY, width: this.width - 20, height: 20 },
+            { action: 'play', x: this.x + 10, y: transportY, width: 50, height: 18 },
+            { action: 'loop', x: this.x + 64, y: transportY, width: 50, height: 18 }
+        ];
+    }
+
+    getButtonLabel(action) {
+        if (action === 'play') return this.isPlaying() ? 'Pause' : 'Play';
+        if (action === 'loop') return 'Loop';
+        return super.getButtonLabel(action);
+    }
+
+    isButtonOn(action) {
+        return action === 'loop' && this.data.loop;
+    }
+
+    getSeekBar() {
+        return { x: this.x + 10, y: this.y + 90, width: this.width - 20, height: 8 };
+    }
+
+    formatTime(seconds) {
+        if (!isFinite(seconds)) return '0:00';
+        const minutes = Math.floor(seconds / 60);
+        const rest = Math.floor(seconds % 60);
+        return `${minutes}:${String(rest).padStart(2, '0')}`;
+    }
+
+    draw(ctx, options = {}) {
+        super.draw(ctx, options);
+
+        const duration = this.isActive ? this.mediaElement.duration : 0;
+        const currentTime = this.isActive ? this.mediaElement.currentTime : 0;
+
+        // Position / duration
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(
+            `${this.formatTime(currentTime)} / ${this.formatTime(duration)}`,
+            this.x + this.width - 10, this.y + 73
+        );
+
+        // Seek bar
+        const bar = this.getSeekBar();
+        ctx.fillStyle = '#444';
+        ctx.beginPath();
+        ctx.roundRect(bar.x, bar.y, bar.width, bar.height, 3);
+        ctx.fill();
+        if (duration > 0 && isFinite(duration)) {
+            ctx.fillStyle = '#007acc';
+            ctx.beginPath();
+            ctx.roundRect(bar.x, bar.y, bar.width * Math.min(1, currentTime / duration), bar.height, 3);
+            ctx.fill();
+        }
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    handleMouseDown(x, y, event) {
+        const bar = this.getSeekBar();
+        if (x >= bar.x && x <= bar.x + bar.width &&
+            y >= bar.y - 4 && y <= bar.y + bar.height + 4) {
+            const duration = this.isActive ? this.mediaElement.duration : 0;
+            if (duration > 0 && isFinite(duration)) {
+                this.mediaElement.currentTime = (x - bar.x) / bar.width * duration;
+            }
+            return { handled: true, needsRender: true };
+        }
+
+        for (const button of this.getButtons()) {
+            if (x < button.x || x > button.x + button.width ||
+                y < button.y || y > button.y + button.height) continue;
+
+            if (button.action === 'play') {
+                this.togglePlay();
+                return { handled: true, needsRender: true };
+            }
+            if (button.action === 'loop') {
+                this.data.loop = !this.data.loop;
+                if (this.mediaElement) this.mediaElement.loop = this.data.loop;
+                return { handled: true, needsRender: true, needsGraphChange: true };
+            }
+        }
+
+        return super.handleMouseDown(x, y, event);
+    }
+}
@@ -0,0 +1,268 @@
+import { Node } from './Node.js';
+import { audioService } from '../services/AudioService.js';
+
+const SOURCE_LABELS = { mic: 'Microphone', system: 'System audio' };
+
+/**
+ * AudioInputNode - Shared behaviour of audio analysis nodes (Microphone, Audio Spectrum, BPM)
+ *
+ * data.source picks the input: 'mic' (data.deviceId, '' = default device), 'system'
+ * (tab/system audio via the screen share picker) or the ID of an Audio File node.
+ * Captures are opened on the first click (they need a user gesture); the input is
+ * (re)connected by syncAudioInput(), which subclasses call every frame, through their
+ * connectInput()/disconnectInput() hooks. Subclasses place the source controls with getSourceControlsY().
+ */
+export class AudioInputNode extends Node {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isAudioInputNode = true;
+
+        // Own capture (mic or system audio) and the input currently connected
+        this.capture = null;
+        this.connectedInput = null;
+        this.devices = [];
+
+        // State
+        this.isActive = false;
+        this.error = null;
+    }
+
+    // Projects saved before sources existed have no data.source: they used the microphone
+    getSource() {
+        return this.data.source || 'mic';
+    }
+
+    usesCapture() {
+        return this.getSource() === 'mic' || this.getSource() === 'system';
+    }
+
+    /**
+     * Audio File node selected as input, if any
+     */
+    getSourceNode() {
+        if (this.usesCapture() || !this.graph) return null;
+        return this.graph.nodes.find(n => n.id === this.getSource() && n.isAudioFileNode) || null;
+    }
+
+    /**
+     * AudioNode feeding the analysis, or null
+     */
+    getAudioInput() {
+        if (this.usesCapture()) {
+            return this.isActive && this.capture ? this.capture.node : null;
+        }
+        // File players need no permission, so they connect right away
+        const sourceNode = this.getSourceNode();
+        return sourceNode ? sourceNode.getAudioOutput() : null;
+    }
+
+    /**
+     * Follow source changes (capture opened, file loaded, source node removed...)
+     */
+    syncAudioInput() {
+        const input = this.getAudioInput();
+        if (input === this.connectedInput) return;
+
+        if (this.connectedInput) {
+            this.disconnectInput(this.connectedInput);
+        }
+        this.connectedInput = input;
+        if (input) {
+            this.connectInput(input);
+        }
+    }
+
+    // Hooks for subclasses: route the input into the analysis chain and back out
+    connectInput(input) {}
+
+    disconnectInput(input) {}
+
+    /**
+     * Open the selected input
+     */
+    async enable() {
+        if (this.isActive) return true;
+
+        try {
+            if (this.getSource() === 'mic') {
+                this.capture = await audioService.openMicrophone(this.data.deviceId);
+            } else if (this.getSource() === 'system') {
+                this.capture = await audioService.openSystemAudio();
+                // Sharing can be stopped from the browser UI
+                this.capture.stream.getAudioTracks()[0].addEventListener('ended', () => this.disable());
+            } else {
+                await audioService.resume();
+            }
+
+            this.isActive = true;
+            this.error = null;
+            return true;
+
+        } catch (error) {
+            console.error(`Failed to enable audio input for ${this.type}:`, error);
+            this.error = error.message;
+            this.isActive = false;
+            return false;
+        }
+    }
+
+    /**
+     * Close the input
+     */
+    disable() {
+        if (this.connectedInput) {
+            this.disconnectInput(this.connectedInput);
+            this.connectedInput = null;
+        }
+        if (!this.isActive) return;
+
+        audioService.closeCapture(this.capture);
+        this.capture = null;
+        this.isActive = false;
+
+        if (this.graph) this.graph.render();
+    }
+
+    /**
+     * Enable from the user gesture of a click and light up the toolbar button
+     */
+    enableFromGesture() {
+        if (this.isActive) return;
+
+        console.log(`[${this.type} Node] Auto-enabling audio input from user gesture...`);
+        this.enable().then(success => {
+            if (success && this.usesCapture()) {
+                const btn = document.getElementById('micBtn');
+                if (btn) {
+                    btn.style.background = '#007acc';
+                    btn.style.borderColor = '#007acc';
+                    btn.title = 'Microphone Active';
+                }
+            }
+            if (this.graph) this.graph.render();
+        });
+    }
+
+    cycleSource() {
+        const fileNodes = this.graph ? this.graph.nodes.filter(n => n.isAudioFileNode).map(n => n.id) : [];
+        const choices = ['mic', 'system', ...fileNodes];
+        const index = choices.indexOf(this.getSource());
+        this.disable();
+        this.data.source = choices[(index + 1) % choices.length];
+    }
+
+    async cycleDevice() {
+        try {
+            this.devices = await audioService.listInputDevices();
+        } catch (error) {
+            console.error('Failed to list audio devices:', error);
+            return;
+        }
+        if (this.devices.length === 0) return;
+
+        const index = this.devices.findIndex(device => device.id === this.data.deviceId);
+        this.data.deviceId = this.devices[(index + 1) % this.devices.length].id;
+
+        this.disable();
+        this.enableFromGesture();
+        if (this.graph && this.graph.onGraphChanged) {
+            this.graph.onGraphChanged();
+        }
+    }
+
+    getSourceLabel() {
+        if (SOURCE_LABELS[this.getSource()]) return SOURCE_LABELS[this.getSource()];
+        const sourceNode = this.getSourceNode();
+        return sourceNode ? (sourceNode.data.fileName || 'Audio File') : 'No input';
+    }
+
+    getDeviceLabel() {
+        const device = this.devices.find(d => d.id === this.data.deviceId);
+        return device ? device.label : (this.data.deviceId ? 'Device' : 'Default device');
+    }
+
+    // Row of source controls (override to place them in the subclass layout)
+    getSourceControlsY() {
+        return this.y + this.height - 48;
+    }
+
+    getSourceControlsWidth() {
+        return this.width - 20;
+    }
+
+    getSourceButtons() {
+        const y = this.getSourceControlsY();
+        const width = this.getSourceControlsWidth();
+        if (this.getSource() !== 'mic') {
+            return [{ action: 'source', x: this.x + 10, y, width, height: 16 }];
+        }
+
+        const half = (width - 4) / 2;
+        return [
+            { action: 'source', x: this.x + 10, y, width: half, height: 16 },
+            { action: 'device', x: this.x + 14 + half, y, width: half, height: 16 }
+        ];
+    }
+
+    drawSourceControls(ctx) {
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const button of this.getSourceButtons()) {
+            ctx.fillStyle = '#444';
+            ctx.beginPath();
+            ctx.roundRect(button.x, button.y, button.width, button.height, 3);
+            ctx.fill();
+
+            // Truncate long device and file names to the button width
+            let label = button.action === 'source' ? this.getSourceLabel() : this.getDeviceLabel();
+            while (label.length > 4 && ctx.measureText(label).width > button.width - 8) {
+                label = label.slice(0, -4) + '...';
+            }
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, button.x + button.width / 2, button.y + button.height / 2);
+        }
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    // Status line below the source controls
+    getStatus() {
+        if (this.error) return this.error;
+        if (this.usesCapture() && !this.isActive) return 'Click to enable';
+        return this.connectedInput ? 'Listening' : 'Waiting for input';
+    }
+
+    // Override handleMouseDown to handle the source controls and auto-enable the input on any click
+    handleMouseDown(x, y, event) {
+        let result = null;
+        for (const button of this.getSourceButtons()) {
+            if (x < button.x || x > button.x + button.width ||
+                y < button.y || y > button.y + button.height) continue;
+
+            if (button.action === 'source') {
+                this.cycleSource();
+                result = { handled: true, needsRender: true, needsGraphChange: true };
+            } else {
+                this.cycleDevice();
+                result = { handled: true, needsRender: true };
+            }
+            break;
+        }
+
+        // Auto-enable the input if not already enabled (uses user gesture from this click)
+        // Cycling onto system audio waits for another click instead of popping up the share picker
+        if (!(result && this.getSource() === 'system')) {
+            this.enableFromGesture();
+        }
+
+        return result || super.handleMouseDown(x, y, event);
+    }
+
+    cleanup() {
+        this.disable();
+    }
+}
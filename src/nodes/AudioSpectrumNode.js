@@ -0,0 +1,310 @@
+import { AudioInputNode } from './AudioInputNode.js';
+import { CanvasTextInput } from '../rendering/CanvasTextInput.js';
+import { RenderClock } from '../rendering/RenderClock.js';
+import { VideoTextureCache } from '../rendering/VideoTextureCache.js';
+import { audioService } from '../services/AudioService.js';
+
+const FFT_SIZE = 1024;
+const BIN_COUNT = FFT_SIZE / 2;
+const MAX_HISTORY = 256;
+const PEAK_DECAY_TIME = 5.0; // Seconds for the auto-gain peak to fall by 1/e
+
+// Text fields: [row, column, label]
+const FIELDS = {
+    bassCutoff: [0, 0, 'LOW'],
+    trebleCutoff: [0, 1, 'HIGH'],
+    attack: [1, 0, 'ATK'],
+    release: [1, 1, 'REL'],
+    gain: [2, 0, 'GAIN'],
+    history: [2, 1, 'ROWS']
+};
+
+/**
+ * AudioSpectrumNode - Frequency analysis of an audio input
+ *
+ * Outputs the FFT magnitude spectrum as a texture (512 bins wide, linear frequency,
+ * one row per frame for `history` frames; row 0 at v = 0 is the newest), and bass/mid/treble
+ * band levels plus the overall level as floats. Bands are split at the LOW and HIGH
+ * cutoffs (Hz), smoothed with attack/release times (s) and normalized against their recent
+ * peak when auto gain is on.
+ */
+export class AudioSpectrumNode extends AudioInputNode {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isAudioSpectrumNode = true;
+        this.width = 240;
+        this.fixedOutputRows = true;
+
+        // Analyser (created on the first connected input)
+        this.analyser = null;
+        this.timeData = new Float32Array(FFT_SIZE);
+
+        // Latest analysis: raw spectrum row (0-255), raw [bass, mid, treble, level]
+        this.spectrumRow = new Uint8Array(BIN_COUNT);
+        this.rawLevel = 0.0;
+        this.smoothed = [0, 0, 0, 0];
+        this.peaks = [0, 0, 0, 0];
+        this.lastUpdate = null;
+
+        // Spectrum history uploaded by VideoTextureCache
+        this.textureSource = null;
+
+        // Recorded { spectrum, level } played back by the offline renderer (null = live)
+        this.replayValue = null;
+    }
+
+    updateDimensions() {
+        // Title (30) + five rows of controls + status line
+        this.height = 32 + 5 * 24 + 24;
+    }
+
+    rebuildTextInputs() {
+        if (!this.hasInputFields) return;
+
+        this.textInputs = {};
+
+        for (const field of Object.keys(FIELDS)) {
+            const inputType = field === 'history' ? 'int' : 'float';
+            this.textInputs[field] = new CanvasTextInput(0, 0, 42, 20, String(this.data[field]), inputType);
+            this.textInputs[field].onChange = (newValue) => {
+                let numValue = inputType === 'int' ? parseInt(newValue) : parseFloat(newValue);
+                if (isNaN(numValue)) return;
+
+                // Clamp values to valid ranges
+                if (field === 'history') {
+                    numValue = Math.max(1, Math.min(MAX_HISTORY, numValue));
+                } else if (field === 'bassCutoff' || field === 'trebleCutoff') {
+                    numValue = Math.max(20, Math.min(20000, numValue));
+                } else {
+                    numValue = Math.max(0.0, numValue);
+                }
+
+                this.data[field] = numValue;
+
+                if (this.graph && this.graph.onGraphChanged) {
+                    this.graph.onGraphChanged();
+                }
+            };
+        }
+    }
+
+    getFieldPosition(row, column) {
+        return { x: this.x + 10 + column * 74, y: this.y + 32 + row * 24 };
+    }
+
+    updateTextInputPositions() {
+        if (!this.textInputs) return;
+
+        for (const [field, [row, column]] of Object.entries(FIELDS)) {
+            const input = this.textInputs[field];
+            if (!input) continue;
+            const pos = this.getFieldPosition(row, column);
+            input.x = pos.x + 28;
+            input.y = pos.y;
+        }
+    }
+
+    getSourceControlsY() {
+        return this.getFieldPosition(4, 0).y + 2;
+    }
+
+    getSourceControlsWidth() {
+        return 144;
+    }
+
+    getAutoGainButton() {
+        const pos = this.getFieldPosition(3, 0);
+        return { x: pos.x, y: pos.y + 2, width: 144, height: 16 };
+    }
+
+    draw(ctx, options = {}) {
+        this.updateTextInputPositions();
+        super.draw(ctx, options);
+        this.drawSourceControls(ctx);
+
+        // Field labels
+        ctx.fillStyle = '#888';
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (const [row, column, label] of Object.values(FIELDS)) {
+            const pos = this.getFieldPosition(row, column);
+            ctx.fillText(label, pos.x, pos.y + 10);
+        }
+
+        // Auto gain toggle
+        const button = this.getAutoGainButton();
+        ctx.fillStyle = this.data.autoGain ? '#007acc' : '#444';
+        ctx.beginPath();
+        ctx.roundRect(button.x, button.y, button.width, button.height, 3);
+        ctx.fill();
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'center';
+        ctx.fillText('auto gain', button.x + button.width / 2, button.y + button.height / 2);
+
+        // Status
+        ctx.textAlign = 'left';
+        ctx.fillStyle = this.error ? '#f44336' : '#888';
+        ctx.fillText(this.getStatus(), this.x + 10, this.y + this.height - 14, this.width - 20);
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    handleMouseDown(x, y, event) {
+        const button = this.getAutoGainButton();
+        if (x >= button.x && x <= button.x + button.width &&
+            y >= button.y && y <= button.y + button.height) {
+            this.data.autoGain = !this.data.autoGain;
+            this.enableFromGesture();
+            return { handled: true, needsRender: true, needsGraphChange: true };
+        }
+
+        return super.handleMouseDown(x, y, event);
+    }
+
+    connectInput(input) {
+        if (!this.analyser) {
+            // Smoothing is applied per band, so the analyser reports raw frames
+            this.analyser = audioService.context.createAnalyser();
+            this.analyser.fftSize = FFT_SIZE;
+            this.analyser.smoothingTimeConstant = 0;
+        }
+        input.connect(this.analyser);
+    }
+
+    disconnectInput(input) {
+        try {
+            input.disconnect(this.analyser);
+        } catch (error) {
+            // Source was already disconnected (Audio File node reloaded or removed)
+        }
+    }
+
+    /**
+     * Analyse the current audio frame (at most once per frame, shared by all renderers)
+     * Offline renders step with the fixed frame time, so smoothing is reproducible
+     */
+    update() {
+        const now = RenderClock.getFrameTime();
+        if (now === this.lastUpdate) return;
+        const dt = this.lastUpdate === null ? 0 : Math.max(0, Math.min(0.1, now - this.lastUpdate));
+        this.lastUpdate = now;
+
+        this.syncAudioInput();
+
+        if (this.replayValue !== null) {
+            this.spectrumRow.set(this.replayValue.spectrum);
+            this.rawLevel = this.replayValue.level;
+        } else if (this.connectedInput) {
+            this.analyser.getByteFrequencyData(this.spectrumRow);
+            this.analyser.getFloatTimeDomainData(this.timeData);
+            let sum = 0;
+            for (let i = 0; i < this.timeData.length; i++) {
+                sum += this.timeData[i] * this.timeData[i];
+            }
+            this.rawLevel = Math.sqrt(sum / this.timeData.length);
+        } else {
+            return;
+        }
+
+        this.updateBands(dt);
+        this.updateHistory();
+    }
+
+    /**
+     * Average the spectrum over each band, then smooth and normalize
+     */
+    updateBands(dt) {
+        const sampleRate = audioService.context.sampleRate;
+        const binHz = sampleRate / FFT_SIZE;
+        const bandAverage = (fromHz, toHz) => {
+            const from = Math.max(1, Math.floor(fromHz / binHz));
+            const to = Math.min(BIN_COUNT, Math.max(from + 1, Math.ceil(toHz / binHz)));
+            let sum = 0;
+            for (let i = from; i < to; i++) sum += this.spectrumRow[i];
+            return sum / (to - from) / 255;
+        };
+
+        const { bassCutoff, trebleCutoff, attack, release, gain, autoGain } = this.data;
+        const raw = [
+            bandAverage(20, bassCutoff),
+            bandAverage(bassCutoff, trebleCutoff),
+            bandAverage(trebleCutoff, 16000),
+            this.rawLevel
+        ];
+
+        const peakDecay = Math.exp(-dt / PEAK_DECAY_TIME);
+        for (let i = 0; i < 4; i++) {
+            // One-pole smoothing with separate rise and fall times
+            const time = raw[i] > this.smoothed[i] ? attack : release;
+            const coefficient = time > 0 ? 1 - Math.exp(-dt / time) : 1;
+            this.smoothed[i] += (raw[i] - this.smoothed[i]) * coefficient;
+
+            // Track the recent peak for auto gain (with a floor so silence stays quiet)
+            this.peaks[i] = Math.max(this.smoothed[i], this.peaks[i] * peakDecay, 0.05);
+        }
+
+        this.bands = this.smoothed.map((value, i) => (autoGain ? value / this.peaks[i] : value) * gain);
+    }
+
+    /**
+     * Scroll the spectrum history by one row and write the newest at row 0
+     */
+    updateHistory() {
+        const rows = this.data.history;
+        if (!this.textureSource || this.textureSource.height !== rows) {
+            this.textureSource = {
+                width: BIN_COUNT,
+                height: rows,
+                data: new Uint8Array(BIN_COUNT * rows * 4),
+                frame: 0
+            };
+        }
+
+        const { data } = this.textureSource;
+        const rowSize = BIN_COUNT * 4;
+        data.copyWithin(rowSize, 0, data.length - rowSize);
+        for (let i = 0; i < BIN_COUNT; i++) {
+            const value = this.spectrumRow[i];
+            data[i * 4] = value;
+            data[i * 4 + 1] = value;
+            data[i * 4 + 2] = value;
+            data[i * 4 + 3] = 255;
+        }
+        this.textureSource.frame++;
+    }
+
+    /**
+     * [bass, mid, treble, level] for the bands uniform
+     * Called every frame by the renderers
+     */
+    getUniformValue() {
+        this.update();
+        return this.bands || [0, 0, 0, 0];
+    }
+
+    /**
+     * Raw analysis of the current frame, recorded by InputRecorder (and played back as replayValue)
+     */
+    getAnalysis() {
+        this.update();
+        return { spectrum: Array.from(this.spectrumRow), level: this.rawLevel };
+    }
+
+    /**
+     * Spectrum history for VideoTextureCache (generated pixels, uploaded when the frame changes)
+     */
+    getTextureSource() {
+        this.update();
+        return this.textureSource;
+    }
+
+    getTextureOptions() {
+        return { wrap: 'clamp', mipmaps: false, flipY: false };
+    }
+
+    cleanup() {
+        super.cleanup();
+        VideoTextureCache.releaseNode(this.id);
+    }
+}
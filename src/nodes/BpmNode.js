@@ -0,0 +1,449 @@
+import { AudioInputNode } from './AudioInputNode.js';
+import { CanvasTextInput } from '../rendering/CanvasTextInput.js';
+import { MidiNode } from './MidiNode.js';
+import { midiService } from '../services/MIDIService.js';
+import { audioService } from '../services/AudioService.js';
+
+const MODES = ['auto', 'audio', 'midi', 'tap'];
+const CONFIDENCE_THRESHOLD = 0.55; // Below this, auto mode falls back to MIDI clock, then taps
+const TAP_TIMEOUT = 2.0; // Seconds between taps before a new tap sequence starts
+const MAX_TAPS = 8;
+const CLOCK_TIMEOUT = 0.5; // Seconds without MIDI clock before it counts as stopped
+const PULSES_PER_BEAT = 24;
+
+const WORKLETS = ['bpm/bpm-processor.js', 'bpm/normalizer-processor.js', 'bpm/meter-processor.js'];
+
+/**
+ * BeatClock - Beat count as a linear function of time, re-anchored on tempo changes
+ */
+class BeatClock {
+    constructor() {
+        this.bpm = 0;
+        this.anchorTime = 0;
+        this.anchorBeat = 0;
+    }
+
+    beatsAt(time) {
+        return this.bpm > 0 ? this.anchorBeat + (time - this.anchorTime) * this.bpm / 60 : 0;
+    }
+
+    setTempo(bpm, time) {
+        this.anchorBeat = this.beatsAt(time);
+        this.anchorTime = time;
+        this.bpm = bpm;
+    }
+
+    /**
+     * Pull the phase toward an onset: small errors are corrected by a fraction,
+     * large ones move the next beat onto the onset (as in the bpm/ prototype)
+     */
+    align(time, strength = 0.4) {
+        if (this.bpm <= 0) return;
+
+        const beats = this.beatsAt(time);
+        const error = beats - Math.round(beats);
+        const interval = 60 / this.bpm;
+        const tolerance = Math.min(0.25, interval * 0.45) / interval;
+
+        if (Math.abs(error) > tolerance) {
+            this.anchorTime = time;
+            this.anchorBeat = Math.ceil(beats);
+        } else {
+            this.anchorBeat -= error * strength;
+        }
+    }
+}
+
+/**
+ * BpmNode - Tempo tracking from audio, MIDI clock or tap tempo
+ *
+ * The audio input (see AudioInputNode) runs through the bpm/ worklets
+ * (normalizer -> onset detector, plus a level meter).
+ * Outputs bpm, the beat phase (0-1 ramp), a pulse decaying after each beat, the beat
+ * within the bar, the bar counter and the confidence of the current tempo source.
+ *
+ * In auto mode the detected tempo is used while its confidence is high enough,
+ * otherwise a running MIDI clock, otherwise the last tapped tempo.
+ */
+export class BpmNode extends AudioInputNode {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isBpmNode = true;
+        this.width = 220;
+        this.fixedOutputRows = true;
+
+        // Analysis chain (created on the first connected input)
+        this.chain = null;
+        this.level = 0.0;
+
+        // Tempo sources
+        this.audioClock = new BeatClock();
+        this.confidence = 0.0;
+        this.tapClock = new BeatClock();
+        this.taps = [];
+        this.tapCount = 0;
+        this.midiClock = { pulses: 0, lastPulse: null, pulseInterval: null, stopped: false };
+
+        // Output state
+        this.source = null;
+        this.beatIndex = 0;
+        this.value = [0, 0, 0, 0];
+
+        // Recorded vec4 played back by the offline renderer (null = live)
+        this.replayValue = null;
+
+        midiService.subscribeClock(this.id, (type, time) => this.handleClock(type, time));
+    }
+
+    now() {
+        return performance.now() / 1000;
+    }
+
+    updateDimensions() {
+        // Tempo display, two button rows, the beats per bar field and a status line
+        this.height = 32 + 30 + 3 * 24 + 26;
+    }
+
+    rebuildTextInputs() {
+        if (!this.hasInputFields) return;
+
+        this.textInputs = {
+            beatsPerBar: new CanvasTextInput(0, 0, 42, 20, String(this.data.beatsPerBar), 'int')
+        };
+        this.textInputs.beatsPerBar.onChange = (newValue) => {
+            const numValue = parseInt(newValue);
+            if (isNaN(numValue)) return;
+
+            this.data.beatsPerBar = Math.max(1, Math.min(32, numValue));
+
+            if (this.graph && this.graph.onGraphChanged) {
+                this.graph.onGraphChanged();
+            }
+        };
+    }
+
+    updateTextInputPositions() {
+        if (!this.textInputs) return;
+        this.textInputs.beatsPerBar.x = this.x + 46;
+        this.textInputs.beatsPerBar.y = this.y + 62 + 2 * 24;
+    }
+
+    getButtons() {
+        const y = this.y + 64;
+        return [
+            { action: 'mode', x: this.x + 10, y, width: 66, height: 16 },
+            { action: 'tap', x: this.x + 82, y, width: 48, height: 16 }
+        ];
+    }
+
+    getButtonLabel(action) {
+        return action === 'mode' ? `mode: ${this.data.mode}` : 'tap';
+    }
+
+    getSourceControlsY() {
+        return this.y + 88;
+    }
+
+    getSourceControlsWidth() {
+        return 120;
+    }
+
+    draw(ctx, options = {}) {
+        this.updateTextInputPositions();
+        super.draw(ctx, options);
+        this.drawSourceControls(ctx);
+
+        const [bpm, beats, pulse, confidence] = this.getUniformValue();
+
+        // Tempo readout with a beat light and confidence/level bars
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#fff';
+        ctx.font = '16px "Pixeloid Mono"';
+        ctx.fillText(bpm > 0 ? bpm.toFixed(1) : '---', this.x + 10, this.y + 44);
+        ctx.fillStyle = '#888';
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.fillText(bpm > 0 ? `BPM  ${Math.floor(beats) % this.data.beatsPerBar + 1}/${this.data.beatsPerBar}` : 'BPM', this.x + 66, this.y + 44);
+
+        ctx.fillStyle = `rgba(0, 122, 204, ${0.2 + 0.8 * pulse})`;
+        ctx.beginPath();
+        ctx.arc(this.x + 124, this.y + 44, 5, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#333';
+        ctx.fillRect(this.x + 10, this.y + 54, 120, 2);
+        ctx.fillRect(this.x + 10, this.y + 58, 120, 2);
+        ctx.fillStyle = confidence >= CONFIDENCE_THRESHOLD ? '#4caf50' : '#f0a000';
+        ctx.fillRect(this.x + 10, this.y + 54, 120 * confidence, 2);
+        ctx.fillStyle = '#007acc';
+        ctx.fillRect(this.x + 10, this.y + 58, 120 * Math.min(1, this.level * 4), 2);
+
+        // Mode and tap buttons
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const button of this.getButtons()) {
+            const isOn = button.action === 'tap' && this.source === 'tap';
+            ctx.fillStyle = isOn ? '#007acc' : '#444';
+            ctx.beginPath();
+            ctx.roundRect(button.x, button.y, button.width, button.height, 3);
+            ctx.fill();
+
+            ctx.fillStyle = '#fff';
+            ctx.fillText(this.getButtonLabel(button.action), button.x + button.width / 2, button.y + button.height / 2, button.width - 4);
+        }
+
+        // Beats per bar label and status
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#888';
+        ctx.fillText('BAR', this.x + 10, this.y + 72 + 2 * 24);
+        ctx.fillStyle = this.error ? '#f44336' : '#888';
+        const status = this.error || (this.source ? `from ${this.source}` : this.getStatus());
+        ctx.fillText(status, this.x + 10, this.y + this.height - 12, 130);
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    handleMouseDown(x, y, event) {
+        for (const button of this.getButtons()) {
+            if (x < button.x || x > button.x + button.width ||
+                y < button.y || y > button.y + button.height) continue;
+
+            let result;
+            if (button.action === 'tap') {
+                this.tap(this.now());
+                result = { handled: true, needsRender: true };
+            } else {
+                this.data.mode = MODES[(MODES.indexOf(this.data.mode) + 1) % MODES.length];
+                result = { handled: true, needsRender: true, needsGraphChange: true };
+            }
+
+            // Auto-enable inputs for the (new) mode (uses user gesture from this click)
+            this.enableFromGesture();
+            return result;
+        }
+
+        return super.handleMouseDown(x, y, event);
+    }
+
+    // Audio is only needed when it can be the tempo source, MIDI when the clock can be
+    enableFromGesture() {
+        if (this.data.mode === 'auto' || this.data.mode === 'audio') {
+            super.enableFromGesture();
+        }
+        if (!midiService.isEnabled && (this.data.mode === 'auto' || this.data.mode === 'midi')) {
+            MidiNode.enableMIDI();
+        }
+    }
+
+    /**
+     * Route the input into the detector chain:
+     * input -> highpass -> normalizer -> (detector, meter) -> silent output keeping it running
+     */
+    async connectInput(input) {
+        const context = audioService.context;
+
+        try {
+            for (const url of WORKLETS) {
+                await audioService.loadWorklet(url);
+            }
+        } catch (error) {
+            console.error('Failed to start BPM detection:', error);
+            this.error = error.message;
+            return;
+        }
+        if (this.connectedInput !== input) return; // Input changed while loading
+
+        if (!this.chain) {
+            const highpass = new BiquadFilterNode(context, { type: 'highpass', frequency: 40 });
+            const normalizer = new AudioWorkletNode(context, 'normalizer-processor');
+            const detector = new AudioWorkletNode(context, 'bpm-processor');
+            const meter = new AudioWorkletNode(context, 'meter-processor');
+            const silent = new GainNode(context, { gain: 0 });
+
+            highpass.connect(normalizer);
+            normalizer.connect(detector).connect(silent);
+            normalizer.connect(meter).connect(silent);
+            silent.connect(context.destination);
+
+            detector.port.onmessage = ({ data }) => this.handleDetector(data, context);
+            meter.port.onmessage = ({ data }) => {
+                if (typeof data.rms === 'number') this.level = data.rms;
+            };
+
+            this.chain = { highpass, normalizer, detector, meter, silent };
+        }
+
+        input.connect(this.chain.highpass);
+    }
+
+    disconnectInput(input) {
+        if (this.chain) {
+            try {
+                input.disconnect(this.chain.highpass);
+            } catch (error) {
+                // Not connected yet (worklets were still loading)
+            }
+        }
+
+        // A new input starts a fresh tempo estimate
+        this.audioClock = new BeatClock();
+        this.level = 0.0;
+        this.confidence = 0.0;
+    }
+
+    /**
+     * Tempo, confidence and onset messages from bpm-processor (onset times are in audio context time)
+     */
+    handleDetector(data, context) {
+        const now = this.now();
+
+        if (typeof data.confidence === 'number' && Number.isFinite(data.confidence)) {
+            this.confidence = Math.max(0, Math.min(1, data.confidence));
+        }
+
+        if (typeof data.bpm === 'number' && data.bpm !== this.audioClock.bpm) {
+            this.audioClock.setTempo(data.bpm, now);
+            if (this.graph) this.graph.render();
+        }
+
+        if (typeof data.onset === 'number') {
+            this.audioClock.align(now - (context.currentTime - data.onset));
+        }
+    }
+
+    /**
+     * Tap tempo: the interval averages the last taps, the first tap of a sequence is a downbeat
+     */
+    tap(time) {
+        if (this.taps.length > 0 && time - this.taps[this.taps.length - 1] > TAP_TIMEOUT) {
+            this.taps = [];
+        }
+        this.taps.push(time);
+        if (this.taps.length > MAX_TAPS) this.taps.shift();
+
+        if (this.taps.length >= 2) {
+            const interval = (time - this.taps[0]) / (this.taps.length - 1);
+            this.tapClock.bpm = Math.max(20, Math.min(300, 60 / interval));
+        }
+        this.tapCount = this.taps.length === 1 ? 1 : this.tapCount + 1;
+
+        if (this.tapClock.bpm > 0) {
+            // Every tap is on a beat, counted from the first tap of the sequence
+            this.tapClock.anchorTime = time;
+            this.tapClock.anchorBeat = this.tapCount - 1;
+            if (this.tapCount === 1 && this.source === 'tap') this.beatIndex = 0;
+        }
+    }
+
+    /**
+     * MIDI clock: 24 pulses per beat, start resets the beat count
+     */
+    handleClock(type, time) {
+        const clock = this.midiClock;
+
+        if (type === 'start') {
+            clock.pulses = 0;
+            clock.stopped = false;
+            this.beatIndex = 0;
+        } else if (type === 'continue') {
+            clock.stopped = false;
+        } else if (type === 'stop') {
+            clock.stopped = true;
+        } else if (type === 'clock') {
+            if (clock.lastPulse !== null) {
+                const dt = time - clock.lastPulse;
+                if (dt < CLOCK_TIMEOUT) {
+                    clock.pulseInterval = clock.pulseInterval === null ? dt : clock.pulseInterval * 0.9 + dt * 0.1;
+                }
+            }
+            clock.lastPulse = time;
+            clock.pulses++;
+        }
+    }
+
+    isMidiClockRunning(now) {
+        const clock = this.midiClock;
+        return !clock.stopped && clock.pulseInterval !== null &&
+            clock.lastPulse !== null && now - clock.lastPulse < CLOCK_TIMEOUT;
+    }
+
+    /**
+     * Pick the tempo source for the mode
+     */
+    selectSource(now) {
+        if (this.data.mode !== 'auto') return this.data.mode;
+
+        if (this.audioClock.bpm > 0 && this.confidence >= CONFIDENCE_THRESHOLD) return 'audio';
+        if (this.isMidiClockRunning(now)) return 'midi';
+        if (this.tapClock.bpm > 0) return 'tap';
+        return this.connectedInput ? 'audio' : null;
+    }
+
+    /**
+     * Tempo of a source: { bpm, beats, confidence }
+     */
+    readSource(source, now) {
+        if (source === 'audio') {
+            return { bpm: this.audioClock.bpm, beats: this.audioClock.beatsAt(now), confidence: this.confidence };
+        }
+        if (source === 'midi') {
+            if (!this.isMidiClockRunning(now)) return { bpm: 0, beats: 0, confidence: 0 };
+            const clock = this.midiClock;
+            const sincePulse = Math.min(1, (now - clock.lastPulse) / clock.pulseInterval);
+            return {
+                bpm: 60 / (clock.pulseInterval * PULSES_PER_BEAT),
+                beats: Math.max(0, clock.pulses - 1 + sincePulse) / PULSES_PER_BEAT,
+                confidence: 1.0
+            };
+        }
+        if (source === 'tap') {
+            return { bpm: this.tapClock.bpm, beats: this.tapClock.beatsAt(now), confidence: this.tapClock.bpm > 0 ? 1.0 : 0.0 };
+        }
+        return { bpm: 0, beats: 0, confidence: 0 };
+    }
+
+    /**
+     * vec4 (bpm, beats, pulse, confidence) - phase, beat and bar are derived from beats in GLSL
+     * Called every frame by the renderers (and when the node is drawn)
+     */
+    getUniformValue() {
+        if (this.replayValue !== null) return this.replayValue;
+
+        this.syncAudioInput();
+
+        const now = this.now();
+        const source = this.selectSource(now);
+        if (source !== this.source) {
+            this.source = source;
+            this.beatIndex = 0; // Sources count beats independently
+        }
+
+        const { bpm, beats, confidence } = this.readSource(source, now);
+        if (bpm <= 0) {
+            this.value = [0, 0, 0, confidence];
+            return this.value;
+        }
+
+        // Phase corrections never count a beat twice: hold on the beat instead of going back
+        const counted = Math.floor(beats) < this.beatIndex ? this.beatIndex : beats;
+        this.beatIndex = Math.floor(counted);
+        const pulse = Math.exp(-6 * (counted - this.beatIndex));
+
+        this.value = [bpm, counted, pulse, confidence];
+        return this.value;
+    }
+
+    cleanup() {
+        midiService.unsubscribeClock(this.id);
+        super.cleanup();
+        if (this.chain) {
+            this.chain.detector.port.onmessage = null;
+            this.chain.meter.port.onmessage = null;
+            for (const audioNode of Object.values(this.chain)) {
+                audioNode.disconnect();
+            }
+            this.chain = null;
+        }
+    }
+}
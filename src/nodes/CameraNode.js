@@ -1,4 +1,5 @@
 import { Node } from './Node.js';
+import { VideoTextureCache } from '../rendering/VideoTextureCache.js';
 
 export class CameraNode extends Node {
     constructor(id, type, x, y) {
@@ -105,5 +106,6 @@ export class CameraNode extends Node {
      */
     cleanup() {
         this.disable();
+        VideoTextureCache.releaseNode(this.id);
     }
 }
@@ -0,0 +1,124 @@
+import { ControlNode } from './ControlNode.js';
+
+const WHEEL_SIZE = 110;
+const BAR_WIDTH = 14;
+
+/**
+ * ColorWheelNode - Hue/saturation wheel with a brightness bar, outputting an RGB vec3
+ * The color is stored as data.hue, data.saturation and data.brightness (0-1 each).
+ */
+export class ColorWheelNode extends ControlNode {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        // Part being dragged ('wheel' or 'brightness')
+        this.dragTarget = null;
+    }
+
+    updateDimensions() {
+        // Title (32) + wheel + padding
+        this.height = 32 + WHEEL_SIZE + 14;
+    }
+
+    getWidgetRect() {
+        return { x: this.x + 10, y: this.y + 32, width: WHEEL_SIZE + 10 + BAR_WIDTH, height: WHEEL_SIZE };
+    }
+
+    /**
+     * Current color as [r, g, b] (0-1)
+     */
+    getRGB() {
+        const { hue, saturation, brightness } = this.data;
+        const channel = (n) => {
+            const k = (n + hue * 6) % 6;
+            return brightness * (1 - saturation * Math.max(0, Math.min(k, 4 - k, 1)));
+        };
+        return [channel(5), channel(3), channel(1)];
+    }
+
+    drawWidget(ctx, rect) {
+        const radius = WHEEL_SIZE / 2;
+        const cx = rect.x + radius;
+        const cy = rect.y + radius;
+
+        // Hue around the wheel, saturation from the center out
+        const hues = ctx.createConicGradient(0, cx, cy);
+        ['#f00', '#ff0', '#0f0', '#0ff', '#00f', '#f0f', '#f00'].forEach((color, i) => {
+            hues.addColorStop(i / 6, color);
+        });
+        const whites = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
+        whites.addColorStop(0, '#fff');
+        whites.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fillStyle = hues;
+        ctx.fill();
+        ctx.fillStyle = whites;
+        ctx.fill();
+        ctx.fillStyle = `rgba(0, 0, 0, ${1 - this.data.brightness})`;
+        ctx.fill();
+
+        // Marker
+        const angle = this.data.hue * Math.PI * 2;
+        const [r, g, b] = this.getRGB().map(c => Math.round(c * 255));
+        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx + Math.cos(angle) * this.data.saturation * radius, cy + Math.sin(angle) * this.data.saturation * radius, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        // Brightness bar (top = full brightness)
+        const barX = rect.x + rect.width - BAR_WIDTH;
+        const shades = ctx.createLinearGradient(0, rect.y, 0, rect.y + rect.height);
+        shades.addColorStop(0, '#fff');
+        shades.addColorStop(1, '#000');
+        ctx.fillStyle = shades;
+        ctx.beginPath();
+        ctx.roundRect(barX, rect.y, BAR_WIDTH, rect.height, 3);
+        ctx.fill();
+
+        const levelY = rect.y + (1 - this.data.brightness) * rect.height;
+        ctx.strokeStyle = '#007acc';
+        ctx.beginPath();
+        ctx.rect(barX - 2, levelY - 2, BAR_WIDTH + 4, 4);
+        ctx.stroke();
+    }
+
+    pressWidget(x, y, rect) {
+        this.dragTarget = x >= rect.x + WHEEL_SIZE + 5 ? 'brightness' : 'wheel';
+        this.dragWidget(x, y, rect);
+    }
+
+    dragWidget(x, y, rect) {
+        if (this.dragTarget === 'brightness') {
+            this.setValues({ brightness: Math.max(0, Math.min(1, 1 - (y - rect.y) / rect.height)) });
+        } else if (this.dragTarget === 'wheel') {
+            const radius = WHEEL_SIZE / 2;
+            const dx = x - (rect.x + radius);
+            const dy = y - (rect.y + radius);
+            this.setValues({
+                hue: (Math.atan2(dy, dx) / (Math.PI * 2) + 1) % 1,
+                saturation: Math.min(1, Math.hypot(dx, dy) / radius)
+            });
+        }
+    }
+
+    releaseWidget() {
+        this.dragTarget = null;
+    }
+
+    getMidiAxes() {
+        return ['hue', 'saturation', 'brightness'];
+    }
+
+    getPerformanceFields() {
+        return this.getMidiAxes().map(name => ({ name, kind: 'range', min: 0, max: 1 }));
+    }
+
+    applyMidi(axis, value) {
+        this.setValues({ [this.getMidiAxes()[axis]]: value }, false);
+    }
+}
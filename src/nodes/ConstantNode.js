@@ -45,7 +45,7 @@ export class ConstantNode extends Node {
 
                         // If in uniform mode, update the uniform registry
                         if (this.data.useUniform) {
-                            this.updateUniformRegistry();
+                            this.uniformValueChanged();
                         } else if (this.graph && this.graph.onGraphChanged) {
                             // Otherwise recompile (constant mode with inline values)
                             this.graph.onGraphChanged();
@@ -175,7 +175,7 @@ export class ConstantNode extends Node {
 
                         // Trigger graph update
                         if (this.data.useUniform) {
-                            this.updateUniformRegistry();
+                            this.uniformValueChanged();
                         } else if (this.graph && this.graph.onGraphChanged) {
                             this.graph.onGraphChanged();
                         }
@@ -210,6 +210,46 @@ export class ConstantNode extends Node {
         return super.getInputPortPosition(index);
     }
 
+    /**
+     * Values shown in the performance panel (fields driven by a connected input are left out)
+     */
+    getPerformanceFields() {
+        return Object.keys(this.data)
+            .filter(field => field !== 'useUniform' && !this.isInputConnected(field))
+            .map(field => ({
+                name: field,
+                kind: typeof this.data[field] === 'boolean' ? 'bool' : 'number',
+                step: this.fieldType === 'int' ? 1 : 0.01
+            }));
+    }
+
+    /**
+     * Set a value from the performance panel (recompiles unless in uniform mode)
+     */
+    setPerformanceValue(field, value) {
+        this.data[field] = value;
+        if (this.textInputs[field]) {
+            this.textInputs[field].value = String(value);
+        }
+
+        if (this.data.useUniform) {
+            this.uniformValueChanged();
+        } else if (this.graph && this.graph.onGraphChanged) {
+            this.graph.onGraphChanged();
+        }
+        if (this.graph) this.graph.render();
+    }
+
+    /**
+     * Push a value edited in uniform mode to the shaders, then save it (no recompilation)
+     */
+    uniformValueChanged() {
+        this.updateUniformRegistry();
+        if (this.graph && this.graph.onUniformValueChanged) {
+            this.graph.onUniformValueChanged(this);
+        }
+    }
+
     /**
      * Update the uniform registry with this node's current values
      * Called when values change in uniform mode
@@ -0,0 +1,276 @@
+import { Node } from './Node.js';
+import { MidiNode } from './MidiNode.js';
+import { CanvasTextInput } from '../rendering/CanvasTextInput.js';
+import { midiService } from '../services/MIDIService.js';
+
+/**
+ * ControlNode - Shared behaviour of on-canvas control widgets (XY Pad, Knob, Slider,
+ * Color Wheel, Toggle, Trigger)
+ *
+ * Each widget outputs one uniform named after the node, so value changes go straight to
+ * the UniformRegistry without recompiling. Dragging a widget runs through the graph
+ * (START_WIDGET_DRAG) so the whole drag is one undo step.
+ *
+ * Widgets are MIDI-learnable: "learn" maps the next Control Changes to the widget's axes
+ * in order (data.midi = [{ channel, cc }], e.g. x then y for the XY pad).
+ *
+ * Subclasses implement getWidgetRect(), drawWidget(), pressWidget(), dragWidget(),
+ * releaseWidget() and applyMidi(), and list their MIDI axes in getMidiAxes().
+ * Range widgets (definition.hasRange) get MIN/MAX fields on the bottom row.
+ */
+export class ControlNode extends Node {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isControlNode = true;
+        this.width = 160;
+
+        // MIDI learn state (index of the next axis to map)
+        this.isLearning = false;
+        this.learnIndex = 0;
+
+        midiService.subscribe(this.id, (channel, ccNumber, value) => {
+            this.handleMIDIUpdate(channel, ccNumber, value);
+        });
+    }
+
+    rebuildTextInputs() {
+        if (!this.hasInputFields) return;
+
+        this.textInputs = {};
+        if (!this.definition || !this.definition.hasRange) return;
+
+        for (const field of ['min', 'max']) {
+            this.textInputs[field] = new CanvasTextInput(0, 0, 40, 20, String(this.data[field]), 'float');
+            this.textInputs[field].onChange = (newValue) => {
+                const numValue = parseFloat(newValue);
+                if (isNaN(numValue)) return;
+
+                this.data[field] = numValue;
+                this.clampToRange();
+                this.valueChanged();
+            };
+        }
+    }
+
+    updateTextInputPositions() {
+        if (!this.textInputs || !this.textInputs.min) return;
+
+        const rowY = this.y + this.height - 28;
+        this.textInputs.min.x = this.x + 36;
+        this.textInputs.min.y = rowY;
+        this.textInputs.max.x = this.x + 110;
+        this.textInputs.max.y = rowY;
+    }
+
+    // Values of range widgets stay within [min, max] (override to clamp each field)
+    clampToRange() {}
+
+    /**
+     * Map a 0-1 amount into the node's range
+     */
+    fromUnit(amount) {
+        return this.data.min + Math.max(0, Math.min(1, amount)) * (this.data.max - this.data.min);
+    }
+
+    toUnit(value) {
+        const span = this.data.max - this.data.min;
+        return span === 0 ? 0 : Math.max(0, Math.min(1, (value - this.data.min) / span));
+    }
+
+    clampValue(value) {
+        return Math.max(Math.min(this.data.min, this.data.max), Math.min(Math.max(this.data.min, this.data.max), value));
+    }
+
+    /**
+     * Apply changed data: update the uniform in place, then save (and record an undo step,
+     * except for MIDI input, which isn't an edit)
+     */
+    setValues(changes, recordHistory = true) {
+        Object.assign(this.data, changes);
+        this.valueChanged(recordHistory);
+    }
+
+    valueChanged(recordHistory = true) {
+        this.updateUniformRegistry();
+
+        if (this.graph) {
+            // A drag is one undo step: the graph batches everything between mousedown and mouseup
+            if (recordHistory && this.graph.history) this.graph.history.record();
+            if (this.graph.onUniformValueChanged) this.graph.onUniformValueChanged(this);
+            this.graph.render();
+        }
+    }
+
+    /**
+     * Write the current value into the UniformRegistry under the name this node was compiled with
+     */
+    updateUniformRegistry() {
+        if (!this.graph || !this.graph.uniformRegistry) return;
+
+        const glslResult = this.definition.glsl(this, {});
+        const uniform = glslResult && glslResult.uniforms && glslResult.uniforms[0];
+        if (!uniform) return;
+
+        for (const registered of this.graph.uniformRegistry.getAllUniforms()) {
+            if (registered.sourceNodeId === this.id) {
+                this.graph.uniformRegistry.registerUniform(registered.name, registered.type, uniform.value, this);
+            }
+        }
+    }
+
+    // Single outputs don't need a label next to the widget
+    getOutputPortLabel(index) {
+        return this.outputs.length > 1 ? this.outputs[index].name : '';
+    }
+
+    // Override in subclasses
+    getWidgetRect() {
+        return { x: this.x + 10, y: this.y + 32, width: this.width - 20, height: 32 };
+    }
+
+    drawWidget(ctx, rect) {}
+
+    pressWidget(x, y, rect) {}
+
+    dragWidget(x, y, rect) {}
+
+    releaseWidget() {}
+
+    getMidiAxes() {
+        return ['value'];
+    }
+
+    applyMidi(axis, value) {}
+
+    /**
+     * Values shown in the performance panel (one slider per axis by default)
+     */
+    getPerformanceFields() {
+        return this.getMidiAxes().map(name => ({ name, kind: 'range', min: this.data.min, max: this.data.max }));
+    }
+
+    setPerformanceValue(field, value) {
+        this.setValues({ [field]: value });
+    }
+
+    /**
+     * Mouse drags started on the widget (called by the graph)
+     */
+    updateWidgetDrag(x, y) {
+        this.dragWidget(x, y, this.getWidgetRect());
+    }
+
+    endWidgetDrag() {
+        this.releaseWidget();
+    }
+
+    getLearnButtonRect() {
+        const width = 40;
+        return { x: this.x + this.width - width - 6, y: this.y + 6, width, height: 16 };
+    }
+
+    getLearnLabel() {
+        if (this.isLearning) return this.getMidiAxes()[this.learnIndex] || 'learn';
+        const midi = this.data.midi || [];
+        return midi.length > 0 ? midi.map(m => `${m.cc}`).join(',') : 'midi';
+    }
+
+    draw(ctx, options = {}) {
+        this.updateTextInputPositions();
+        super.draw(ctx, options);
+
+        this.drawWidget(ctx, this.getWidgetRect());
+
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textBaseline = 'middle';
+
+        // Range labels
+        if (this.textInputs && this.textInputs.min) {
+            const rowY = this.y + this.height - 18;
+            ctx.fillStyle = '#888';
+            ctx.textAlign = 'left';
+            ctx.fillText('MIN', this.x + 10, rowY);
+            ctx.fillText('MAX', this.x + 84, rowY);
+        }
+
+        // MIDI learn button (shows the mapped CC numbers)
+        const button = this.getLearnButtonRect();
+        ctx.fillStyle = this.isLearning ? '#f0a000' : '#444';
+        ctx.beginPath();
+        ctx.roundRect(button.x, button.y, button.width, button.height, 3);
+        ctx.fill();
+        ctx.fillStyle = this.isLearning ? '#000' : '#fff';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.getLearnLabel(), button.x + button.width / 2, button.y + button.height / 2, button.width - 4);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    handleMouseDown(x, y, event) {
+        const button = this.getLearnButtonRect();
+        if (x >= button.x && x <= button.x + button.width &&
+            y >= button.y && y <= button.y + button.height) {
+            this.toggleLearn();
+            return { handled: true, needsRender: true };
+        }
+
+        const rect = this.getWidgetRect();
+        if (x >= rect.x && x <= rect.x + rect.width &&
+            y >= rect.y && y <= rect.y + rect.height) {
+            this.pressWidget(x, y, rect);
+            return { type: 'START_WIDGET_DRAG', node: this };
+        }
+
+        return super.handleMouseDown(x, y, event);
+    }
+
+    /**
+     * Start learning (clears the current mapping) or stop, keeping the axes learned so far
+     */
+    async toggleLearn() {
+        if (this.isLearning) {
+            this.isLearning = false;
+            this.valueChanged();
+            return;
+        }
+
+        // Enable MIDI if needed (uses user gesture from this click)
+        if (!midiService.isEnabled && !await MidiNode.enableMIDI()) {
+            console.error('[MIDI Learn] Failed to enable MIDI');
+            return;
+        }
+
+        this.isLearning = true;
+        this.learnIndex = 0;
+        this.data.midi = [];
+        if (this.graph) this.graph.render();
+    }
+
+    handleMIDIUpdate(channel, ccNumber, value) {
+        const midi = this.data.midi || [];
+
+        if (this.isLearning) {
+            if (midi.some(m => m.channel === channel && m.cc === ccNumber)) return;
+
+            this.data.midi = [...midi, { channel, cc: ccNumber }];
+            this.learnIndex++;
+            if (this.learnIndex >= this.getMidiAxes().length) {
+                this.isLearning = false;
+            }
+            console.log(`[MIDI Learn] ${this.type} ${this.getMidiAxes()[this.learnIndex - 1]}: Channel ${channel}, CC ${ccNumber}`);
+            this.valueChanged();
+            return;
+        }
+
+        const axis = midi.findIndex(m => m.channel === channel && m.cc === ccNumber);
+        if (axis !== -1 && axis < this.getMidiAxes().length) {
+            this.applyMidi(axis, value);
+        }
+    }
+
+    cleanup() {
+        midiService.unsubscribe(this.id);
+    }
+}
@@ -90,6 +90,21 @@ export class FeedbackNode extends Node {
         this.writeBuffer = temp;
     }
 
+    /**
+     * Reset both buffers to transparent black (so an offline render starts from a blank history)
+     */
+    clear() {
+        if (!this.buffersInitialized) return;
+
+        const gl = this.gl;
+        for (const buffer of [this.readBuffer, this.writeBuffer]) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, buffer.framebuffer);
+            gl.clearColor(0, 0, 0, 0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
     /**
      * Get the texture to read from (previous frame)
      */
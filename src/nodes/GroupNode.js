@@ -0,0 +1,31 @@
+import { Node } from './Node.js';
+
+export class GroupNode extends Node {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isGroupNode = true;
+        this.width = 170;
+    }
+
+    draw(ctx, options = {}) {
+        super.draw(ctx, options);
+
+        // Stacked-card accent to distinguish groups from regular nodes
+        ctx.save();
+        ctx.strokeStyle = 'rgba(78, 201, 176, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.x + 8, this.y - 3);
+        ctx.lineTo(this.x + this.width - 8, this.y - 3);
+        ctx.stroke();
+
+        // Group badge in the header
+        ctx.fillStyle = '#4ec9b0';
+        ctx.font = '11px "Pixeloid Mono"';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText('⧉', this.x + this.width - 10, this.y + 18);
+        ctx.restore();
+    }
+}
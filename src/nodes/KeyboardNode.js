@@ -0,0 +1,281 @@
+import { Node } from './Node.js';
+import { CanvasTextInput } from '../rendering/CanvasTextInput.js';
+import { RenderClock } from '../rendering/RenderClock.js';
+import { VideoTextureCache } from '../rendering/VideoTextureCache.js';
+import { keyboardService } from '../services/KeyboardService.js';
+
+const MAX_KEYS = 8;
+
+// Key names accepted in the KEYS field besides letters and digits (keyCodes)
+const NAMED_KEYS = {
+    space: 32, enter: 13, tab: 9, backspace: 8, escape: 27, esc: 27,
+    shift: 16, ctrl: 17, alt: 18,
+    left: 37, up: 38, right: 39, down: 40
+};
+const KEY_LABELS = {
+    space: '␣', enter: '⏎', tab: '⇥', backspace: '⌫', escape: '⎋', esc: '⎋',
+    shift: '⇧', ctrl: '^', alt: '⌥',
+    left: '←', up: '↑', right: '→', down: '↓'
+};
+
+/**
+ * KeyboardNode - Key state as uniforms and as a ShaderToy-style keyboard texture
+ *
+ * Each key listed in data.keys (e.g. "W A S D space") gets a vec3 output
+ * (held, pressed this frame, toggled), backed by a vec4 uniform array. With data.texture on,
+ * a 256x3 sampler2D is output as well: x = keyCode, row 0 = held, row 1 = pressed, row 2 = toggled.
+ */
+export class KeyboardNode extends Node {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isKeyboardNode = true;
+        this.width = 220;
+        this.fixedOutputRows = true;
+
+        // Parsed data.keys: [{ name, label, keyCode }]
+        this.keys = [];
+        this.unknownKeys = [];
+
+        // Key state of the current frame, indexed by keyCode
+        this.held = new Uint8Array(256);
+        this.pressed = new Uint8Array(256);
+        this.toggled = new Uint8Array(256);
+        this.lastPressCounts = new Uint32Array(256);
+        this.lastUpdate = null;
+        this.keyValues = new Float32Array(MAX_KEYS * 4);
+
+        // Keyboard texture uploaded by VideoTextureCache
+        this.textureSource = { width: 256, height: 3, data: new Uint8Array(256 * 3 * 4), frame: 0 };
+
+        // Recorded { held, pressed, toggled } keyCode lists played back by the offline renderer (null = live)
+        this.replayValue = null;
+
+        keyboardService.subscribe(this.id, () => {
+            if (this.graph) this.graph.render();
+        });
+
+        // Parsed again now that the fields above are initialized
+        this.updatePorts();
+    }
+
+    /**
+     * Parse data.keys and rebuild the outputs, dropping connections to removed keys
+     */
+    updatePorts() {
+        this.keys = [];
+        this.unknownKeys = [];
+
+        for (const token of String(this.data.keys || '').split(/[\s,]+/)) {
+            if (!token) continue;
+            const name = token.toLowerCase();
+            let keyCode = NAMED_KEYS[name];
+            if (keyCode === undefined && /^[a-z0-9]$/.test(name)) {
+                keyCode = name.toUpperCase().charCodeAt(0);
+            }
+
+            if (keyCode === undefined) {
+                this.unknownKeys.push(token);
+            } else if (this.keys.length < MAX_KEYS && !this.keys.some(key => key.keyCode === keyCode)) {
+                this.keys.push({ name: `key_${name}`, label: KEY_LABELS[name] || name.toUpperCase(), keyCode });
+            }
+        }
+
+        this.outputs = this.keys.map(key => ({ name: key.name, type: 'vec3' }));
+        if (this.data.texture) {
+            this.outputs.push({ name: 'keyboard', type: 'sampler2D' });
+        }
+
+        if (this.graph) {
+            this.graph.connections = this.graph.connections.filter(
+                conn => conn.fromNode !== this || conn.fromOutput < this.outputs.length
+            );
+        }
+
+        this.updateDimensions();
+    }
+
+    updateDimensions() {
+        // Three rows of controls and a status line, or the output ports if they are taller
+        const controlsHeight = 32 + 3 * 24 + 20;
+        const portsHeight = this.getPortRowOffset(this.outputs.length - 1) + 18;
+        this.height = Math.max(controlsHeight, portsHeight);
+    }
+
+    rebuildTextInputs() {
+        if (!this.hasInputFields) return;
+
+        this.textInputs = {};
+
+        this.textInputs.keys = new CanvasTextInput(0, 0, 96, 20, this.data.keys || '', 'text');
+        this.textInputs.keys.onChange = (newValue) => {
+            this.data.keys = newValue;
+            this.updatePorts();
+            if (this.graph && this.graph.onGraphChanged) {
+                this.graph.onGraphChanged();
+            }
+        };
+
+        // Runs after deserialization restores data, so key outputs match it
+        if (this.definition) this.updatePorts();
+    }
+
+    updateTextInputPositions() {
+        if (this.textInputs && this.textInputs.keys) {
+            this.textInputs.keys.x = this.x + 42;
+            this.textInputs.keys.y = this.y + 32;
+        }
+    }
+
+    getTextureButton() {
+        return { x: this.x + 10, y: this.y + 58, width: 128, height: 16 };
+    }
+
+    draw(ctx, options = {}) {
+        this.updateTextInputPositions();
+        super.draw(ctx, options);
+
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#888';
+        ctx.fillText('KEYS', this.x + 10, this.y + 42);
+
+        // Texture toggle
+        const button = this.getTextureButton();
+        ctx.fillStyle = this.data.texture ? '#007acc' : '#444';
+        ctx.beginPath();
+        ctx.roundRect(button.x, button.y, button.width, button.height, 3);
+        ctx.fill();
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'center';
+        ctx.fillText('keyboard texture', button.x + button.width / 2, button.y + button.height / 2);
+
+        // Live state of the chosen keys (lit while held, outlined while toggled on)
+        const size = 14;
+        this.keys.forEach((key, i) => {
+            const keyX = this.x + 10 + i * (size + 2);
+            const keyY = this.y + 82;
+            const held = keyboardService.held[key.keyCode];
+            ctx.fillStyle = held ? '#007acc' : '#333';
+            ctx.beginPath();
+            ctx.roundRect(keyX, keyY, size, size, 2);
+            ctx.fill();
+            if (keyboardService.toggled[key.keyCode]) {
+                ctx.strokeStyle = '#007acc';
+                ctx.lineWidth = 1;
+                ctx.stroke();
+            }
+            ctx.fillStyle = held ? '#fff' : '#aaa';
+            ctx.fillText(key.label, keyX + size / 2, keyY + size / 2);
+        });
+
+        // Status
+        ctx.textAlign = 'left';
+        ctx.fillStyle = this.unknownKeys.length > 0 ? '#f44336' : '#888';
+        const status = this.unknownKeys.length > 0
+            ? `Unknown key: ${this.unknownKeys.join(' ')}`
+            : (this.keys.length > 0 ? 'Ignored while editing text' : 'List keys, e.g. W A S D space');
+        ctx.fillText(status, this.x + 10, this.y + this.height - 12, 140);
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    handleMouseDown(x, y, event) {
+        const button = this.getTextureButton();
+        if (x >= button.x && x <= button.x + button.width &&
+            y >= button.y && y <= button.y + button.height) {
+            this.data.texture = !this.data.texture;
+            this.updatePorts();
+            return { handled: true, needsRender: true, needsGraphChange: true };
+        }
+
+        return super.handleMouseDown(x, y, event);
+    }
+
+    /**
+     * Take the key state for this frame (at most once per frame, shared by all renderers)
+     * "Pressed" covers every key that went down since the previous frame
+     */
+    update() {
+        const now = RenderClock.getFrameTime();
+        if (now === this.lastUpdate) return;
+        this.lastUpdate = now;
+
+        const counts = keyboardService.pressCounts;
+        if (this.replayValue !== null) {
+            this.held.fill(0);
+            this.pressed.fill(0);
+            this.toggled.fill(0);
+            this.replayValue.held.forEach(keyCode => { this.held[keyCode] = 1; });
+            this.replayValue.pressed.forEach(keyCode => { this.pressed[keyCode] = 1; });
+            this.replayValue.toggled.forEach(keyCode => { this.toggled[keyCode] = 1; });
+        } else {
+            this.held.set(keyboardService.held);
+            this.toggled.set(keyboardService.toggled);
+            for (let keyCode = 0; keyCode < 256; keyCode++) {
+                this.pressed[keyCode] = counts[keyCode] !== this.lastPressCounts[keyCode] ? 1 : 0;
+            }
+        }
+        // Presses during a replay are not reported once it ends
+        this.lastPressCounts.set(counts);
+
+        // Rows of the keyboard texture (all channels, so .r and .x both read the state)
+        const data = this.textureSource.data;
+        const rows = [this.held, this.pressed, this.toggled];
+        for (let row = 0; row < 3; row++) {
+            for (let keyCode = 0; keyCode < 256; keyCode++) {
+                const value = rows[row][keyCode] * 255;
+                const offset = (row * 256 + keyCode) * 4;
+                data[offset] = data[offset + 1] = data[offset + 2] = data[offset + 3] = value;
+            }
+        }
+        this.textureSource.frame++;
+    }
+
+    /**
+     * Chosen keys as vec4s (held, pressed, toggled, 0) for the uniform array
+     * Called every frame by the renderers
+     */
+    getUniformValue() {
+        this.update();
+        this.keys.forEach((key, i) => {
+            this.keyValues[i * 4] = this.held[key.keyCode];
+            this.keyValues[i * 4 + 1] = this.pressed[key.keyCode];
+            this.keyValues[i * 4 + 2] = this.toggled[key.keyCode];
+        });
+        return this.keyValues.subarray(0, Math.max(1, this.keys.length) * 4);
+    }
+
+    /**
+     * Key state of the current frame, recorded by InputRecorder (and played back as replayValue)
+     */
+    getKeyState() {
+        this.update();
+        const list = (state) => {
+            const keyCodes = [];
+            state.forEach((value, keyCode) => {
+                if (value) keyCodes.push(keyCode);
+            });
+            return keyCodes;
+        };
+        return { held: list(this.held), pressed: list(this.pressed), toggled: list(this.toggled) };
+    }
+
+    /**
+     * Keyboard texture for VideoTextureCache (generated pixels, uploaded when the frame changes)
+     */
+    getTextureSource() {
+        this.update();
+        return this.textureSource;
+    }
+
+    getTextureOptions() {
+        // Row 0 (held) at v = 0, as in ShaderToy
+        return { flipY: false };
+    }
+
+    cleanup() {
+        keyboardService.unsubscribe(this.id);
+        VideoTextureCache.releaseNode(this.id);
+    }
+}
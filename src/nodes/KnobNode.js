@@ -0,0 +1,86 @@
+import { ControlNode } from './ControlNode.js';
+
+// Sweep of the knob: 270°, starting bottom left
+const START_ANGLE = Math.PI * 0.75;
+const SWEEP = Math.PI * 1.5;
+
+// Pixels of vertical drag for the full range
+const DRAG_RANGE = 150;
+
+/**
+ * KnobNode - Rotary float control within [min, max]
+ * Drag up/down to turn it.
+ */
+export class KnobNode extends ControlNode {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        // Drag start (mouse y and value as 0-1)
+        this.dragStart = null;
+    }
+
+    updateDimensions() {
+        // Title (32) + knob (56) + value (22) + range row
+        this.height = 32 + 56 + 22 + 36;
+    }
+
+    getWidgetRect() {
+        return { x: this.x + this.width / 2 - 28, y: this.y + 32, width: 56, height: 56 };
+    }
+
+    clampToRange() {
+        this.data.value = this.clampValue(this.data.value);
+    }
+
+    drawWidget(ctx, rect) {
+        const cx = rect.x + rect.width / 2;
+        const cy = rect.y + rect.height / 2;
+        const radius = rect.width / 2 - 4;
+        const angle = START_ANGLE + this.toUnit(this.data.value) * SWEEP;
+
+        ctx.lineCap = 'round';
+        ctx.lineWidth = 5;
+        ctx.strokeStyle = '#222';
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, START_ANGLE, START_ANGLE + SWEEP);
+        ctx.stroke();
+
+        ctx.strokeStyle = '#007acc';
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, START_ANGLE, angle);
+        ctx.stroke();
+
+        // Pointer
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#fff';
+        ctx.beginPath();
+        ctx.moveTo(cx + Math.cos(angle) * radius * 0.3, cy + Math.sin(angle) * radius * 0.3);
+        ctx.lineTo(cx + Math.cos(angle) * (radius - 6), cy + Math.sin(angle) * (radius - 6));
+        ctx.stroke();
+        ctx.lineCap = 'butt';
+
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(this.data.value.toFixed(3), cx, rect.y + rect.height + 10);
+    }
+
+    pressWidget(x, y, rect) {
+        this.dragStart = { y, amount: this.toUnit(this.data.value) };
+    }
+
+    dragWidget(x, y, rect) {
+        if (!this.dragStart) return;
+        const amount = this.dragStart.amount + (this.dragStart.y - y) / DRAG_RANGE;
+        this.setValues({ value: this.fromUnit(amount) });
+    }
+
+    releaseWidget() {
+        this.dragStart = null;
+    }
+
+    applyMidi(axis, value) {
+        this.setValues({ value: this.fromUnit(value) }, false);
+    }
+}
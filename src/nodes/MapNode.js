@@ -156,6 +156,29 @@ export class MapNode extends Node {
         return super._checkTextInputs ? super._checkTextInputs(x, y) : null;
     }
 
+    /**
+     * Values shown in the performance panel
+     * Ranges are compiled into the shader, so changing them recompiles
+     */
+    getPerformanceFields() {
+        return [
+            ...['inMin', 'inMax', 'outMin', 'outMax'].map(name => ({ name, kind: 'number', step: 0.01 })),
+            { name: 'clip', kind: 'bool' }
+        ];
+    }
+
+    setPerformanceValue(field, value) {
+        this.data[field] = value;
+        if (this.textInputs[field]) {
+            this.textInputs[field].value = String(value);
+        }
+
+        if (this.graph && this.graph.onGraphChanged) {
+            this.graph.onGraphChanged();
+        }
+        if (this.graph) this.graph.render();
+    }
+
     updateDimensions() {
         const baseHeight = 30;
         // Headers (15) + 2 rows of text inputs (50) + small gap (5) + toggle (20) + bottom padding (5)
@@ -0,0 +1,248 @@
+import { Node } from './Node.js';
+import { AssetRegistry } from '../core/AssetRegistry.js';
+import { VideoTextureCache } from '../rendering/VideoTextureCache.js';
+
+const WRAP_MODES = ['clamp', 'repeat', 'mirror'];
+const KIND_NAMES = { image: 'an image', video: 'a video', audio: 'an audio' };
+
+/**
+ * MediaFileNode - Image, video or audio file picked by the user (Image, Video File and Audio File nodes)
+ * The file lives in AssetRegistry; the node only stores its asset ID and sampling options.
+ * Files can be chosen with the file picker or dropped onto the node.
+ */
+export class MediaFileNode extends Node {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isMediaFileNode = true;
+        this.mediaKind = this.definition?.mediaKind || 'image';
+        this.width = 200;
+        this.height = 130;
+        this.fixedOutputRows = true;
+
+        // Loaded media (HTMLImageElement or HTMLMediaElement)
+        this.mediaElement = null;
+        this.loadedAssetId = null;
+        this.isActive = false;
+        this.isLoading = false;
+        this.error = null;
+    }
+
+    updateDimensions() {
+        // Title (30) + port rows (44) + file row (26) + options row (22) + padding
+        this.height = 130;
+    }
+
+    // Ports get fixed rows at the top so their labels don't overlap the buttons
+    getInputPortPosition(index) {
+        return { x: this.x, y: this.y + this.getPortRowOffset(index) };
+    }
+
+    /**
+     * Store a picked/dropped file as this node's asset
+     */
+    async loadFile(file) {
+        if (!file.type.startsWith(`${this.mediaKind}/`)) {
+            alert(`Please choose ${KIND_NAMES[this.mediaKind]} file.`);
+            return false;
+        }
+
+        const asset = await AssetRegistry.add(file);
+        this.data.assetId = asset.id;
+        this.data.fileName = file.name;
+
+        if (this.graph && this.graph.onGraphChanged) {
+            this.graph.onGraphChanged();
+        }
+        if (this.graph) this.graph.render();
+        return true;
+    }
+
+    openFilePicker() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = `${this.mediaKind}/*`;
+        input.onchange = () => {
+            if (input.files && input.files[0]) {
+                this.loadFile(input.files[0]);
+            }
+        };
+        input.click();
+    }
+
+    /**
+     * Load the media element for the current asset (also after undo/redo or project load)
+     */
+    syncMedia() {
+        const assetId = this.data.assetId || null;
+        if (assetId === this.loadedAssetId) return;
+
+        this.loadedAssetId = assetId;
+        this.releaseMedia();
+        if (!assetId) return;
+
+        this.isLoading = true;
+        this.error = null;
+
+        AssetRegistry.getSourceUrl(assetId).then(url => {
+            // A newer asset was picked while this one was loading
+            if (this.loadedAssetId !== assetId) return;
+
+            if (!url) {
+                this.isLoading = false;
+                this.error = 'File missing';
+                return;
+            }
+
+            const onLoaded = () => {
+                this.isLoading = false;
+                this.isActive = true;
+                if (this.graph) this.graph.render();
+            };
+            const onError = () => {
+                this.isLoading = false;
+                this.isActive = false;
+                this.error = 'Failed to load';
+                console.error(`[Media File Node] Failed to load ${this.data.fileName}`);
+            };
+
+            this.mediaElement = this.createMediaElement(url, onLoaded, onError);
+        });
+    }
+
+    /**
+     * Create the element for a source URL (overridden by Audio File nodes)
+     */
+    createMediaElement(url, onLoaded, onError) {
+        const element = this.mediaKind === 'video'
+            ? document.createElement('video')
+            : new Image();
+        element.crossOrigin = 'anonymous';
+
+        if (this.mediaKind === 'video') {
+            element.setAttribute('playsinline', '');
+            element.muted = true;
+            element.loop = true;
+            element.addEventListener('loadeddata', onLoaded, { once: true });
+            element.addEventListener('error', onError, { once: true });
+            element.src = url;
+            element.play().catch(err => {
+                console.warn('[Media File Node] Autoplay failed:', err);
+            });
+        } else {
+            element.onload = onLoaded;
+            element.onerror = onError;
+            element.src = url;
+        }
+
+        return element;
+    }
+
+    releaseMedia() {
+        if (this.mediaElement instanceof HTMLMediaElement) {
+            this.mediaElement.pause();
+            this.mediaElement.removeAttribute('src');
+        }
+        this.mediaElement = null;
+        this.isActive = false;
+    }
+
+    /**
+     * Media for VideoTextureCache
+     */
+    getTextureSource() {
+        this.syncMedia();
+        return this.isActive ? this.mediaElement : null;
+    }
+
+    getTextureOptions() {
+        return {
+            wrap: this.data.wrap,
+            mipmaps: this.data.mipmaps,
+            flipY: this.data.flipY
+        };
+    }
+
+    getButtons() {
+        const rowY = this.y + 80;
+        const optionsY = this.y + 106;
+        const optionWidth = (this.width - 28) / 3;
+        return [
+            { action: 'pick', x: this.x + 10, y: rowY, width: this.width - 20, height: 20 },
+            { action: 'wrap', x: this.x + 10, y: optionsY, width: optionWidth, height: 18 },
+            { action: 'mipmaps', x: this.x + 14 + optionWidth, y: optionsY, width: optionWidth, height: 18 },
+            { action: 'flipY', x: this.x + 18 + optionWidth * 2, y: optionsY, width: optionWidth, height: 18 }
+        ];
+    }
+
+    getButtonLabel(action) {
+        if (action === 'pick') {
+            if (this.isLoading) return 'Loading...';
+            if (this.error) return this.error;
+            return this.data.fileName || `Drop or choose ${this.mediaKind}`;
+        }
+        if (action === 'wrap') return this.data.wrap;
+        if (action === 'mipmaps') return 'Mipmaps';
+        return 'Flip Y';
+    }
+
+    isButtonOn(action) {
+        return (action === 'mipmaps' && this.data.mipmaps) ||
+               (action === 'flipY' && this.data.flipY);
+    }
+
+    draw(ctx, options = {}) {
+        this.syncMedia();
+        super.draw(ctx, options);
+
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const button of this.getButtons()) {
+            ctx.fillStyle = this.isButtonOn(button.action) ? '#007acc' : '#444';
+            ctx.beginPath();
+            ctx.roundRect(button.x, button.y, button.width, button.height, 3);
+            ctx.fill();
+
+            // Truncate long file names to the button width
+            let label = this.getButtonLabel(button.action);
+            while (label.length > 4 && ctx.measureText(label).width > button.width - 8) {
+                label = label.slice(0, -4) + '...';
+            }
+
+            ctx.fillStyle = button.action === 'pick' && this.error ? '#f44336' : '#fff';
+            ctx.fillText(label, button.x + button.width / 2, button.y + button.height / 2);
+        }
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    handleMouseDown(x, y, event) {
+        for (const button of this.getButtons()) {
+            if (x < button.x || x > button.x + button.width ||
+                y < button.y || y > button.y + button.height) continue;
+
+            if (button.action === 'pick') {
+                this.openFilePicker();
+                return { handled: true };
+            }
+            if (button.action === 'wrap') {
+                const index = WRAP_MODES.indexOf(this.data.wrap);
+                this.data.wrap = WRAP_MODES[(index + 1) % WRAP_MODES.length];
+            } else {
+                this.data[button.action] = !this.data[button.action];
+            }
+            return { handled: true, needsRender: true, needsGraphChange: true };
+        }
+
+        return super.handleMouseDown(x, y, event);
+    }
+
+    cleanup() {
+        this.releaseMedia();
+        this.loadedAssetId = null;
+        VideoTextureCache.releaseNode(this.id);
+    }
+}
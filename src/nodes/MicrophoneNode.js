@@ -1,14 +1,15 @@
-import { Node } from './Node.js';
+import { AudioInputNode } from './AudioInputNode.js';
+import { audioService } from '../services/AudioService.js';
 
-export class MicrophoneNode extends Node {
+export class MicrophoneNode extends AudioInputNode {
     constructor(id, type, x, y) {
         super(id, type, x, y);
 
         this.isMicrophoneNode = true;
+        this.width = 200;
+        this.fixedOutputRows = true;
 
-        // Audio context and analysis
-        this.audioContext = null;
-        this.microphone = null;
+        // Audio-rate RMS analysis
         this.processor = null;
 
         // RMS value (updated at audio rate)
@@ -18,123 +19,78 @@ export class MicrophoneNode extends Node {
         // Decay in samples (higher = slower decay)
         this.decayRate = 0.9995; // Very slow decay for smooth falloff
 
-        // State
-        this.isActive = false;
-        this.error = null;
+        // Recorded value played back by the offline renderer (null = live)
+        this.replayValue = null;
     }
 
-    // Override handleMouseDown to auto-enable microphone on any click
-    handleMouseDown(x, y, event) {
-        // Auto-enable microphone if not already enabled (uses user gesture from this click)
-        if (!this.isActive) {
-            console.log('[Microphone Node] Auto-enabling microphone from user gesture...');
-            this.enable().then(success => {
-                if (success) {
-                    const btn = document.getElementById('micBtn');
-                    if (btn) {
-                        btn.style.background = '#007acc';
-                        btn.style.borderColor = '#007acc';
-                        btn.title = 'Microphone Active';
-                    }
-                }
-            });
-        }
+    updateDimensions() {
+        // Title (30) + output row + source controls + status line
+        this.height = 100;
+    }
+
+    getSourceControlsY() {
+        return this.y + 58;
+    }
+
+    draw(ctx, options = {}) {
+        this.syncAudioInput();
+        super.draw(ctx, options);
+        this.drawSourceControls(ctx);
 
-        // Call parent to handle normal node interaction
-        return super.handleMouseDown ? super.handleMouseDown(x, y, event) : null;
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = this.error ? '#f44336' : '#888';
+        ctx.fillText(this.getStatus(), this.x + 10, this.y + this.height - 14, this.width - 20);
+        ctx.textBaseline = 'alphabetic';
     }
 
     /**
-     * Initialize microphone access
+     * Route the input through the RMS worklet
      */
-    async enable() {
-        if (this.isActive) return true;
-
+    async connectInput(input) {
         try {
-            // Request microphone access with minimal latency
-            const stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false,
-                    latency: 0,
-                    channelCount: 1
-                }
-            });
-
-            // Create audio context with absolute minimum latency
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                latencyHint: 'interactive',
-                sampleRate: 48000
-            });
-
             // Load the AudioWorklet processor
-            await this.audioContext.audioWorklet.addModule('rms-processor.js');
-
-            // Create microphone source
-            this.microphone = this.audioContext.createMediaStreamSource(stream);
+            await audioService.loadWorklet('rms-processor.js');
+        } catch (error) {
+            console.error('Failed to load RMS processor:', error);
+            this.error = error.message;
+            return;
+        }
+        if (this.connectedInput !== input) return; // Input changed while loading
 
+        if (!this.processor) {
             // Create AudioWorklet node for audio-rate RMS calculation
-            this.processor = new AudioWorkletNode(this.audioContext, 'rms-processor');
+            this.processor = new AudioWorkletNode(audioService.context, 'rms-processor');
 
             // Receive RMS values from the worklet
             this.processor.port.onmessage = (event) => {
                 this.rmsValue = event.data.rms;
             };
-
-            // Connect: microphone -> processor
-            // Note: No need to connect to destination unless we want to hear it
-            this.microphone.connect(this.processor);
-
-            this.isActive = true;
-            this.error = null;
-
-
-            return true;
-
-        } catch (error) {
-            console.error('Failed to enable microphone:', error);
-            this.error = error.message;
-            this.isActive = false;
-            return false;
         }
-    }
 
-    /**
-     * Disable microphone
-     */
-    disable() {
-        if (!this.isActive) return;
+        // Connect: input -> processor
+        // Note: No need to connect to destination unless we want to hear it
+        input.connect(this.processor);
+    }
 
+    disconnectInput(input) {
         if (this.processor) {
-            this.processor.disconnect();
-            this.processor.onaudioprocess = null;
-        }
-
-        if (this.microphone) {
-            this.microphone.disconnect();
-            const stream = this.microphone.mediaStream;
-            if (stream) {
-                stream.getTracks().forEach(track => track.stop());
+            try {
+                input.disconnect(this.processor);
+            } catch (error) {
+                // Not connected yet (worklet was still loading)
             }
         }
-
-        if (this.audioContext) {
-            this.audioContext.close();
-        }
-
-        this.audioContext = null;
-        this.processor = null;
-        this.microphone = null;
-        this.isActive = false;
-
-        console.log('Microphone disabled');
+        this.rmsValue = 0.0;
     }
 
     /**
      * Get current RMS value
+     * Called every frame by the renderers
      */
     getRMS() {
+        if (this.replayValue !== null) return this.replayValue;
+        this.syncAudioInput();
         return this.rmsValue;
     }
 
@@ -142,6 +98,11 @@ export class MicrophoneNode extends Node {
      * Cleanup
      */
     cleanup() {
-        this.disable();
+        super.cleanup();
+        if (this.processor) {
+            this.processor.port.onmessage = null;
+            this.processor.disconnect();
+            this.processor = null;
+        }
     }
 }
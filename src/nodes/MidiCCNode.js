@@ -1,8 +1,8 @@
-import { Node } from './Node.js';
+import { MidiNode } from './MidiNode.js';
 import { CanvasTextInput } from '../rendering/CanvasTextInput.js';
 import { midiService } from '../services/MIDIService.js';
 
-export class MidiCCNode extends Node {
+export class MidiCCNode extends MidiNode {
     constructor(id, type, x, y) {
         super(id, type, x, y);
 
@@ -21,9 +21,8 @@ export class MidiCCNode extends Node {
         this.lastFrameTime = 0;
         this.currentFrameTime = 0;
 
-        // MIDI learn state
-        this.isLearning = false;
-        this.learnCallback = null;
+        // Recorded value played back by the offline renderer (null = live)
+        this.replayValue = null;
 
         // Subscribe to MIDI updates
         midiService.subscribe(this.id, (channel, ccNumber, value) => {
@@ -139,121 +138,21 @@ export class MidiCCNode extends Node {
         this.drawLearnButton(ctx);
     }
 
-    drawLearnButton(ctx) {
-        const buttonWidth = 40;
-        const buttonHeight = 16;
-        const buttonX = this.x + this.width - buttonWidth - 6;
-        const buttonY = this.y + 6;
-
-        // Button background
-        ctx.fillStyle = this.isLearning ? '#f0a000' : '#444';
-        ctx.beginPath();
-        ctx.roundRect(buttonX, buttonY, buttonWidth, buttonHeight, 3);
-        ctx.fill();
-
-        // Button text
-        ctx.fillStyle = this.isLearning ? '#000' : '#fff';
-        ctx.font = '10px -apple-system, sans-serif';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText('learn', buttonX + buttonWidth / 2, buttonY + buttonHeight / 2);
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'alphabetic';
-    }
-
-    _checkTextInputs(x, y) {
-        // Check learn button (top right)
-        const buttonWidth = 40;
-        const buttonHeight = 16;
-        const buttonX = this.x + this.width - buttonWidth - 6;
-        const buttonY = this.y + 6;
-
-        if (x >= buttonX && x <= buttonX + buttonWidth &&
-            y >= buttonY && y <= buttonY + buttonHeight) {
-            this.toggleLearn();
-            return { type: 'TOGGLE_LEARN', node: this };
-        }
+    // Learn the channel and CC number from the next Control Change
+    applyLearned(channel, ccNumber) {
+        this.data.channel = channel;
+        this.data.ccNumber = ccNumber;
 
-        // Fall back to parent implementation for text inputs
-        return super._checkTextInputs ? super._checkTextInputs(x, y) : null;
-    }
-
-    // Override handleMouseDown to auto-enable MIDI on any click
-    handleMouseDown(x, y, event) {
-        // Auto-enable MIDI if not already enabled (uses user gesture from this click)
-        if (!midiService.isEnabled) {
-            console.log('[MIDI CC Node] Auto-enabling MIDI from user gesture...');
-            midiService.enable().then(success => {
-                if (success) {
-                    const btn = document.getElementById('midiBtn');
-                    if (btn) {
-                        btn.style.background = '#007acc';
-                        btn.style.borderColor = '#007acc';
-                        btn.title = 'MIDI Active';
-                    }
-                }
-            });
+        // Update text inputs
+        if (this.textInputs.channel) {
+            this.textInputs.channel.setValue(String(channel));
         }
-
-        // Call parent to handle normal node interaction
-        return super.handleMouseDown ? super.handleMouseDown(x, y, event) : null;
-    }
-
-    async toggleLearn() {
-        // Auto-enable MIDI if not already enabled (uses user gesture from this click)
-        if (!midiService.isEnabled) {
-            console.log('[MIDI Learn] Auto-enabling MIDI from user gesture...');
-            const success = await midiService.enable();
-            if (!success) {
-                console.error('[MIDI Learn] Failed to enable MIDI');
-                return;
-            }
-            // Update button state
-            const btn = document.getElementById('midiBtn');
-            if (btn) {
-                btn.style.background = '#007acc';
-                btn.style.borderColor = '#007acc';
-                btn.title = 'MIDI Active';
-            }
+        if (this.textInputs.ccNumber) {
+            this.textInputs.ccNumber.setValue(String(ccNumber));
         }
 
-        this.isLearning = !this.isLearning;
-
-        if (this.isLearning) {
-            console.log('[MIDI Learn] Waiting for MIDI CC input...');
-            // Set up one-time learn listener
-            this.learnCallback = (channel, ccNumber, value) => {
-                if (this.isLearning) {
-                    // Detected MIDI input - set it!
-                    this.data.channel = channel;
-                    this.data.ccNumber = ccNumber;
-                    this.isLearning = false;
-
-                    // Update text inputs
-                    if (this.textInputs.channel) {
-                        this.textInputs.channel.setValue(String(channel));
-                    }
-                    if (this.textInputs.ccNumber) {
-                        this.textInputs.ccNumber.setValue(String(ccNumber));
-                    }
-
-                    console.log(`[MIDI Learn] Learned: Channel ${channel}, CC ${ccNumber}`);
-
-                    if (this.graph && this.graph.onGraphChanged) {
-                        this.graph.onGraphChanged();
-                    }
-                }
-            };
-            // Subscribe with a temporary ID for learning
-            midiService.subscribe(`${this.id}_learn`, this.learnCallback);
-        } else {
-            // Cancel learning
-            if (this.learnCallback) {
-                midiService.unsubscribe(`${this.id}_learn`);
-                this.learnCallback = null;
-            }
-            console.log('[MIDI Learn] Cancelled');
-        }
+        console.log(`[MIDI Learn] Learned: Channel ${channel}, CC ${ccNumber}`);
+        return true;
     }
 
     updateDimensions() {
@@ -295,6 +194,8 @@ export class MidiCCNode extends Node {
      * Called every frame by the renderer
      */
     getValue() {
+        if (this.replayValue !== null) return this.replayValue;
+
         // Get current timestamp
         this.currentFrameTime = performance.now();
 
@@ -344,9 +245,6 @@ export class MidiCCNode extends Node {
     cleanup() {
         midiService.unsubscribe(this.id);
         // Clean up learn callback if active
-        if (this.learnCallback) {
-            midiService.unsubscribe(`${this.id}_learn`);
-            this.learnCallback = null;
-        }
+        super.cleanup();
     }
 }
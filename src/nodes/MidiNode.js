@@ -0,0 +1,149 @@
+import { Node } from './Node.js';
+import { midiService } from '../services/MIDIService.js';
+
+/**
+ * MidiNode - Shared behaviour of MIDI input nodes (MIDI CC, MIDI Note)
+ *
+ * Enables MIDI on the first click (it needs a user gesture) and provides the
+ * "learn" button. Subclasses choose which messages to learn from by overriding
+ * listenForLearn()/stopListeningForLearn(), and apply them in applyLearned().
+ */
+export class MidiNode extends Node {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isMidiNode = true;
+
+        // MIDI learn state
+        this.isLearning = false;
+        this.learnCallback = null;
+    }
+
+    /**
+     * Enable MIDI from a user gesture and light up the toolbar button
+     */
+    static async enableMIDI() {
+        if (midiService.isEnabled) return true;
+
+        const success = await midiService.enable();
+        if (success) {
+            const btn = document.getElementById('midiBtn');
+            if (btn) {
+                btn.style.background = '#007acc';
+                btn.style.borderColor = '#007acc';
+                btn.title = 'MIDI Active';
+            }
+        }
+        return success;
+    }
+
+    getLearnButtonRect() {
+        const width = 40;
+        return { x: this.x + this.width - width - 6, y: this.y + 6, width, height: 16 };
+    }
+
+    drawLearnButton(ctx) {
+        const { x, y, width, height } = this.getLearnButtonRect();
+
+        // Button background
+        ctx.fillStyle = this.isLearning ? '#f0a000' : '#444';
+        ctx.beginPath();
+        ctx.roundRect(x, y, width, height, 3);
+        ctx.fill();
+
+        // Button text
+        ctx.fillStyle = this.isLearning ? '#000' : '#fff';
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('learn', x + width / 2, y + height / 2);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    _checkTextInputs(x, y) {
+        // Check learn button (top right)
+        const button = this.getLearnButtonRect();
+        if (x >= button.x && x <= button.x + button.width &&
+            y >= button.y && y <= button.y + button.height) {
+            this.toggleLearn();
+            return { type: 'TOGGLE_LEARN', node: this };
+        }
+
+        // Fall back to parent implementation for text inputs
+        return super._checkTextInputs ? super._checkTextInputs(x, y) : null;
+    }
+
+    // Override handleMouseDown to auto-enable MIDI on any click
+    handleMouseDown(x, y, event) {
+        // Auto-enable MIDI if not already enabled (uses user gesture from this click)
+        if (!midiService.isEnabled) {
+            console.log(`[${this.type} Node] Auto-enabling MIDI from user gesture...`);
+            MidiNode.enableMIDI();
+        }
+
+        // Call parent to handle normal node interaction
+        return super.handleMouseDown ? super.handleMouseDown(x, y, event) : null;
+    }
+
+    async toggleLearn() {
+        // Auto-enable MIDI if not already enabled (uses user gesture from this click)
+        if (!midiService.isEnabled) {
+            console.log('[MIDI Learn] Auto-enabling MIDI from user gesture...');
+            if (!await MidiNode.enableMIDI()) {
+                console.error('[MIDI Learn] Failed to enable MIDI');
+                return;
+            }
+        }
+
+        this.isLearning = !this.isLearning;
+
+        if (this.isLearning) {
+            console.log(`[MIDI Learn] Waiting for ${this.type} input...`);
+            // One-time learn listener
+            this.learnCallback = (...message) => {
+                if (!this.isLearning || !this.applyLearned(...message)) return;
+
+                this.isLearning = false;
+                this.stopLearning();
+
+                if (this.graph && this.graph.onGraphChanged) {
+                    this.graph.onGraphChanged();
+                }
+                if (this.graph) this.graph.render();
+            };
+            this.listenForLearn(this.learnCallback);
+        } else {
+            this.stopLearning();
+            console.log('[MIDI Learn] Cancelled');
+        }
+    }
+
+    stopLearning() {
+        if (this.learnCallback) {
+            this.stopListeningForLearn();
+            this.learnCallback = null;
+        }
+    }
+
+    // Learn from Control Change messages by default (subscribed with a temporary ID)
+    listenForLearn(callback) {
+        midiService.subscribe(`${this.id}_learn`, callback);
+    }
+
+    stopListeningForLearn() {
+        midiService.unsubscribe(`${this.id}_learn`);
+    }
+
+    /**
+     * Take settings from a learned message
+     * @returns {boolean} true if the message was accepted
+     */
+    applyLearned() {
+        return false;
+    }
+
+    cleanup() {
+        this.stopLearning();
+    }
+}
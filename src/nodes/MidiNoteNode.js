@@ -0,0 +1,375 @@
+import { MidiNode } from './MidiNode.js';
+import { CanvasTextInput } from '../rendering/CanvasTextInput.js';
+import { midiService } from '../services/MIDIService.js';
+
+const PITCH_MODES = ['last', 'highest', 'lowest'];
+const VOICE_COUNT = 8;
+
+// Text fields: [row, column, label]
+const FIELDS = {
+    channel: [0, 0, 'CH'],
+    lowNote: [1, 0, 'LO'],
+    highNote: [1, 1, 'HI'],
+    attack: [2, 0, 'A'],
+    decay: [2, 1, 'D'],
+    sustain: [3, 0, 'S'],
+    release: [3, 1, 'R']
+};
+const INT_FIELDS = ['channel', 'lowNote', 'highNote'];
+
+/**
+ * MidiNoteNode - Note on/off input with an ADSR envelope
+ *
+ * Outputs gate, velocity, pitch (MIDI note number, chosen by the last/highest/lowest policy
+ * when several notes are held) and the envelope level. In polyphonic mode each of the
+ * 8 voices is also output as a vec4 (gate, velocity, pitch, envelope) backed by a uniform array.
+ * Only notes on the node's channel within lowNote-highNote are used.
+ */
+export class MidiNoteNode extends MidiNode {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isMidiNoteNode = true;
+        this.width = 240;
+        this.fixedOutputRows = true;
+        this.voiceCount = VOICE_COUNT;
+
+        // Held notes: note -> { velocity, order }
+        this.heldNotes = new Map();
+        this.noteCounter = 0;
+
+        // Monophonic envelope and the note it follows
+        this.monoVoice = null;
+        this.pitch = 0;
+        this.velocity = 0;
+
+        // Polyphonic voices: { note, velocity, onTime, offTime, startLevel, releaseLevel } or null
+        this.voices = new Array(VOICE_COUNT).fill(null);
+        this.voiceValues = new Float32Array(VOICE_COUNT * 4);
+
+        // Recorded { note, voices } played back by the offline renderer (null = live)
+        this.replayValue = null;
+
+        midiService.subscribeNotes(this.id, (channel, note, velocity, isOn) => {
+            this.handleNote(channel, note, velocity, isOn);
+        });
+    }
+
+    /**
+     * Rebuild outputs for the polyphonic setting, dropping connections to removed voices
+     */
+    updatePorts() {
+        this.outputs = [...this.definition.outputs];
+        if (this.data.polyphonic) {
+            for (let i = 0; i < VOICE_COUNT; i++) {
+                this.outputs.push({ name: `voice${i}`, type: 'vec4' });
+            }
+        }
+
+        if (this.graph) {
+            this.graph.connections = this.graph.connections.filter(
+                conn => conn.fromNode !== this || conn.fromOutput < this.outputs.length
+            );
+        }
+
+        this.updateDimensions();
+    }
+
+    updateDimensions() {
+        // Five rows of controls, or the output ports if they are taller
+        const controlsHeight = 32 + 5 * 24 + 6;
+        const portsHeight = this.getPortRowOffset(this.outputs.length - 1) + 18;
+        this.height = Math.max(controlsHeight, portsHeight);
+    }
+
+    rebuildTextInputs() {
+        if (!this.hasInputFields) return;
+
+        this.textInputs = {};
+
+        for (const field of Object.keys(FIELDS)) {
+            const inputType = INT_FIELDS.includes(field) ? 'int' : 'float';
+            this.textInputs[field] = new CanvasTextInput(0, 0, 48, 20, String(this.data[field]), inputType);
+            this.textInputs[field].onChange = (newValue) => {
+                let numValue = inputType === 'int' ? parseInt(newValue) : parseFloat(newValue);
+                if (isNaN(numValue)) return;
+
+                // Clamp values to valid ranges
+                if (field === 'channel') {
+                    numValue = Math.max(1, Math.min(16, numValue));
+                } else if (field === 'lowNote' || field === 'highNote') {
+                    numValue = Math.max(0, Math.min(127, numValue));
+                } else if (field === 'sustain') {
+                    numValue = Math.max(0.0, Math.min(1.0, numValue));
+                } else {
+                    numValue = Math.max(0.0, numValue);
+                }
+
+                this.data[field] = numValue;
+
+                if (this.graph && this.graph.onGraphChanged) {
+                    this.graph.onGraphChanged();
+                }
+            };
+        }
+
+        // Runs after deserialization restores data, so voice outputs match it
+        if (this.definition) this.updatePorts();
+    }
+
+    getFieldPosition(row, column) {
+        return { x: this.x + 10 + column * 72, y: this.y + 32 + row * 24 };
+    }
+
+    updateTextInputPositions() {
+        if (!this.textInputs) return;
+
+        for (const [field, [row, column]] of Object.entries(FIELDS)) {
+            const input = this.textInputs[field];
+            if (!input) continue;
+            const pos = this.getFieldPosition(row, column);
+            input.x = pos.x + 18;
+            input.y = pos.y;
+        }
+    }
+
+    getButtons() {
+        const mode = this.getFieldPosition(0, 1);
+        const poly = this.getFieldPosition(4, 0);
+        return [
+            { action: 'pitchMode', x: mode.x, y: mode.y + 2, width: 66, height: 16 },
+            { action: 'polyphonic', x: poly.x, y: poly.y + 2, width: 138, height: 16 }
+        ];
+    }
+
+    draw(ctx, options = {}) {
+        this.updateTextInputPositions();
+        super.draw(ctx, options);
+
+        // Field labels
+        ctx.fillStyle = '#888';
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (const [row, column, label] of Object.values(FIELDS)) {
+            const pos = this.getFieldPosition(row, column);
+            ctx.fillText(label, pos.x, pos.y + 10);
+        }
+
+        // Pitch policy and polyphony buttons
+        ctx.textAlign = 'center';
+        for (const button of this.getButtons()) {
+            const isOn = button.action === 'polyphonic' && this.data.polyphonic;
+            ctx.fillStyle = isOn ? '#007acc' : '#444';
+            ctx.beginPath();
+            ctx.roundRect(button.x, button.y, button.width, button.height, 3);
+            ctx.fill();
+
+            ctx.fillStyle = '#fff';
+            const label = button.action === 'pitchMode'
+                ? `pitch: ${this.data.pitchMode}`
+                : (this.data.polyphonic ? `${VOICE_COUNT} voices` : 'mono');
+            ctx.fillText(label, button.x + button.width / 2, button.y + button.height / 2);
+        }
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+
+        this.drawLearnButton(ctx);
+    }
+
+    handleMouseDown(x, y, event) {
+        for (const button of this.getButtons()) {
+            if (x < button.x || x > button.x + button.width ||
+                y < button.y || y > button.y + button.height) continue;
+
+            if (button.action === 'pitchMode') {
+                const index = PITCH_MODES.indexOf(this.data.pitchMode);
+                this.data.pitchMode = PITCH_MODES[(index + 1) % PITCH_MODES.length];
+                this.selectMonoNote();
+            } else {
+                this.data.polyphonic = !this.data.polyphonic;
+                this.updatePorts();
+            }
+            return { handled: true, needsRender: true, needsGraphChange: true };
+        }
+
+        return super.handleMouseDown(x, y, event);
+    }
+
+    // Learn the channel from the next note played
+    listenForLearn(callback) {
+        midiService.subscribeNotes(`${this.id}_learn`, callback);
+    }
+
+    stopListeningForLearn() {
+        midiService.unsubscribeNotes(`${this.id}_learn`);
+    }
+
+    applyLearned(channel, note, velocity, isOn) {
+        if (!isOn) return false;
+
+        this.data.channel = channel;
+        if (this.textInputs.channel) {
+            this.textInputs.channel.setValue(String(channel));
+        }
+
+        console.log(`[MIDI Learn] Learned: Channel ${channel} (note ${note})`);
+        return true;
+    }
+
+    now() {
+        return performance.now() / 1000;
+    }
+
+    /**
+     * Handle a note on/off from the MIDI service
+     */
+    handleNote(channel, note, velocity, isOn) {
+        if (channel !== this.data.channel) return;
+        if (note < this.data.lowNote || note > this.data.highNote) return;
+
+        if (isOn) {
+            this.noteOn(note, velocity);
+        } else {
+            this.noteOff(note);
+        }
+    }
+
+    noteOn(note, velocity) {
+        const now = this.now();
+        const wasHeld = this.heldNotes.size > 0;
+        const previousNote = this.monoVoice ? this.monoVoice.note : null;
+
+        this.heldNotes.set(note, { velocity, order: ++this.noteCounter });
+        this.selectMonoNote();
+
+        // Retrigger the mono envelope from its current level (no click) when the followed note changes
+        if (!wasHeld || this.pitch !== previousNote) {
+            this.monoVoice = this.startVoice(this.monoVoice, this.pitch, this.velocity, now);
+        }
+
+        // Reuse this note's voice, then a free one, then steal the oldest
+        let index = this.voices.findIndex(v => v && v.note === note);
+        if (index === -1) index = this.voices.findIndex(v => !v || (v.offTime !== null && this.envelopeAt(v, now) === 0));
+        if (index === -1) {
+            index = 0;
+            this.voices.forEach((v, i) => {
+                if (v.onTime < this.voices[index].onTime) index = i;
+            });
+        }
+        this.voices[index] = this.startVoice(this.voices[index], note, velocity, now);
+    }
+
+    noteOff(note) {
+        const now = this.now();
+        this.heldNotes.delete(note);
+
+        if (this.heldNotes.size === 0) {
+            this.releaseVoice(this.monoVoice, now);
+        } else {
+            // Glide back to a held note without retriggering
+            this.selectMonoNote();
+            if (this.monoVoice) this.monoVoice.note = this.pitch;
+        }
+
+        const voice = this.voices.find(v => v && v.note === note && v.offTime === null);
+        this.releaseVoice(voice, now);
+    }
+
+    startVoice(previous, note, velocity, now) {
+        return {
+            note,
+            velocity,
+            onTime: now,
+            offTime: null,
+            startLevel: previous ? this.envelopeAt(previous, now) : 0,
+            releaseLevel: 0
+        };
+    }
+
+    releaseVoice(voice, now) {
+        if (!voice || voice.offTime !== null) return;
+        voice.releaseLevel = this.envelopeAt(voice, now);
+        voice.offTime = now;
+    }
+
+    /**
+     * Pick the note the mono outputs follow (pitch and velocity hold after release)
+     */
+    selectMonoNote() {
+        let selected = null;
+        for (const [note, held] of this.heldNotes) {
+            if (selected === null ||
+                (this.data.pitchMode === 'highest' && note > selected) ||
+                (this.data.pitchMode === 'lowest' && note < selected) ||
+                (this.data.pitchMode === 'last' && held.order > this.heldNotes.get(selected).order)) {
+                selected = note;
+            }
+        }
+
+        if (selected !== null) {
+            this.pitch = selected;
+            this.velocity = this.heldNotes.get(selected).velocity;
+        }
+    }
+
+    /**
+     * ADSR level of a voice at a time (seconds)
+     * Attack rises from the level the voice had when it was (re)triggered,
+     * release falls linearly from the level at note off
+     */
+    envelopeAt(voice, now) {
+        if (!voice) return 0;
+        const { attack, decay, sustain, release } = this.data;
+
+        if (voice.offTime !== null) {
+            const released = now - voice.offTime;
+            return released >= release ? 0 : voice.releaseLevel * (1 - released / release);
+        }
+
+        const elapsed = now - voice.onTime;
+        if (elapsed < attack) {
+            return voice.startLevel + (1 - voice.startLevel) * (elapsed / attack);
+        }
+        const decayed = elapsed - attack;
+        if (decayed < decay) {
+            return 1 - (1 - sustain) * (decayed / decay);
+        }
+        return sustain;
+    }
+
+    /**
+     * Current uniform value: the mono vec4 (gate, velocity, pitch, envelope),
+     * or the flattened voices array when voices is true
+     * Called every frame by the renderers
+     */
+    getUniformValue(voices = false) {
+        if (this.replayValue !== null) {
+            return voices ? this.replayValue.voices || this.voiceValues.fill(0) : this.replayValue.note;
+        }
+
+        const now = this.now();
+
+        if (!voices) {
+            const gate = this.heldNotes.size > 0 ? 1.0 : 0.0;
+            return [gate, this.velocity, this.pitch, this.envelopeAt(this.monoVoice, now)];
+        }
+
+        this.voices.forEach((voice, i) => {
+            if (!voice) {
+                this.voiceValues.fill(0, i * 4, i * 4 + 4);
+                return;
+            }
+            this.voiceValues[i * 4] = voice.offTime === null ? 1.0 : 0.0;
+            this.voiceValues[i * 4 + 1] = voice.velocity;
+            this.voiceValues[i * 4 + 2] = voice.note;
+            this.voiceValues[i * 4 + 3] = this.envelopeAt(voice, now);
+        });
+        return this.voiceValues;
+    }
+
+    cleanup() {
+        midiService.unsubscribeNotes(this.id);
+        super.cleanup();
+    }
+}
@@ -13,6 +13,7 @@ export class Node {
         this.outputs = [];
         this.selected = false;
         this.hasError = false;
+        this.fixedOutputRows = false; // Outputs in rows below the title bar instead of spread over the height
         this.data = {};
         this.textInputs = {};
         this.previewInstance = null;
@@ -326,6 +327,9 @@ export class Node {
     }
 
     getOutputPortPosition(index) {
+        if (this.fixedOutputRows) {
+            return { x: this.x + this.width, y: this.y + this.getPortRowOffset(index) };
+        }
         const portSpacing = (this.height - 20) / (this.outputs.length + 1);
         return {
             x: this.x + this.width,
@@ -333,6 +337,13 @@ export class Node {
         };
     }
 
+    /**
+     * Offset from the node's top of the index-th fixed port row (see fixedOutputRows)
+     */
+    getPortRowOffset(index) {
+        return 42 + index * 22;
+    }
+
     /**
      * Event handling methods - each returns an action object or null
      * This allows components to handle their own hit testing and logic
@@ -1,5 +1,6 @@
 import { Node } from './Node.js';
 import { ShaderPreview } from '../rendering/ShaderPreview.js';
+import { MouseTracker } from '../rendering/MouseTracker.js';
 
 /**
  * PreviewNode - A node that displays a live shader preview
@@ -42,6 +43,10 @@ export class PreviewNode extends Node {
         this.renderer = new ShaderPreview(canvas, videoElement, options);
         this.previewInstance = this.renderer; // For backwards compatibility
 
+        // Pointer over the preview screen drives u_mouse (attached once the node has a graph)
+        this.mouse = new MouseTracker();
+        this.renderer.mouse = this.mouse;
+
         // Create display canvas for shared context rendering
         if (sharedGL) {
             this.displayCanvas = document.createElement('canvas');
@@ -100,6 +105,34 @@ export class PreviewNode extends Node {
         return null;
     }
 
+    /**
+     * Capture the current frame as a JPEG (project thumbnails), cropped to fill width x height
+     */
+    async captureThumbnail(width = 480, height = 270) {
+        const source = this.getDisplayCanvas();
+        if (!source || source.width === 0 || source.height === 0) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        // Framebuffer pixels are upside down (see draw())
+        if (this.displayCanvas && source === this.displayCanvas) {
+            ctx.translate(0, height);
+            ctx.scale(1, -1);
+        }
+
+        const scale = Math.max(width / source.width, height / source.height);
+        const cropWidth = width / scale;
+        const cropHeight = height / scale;
+        ctx.drawImage(source,
+            (source.width - cropWidth) / 2, (source.height - cropHeight) / 2, cropWidth, cropHeight,
+            0, 0, width, height);
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    }
+
     recalculateDimensions() {
         // Set aspect ratio based on fullscreen dimensions (screen area only, not including bottom bar)
         const aspectRatio = screen.width / screen.height;
@@ -270,13 +303,19 @@ export class PreviewNode extends Node {
             const buttonSize = 12;
             const buttonSpacing = 10;
 
-            // Code inspect button ({}) - leftmost (24px wide)
+            // Code inspect button ({}) - (24px wide)
             const codeButtonX = this.x + this.width - 16 - 16 - buttonSize - buttonSpacing * 3;
             ctx.fillStyle = '#888';
             ctx.font = '12px monospace';
             ctx.textBaseline = 'middle';
             ctx.fillText('{}', codeButtonX, buttonCenterY);
 
+            // Render button (●) - leftmost (16px wide)
+            const renderButtonX = codeButtonX - 16 - buttonSpacing;
+            ctx.fillStyle = '#888';
+            ctx.font = '12px monospace';
+            ctx.fillText('●', renderButtonX + 2, buttonCenterY);
+
             // Background button (⬚) - (16px wide)
             const bgButtonX = this.x + this.width - 16 - buttonSize - buttonSpacing * 2;
             ctx.fillStyle = this.isBackground ? '#007acc' : '#888';
@@ -322,6 +361,7 @@ export class PreviewNode extends Node {
 
             // Store button positions for click detection
             if (!this.previewButtons) this.previewButtons = {};
+            this.previewButtons.render = { x: renderButtonX, y: buttonCenterY - 8, width: 16, height: 16 };
             this.previewButtons.code = { x: codeButtonX, y: buttonCenterY - 8, width: 24, height: 16 };
             this.previewButtons.background = { x: bgButtonX, y: buttonCenterY - 8, width: 16, height: 16 };
             this.previewButtons.fullscreen = { x: fullscreenButtonX, y: fullscreenButtonY, width: buttonSize, height: buttonSize };
@@ -371,6 +411,41 @@ export class PreviewNode extends Node {
         super.destroy && super.destroy();
     }
 
+    cleanup() {
+        this.mouse.detachElement();
+    }
+
+    /**
+     * Check if a graph-space point is on the preview screen (not the bottom bar or a resize edge)
+     */
+    isInPreviewArea(x, y) {
+        const previewHeight = this.height - this.bottomBarHeight;
+        return x >= this.x && x <= this.x + this.width &&
+               y >= this.y && y <= this.y + previewHeight &&
+               !this.getResizeEdge(x, y);
+    }
+
+    /**
+     * Map a pointer event on the graph canvas to normalized preview coordinates
+     * Presses only count with Alt held and when this node is the topmost one under the pointer
+     */
+    mapPointerToPreview(e, isPress) {
+        const pos = this.graph.getMousePos(e);
+
+        if (isPress) {
+            if (!e.altKey || !this.isInPreviewArea(pos.x, pos.y)) return null;
+            if (this.graph.checkNodePorts(this, pos.x, pos.y)) return null;
+            const topNode = [...this.graph.nodes].reverse().find(n => n.containsPoint(pos.x, pos.y));
+            if (topNode !== this) return null;
+        }
+
+        const previewHeight = this.height - this.bottomBarHeight;
+        return {
+            x: Math.max(0, Math.min(1, (pos.x - this.x) / this.width)),
+            y: Math.max(0, Math.min(1, 1 - (pos.y - this.y) / previewHeight))
+        };
+    }
+
     /**
      * Override event handling to check preview buttons first
      * PreviewNode handles its own button clicks
@@ -386,6 +461,14 @@ export class PreviewNode extends Node {
                 return { handled: true, needsRender: true };
             }
 
+            // Render button
+            const renderBtn = this.previewButtons.render;
+            if (x >= renderBtn.x && x <= renderBtn.x + renderBtn.width &&
+                y >= renderBtn.y && y <= renderBtn.y + renderBtn.height) {
+                this.showRender();
+                return { handled: true };
+            }
+
             // Code inspect button
             const codeBtn = this.previewButtons.code;
             if (x >= codeBtn.x && x <= codeBtn.x + codeBtn.width &&
@@ -403,6 +486,11 @@ export class PreviewNode extends Node {
             }
         }
 
+        // Alt-presses on the preview screen go to the shader (u_mouse), others drag the node
+        if (event && event.altKey && this.isInPreviewArea(x, y)) {
+            return { handled: true };
+        }
+
         // Fall back to default Node behavior
         return super.handleMouseDown(x, y, event);
     }
@@ -431,6 +519,18 @@ export class PreviewNode extends Node {
         }
     }
 
+    showRender() {
+        if (!this.graph) {
+            console.warn('PreviewNode.showRender: no graph reference');
+            return;
+        }
+
+        // Call the graph's callback which has access to the OfflineRenderer
+        if (this.graph.onPreviewRender) {
+            this.graph.onPreviewRender(this);
+        }
+    }
+
     showFullscreen() {
         if (!this.graph) {
             console.warn('PreviewNode.showFullscreen: no graph reference');
@@ -453,6 +553,9 @@ export class PreviewNode extends Node {
             }
             this.renderer.graph = g;
         }
+        if (g && g.canvas) {
+            this.mouse.attach(g.canvas, (e, isPress) => this.mapPointerToPreview(e, isPress));
+        }
     }
 
     get graph() {
@@ -0,0 +1,172 @@
+import { Node } from './Node.js';
+import { CanvasTextInput } from '../rendering/CanvasTextInput.js';
+import { ShaderPreview } from '../rendering/ShaderPreview.js';
+
+const FORMATS = ['RGBA8', 'RGBA16F'];
+const FILTERS = ['linear', 'nearest'];
+const MAX_SIZE = 4096;
+
+/**
+ * RenderTargetNode - Renders its upstream subgraph into an offscreen texture
+ * Each render target is its own pass; later passes sample it through the sampler2D output.
+ * Unlike FeedbackNode, the texture holds the current frame (passes are ordered by CompilationManager).
+ */
+export class RenderTargetNode extends Node {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.isRenderTargetNode = true;
+        this.width = 180;
+
+        // Pass renderer (created in the shared context by CompilationManager)
+        this.renderer = null;
+        this.compiledShader = null;
+    }
+
+    /**
+     * Create the pass renderer, or reconfigure it if the target settings changed
+     */
+    initPass(gl, graph = null) {
+        const { width, height, format, filter } = this.data;
+
+        if (!this.renderer) {
+            this.renderer = new ShaderPreview(null, null, {
+                offscreen: true,
+                manual: true,
+                nodeId: this.id,
+                sharedGL: gl,
+                width, height, format, filter
+            });
+            console.log(`Initialized render target ${this.id}: ${width}x${height} ${format}`);
+        } else if (this.renderer.width !== width || this.renderer.height !== height ||
+                   this.renderer.format !== format || this.renderer.filter !== filter) {
+            this.renderer.setRenderTarget(width, height, format, filter);
+        }
+
+        if (graph) {
+            this.renderer.graph = graph;
+            this.renderer.uniformRegistry = graph.uniformRegistry || null;
+        }
+    }
+
+    /**
+     * Get the texture holding this pass's output
+     */
+    getTexture() {
+        return this.renderer && this.renderer.framebuffer ? this.renderer.framebuffer.texture : null;
+    }
+
+    rebuildTextInputs() {
+        if (!this.hasInputFields) return;
+
+        this.textInputs = {};
+
+        for (const field of ['width', 'height']) {
+            this.textInputs[field] = new CanvasTextInput(
+                0, 0, 50, 20,
+                String(this.data[field]),
+                'int'
+            );
+            this.textInputs[field].onChange = (newValue) => {
+                const numValue = parseInt(newValue);
+                if (!isNaN(numValue)) {
+                    this.data[field] = Math.max(1, Math.min(MAX_SIZE, numValue));
+                    if (this.graph && this.graph.onGraphChanged) {
+                        this.graph.onGraphChanged();
+                    }
+                }
+            };
+        }
+
+        this.updateTextInputPositions();
+    }
+
+    updateTextInputPositions() {
+        if (!this.textInputs) return;
+
+        const inputWidth = (this.width - 30) / 2 - 14;
+
+        if (this.textInputs.width) {
+            this.textInputs.width.x = this.x + 10 + 14;
+            this.textInputs.width.y = this.y + 30;
+            this.textInputs.width.width = inputWidth;
+        }
+        if (this.textInputs.height) {
+            this.textInputs.height.x = this.x + this.width / 2 + 5 + 14;
+            this.textInputs.height.y = this.y + 30;
+            this.textInputs.height.width = inputWidth;
+        }
+    }
+
+    updateDimensions() {
+        // Title (30) + size row (25) + format/filter row (25) + padding
+        this.height = 90;
+    }
+
+    getOptionButtons() {
+        const buttonWidth = (this.width - 30) / 2;
+        const buttonY = this.y + 60;
+        return [
+            { field: 'format', options: FORMATS, x: this.x + 10, y: buttonY, width: buttonWidth, height: 18 },
+            { field: 'filter', options: FILTERS, x: this.x + this.width / 2 + 5, y: buttonY, width: buttonWidth, height: 18 }
+        ];
+    }
+
+    draw(ctx, options = {}) {
+        this.updateTextInputPositions();
+        super.draw(ctx, options);
+
+        // Size labels
+        ctx.fillStyle = '#888';
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText('W', this.x + 10, this.y + 35);
+        ctx.fillText('H', this.x + this.width / 2 + 5, this.y + 35);
+
+        // Format and filter buttons (click to cycle)
+        for (const button of this.getOptionButtons()) {
+            ctx.fillStyle = '#444';
+            ctx.beginPath();
+            ctx.roundRect(button.x, button.y, button.width, button.height, 3);
+            ctx.fill();
+
+            ctx.fillStyle = '#fff';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.data[button.field], button.x + button.width / 2, button.y + button.height / 2);
+        }
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    handleMouseDown(x, y, event) {
+        for (const button of this.getOptionButtons()) {
+            if (x >= button.x && x <= button.x + button.width &&
+                y >= button.y && y <= button.y + button.height) {
+                const index = button.options.indexOf(this.data[button.field]);
+                this.data[button.field] = button.options[(index + 1) % button.options.length];
+                return { handled: true, needsRender: true, needsGraphChange: true };
+            }
+        }
+
+        return super.handleMouseDown(x, y, event);
+    }
+
+    // Override to hide output port label
+    getOutputPortLabel() {
+        return '';
+    }
+
+    /**
+     * Clean up WebGL resources
+     */
+    cleanup() {
+        if (this.renderer) {
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+        this.compiledShader = null;
+    }
+}
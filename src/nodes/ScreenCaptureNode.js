@@ -1,4 +1,5 @@
 import { Node } from './Node.js';
+import { VideoTextureCache } from '../rendering/VideoTextureCache.js';
 
 export class ScreenCaptureNode extends Node {
     constructor(id, type, x, y) {
@@ -113,5 +114,6 @@ export class ScreenCaptureNode extends Node {
      */
     cleanup() {
         this.disable();
+        VideoTextureCache.releaseNode(this.id);
     }
 }
@@ -0,0 +1,58 @@
+import { ControlNode } from './ControlNode.js';
+
+/**
+ * SliderNode - Horizontal float control within [min, max]
+ * Click or drag anywhere on the track to set the value.
+ */
+export class SliderNode extends ControlNode {
+    updateDimensions() {
+        // Title (32) + track (24) + value (18) + range row
+        this.height = 32 + 24 + 18 + 36;
+    }
+
+    getWidgetRect() {
+        return { x: this.x + 10, y: this.y + 34, width: this.width - 24, height: 20 };
+    }
+
+    clampToRange() {
+        this.data.value = this.clampValue(this.data.value);
+    }
+
+    drawWidget(ctx, rect) {
+        const trackY = rect.y + rect.height / 2;
+        const handleX = rect.x + this.toUnit(this.data.value) * rect.width;
+
+        ctx.fillStyle = '#222';
+        ctx.beginPath();
+        ctx.roundRect(rect.x, trackY - 3, rect.width, 6, 3);
+        ctx.fill();
+
+        ctx.fillStyle = '#007acc';
+        ctx.beginPath();
+        ctx.roundRect(rect.x, trackY - 3, handleX - rect.x, 6, 3);
+        ctx.fill();
+
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(handleX, trackY, 6, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(this.data.value.toFixed(3), rect.x + rect.width / 2, rect.y + rect.height + 10);
+    }
+
+    pressWidget(x, y, rect) {
+        this.dragWidget(x, y, rect);
+    }
+
+    dragWidget(x, y, rect) {
+        this.setValues({ value: this.fromUnit((x - rect.x) / rect.width) });
+    }
+
+    applyMidi(axis, value) {
+        this.setValues({ value: this.fromUnit(value) }, false);
+    }
+}
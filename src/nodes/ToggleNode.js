@@ -0,0 +1,58 @@
+import { ControlNode } from './ControlNode.js';
+
+/**
+ * ToggleNode - On/off switch outputting 1.0 or 0.0
+ * MIDI flips it when the control goes above half (a pad or button press).
+ */
+export class ToggleNode extends ControlNode {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.width = 120;
+        this.lastMidiValue = 0;
+    }
+
+    updateDimensions() {
+        this.height = 32 + 28 + 12;
+    }
+
+    getWidgetRect() {
+        return { x: this.x + 10, y: this.y + 32, width: 48, height: 28 };
+    }
+
+    drawWidget(ctx, rect) {
+        const on = this.data.on;
+        const knobRadius = rect.height / 2 - 4;
+
+        ctx.fillStyle = on ? '#007acc' : '#222';
+        ctx.beginPath();
+        ctx.roundRect(rect.x, rect.y, rect.width, rect.height, rect.height / 2);
+        ctx.fill();
+
+        ctx.fillStyle = on ? '#fff' : '#666';
+        ctx.beginPath();
+        ctx.arc(on ? rect.x + rect.width - rect.height / 2 : rect.x + rect.height / 2, rect.y + rect.height / 2, knobRadius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(on ? 'ON' : 'OFF', rect.x + rect.width + 8, rect.y + rect.height / 2);
+    }
+
+    pressWidget(x, y, rect) {
+        this.setValues({ on: !this.data.on });
+    }
+
+    getPerformanceFields() {
+        return [{ name: 'on', kind: 'bool' }];
+    }
+
+    applyMidi(axis, value) {
+        if (value >= 0.5 && this.lastMidiValue < 0.5) {
+            this.setValues({ on: !this.data.on }, false);
+        }
+        this.lastMidiValue = value;
+    }
+}
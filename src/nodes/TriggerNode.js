@@ -0,0 +1,87 @@
+import { ControlNode } from './ControlNode.js';
+
+/**
+ * TriggerNode - Momentary button
+ *
+ * Outputs gate (1.0 while held) and count (number of presses, to detect new presses in a
+ * shader or drive a step sequence). Both are runtime state: they aren't saved or undoable.
+ * MIDI presses the button while the control is above half.
+ */
+export class TriggerNode extends ControlNode {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.fixedOutputRows = true;
+        this.isHeld = false;
+        this.pressCount = 0;
+    }
+
+    updateDimensions() {
+        this.height = 32 + 40 + 12;
+    }
+
+    getWidgetRect() {
+        return { x: this.x + 10, y: this.y + 32, width: 80, height: 40 };
+    }
+
+    drawWidget(ctx, rect) {
+        ctx.fillStyle = this.isHeld ? '#007acc' : '#222';
+        ctx.beginPath();
+        ctx.roundRect(rect.x, rect.y, rect.width, rect.height, 6);
+        ctx.fill();
+
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = this.isHeld ? '#fff' : '#aaa';
+        ctx.fillText(String(this.pressCount), rect.x + rect.width / 2, rect.y + rect.height / 2);
+    }
+
+    /**
+     * Press or release the button (updates the uniform, not the project)
+     */
+    setHeld(isHeld) {
+        if (isHeld === this.isHeld) return;
+
+        this.isHeld = isHeld;
+        if (isHeld) this.pressCount++;
+
+        this.updateUniformRegistry();
+        if (this.graph) {
+            // Lets other performance windows follow the button
+            if (this.graph.onUniformValueChanged) this.graph.onUniformValueChanged(this);
+            this.graph.render();
+        }
+    }
+
+    pressWidget(x, y, rect) {
+        this.setHeld(true);
+    }
+
+    releaseWidget() {
+        this.setHeld(false);
+    }
+
+    applyMidi(axis, value) {
+        this.setHeld(value >= 0.5);
+    }
+
+    getPerformanceFields() {
+        return [{ name: 'gate', kind: 'trigger' }];
+    }
+
+    setPerformanceValue(field, value) {
+        this.setHeld(value);
+    }
+
+    /**
+     * Runtime state sent to other performance windows along with the data
+     */
+    getSharedState() {
+        return { isHeld: this.isHeld };
+    }
+
+    applySharedState(state) {
+        this.setHeld(state.isHeld);
+    }
+}
@@ -1,4 +1,5 @@
 import { Node } from './Node.js';
+import { VideoTextureCache } from '../rendering/VideoTextureCache.js';
 import { CanvasTextInput } from '../rendering/CanvasTextInput.js';
 
 export class VideoURLNode extends Node {
@@ -259,5 +260,6 @@ export class VideoURLNode extends Node {
             this.videoElement = null;
         }
         this.isActive = false;
+        VideoTextureCache.releaseNode(this.id);
     }
 }
@@ -0,0 +1,86 @@
+import { ControlNode } from './ControlNode.js';
+
+/**
+ * XYPadNode - 2D pad outputting a vec2 (and its x and y components) within [min, max]
+ * Up is max on the y axis, like uv.
+ */
+export class XYPadNode extends ControlNode {
+    constructor(id, type, x, y) {
+        super(id, type, x, y);
+
+        this.width = 200;
+        this.fixedOutputRows = true;
+    }
+
+    updateDimensions() {
+        // Title (32) + pad (140) + range row
+        this.height = 32 + 140 + 36;
+    }
+
+    getWidgetRect() {
+        return { x: this.x + 10, y: this.y + 32, width: 140, height: 140 };
+    }
+
+    clampToRange() {
+        this.data.x = this.clampValue(this.data.x);
+        this.data.y = this.clampValue(this.data.y);
+    }
+
+    drawWidget(ctx, rect) {
+        ctx.fillStyle = '#222';
+        ctx.beginPath();
+        ctx.roundRect(rect.x, rect.y, rect.width, rect.height, 4);
+        ctx.fill();
+
+        // Center lines
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(rect.x + rect.width / 2, rect.y);
+        ctx.lineTo(rect.x + rect.width / 2, rect.y + rect.height);
+        ctx.moveTo(rect.x, rect.y + rect.height / 2);
+        ctx.lineTo(rect.x + rect.width, rect.y + rect.height / 2);
+        ctx.stroke();
+
+        // Crosshair at the current value
+        const px = rect.x + this.toUnit(this.data.x) * rect.width;
+        const py = rect.y + (1 - this.toUnit(this.data.y)) * rect.height;
+        ctx.strokeStyle = 'rgba(0, 122, 204, 0.5)';
+        ctx.beginPath();
+        ctx.moveTo(px, rect.y);
+        ctx.lineTo(px, rect.y + rect.height);
+        ctx.moveTo(rect.x, py);
+        ctx.lineTo(rect.x + rect.width, py);
+        ctx.stroke();
+
+        ctx.fillStyle = '#007acc';
+        ctx.beginPath();
+        ctx.arc(px, py, 5, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.font = '10px -apple-system, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#888';
+        ctx.fillText(`${this.data.x.toFixed(2)}, ${this.data.y.toFixed(2)}`, rect.x + 4, rect.y + rect.height - 8);
+    }
+
+    pressWidget(x, y, rect) {
+        this.dragWidget(x, y, rect);
+    }
+
+    dragWidget(x, y, rect) {
+        this.setValues({
+            x: this.fromUnit((x - rect.x) / rect.width),
+            y: this.fromUnit(1 - (y - rect.y) / rect.height)
+        });
+    }
+
+    getMidiAxes() {
+        return ['x', 'y'];
+    }
+
+    applyMidi(axis, value) {
+        this.setValues({ [this.getMidiAxes()[axis]]: this.fromUnit(value) }, false);
+    }
+}
@@ -1,4 +1,5 @@
 import { ShaderPreview } from './ShaderPreview.js';
+import { MouseTracker } from './MouseTracker.js';
 
 /**
  * BackgroundRenderer - Manages rendering a preview node's shader as the canvas background
@@ -34,6 +35,26 @@ export class BackgroundRenderer {
         this.nodeCanvas.style.background = 'transparent';
 
         this.updateCanvasSize();
+
+        this.mouse = new MouseTracker();
+        this.attachMouse();
+    }
+
+    /**
+     * Drive the background shader's u_mouse from an element covering it
+     * By default that's the node canvas, where only presses on empty space (not on a node) count.
+     * ignorePress(event) can skip presses on other elements' overlays.
+     */
+    attachMouse(element = this.nodeCanvas, ignorePress = null) {
+        this.mouse.attach(element, (e, isPress) => {
+            if (!this.activePreviewNode) return null;
+            if (isPress && ignorePress && ignorePress(e)) return null;
+            if (isPress && element === this.nodeCanvas && this.graph) {
+                const pos = this.graph.getMousePos(e);
+                if (this.graph.nodes.some(n => n.containsPoint(pos.x, pos.y))) return null;
+            }
+            return MouseTracker.mapToElement(e, this.canvas);
+        });
     }
 
     /**
@@ -64,7 +85,8 @@ export class BackgroundRenderer {
                     this.updateCanvasSize(); // Ensure size is correct
                     this.shaderPreview = new ShaderPreview(this.canvas, this.videoElement, {
                         offscreen: false,
-                        uniformRegistry: this.uniformRegistry
+                        uniformRegistry: this.uniformRegistry,
+                        mouse: this.mouse
                     });
                     // Set graph reference so it can find video nodes
                     if (this.graph) {
@@ -115,6 +137,7 @@ export class BackgroundRenderer {
      * Clean up resources
      */
     destroy() {
+        this.mouse.detachElement();
         if (this.shaderPreview) {
             this.shaderPreview.destroy();
             this.shaderPreview = null;
@@ -4,6 +4,9 @@
  */
 
 export class CanvasTextInput {
+    // Input being edited, if any (keyboard input nodes ignore keys while one is focused)
+    static focusedInput = null;
+
     constructor(x, y, width, height, initialValue = "0.0", type = 'float') {
         this.x = x;
         this.y = y;
@@ -32,6 +35,7 @@ export class CanvasTextInput {
 
     focus() {
         this.focused = true;
+        CanvasTextInput.focusedInput = this;
         this.cursorPos = this.value.length;
         this.cursorBlinkTime = 0;
         this.cursorVisible = true;
@@ -39,6 +43,9 @@ export class CanvasTextInput {
 
     blur() {
         this.focused = false;
+        if (CanvasTextInput.focusedInput === this) {
+            CanvasTextInput.focusedInput = null;
+        }
         this.selectionStart = -1;
         this.selectionEnd = -1;
 
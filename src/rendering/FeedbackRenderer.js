@@ -1,3 +1,7 @@
+import { MouseTracker } from './MouseTracker.js';
+import { VideoTextureCache } from './VideoTextureCache.js';
+import { RenderClock } from './RenderClock.js';
+
 export class FeedbackRenderer {
     constructor(nodeGraph, shaderCompiler, sharedGL, uniformRegistry = null) {
         this.nodeGraph = nodeGraph;
@@ -151,6 +155,27 @@ export class FeedbackRenderer {
                 }
             }
 
+            // Inject render target textures (rendered each frame by CompilationManager.renderPasses)
+            if (uniform.type === 'sampler2D' && uniform.renderTargetNodeId !== undefined) {
+                const renderTargetNode = this.nodeGraph.nodes.find(n => n.id === uniform.renderTargetNodeId);
+                if (renderTargetNode && renderTargetNode.isRenderTargetNode) {
+                    uniform.renderTargetNode = renderTargetNode;
+                    uniform.texture = renderTargetNode.getTexture();
+                } else {
+                    console.error(`[FeedbackRenderer] Could not find render target node ${uniform.renderTargetNodeId}`);
+                }
+            }
+
+            // Video sources are uploaded per GL context by the renderer, so only the node is stored
+            if (uniform.type === 'sampler2D' && uniform.videoNodeId !== undefined) {
+                const videoNode = this.nodeGraph.nodes.find(n => n.id === uniform.videoNodeId);
+                if (videoNode) {
+                    uniform.videoNode = videoNode;
+                } else {
+                    console.error(`[FeedbackRenderer] Could not find video source node ${uniform.videoNodeId}`);
+                }
+            }
+
             // Inject microphone RMS values
             if (uniform.type === 'float' && uniform.microphoneNodeId !== undefined) {
                 const micNode = this.nodeGraph.nodes.find(n => n.id === uniform.microphoneNodeId);
@@ -162,6 +187,38 @@ export class FeedbackRenderer {
                 }
             }
 
+            // MIDI note state is read from the node every frame
+            if (uniform.midiNoteNodeId !== undefined) {
+                const noteNode = this.nodeGraph.nodes.find(n => n.id === uniform.midiNoteNodeId);
+                if (noteNode && noteNode.isMidiNoteNode) {
+                    uniform.midiNoteNode = noteNode;
+                }
+            }
+
+            // Audio spectrum bands are read from the node every frame
+            if (uniform.audioSpectrumNodeId !== undefined) {
+                const spectrumNode = this.nodeGraph.nodes.find(n => n.id === uniform.audioSpectrumNodeId);
+                if (spectrumNode && spectrumNode.isAudioSpectrumNode) {
+                    uniform.audioSpectrumNode = spectrumNode;
+                }
+            }
+
+            // Tempo state is read from the BPM node every frame
+            if (uniform.bpmNodeId !== undefined) {
+                const bpmNode = this.nodeGraph.nodes.find(n => n.id === uniform.bpmNodeId);
+                if (bpmNode && bpmNode.isBpmNode) {
+                    uniform.bpmNode = bpmNode;
+                }
+            }
+
+            // Key state is read from the Keyboard node every frame
+            if (uniform.keyboardNodeId !== undefined) {
+                const keyboardNode = this.nodeGraph.nodes.find(n => n.id === uniform.keyboardNodeId);
+                if (keyboardNode && keyboardNode.isKeyboardNode) {
+                    uniform.keyboardNode = keyboardNode;
+                }
+            }
+
             // Inject MIDI CC values
             if (uniform.type === 'float' && uniform.midiCCNodeId !== undefined) {
                 const midiNode = this.nodeGraph.nodes.find(n => n.id === uniform.midiCCNodeId);
@@ -235,7 +292,8 @@ export class FeedbackRenderer {
         for (let i = 0; i < uniformCount; i++) {
             const info = gl.getActiveUniform(program, i);
             const location = gl.getUniformLocation(program, info.name);
-            uniforms[info.name] = location;
+            // Arrays are reported as "name[0]" - store them under their plain name
+            uniforms[info.name.replace(/\[0\]$/, '')] = location;
         }
 
         // Get attribute location
@@ -257,7 +315,13 @@ export class FeedbackRenderer {
             gl.uniform2f(programData.uniforms.u_resolution, width, height);
         }
         if (programData.uniforms.u_time) {
-            gl.uniform1f(programData.uniforms.u_time, (Date.now() - this.startTime) / 1000.0);
+            gl.uniform1f(programData.uniforms.u_time, RenderClock.getTime(this.startTime));
+        }
+        if (programData.uniforms.u_mouse) {
+            // Feedback passes have no surface of their own - follow the last pressed one
+            const mouse = MouseTracker.last;
+            const [mx, my, mz, mw] = mouse ? mouse.peekUniform(width, height) : [0, 0, 0, 0];
+            gl.uniform4f(programData.uniforms.u_mouse, mx, my, mz, mw);
         }
 
         // Set custom uniforms from shader compilation
@@ -265,18 +329,38 @@ export class FeedbackRenderer {
             let textureUnit = 0;
             for (const uniform of shader.uniformValues) {
                 // Update values from UniformRegistry if available (for constant nodes)
-                if (this.uniformRegistry && uniform.feedbackNodeId === undefined && uniform.microphoneNodeId === undefined && uniform.midiCCNodeId === undefined) {
+                if (this.uniformRegistry && uniform.feedbackNodeId === undefined && uniform.renderTargetNodeId === undefined && uniform.videoNodeId === undefined && uniform.microphoneNodeId === undefined && uniform.midiCCNodeId === undefined && uniform.midiNoteNodeId === undefined && uniform.audioSpectrumNodeId === undefined && uniform.bpmNodeId === undefined && uniform.keyboardNodeId === undefined) {
                     const registryUniform = this.uniformRegistry.getUniform(uniform.name);
                     if (registryUniform) {
                         uniform.value = registryUniform.value;
                     }
                 }
 
+                // Render target textures are created lazily and replaced when the target is reconfigured
+                if (uniform.renderTargetNode) {
+                    uniform.texture = uniform.renderTargetNode.getTexture();
+                }
+                if (uniform.videoNode) {
+                    uniform.texture = VideoTextureCache.forContext(gl).getTexture(uniform.videoNode);
+                }
+                if (uniform.midiNoteNode) {
+                    uniform.value = uniform.midiNoteNode.getUniformValue(uniform.arraySize > 0);
+                }
+                if (uniform.audioSpectrumNode) {
+                    uniform.value = uniform.audioSpectrumNode.getUniformValue();
+                }
+                if (uniform.bpmNode) {
+                    uniform.value = uniform.bpmNode.getUniformValue();
+                }
+                if (uniform.keyboardNode) {
+                    uniform.value = uniform.keyboardNode.getUniformValue();
+                }
+
                 const location = programData.uniforms[uniform.name];
                 if (location !== null && location !== undefined) {
                     if (uniform.type === 'float') {
                         // Update microphone RMS if applicable
-                        if (uniform.microphoneNode && uniform.microphoneNode.isActive) {
+                        if (uniform.microphoneNode && (uniform.microphoneNode.isActive || uniform.microphoneNode.replayValue !== null)) {
                             uniform.value = uniform.microphoneNode.getRMS();
                         }
                         // Update MIDI CC value if applicable
@@ -293,6 +377,8 @@ export class FeedbackRenderer {
                         gl.uniform2f(location, uniform.value[0], uniform.value[1]);
                     } else if (uniform.type === 'vec3') {
                         gl.uniform3f(location, uniform.value[0], uniform.value[1], uniform.value[2]);
+                    } else if (uniform.type === 'vec4' && uniform.arraySize) {
+                        gl.uniform4fv(location, uniform.value);
                     } else if (uniform.type === 'vec4') {
                         gl.uniform4f(location, uniform.value[0], uniform.value[1], uniform.value[2], uniform.value[3]);
                     } else if (uniform.type === 'sampler2D' && uniform.texture) {
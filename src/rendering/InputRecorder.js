@@ -0,0 +1,119 @@
+/**
+ * InputRecorder - Records live input values (MIDI CC/Note, Microphone, Audio Spectrum, BPM, Keyboard, JS nodes) for offline renders
+ *
+ * Values are sampled once per animation frame and stored with their time in seconds.
+ * During an offline render they are played back at the frame's time, so renders
+ * that depend on live input are reproducible.
+ *
+ * Recording format:
+ * { duration, frames: [{ time, values: { [nodeId]: number | number[] | { note, voices } | { spectrum, level } | { held, pressed, toggled } | [{ name, type, value }] } }] }
+ * (JS nodes record their uniform list, MIDI Note nodes their note and voice vec4s,
+ * Audio Spectrum nodes their raw FFT bins and level, BPM nodes their vec4, Keyboard nodes the keyCodes
+ * held, pressed and toggled, the others a single float)
+ */
+export class InputRecorder {
+    constructor(nodeGraph) {
+        this.nodeGraph = nodeGraph;
+        this.frames = [];
+        this.isRecording = false;
+        this.startTime = 0;
+        this.animationId = null;
+    }
+
+    /**
+     * Nodes whose values come from outside the graph
+     */
+    static getInputNodes(nodeGraph) {
+        return nodeGraph.nodes.filter(n => n.isMidiNode || n.isMicrophoneNode || n.isAudioSpectrumNode || n.isBpmNode || n.isKeyboardNode || n.isJSNode);
+    }
+
+    get duration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].time : 0;
+    }
+
+    get hasRecording() {
+        return this.frames.length > 0;
+    }
+
+    start() {
+        this.stop();
+        this.frames = [];
+        this.isRecording = true;
+        this.startTime = performance.now();
+
+        const sample = () => {
+            this.sample((performance.now() - this.startTime) / 1000);
+            this.animationId = requestAnimationFrame(sample);
+        };
+        sample();
+    }
+
+    stop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.isRecording = false;
+    }
+
+    clear() {
+        this.stop();
+        this.frames = [];
+    }
+
+    sample(time) {
+        const values = {};
+        for (const node of InputRecorder.getInputNodes(this.nodeGraph)) {
+            if (node.isMidiCCNode) {
+                values[node.id] = node.getValue();
+            } else if (node.isMidiNoteNode) {
+                values[node.id] = {
+                    note: node.getUniformValue(false),
+                    voices: Array.from(node.getUniformValue(true))
+                };
+            } else if (node.isMicrophoneNode) {
+                values[node.id] = node.getRMS();
+            } else if (node.isAudioSpectrumNode) {
+                values[node.id] = node.getAnalysis();
+            } else if (node.isBpmNode) {
+                values[node.id] = [...node.getUniformValue()];
+            } else if (node.isKeyboardNode) {
+                values[node.id] = node.getKeyState();
+            } else if (node._cachedUniforms && node._cachedUniforms.length > 0) {
+                values[node.id] = node._cachedUniforms.map(({ name, type, value }) => ({ name, type, value }));
+            }
+        }
+        this.frames.push({ time, values });
+    }
+
+    /**
+     * Get the recorded values at a time (the last sample at or before it)
+     */
+    getValuesAt(time) {
+        if (this.frames.length === 0) return null;
+
+        let low = 0;
+        let high = this.frames.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.frames[mid].time <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return this.frames[low].values;
+    }
+
+    serialize() {
+        return { duration: this.duration, frames: this.frames };
+    }
+
+    load(recording) {
+        if (!recording || !Array.isArray(recording.frames)) {
+            throw new Error('Invalid input recording');
+        }
+        this.clear();
+        this.frames = recording.frames;
+    }
+}
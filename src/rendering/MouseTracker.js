@@ -0,0 +1,130 @@
+/**
+ * MouseTracker - Pointer state for one render surface (preview node, background, fullscreen)
+ *
+ * Follows ShaderToy's iMouse semantics:
+ *   xy = current position while the button is held (kept after release)
+ *   zw = position of the last click; z is negative when the button is up,
+ *        w is positive only on the first frame after the click
+ *
+ * Positions are stored normalized (0-1, origin bottom-left) so they can be scaled
+ * to whatever resolution the surface renders at. Pointer events cover mouse, pen and touch.
+ */
+export class MouseTracker {
+    // Tracker that was pressed most recently (used by passes that have no surface of their own)
+    static last = null;
+
+    constructor() {
+        this.x = 0;
+        this.y = 0;
+        this.clickX = 0;
+        this.clickY = 0;
+        this.isDown = false;
+        this.clickPending = false;
+        this.pointerId = null;
+        this.detach = null;
+    }
+
+    press(x, y) {
+        this.x = this.clickX = x;
+        this.y = this.clickY = y;
+        this.isDown = true;
+        this.clickPending = true;
+        MouseTracker.last = this;
+    }
+
+    move(x, y) {
+        if (!this.isDown) return;
+        this.x = x;
+        this.y = y;
+    }
+
+    release() {
+        this.isDown = false;
+        this.pointerId = null;
+    }
+
+    /**
+     * Get the iMouse vec4 in pixels for a surface of the given size
+     * Reading clears the click flag, so the owning surface calls it once per rendered frame
+     */
+    getUniform(width, height) {
+        const value = this.peekUniform(width, height);
+        this.clickPending = false;
+        return value;
+    }
+
+    /**
+     * Same as getUniform() without clearing the click flag (for passes that borrow another surface's mouse)
+     */
+    peekUniform(width, height) {
+        const clickX = this.clickX * width;
+        const clickY = this.clickY * height;
+        return [
+            this.x * width,
+            this.y * height,
+            this.isDown ? clickX : -clickX,
+            this.clickPending ? clickY : -clickY
+        ];
+    }
+
+    /**
+     * Listen for pointer events on an element
+     * mapPoint(event, isPress) returns normalized { x, y } for the event, or null to ignore a press
+     * (e.g. one that landed outside the surface). Moves are tracked until the pointer is released.
+     */
+    attach(element, mapPoint) {
+        this.detachElement();
+
+        const onDown = (e) => {
+            if (this.isDown || e.button > 0) return;
+            const point = mapPoint(e, true);
+            if (!point) return;
+            this.pointerId = e.pointerId;
+            this.press(point.x, point.y);
+        };
+        const onMove = (e) => {
+            if (!this.isDown || e.pointerId !== this.pointerId) return;
+            const point = mapPoint(e, false);
+            if (point) this.move(point.x, point.y);
+        };
+        const onUp = (e) => {
+            if (e.pointerId === this.pointerId) this.release();
+        };
+
+        // Keep touch drags from scrolling the page instead of reaching the shader
+        element.style.touchAction = 'none';
+        element.addEventListener('pointerdown', onDown);
+        window.addEventListener('pointermove', onMove);
+        window.addEventListener('pointerup', onUp);
+        window.addEventListener('pointercancel', onUp);
+
+        this.detach = () => {
+            element.removeEventListener('pointerdown', onDown);
+            window.removeEventListener('pointermove', onMove);
+            window.removeEventListener('pointerup', onUp);
+            window.removeEventListener('pointercancel', onUp);
+        };
+    }
+
+    detachElement() {
+        if (this.detach) {
+            this.detach();
+            this.detach = null;
+        }
+        if (MouseTracker.last === this) {
+            MouseTracker.last = null;
+        }
+    }
+
+    /**
+     * Normalized position of an event within an element's box (y flipped to match gl_FragCoord)
+     */
+    static mapToElement(e, element) {
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return null;
+        return {
+            x: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+            y: Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height))
+        };
+    }
+}
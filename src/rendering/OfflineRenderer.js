@@ -0,0 +1,273 @@
+import { ShaderPreview } from './ShaderPreview.js';
+import { MouseTracker } from './MouseTracker.js';
+import { RenderClock } from './RenderClock.js';
+import { InputRecorder } from './InputRecorder.js';
+import { ZipWriter } from '../utils/ZipWriter.js';
+import { GifEncoder } from '../utils/GifEncoder.js';
+
+/**
+ * OfflineRenderer - Renders a preview node's shader frame by frame at a fixed timestep
+ *
+ * u_time comes from the frame counter (startTime + frame / fps) instead of the wall clock, and
+ * the resolution is independent of the node's size on screen. Feedback buffers are cleared first
+ * and every pass (feedback, render targets, the preview itself) is stepped once per frame, so the
+ * same settings always produce the same frames. MIDI, Microphone and JS node values are
+ * replayed from an InputRecorder recording when one is given, and keyframed uniforms follow
+ * the timeline.
+ */
+export class OfflineRenderer {
+    static FORMATS = {
+        png: { label: 'PNG sequence (.zip)', extension: 'zip' },
+        webm: { label: 'WebM video', extension: 'webm' },
+        gif: { label: 'Animated GIF', extension: 'gif' }
+    };
+
+    constructor(nodeGraph, feedbackRenderer, compilationManager, sharedGL) {
+        this.nodeGraph = nodeGraph;
+        this.feedbackRenderer = feedbackRenderer;
+        this.compilationManager = compilationManager;
+        this.gl = sharedGL;
+        this.timeline = null; // TimelineManager, set by the app
+
+        this.isRendering = false;
+        this.cancelRequested = false;
+        this.replayedUniforms = new Set();
+    }
+
+    /**
+     * Render frames of a preview node's shader
+     * @param {PreviewNode} previewNode
+     * @param {Object} options - { width, height, fps, frameCount, startTime, format, recorder, onProgress }
+     * @returns {Promise<Blob|null>} The encoded output, or null if cancelled
+     */
+    async render(previewNode, {
+        width,
+        height,
+        fps = 30,
+        frameCount,
+        startTime = 0,
+        format = 'png',
+        recorder = null,
+        onProgress = null
+    }) {
+        if (this.isRendering) {
+            throw new Error('A render is already in progress');
+        }
+
+        const shader = previewNode.renderer && previewNode.renderer.program
+            ? previewNode.renderer.currentShaderSource
+            : null;
+        if (!shader) {
+            throw new Error('Connect a shader to the preview before rendering');
+        }
+
+        const gl = this.gl;
+        const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        if (width > maxSize || height > maxSize) {
+            throw new Error(`Maximum render size is ${maxSize}x${maxSize}`);
+        }
+
+        // Dedicated pass at the output resolution (untracked mouse, so u_mouse stays at 0)
+        const renderer = new ShaderPreview(null, null, {
+            offscreen: true,
+            manual: true,
+            sharedGL: gl,
+            nodeId: previewNode.id,
+            width,
+            height,
+            mouse: new MouseTracker(),
+            uniformRegistry: this.nodeGraph.uniformRegistry
+        });
+        if (!renderer.loadShader(shader)) {
+            renderer.destroy();
+            throw new Error('Failed to compile the preview shader for rendering');
+        }
+
+        this.isRendering = true;
+        this.cancelRequested = false;
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            const imageData = ctx.createImageData(width, height);
+            const pixels = new Uint8Array(width * height * 4);
+            const encoder = createEncoder(format, canvas, fps);
+
+            // Feedback loops start from a blank history
+            for (const node of this.nodeGraph.nodes) {
+                if (node.isFeedbackNode) node.clear();
+            }
+
+            for (let frame = 0; frame < frameCount; frame++) {
+                if (this.cancelRequested) {
+                    encoder.cancel();
+                    return null;
+                }
+
+                const time = startTime + frame / fps;
+                RenderClock.fixedTime = time;
+                this.applyInputs(time, recorder, [width, height]);
+                if (this.timeline) this.timeline.applyAt(time);
+
+                this.feedbackRenderer.renderFeedbackNodes();
+                this.compilationManager.renderPasses();
+                renderer.renderPass();
+
+                // Read back and flip rows (framebuffers are bottom-up)
+                gl.bindFramebuffer(gl.FRAMEBUFFER, renderer.framebuffer.framebuffer);
+                gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+                const rowSize = width * 4;
+                for (let y = 0; y < height; y++) {
+                    const sourceStart = (height - 1 - y) * rowSize;
+                    imageData.data.set(pixels.subarray(sourceStart, sourceStart + rowSize), y * rowSize);
+                }
+                ctx.putImageData(imageData, 0, 0);
+
+                await encoder.addFrame(imageData, frame);
+
+                if (onProgress) onProgress(frame + 1, frameCount);
+
+                // Let the page breathe between frames (progress updates, cancel button)
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            return await encoder.finish();
+        } finally {
+            RenderClock.fixedTime = null;
+            this.releaseInputs();
+            renderer.destroy();
+            this.isRendering = false;
+        }
+    }
+
+    cancel() {
+        this.cancelRequested = true;
+    }
+
+    /**
+     * Set input node values for a frame: recorded values if available,
+     * JS nodes otherwise run with the frame's time
+     */
+    applyInputs(time, recorder, resolution) {
+        const values = recorder && recorder.hasRecording ? recorder.getValuesAt(time) : null;
+        const registry = this.nodeGraph.uniformRegistry;
+
+        for (const node of InputRecorder.getInputNodes(this.nodeGraph)) {
+            const recorded = values ? values[node.id] : undefined;
+
+            if (node.isMidiNode || node.isMicrophoneNode || node.isAudioSpectrumNode || node.isBpmNode || node.isKeyboardNode) {
+                if (recorded !== undefined) node.replayValue = recorded;
+                continue;
+            }
+
+            let uniforms = recorded;
+            if (!uniforms && !node.setupError && (node.data.setupComplete || !node.data.setupCode)) {
+                try {
+                    uniforms = node.execute(time, resolution, [0, 0, 0, 0]);
+                } catch (error) {
+                    uniforms = null; // Already reported by the node
+                }
+            }
+
+            if (uniforms && registry) {
+                for (const uniform of uniforms) {
+                    registry.registerUniform(uniform.name, uniform.type, uniform.value, node);
+                    this.replayedUniforms.add(uniform.name);
+                }
+            }
+        }
+    }
+
+    releaseInputs() {
+        for (const node of InputRecorder.getInputNodes(this.nodeGraph)) {
+            if (node.isMidiNode || node.isMicrophoneNode || node.isAudioSpectrumNode || node.isBpmNode || node.isKeyboardNode) {
+                node.replayValue = null;
+            }
+        }
+
+        const registry = this.nodeGraph.uniformRegistry;
+        if (registry) {
+            for (const name of this.replayedUniforms) {
+                registry.unregisterUniform(name);
+            }
+        }
+        this.replayedUniforms.clear();
+    }
+}
+
+/**
+ * Create the frame sink for an output format
+ * Encoders get each frame both as ImageData and drawn on the canvas
+ */
+function createEncoder(format, canvas, fps) {
+    if (format === 'png') {
+        const zip = new ZipWriter();
+        return {
+            async addFrame(imageData, frame) {
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+                const name = `frame_${String(frame).padStart(5, '0')}.png`;
+                zip.addFile(name, new Uint8Array(await blob.arrayBuffer()));
+            },
+            async finish() {
+                return zip.finish();
+            },
+            cancel() {}
+        };
+    }
+
+    if (format === 'gif') {
+        const gif = new GifEncoder(canvas.width, canvas.height, fps);
+        return {
+            async addFrame(imageData) {
+                gif.addFrame(imageData.data);
+            },
+            async finish() {
+                return gif.finish();
+            },
+            cancel() {}
+        };
+    }
+
+    if (format === 'webm') {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('WebM export is not supported in this browser');
+        }
+
+        // MediaRecorder encodes in real time, so frames are handed over at the target rate
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 20000000 });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.start();
+
+        return {
+            async addFrame() {
+                track.requestFrame();
+                await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+            },
+            async finish() {
+                await new Promise(resolve => {
+                    recorder.onstop = resolve;
+                    recorder.stop();
+                });
+                track.stop();
+                return new Blob(chunks, { type: 'video/webm' });
+            },
+            cancel() {
+                recorder.stop();
+                track.stop();
+            }
+        };
+    }
+
+    throw new Error(`Unknown render format: ${format}`);
+}
@@ -0,0 +1,31 @@
+/**
+ * RenderClock - Time source for u_time in every renderer
+ *
+ * Normally each renderer measures wall-clock time since it started. The offline renderer
+ * pins the time to its frame counter (fixedTime) so every pass of a frame sees the same,
+ * reproducible value. The timeline transport (transportTime) takes over from the wall clock
+ * while it is in use, so u_time follows play/pause/scrub.
+ */
+export class RenderClock {
+    static fixedTime = null;
+    static transportTime = null;
+
+    /**
+     * Seconds for u_time, given the renderer's start timestamp (ms)
+     */
+    static getTime(startTime) {
+        if (RenderClock.fixedTime !== null) return RenderClock.fixedTime;
+        if (RenderClock.transportTime !== null) return RenderClock.transportTime;
+        return (Date.now() - startTime) / 1000.0;
+    }
+
+    /**
+     * Seconds identifying the current frame, the same for every renderer drawing it
+     * (nodes with per-frame state use it to update once per frame)
+     */
+    static getFrameTime() {
+        if (RenderClock.fixedTime !== null) return RenderClock.fixedTime;
+        // The document timeline only advances between animation frames
+        return document.timeline.currentTime / 1000;
+    }
+}
@@ -1,3 +1,7 @@
+import { MouseTracker } from './MouseTracker.js';
+import { VideoTextureCache } from './VideoTextureCache.js';
+import { RenderClock } from './RenderClock.js';
+
 export class ShaderPreview {
     constructor(canvas, videoElement, options = {}) {
         this.videoElement = videoElement;
@@ -5,6 +9,8 @@ export class ShaderPreview {
         this.nodeId = options.nodeId || null;
         this.canManageCamera = !this.isOffscreen; // Only main preview manages camera
         this.uniformRegistry = options.uniformRegistry || null; // Centralized uniform management
+        this.isManual = options.manual || false; // Rendered by the caller (render passes) instead of its own loop
+        this.mouse = options.mouse || null; // MouseTracker for u_mouse (falls back to the last pressed surface)
 
         // Use shared GL context if provided, otherwise create own (for backwards compatibility)
         if (options.sharedGL) {
@@ -35,35 +41,51 @@ export class ShaderPreview {
         if (this.usingSharedContext && this.isOffscreen) {
             this.width = options.width || 128;
             this.height = options.height || 128;
-            this.framebuffer = this.createFramebuffer(this.gl, this.width, this.height);
+            this.format = options.format || 'RGBA8';
+            this.filter = options.filter || 'linear';
+            this.framebuffer = this.createFramebuffer(this.gl, this.width, this.height, this.format, this.filter);
         }
 
         this.program = null;
         this.startTime = Date.now();
         this.animationId = null;
-        this.cameraTexture = null;
         this.cameraEnabled = false;
         this.cameraStream = null;
         this.customUniformValues = [];
         this.uniforms = {};
 
+        this.videoTextures = VideoTextureCache.forContext(this.gl);
+
         this.setupGeometry();
-        this.setupCameraTexture();
         this.setupNoiseShader();
 
         // Start animation loop for all instances (needed for noise shader)
-        this.animate();
+        if (!this.isManual) {
+            this.animate();
+        }
     }
 
-    createFramebuffer(gl, width, height) {
+    createFramebuffer(gl, width, height, format = 'RGBA8', filter = 'linear') {
         const framebuffer = gl.createFramebuffer();
         const texture = gl.createTexture();
 
+        // Half-float targets need EXT_color_buffer_float to be renderable
+        let useHalfFloat = format === 'RGBA16F';
+        if (useHalfFloat && !gl.getExtension('EXT_color_buffer_float')) {
+            console.warn('RGBA16F render targets not supported, falling back to RGBA8');
+            useHalfFloat = false;
+        }
+        const glFilter = filter === 'nearest' ? gl.NEAREST : gl.LINEAR;
+
         // Set up texture
         gl.bindTexture(gl.TEXTURE_2D, texture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        if (useHalfFloat) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, width, height, 0, gl.RGBA, gl.HALF_FLOAT, null);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        }
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, glFilter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, glFilter);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
@@ -84,6 +106,25 @@ export class ShaderPreview {
         return { framebuffer, texture };
     }
 
+    /**
+     * Recreate the framebuffer with a new size/format (shared context only)
+     */
+    setRenderTarget(width, height, format = 'RGBA8', filter = 'linear') {
+        if (!this.usingSharedContext) return;
+
+        const gl = this.gl;
+        if (this.framebuffer) {
+            gl.deleteTexture(this.framebuffer.texture);
+            gl.deleteFramebuffer(this.framebuffer.framebuffer);
+        }
+
+        this.width = width;
+        this.height = height;
+        this.format = format;
+        this.filter = filter;
+        this.framebuffer = this.createFramebuffer(gl, width, height, format, filter);
+    }
+
     setupNoiseShader() {
         // Create a simple noise shader for when no program is loaded
         const gl = this.gl;
@@ -159,22 +200,6 @@ export class ShaderPreview {
         gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
     }
 
-    setupCameraTexture() {
-        const gl = this.gl;
-        this.cameraTexture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, this.cameraTexture);
-
-        // Set texture parameters
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-
-        // Initialize with a 1x1 black pixel
-        const pixel = new Uint8Array([0, 0, 0, 255]);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
-    }
-
     async enableCamera() {
         try {
             this.cameraStream = await navigator.mediaDevices.getUserMedia({
@@ -217,37 +242,6 @@ export class ShaderPreview {
         }
     }
 
-    updateCameraTexture() {
-        // Try to find an active video source node
-        let videoElement = this.videoElement;
-
-        // If we have a graph context, try to find active video source nodes
-        if (this.graph) {
-            const activeVideoNode = this.graph.nodes.find(n =>
-                (n.isCameraNode || n.isScreenCaptureNode || n.isVideoURLNode) && n.isActive && n.videoElement
-            );
-            if (activeVideoNode) {
-                videoElement = activeVideoNode.videoElement;
-            }
-        }
-
-        // Check if video element has valid data (works for both main and offscreen instances)
-        if (!videoElement || !videoElement.readyState || videoElement.readyState < 2) {
-            return;
-        }
-
-        // Check if video is actually playing (has source and not paused)
-        const hasSource = videoElement.srcObject !== null || (videoElement.src && videoElement.src !== '');
-        if (videoElement.paused || !hasSource) {
-            return;
-        }
-
-        const gl = this.gl;
-        gl.bindTexture(gl.TEXTURE_2D, this.cameraTexture);
-        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, videoElement);
-    }
-
     loadShader(shaderSource, onError) {
         const gl = this.gl;
 
@@ -320,14 +314,15 @@ export class ShaderPreview {
         const numUniforms = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
         for (let i = 0; i < numUniforms; i++) {
             const info = gl.getActiveUniform(program, i);
-            this.uniforms[info.name] = gl.getUniformLocation(program, info.name);
+            // Arrays are reported as "name[0]" - store them under their plain name
+            this.uniforms[info.name.replace(/\[0\]$/, '')] = gl.getUniformLocation(program, info.name);
         }
 
         if (!this.isOffscreen) {
         }
 
         // Start animation
-        if (!this.animationId) {
+        if (!this.animationId && !this.isManual) {
             this.animate();
         }
 
@@ -340,18 +335,35 @@ export class ShaderPreview {
             this.onBeforeRender();
         }
 
-        // Update feedback texture references before rendering
+        this.updateTextureReferences();
+        this.render();
+        this.animationId = requestAnimationFrame(() => this.animate());
+    }
+
+    /**
+     * Render a single frame on demand (render target passes, which have no animation loop)
+     */
+    renderPass() {
+        this.updateTextureReferences();
+        this.render();
+    }
+
+    updateTextureReferences() {
+        // Update feedback and render target texture references before rendering
         if (this.customUniformValues && this.customUniformValues.length > 0) {
             for (const uniform of this.customUniformValues) {
+                if (uniform.type !== 'sampler2D') continue;
+
                 // Update feedback texture each frame (all in same context now!)
-                if (uniform.type === 'sampler2D' && uniform.feedbackNodeId !== undefined && uniform.feedbackNode) {
+                if (uniform.feedbackNodeId !== undefined && uniform.feedbackNode) {
                     uniform.texture = uniform.feedbackNode.getReadTexture();
                 }
+                // Render target textures are replaced when the target is resized or reformatted
+                if (uniform.renderTargetNodeId !== undefined && uniform.renderTargetNode) {
+                    uniform.texture = uniform.renderTargetNode.getTexture();
+                }
             }
         }
-
-        this.render();
-        this.animationId = requestAnimationFrame(() => this.animate());
     }
 
     stopRendering() {
@@ -385,7 +397,7 @@ export class ShaderPreview {
                     gl.uniform2f(this.noiseUniforms.u_resolution, width, height);
                 }
                 if (this.noiseUniforms.u_time) {
-                    gl.uniform1f(this.noiseUniforms.u_time, (Date.now() - this.startTime) / 1000.0);
+                    gl.uniform1f(this.noiseUniforms.u_time, RenderClock.getTime(this.startTime));
                 }
 
                 // Setup vertex attributes
@@ -409,9 +421,6 @@ export class ShaderPreview {
             return;
         }
 
-        // Always try to update camera texture (will check internally if video is playing)
-        this.updateCameraTexture();
-
         gl.viewport(0, 0, width, height);
         gl.useProgram(this.program);
 
@@ -420,56 +429,34 @@ export class ShaderPreview {
             gl.uniform2f(this.uniforms.u_resolution, width, height);
         }
         if (this.uniforms.u_time) {
-            gl.uniform1f(this.uniforms.u_time, (Date.now() - this.startTime) / 1000.0);
+            gl.uniform1f(this.uniforms.u_time, RenderClock.getTime(this.startTime));
         }
         if (this.uniforms.u_mouse) {
-            // TODO: Track mouse position
-            gl.uniform2f(this.uniforms.u_mouse, 0.0, 0.0);
-        }
-
-        // Set camera texture
-        if (this.uniforms.u_camera) {
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, this.cameraTexture);
-            gl.uniform1i(this.uniforms.u_camera, 0);
-        }
-
-        // Set custom uniforms - update values from UniformRegistry if available
-        if (this.customUniformValues && this.customUniformValues.length > 0) {
-            // If we have a uniform registry, update values from it
-            if (this.uniformRegistry) {
-                for (const uniform of this.customUniformValues) {
-                    const registryUniform = this.uniformRegistry.getUniform(uniform.name);
-                    if (registryUniform) {
-                        uniform.value = registryUniform.value;
-                    }
-                }
-            } else {
-                if (Math.random() < 0.01) {
-                    console.warn('[ShaderPreview] No uniformRegistry! Cannot fetch realtime uniform values');
-                }
+            let mouseValue = [0, 0, 0, 0];
+            if (this.mouse) {
+                mouseValue = this.mouse.getUniform(width, height);
+            } else if (MouseTracker.last) {
+                mouseValue = MouseTracker.last.peekUniform(width, height);
             }
+            const [mx, my, mz, mw] = mouseValue;
+            gl.uniform4f(this.uniforms.u_mouse, mx, my, mz, mw);
         }
 
         const uniformsToSet = this.customUniformValues || [];
 
         if (uniformsToSet.length > 0) {
-            let textureUnit = 1; // Start at 1 since camera uses 0
+            if (!this.uniformRegistry && Math.random() < 0.01) {
+                console.warn('[ShaderPreview] No uniformRegistry! Cannot fetch realtime uniform values');
+            }
+
+            let textureUnit = 0;
 
             for (const uniform of uniformsToSet) {
                 const location = this.uniforms[uniform.name];
+                this.updateUniformValue(uniform);
 
                 if (location !== null && location !== undefined) {
                     if (uniform.type === 'float') {
-                        // Update microphone RMS value each frame if this is a microphone node
-                        if (uniform.microphoneNode && uniform.microphoneNode.isActive) {
-                            const rms = uniform.microphoneNode.getRMS();
-                            uniform.value = rms;
-                        }
-                        // Update MIDI CC value each frame if this is a MIDI CC node
-                        if (uniform.midiCCNode) {
-                            uniform.value = uniform.midiCCNode.getValue();
-                        }
                         gl.uniform1f(location, uniform.value);
                     } else if (uniform.type === 'int') {
                         gl.uniform1i(location, uniform.value);
@@ -480,14 +467,21 @@ export class ShaderPreview {
                         gl.uniform2f(location, uniform.value[0], uniform.value[1]);
                     } else if (uniform.type === 'vec3') {
                         gl.uniform3f(location, uniform.value[0], uniform.value[1], uniform.value[2]);
+                    } else if (uniform.type === 'vec4' && uniform.arraySize) {
+                        gl.uniform4fv(location, uniform.value);
                     } else if (uniform.type === 'vec4') {
                         gl.uniform4f(location, uniform.value[0], uniform.value[1], uniform.value[2], uniform.value[3]);
-                    } else if (uniform.type === 'sampler2D' && uniform.texture) {
-                        // Bind feedback texture
-                        gl.activeTexture(gl.TEXTURE0 + textureUnit);
-                        gl.bindTexture(gl.TEXTURE_2D, uniform.texture);
-                        gl.uniform1i(location, textureUnit);
-                        textureUnit++;
+                    } else if (uniform.type === 'sampler2D') {
+                        // Video textures live in this renderer's context; feedback/render target textures are shared
+                        const texture = uniform.videoNode
+                            ? this.videoTextures.getTexture(uniform.videoNode)
+                            : uniform.texture;
+                        if (texture) {
+                            gl.activeTexture(gl.TEXTURE0 + textureUnit);
+                            gl.bindTexture(gl.TEXTURE_2D, texture);
+                            gl.uniform1i(location, textureUnit);
+                            textureUnit++;
+                        }
                     }
                 } else {
                     // Silently skip uniforms that don't exist in this shader
@@ -511,6 +505,40 @@ export class ShaderPreview {
         }
     }
 
+    /**
+     * Refresh a custom uniform's value from the UniformRegistry and the nodes that change it every frame
+     * (also used by the output window, which mirrors the values of this renderer)
+     */
+    updateUniformValue(uniform) {
+        if (this.uniformRegistry) {
+            const registryUniform = this.uniformRegistry.getUniform(uniform.name);
+            if (registryUniform) {
+                uniform.value = registryUniform.value;
+            }
+        }
+
+        // MIDI note state changes with time (envelopes), so it is read every frame
+        if (uniform.midiNoteNode) {
+            uniform.value = uniform.midiNoteNode.getUniformValue(uniform.arraySize > 0);
+        }
+        if (uniform.audioSpectrumNode) {
+            uniform.value = uniform.audioSpectrumNode.getUniformValue();
+        }
+        if (uniform.bpmNode) {
+            uniform.value = uniform.bpmNode.getUniformValue();
+        }
+        if (uniform.keyboardNode) {
+            uniform.value = uniform.keyboardNode.getUniformValue();
+        }
+        // Microphone RMS
+        if (uniform.microphoneNode && (uniform.microphoneNode.isActive || uniform.microphoneNode.replayValue !== null)) {
+            uniform.value = uniform.microphoneNode.getRMS();
+        }
+        if (uniform.midiCCNode) {
+            uniform.value = uniform.midiCCNode.getValue();
+        }
+    }
+
     destroy() {
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
@@ -518,6 +546,15 @@ export class ShaderPreview {
         if (this.program) {
             this.gl.deleteProgram(this.program);
         }
+        if (this.usingSharedContext && this.framebuffer) {
+            this.gl.deleteTexture(this.framebuffer.texture);
+            this.gl.deleteFramebuffer(this.framebuffer.framebuffer);
+            this.framebuffer = null;
+        }
+        // A context of our own takes its video textures with it
+        if (!this.usingSharedContext && this.videoTextures) {
+            this.videoTextures.destroy();
+        }
         this.disableCamera();
     }
 }
@@ -0,0 +1,140 @@
+const DEFAULT_OPTIONS = { wrap: 'clamp', mipmaps: false, flipY: true };
+
+/**
+ * VideoTextureCache - One texture per media source node in a GL context
+ * (Camera, ScreenCapture, VideoURL, Image/Video File and Audio Spectrum nodes)
+ *
+ * Textures belong to the context they were created in, so every context gets its own cache
+ * (shared by all renderers using it). A video is uploaded at most once per new frame, an image once.
+ *
+ * Nodes provide their media through getTextureSource() (or an active videoElement)
+ * and can override sampling through getTextureOptions(): { wrap, mipmaps, flipY }.
+ * Generated sources are plain objects { width, height, data: Uint8Array (RGBA), frame },
+ * uploaded whenever frame changes.
+ */
+export class VideoTextureCache {
+    static caches = new Set();
+
+    /**
+     * Get the cache for a GL context, creating it on first use
+     */
+    static forContext(gl) {
+        if (!gl.__videoTextureCache) {
+            gl.__videoTextureCache = new VideoTextureCache(gl);
+            VideoTextureCache.caches.add(gl.__videoTextureCache);
+        }
+        return gl.__videoTextureCache;
+    }
+
+    /**
+     * Free a removed node's textures in every context
+     */
+    static releaseNode(nodeId) {
+        for (const cache of VideoTextureCache.caches) {
+            cache.release(nodeId);
+        }
+    }
+
+    constructor(gl) {
+        this.gl = gl;
+        this.entries = new Map(); // nodeId -> { texture, source, lastTime, optionsKey }
+    }
+
+    /**
+     * Get the texture for a media source node, uploading the current frame if it changed
+     * Returns a 1x1 black texture until the media has data
+     */
+    getTexture(node) {
+        const gl = this.gl;
+        let entry = this.entries.get(node.id);
+
+        if (!entry) {
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 255]));
+
+            entry = { texture, source: null, lastTime: -1, optionsKey: null };
+            this.entries.set(node.id, entry);
+        }
+
+        const options = { ...DEFAULT_OPTIONS, ...(node.getTextureOptions ? node.getTextureOptions() : {}) };
+        const optionsKey = `${options.wrap}|${options.mipmaps}|${options.flipY}`;
+        if (entry.optionsKey !== optionsKey) {
+            this.applyOptions(entry.texture, options);
+            entry.optionsKey = optionsKey;
+            entry.lastTime = -1; // Flip-Y and mipmaps need a fresh upload
+        }
+
+        const source = node.getTextureSource
+            ? node.getTextureSource()
+            : (node.isActive ? node.videoElement : null);
+        if (source !== entry.source) {
+            entry.source = source;
+            entry.lastTime = -1;
+        }
+
+        if (source && VideoTextureCache.isReady(source)) {
+            // Images never change, videos and generated data only when there's a new frame
+            const time = source instanceof HTMLVideoElement ? source.currentTime : (source.data ? source.frame : 0);
+            if (time !== entry.lastTime) {
+                gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+                gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, options.flipY);
+                if (source.data) {
+                    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, source.width, source.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, source.data);
+                } else {
+                    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+                }
+                gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+                if (options.mipmaps) {
+                    gl.generateMipmap(gl.TEXTURE_2D);
+                }
+                entry.lastTime = time;
+            }
+        }
+
+        return entry.texture;
+    }
+
+    /**
+     * Whether a media source has a frame to upload
+     * (ImageBitmaps are the frames sent to output windows)
+     */
+    static isReady(source) {
+        if (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) return true;
+        if (source instanceof HTMLVideoElement) {
+            const hasSource = source.srcObject !== null || (source.src && source.src !== '');
+            // readyState 2 = current frame available
+            return hasSource && source.readyState >= 2;
+        }
+        if (source.data) return true;
+        return source.complete && source.naturalWidth > 0;
+    }
+
+    applyOptions(texture, options) {
+        const gl = this.gl;
+        const wrapModes = { clamp: gl.CLAMP_TO_EDGE, repeat: gl.REPEAT, mirror: gl.MIRRORED_REPEAT };
+        const wrap = wrapModes[options.wrap] || gl.CLAMP_TO_EDGE;
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, options.mipmaps ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    }
+
+    release(nodeId) {
+        const entry = this.entries.get(nodeId);
+        if (entry) {
+            this.gl.deleteTexture(entry.texture);
+            this.entries.delete(nodeId);
+        }
+    }
+
+    destroy() {
+        for (const nodeId of [...this.entries.keys()]) {
+            this.release(nodeId);
+        }
+        VideoTextureCache.caches.delete(this);
+        delete this.gl.__videoTextureCache;
+    }
+}
@@ -94,7 +94,11 @@ export class ApiClient {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Request failed');
+      // The status and body let callers handle specific failures (e.g. 409 sync conflicts)
+      const error = new Error(data.error || 'Request failed');
+      error.status = response.status;
+      error.data = data;
+      throw error;
     }
 
     return data;
@@ -133,6 +137,52 @@ export class ApiClient {
     return await this.request('POST', '/api/auth/reset-password', { token, newPassword });
   }
 
+  // Account endpoints
+  /**
+   * Update username, email, bio or avatarUrl (email changes need currentPassword)
+   * The token holds the username and email, so the response carries a new one
+   */
+  async updateAccount(updates) {
+    const data = await this.request('PUT', '/api/account', updates);
+    this.setToken(data.token);
+    return data;
+  }
+
+  async changePassword(currentPassword, newPassword) {
+    return await this.request('PUT', '/api/account/password', { currentPassword, newPassword });
+  }
+
+  async deleteAccount(password) {
+    const data = await this.request('DELETE', '/api/account', { password });
+    this.clearToken();
+    return data;
+  }
+
+  /**
+   * Gather the account's projects (with their data) and node library for download
+   */
+  async exportAccount() {
+    const { projects } = await this.listProjects();
+    const fullProjects = [];
+    for (const project of projects) {
+      fullProjects.push(await this.getProject(project.id));
+    }
+    const { nodes } = await this.listLibraryNodes();
+
+    return {
+      format: 'patchtoy-account-export',
+      exportedAt: new Date().toISOString(),
+      user: this.getCurrentUser(),
+      projects: fullProjects,
+      nodeLibrary: nodes,
+    };
+  }
+
+  // User endpoints
+  async getUserProfile(username) {
+    return await this.request('GET', `/api/users/${encodeURIComponent(username)}`);
+  }
+
   // Project endpoints
   async listProjects() {
     return await this.request('GET', '/api/projects');
@@ -142,10 +192,14 @@ export class ApiClient {
     return await this.request('GET', `/api/projects/${projectId}`);
   }
 
-  async saveProject(name, data) {
-    return await this.request('POST', '/api/projects', { name, data });
+  async saveProject(name, data, message = '') {
+    return await this.request('POST', '/api/projects', { name, data, message });
   }
 
+  /**
+   * Update name, data, or isPublic; saving data records a revision (with an optional message)
+   * With baseEtag, saving data fails with status 409 if the project changed since that version
+   */
   async updateProject(projectId, updates) {
     return await this.request('PUT', `/api/projects/${projectId}`, updates);
   }
@@ -158,6 +212,110 @@ export class ApiClient {
     return await this.request('PUT', `/api/projects/${projectId}/visibility`, { isPublic });
   }
 
+  /**
+   * Copy a public project into the current user's account, credited to the original
+   * Optional name/data replace the copy's name and content (saving edits to someone else's project)
+   */
+  async forkProject(projectId, { name, data } = {}) {
+    return await this.request('POST', `/api/projects/${projectId}/fork`, { name, data });
+  }
+
+  /**
+   * Upload a JPEG thumbnail shown in the gallery (and in the history for the given revision)
+   */
+  async uploadThumbnail(projectId, blob, revisionId = null) {
+    const { uploadUrl } = await this.request('POST', `/api/projects/${projectId}/thumbnail`, {
+      size: blob.size,
+      ...(revisionId ? { revisionId } : {}),
+    });
+
+    const response = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'image/jpeg' },
+      body: blob,
+    });
+
+    if (!response.ok) {
+      throw new Error('Thumbnail upload failed');
+    }
+
+    // The project only points at the image once it's uploaded
+    const { thumbnailUrl } = await this.request('PUT', `/api/projects/${projectId}/thumbnail`, {
+      ...(revisionId ? { revisionId } : {}),
+    });
+    return thumbnailUrl;
+  }
+
+  // Revision endpoints
+  /**
+   * List a project's revisions, newest first (without their data)
+   */
+  async listRevisions(projectId) {
+    return await this.request('GET', `/api/projects/${projectId}/revisions`);
+  }
+
+  async getRevision(projectId, revisionId) {
+    return await this.request('GET', `/api/projects/${projectId}/revisions/${revisionId}`);
+  }
+
+  /**
+   * Make a revision the project's current data (recorded as a new revision)
+   */
+  async restoreRevision(projectId, revisionId) {
+    return await this.request('POST', `/api/projects/${projectId}/revisions/${revisionId}/restore`);
+  }
+
+  // Gallery endpoints
+  /**
+   * List public projects, sort is 'recent' or 'popular'
+   * Pass the returned nextCursor to get the next page (null on the last page)
+   */
+  async listGallery({ sort = 'recent', cursor = null, limit = 24 } = {}) {
+    const params = new URLSearchParams({ sort, limit: String(limit) });
+    if (cursor) params.set('cursor', cursor);
+    return await this.request('GET', `/api/gallery?${params}`);
+  }
+
+  // Node library endpoints
+  async listLibraryNodes() {
+    return await this.request('GET', '/api/library');
+  }
+
+  /**
+   * Add versions to a node in the cloud library, returns the merged version list
+   */
+  async saveLibraryNode(name, versions) {
+    return await this.request('PUT', `/api/library/${encodeURIComponent(name)}`, { versions });
+  }
+
+  async deleteLibraryNode(name) {
+    return await this.request('DELETE', `/api/library/${encodeURIComponent(name)}`);
+  }
+
+  // Asset endpoints
+  /**
+   * Upload a media file stored alongside projects, returns its public URL
+   * The API hands out a pre-signed URL so the file goes straight to storage
+   */
+  async uploadAsset(blob, contentType) {
+    const { uploadUrl, url } = await this.request('POST', '/api/assets', {
+      contentType,
+      size: blob.size,
+    });
+
+    const response = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+      body: blob,
+    });
+
+    if (!response.ok) {
+      throw new Error('Asset upload failed');
+    }
+
+    return url;
+  }
+
   /**
    * Get public project (no auth required)
    */
@@ -0,0 +1,118 @@
+/**
+ * Audio Service - Singleton owning the shared AudioContext and audio captures
+ *
+ * All audio nodes (sources and analysis) live in one context, so any source
+ * (microphone, tab/system audio, Audio File player) can feed any analysis node.
+ *
+ * Capture format:
+ * { kind: 'mic' | 'system', stream: MediaStream, node: MediaStreamAudioSourceNode }
+ */
+export class AudioService {
+    constructor() {
+        if (AudioService.instance) {
+            return AudioService.instance;
+        }
+        AudioService.instance = this;
+
+        this._context = null;
+        this.worklets = new Map(); // url -> addModule promise
+    }
+
+    /**
+     * The shared AudioContext (created on first use)
+     */
+    get context() {
+        if (!this._context) {
+            this._context = new (window.AudioContext || window.webkitAudioContext)({
+                latencyHint: 'interactive'
+            });
+        }
+        return this._context;
+    }
+
+    /**
+     * Resume the context (browsers start it suspended until a user gesture)
+     */
+    async resume() {
+        if (this.context.state === 'suspended') {
+            await this.context.resume();
+        }
+    }
+
+    /**
+     * Load an AudioWorklet module once
+     */
+    loadWorklet(url) {
+        if (!this.worklets.has(url)) {
+            const promise = this.context.audioWorklet.addModule(url);
+            // Allow a retry after a failed load
+            promise.catch(() => this.worklets.delete(url));
+            this.worklets.set(url, promise);
+        }
+        return this.worklets.get(url);
+    }
+
+    /**
+     * Open a microphone (or other input device) without processing that would alter levels
+     */
+    async openMicrophone(deviceId = '') {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false,
+                latency: 0
+            }
+        });
+        await this.resume();
+        return { kind: 'mic', stream, node: this.context.createMediaStreamSource(stream) };
+    }
+
+    /**
+     * Capture tab or system audio through the screen share picker
+     * Browsers require video in the request; the video track is stopped right away
+     */
+    async openSystemAudio() {
+        const captured = await navigator.mediaDevices.getDisplayMedia({
+            video: true,
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+
+        captured.getVideoTracks().forEach(track => track.stop());
+        const audioTracks = captured.getAudioTracks();
+        if (audioTracks.length === 0) {
+            throw new Error('No audio shared - enable "Share audio" in the picker');
+        }
+
+        const stream = new MediaStream(audioTracks);
+        await this.resume();
+        return { kind: 'system', stream, node: this.context.createMediaStreamSource(stream) };
+    }
+
+    /**
+     * Stop a capture's tracks and disconnect it
+     */
+    closeCapture(capture) {
+        if (!capture) return;
+        capture.node.disconnect();
+        capture.stream.getTracks().forEach(track => track.stop());
+    }
+
+    /**
+     * List audio input devices (labels are only available after microphone permission is granted)
+     */
+    async listInputDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map(device => ({ id: device.deviceId, label: device.label || 'Microphone' }));
+    }
+}
+
+// Export singleton instance
+export const audioService = new AudioService();
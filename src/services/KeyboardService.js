@@ -0,0 +1,111 @@
+import { CanvasTextInput } from '../rendering/CanvasTextInput.js';
+
+/**
+ * Keyboard Service - Singleton tracking key state for Keyboard nodes
+ *
+ * Keys are indexed by keyCode (0-255), like ShaderToy's keyboard texture:
+ *   held     - 1 while the key is down
+ *   toggled  - flips on every press
+ *   pressCounts - number of presses, so each node can tell which keys went down since its last frame
+ *
+ * Presses are ignored while text is being edited (HTML inputs, code editors, canvas text inputs),
+ * releases never are, so keys can't get stuck.
+ */
+export class KeyboardService {
+    constructor() {
+        if (KeyboardService.instance) {
+            return KeyboardService.instance;
+        }
+        KeyboardService.instance = this;
+
+        this.held = new Uint8Array(256);
+        this.toggled = new Uint8Array(256);
+        this.pressCounts = new Uint32Array(256);
+        this.isListening = false;
+
+        // Subscribers: Map<nodeId, callback(keyCode, isDown)>
+        this.subscribers = new Map();
+    }
+
+    /**
+     * Start listening to window key events (once)
+     */
+    start() {
+        if (this.isListening) return;
+        this.isListening = true;
+
+        // Capture phase, so a canvas text input blurred by this key (Enter, Tab) still counts as focused
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e), true);
+        window.addEventListener('keyup', (e) => this.handleKeyUp(e), true);
+
+        // Keys released while the window is in the background never send keyup
+        window.addEventListener('blur', () => this.releaseAll());
+    }
+
+    /**
+     * Whether key presses are going to a text field rather than the shaders
+     */
+    isEditingText() {
+        if (CanvasTextInput.focusedInput) return true;
+
+        const activeElement = document.activeElement;
+        return !!activeElement && (
+            activeElement.tagName === 'INPUT' ||
+            activeElement.tagName === 'TEXTAREA' ||
+            activeElement.isContentEditable ||
+            !!activeElement.closest('.monaco-editor') // Monaco editor
+        );
+    }
+
+    handleKeyDown(e) {
+        const keyCode = e.keyCode;
+        if (keyCode <= 0 || keyCode > 255) return;
+        if (e.repeat || this.isEditingText()) return;
+
+        this.held[keyCode] = 1;
+        this.toggled[keyCode] ^= 1;
+        this.pressCounts[keyCode]++;
+        this.notify(keyCode, true);
+    }
+
+    handleKeyUp(e) {
+        const keyCode = e.keyCode;
+        if (keyCode <= 0 || keyCode > 255 || !this.held[keyCode]) return;
+
+        this.held[keyCode] = 0;
+        this.notify(keyCode, false);
+    }
+
+    releaseAll() {
+        for (let keyCode = 0; keyCode < 256; keyCode++) {
+            if (this.held[keyCode]) {
+                this.held[keyCode] = 0;
+                this.notify(keyCode, false);
+            }
+        }
+    }
+
+    notify(keyCode, isDown) {
+        for (const callback of this.subscribers.values()) {
+            callback(keyCode, isDown);
+        }
+    }
+
+    /**
+     * Subscribe to key presses and releases (starts listening)
+     */
+    subscribe(nodeId, callback) {
+        this.start();
+        this.subscribers.set(nodeId, callback);
+    }
+
+    /**
+     * Unsubscribe from key events
+     */
+    unsubscribe(nodeId) {
+        this.subscribers.delete(nodeId);
+    }
+}
+
+// Export singleton instance
+export const keyboardService = new KeyboardService();
@@ -1,6 +1,10 @@
+// System Real-Time status bytes used for tempo sync
+const CLOCK_MESSAGES = { 0xF8: 'clock', 0xFA: 'start', 0xFB: 'continue', 0xFC: 'stop' };
+
 /**
  * MIDI Service - Singleton for managing Web MIDI API access
- * Tracks all MIDI CC values and provides them to MidiCCNodes
+ * Tracks all MIDI CC values and provides them to MidiCCNodes,
+ * and forwards note on/off events to MidiNoteNodes and clock messages to BpmNodes
  */
 export class MIDIService {
     constructor() {
@@ -19,6 +23,12 @@ export class MIDIService {
 
         // Subscribers: Map<nodeId, callback>
         this.subscribers = new Map();
+
+        // Note subscribers: Map<nodeId, callback(channel, note, velocity, isOn)>
+        this.noteSubscribers = new Map();
+
+        // Clock subscribers: Map<nodeId, callback(type, timeSeconds)>
+        this.clockSubscribers = new Map();
     }
 
     /**
@@ -97,6 +107,20 @@ export class MIDIService {
             const value = data2;
             this.updateCC(channel, ccNumber, value);
         }
+
+        // Handle Note On (0x90) and Note Off (0x80) - Note On with velocity 0 is a Note Off
+        if (messageType === 0x90 || messageType === 0x80) {
+            const isOn = messageType === 0x90 && data2 > 0;
+            this.updateNote(channel, data1, isOn ? data2 : 0, isOn);
+        }
+
+        // Handle System Real-Time clock messages (no channel)
+        const clockType = CLOCK_MESSAGES[status];
+        if (clockType) {
+            for (const callback of this.clockSubscribers.values()) {
+                callback(clockType, message.timeStamp / 1000);
+            }
+        }
     }
 
     /**
@@ -118,6 +142,16 @@ export class MIDIService {
         }
     }
 
+    /**
+     * Notify note subscribers of a note on/off (velocity normalized 0.0-1.0)
+     */
+    updateNote(channel, note, velocity, isOn) {
+        const normalized = velocity / 127.0;
+        for (const callback of this.noteSubscribers.values()) {
+            callback(channel, note, normalized, isOn);
+        }
+    }
+
     /**
      * Get current CC value (normalized 0.0-1.0)
      */
@@ -141,6 +175,34 @@ export class MIDIService {
         this.subscribers.delete(nodeId);
     }
 
+    /**
+     * Subscribe to note on/off events
+     */
+    subscribeNotes(nodeId, callback) {
+        this.noteSubscribers.set(nodeId, callback);
+    }
+
+    /**
+     * Unsubscribe from note events
+     */
+    unsubscribeNotes(nodeId) {
+        this.noteSubscribers.delete(nodeId);
+    }
+
+    /**
+     * Subscribe to MIDI clock messages ('clock' at 24 per beat, 'start', 'continue', 'stop')
+     */
+    subscribeClock(nodeId, callback) {
+        this.clockSubscribers.set(nodeId, callback);
+    }
+
+    /**
+     * Unsubscribe from clock messages
+     */
+    unsubscribeClock(nodeId) {
+        this.clockSubscribers.delete(nodeId);
+    }
+
     /**
      * Disable MIDI
      */
@@ -159,6 +221,8 @@ export class MIDIService {
         this.inputs = [];
         this.ccValues.clear();
         this.subscribers.clear();
+        this.noteSubscribers.clear();
+        this.clockSubscribers.clear();
 
         console.log('[MIDI] Disabled');
     }
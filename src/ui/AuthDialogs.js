@@ -494,4 +494,264 @@ export class AuthDialogs {
         setTimeout(() => passwordInput.focus(), 0);
         };
     }
+
+    /**
+     * Show account settings: profile (avatar, bio), username, email, password, data export and account deletion
+     * @param {ApiClient} apiClient - API client instance
+     * @param {Object} callbacks - onAccountChanged() after the username/email changed, onAccountDeleted()
+     */
+    static showAccountSettings(apiClient, { onAccountChanged, onAccountDeleted } = {}) {
+        const user = apiClient.getCurrentUser();
+        if (!user) return;
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background: rgba(0,0,0,0.7); display: flex; align-items: center; justify-content: center; z-index: 10000;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: #2d2d2d; border: 1px solid #444; border-radius: 8px; padding: 20px; width: 460px; max-width: 90vw; max-height: 85vh; overflow-y: auto; box-sizing: border-box;';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Account Settings';
+        title.style.cssText = 'margin: 0 0 20px 0; color: #fff; font-size: 18px;';
+        dialog.appendChild(title);
+
+        const inputStyle = 'width: 100%; padding: 8px; background: #1e1e1e; border: 1px solid #444; color: #fff; border-radius: 4px; margin-bottom: 10px; box-sizing: border-box;';
+        const buttonStyle = 'padding: 8px 14px; background: #007acc; border: none; border-radius: 4px; color: #fff; cursor: pointer; font-size: 13px;';
+
+        const createSection = (text) => {
+            const section = document.createElement('div');
+            section.style.cssText = 'margin-bottom: 20px; padding-bottom: 16px; border-bottom: 1px solid #444;';
+            const heading = document.createElement('h3');
+            heading.textContent = text;
+            heading.style.cssText = 'margin: 0 0 12px 0; color: #ccc; font-size: 14px;';
+            section.appendChild(heading);
+            dialog.appendChild(section);
+            return section;
+        };
+
+        const createField = (section, labelText, type, value = '') => {
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            label.style.cssText = 'display: block; color: #ccc; margin-bottom: 5px; font-size: 13px;';
+            const input = document.createElement('input');
+            input.type = type;
+            input.value = value;
+            input.style.cssText = inputStyle;
+            section.appendChild(label);
+            section.appendChild(input);
+            return input;
+        };
+
+        const createMessage = (section) => {
+            const message = document.createElement('div');
+            message.style.cssText = 'font-size: 12px; margin-bottom: 10px; display: none;';
+            section.appendChild(message);
+            return (text, isError = false) => {
+                message.textContent = text;
+                message.style.color = isError ? '#f44336' : '#4caf50';
+                message.style.display = 'block';
+            };
+        };
+
+        // Runs an action from a button, showing its result next to it
+        const createButton = (section, text, action, showMessage, style = buttonStyle) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = style;
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                try {
+                    const result = await action();
+                    if (result) showMessage(result);
+                } catch (err) {
+                    showMessage(err.message || 'Request failed', true);
+                }
+                button.disabled = false;
+            });
+            section.appendChild(button);
+            return button;
+        };
+
+        const downloadExport = async () => {
+            const data = await apiClient.exportAccount();
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `patchtoy-${user.username}-export-${Date.now()}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            return data.projects.length;
+        };
+
+        // Profile: avatar and bio (shown on /u/<username>)
+        const profileSection = createSection('Profile');
+        let avatarUrl = null;
+
+        const avatarRow = document.createElement('div');
+        avatarRow.style.cssText = 'display: flex; align-items: center; gap: 10px; margin-bottom: 12px;';
+        const avatar = document.createElement('div');
+        avatar.style.cssText = 'width: 56px; height: 56px; border-radius: 50%; background: #1e1e1e; border: 1px solid #444; overflow: hidden; display: flex; align-items: center; justify-content: center; color: #888; font-size: 22px; background-size: cover; background-position: center;';
+        const showAvatar = (url) => {
+            avatarUrl = url;
+            avatar.style.backgroundImage = url ? `url("${url}")` : 'none';
+            avatar.textContent = url ? '' : user.username.charAt(0).toUpperCase();
+        };
+        showAvatar(null);
+
+        const avatarInput = document.createElement('input');
+        avatarInput.type = 'file';
+        avatarInput.accept = 'image/*';
+        avatarInput.style.display = 'none';
+
+        const smallButtonStyle = 'padding: 6px 12px; background: transparent; border: 1px solid #444; color: #fff; cursor: pointer; border-radius: 4px; font-size: 12px;';
+        const changeAvatarBtn = document.createElement('button');
+        changeAvatarBtn.textContent = 'Change Avatar';
+        changeAvatarBtn.style.cssText = smallButtonStyle;
+        changeAvatarBtn.addEventListener('click', () => avatarInput.click());
+        const removeAvatarBtn = document.createElement('button');
+        removeAvatarBtn.textContent = 'Remove';
+        removeAvatarBtn.style.cssText = smallButtonStyle;
+        removeAvatarBtn.addEventListener('click', () => showAvatar(''));
+
+        avatarRow.appendChild(avatar);
+        avatarRow.appendChild(changeAvatarBtn);
+        avatarRow.appendChild(removeAvatarBtn);
+        avatarRow.appendChild(avatarInput);
+        profileSection.appendChild(avatarRow);
+
+        const bioLabel = document.createElement('label');
+        bioLabel.textContent = 'Bio';
+        bioLabel.style.cssText = 'display: block; color: #ccc; margin-bottom: 5px; font-size: 13px;';
+        const bioInput = document.createElement('textarea');
+        bioInput.maxLength = 500;
+        bioInput.rows = 3;
+        bioInput.style.cssText = inputStyle + ' resize: vertical; font-family: inherit;';
+        profileSection.appendChild(bioLabel);
+        profileSection.appendChild(bioInput);
+
+        const showProfileMessage = createMessage(profileSection);
+
+        avatarInput.addEventListener('change', async () => {
+            const file = avatarInput.files[0];
+            avatarInput.value = '';
+            if (!file) return;
+            if (!file.type.startsWith('image/')) {
+                showProfileMessage('Please choose an image', true);
+                return;
+            }
+            try {
+                changeAvatarBtn.disabled = true;
+                showAvatar(await apiClient.uploadAsset(file, file.type));
+                showProfileMessage('Avatar uploaded - save to use it');
+            } catch (err) {
+                showProfileMessage('Avatar upload failed: ' + err.message, true);
+            }
+            changeAvatarBtn.disabled = false;
+        });
+
+        createButton(profileSection, 'Save Profile', async () => {
+            const updates = { bio: bioInput.value };
+            if (avatarUrl !== null) updates.avatarUrl = avatarUrl;
+            await apiClient.updateAccount(updates);
+            return 'Profile saved';
+        }, showProfileMessage);
+
+        // Prefill the profile (bio and avatar aren't in the token)
+        apiClient.getUserProfile(user.username).then(profile => {
+            bioInput.value = profile.bio;
+            if (profile.avatarUrl) showAvatar(profile.avatarUrl);
+        }).catch(err => {
+            console.warn('[AuthDialogs] Could not load profile:', err);
+        });
+
+        // Username
+        const usernameSection = createSection('Username');
+        const usernameInput = createField(usernameSection, 'Username', 'text', user.username);
+        const showUsernameMessage = createMessage(usernameSection);
+        createButton(usernameSection, 'Change Username', async () => {
+            const username = usernameInput.value.trim();
+            if (!username || username.toLowerCase() === apiClient.getCurrentUser().username) return null;
+            const result = await apiClient.updateAccount({ username });
+            usernameInput.value = result.username;
+            if (onAccountChanged) onAccountChanged();
+            return `Your profile is now /u/${result.username}`;
+        }, showUsernameMessage);
+
+        // Email (needs the current password)
+        const emailSection = createSection('Email');
+        const emailInput = createField(emailSection, 'Email', 'email', user.email);
+        const emailPasswordInput = createField(emailSection, 'Current Password', 'password');
+        const showEmailMessage = createMessage(emailSection);
+        createButton(emailSection, 'Change Email', async () => {
+            const email = emailInput.value.trim();
+            if (!email || email.toLowerCase() === apiClient.getCurrentUser().email) return null;
+            await apiClient.updateAccount({ email, currentPassword: emailPasswordInput.value });
+            emailPasswordInput.value = '';
+            if (onAccountChanged) onAccountChanged();
+            return 'Email changed';
+        }, showEmailMessage);
+
+        // Password
+        const passwordSection = createSection('Password');
+        const currentPasswordInput = createField(passwordSection, 'Current Password', 'password');
+        const newPasswordInput = createField(passwordSection, 'New Password (min 8 characters)', 'password');
+        const confirmPasswordInput = createField(passwordSection, 'Confirm New Password', 'password');
+        const showPasswordMessage = createMessage(passwordSection);
+        createButton(passwordSection, 'Change Password', async () => {
+            if (newPasswordInput.value !== confirmPasswordInput.value) {
+                throw new Error('Passwords do not match');
+            }
+            await apiClient.changePassword(currentPasswordInput.value, newPasswordInput.value);
+            currentPasswordInput.value = '';
+            newPasswordInput.value = '';
+            confirmPasswordInput.value = '';
+            return 'Password changed';
+        }, showPasswordMessage);
+
+        // Data export and account deletion
+        const dangerSection = createSection('Your Data');
+        dangerSection.style.borderBottom = 'none';
+        const showDangerMessage = createMessage(dangerSection);
+
+        const exportBtn = createButton(dangerSection, 'Download My Projects', async () => {
+            const count = await downloadExport();
+            return `Downloaded ${count} project${count === 1 ? '' : 's'} and your node library`;
+        }, showDangerMessage, smallButtonStyle);
+        exportBtn.style.marginBottom = '16px';
+
+        const deletePasswordInput = createField(dangerSection, 'Password (to delete your account)', 'password');
+        createButton(dangerSection, 'Delete Account', async () => {
+            if (!deletePasswordInput.value) {
+                throw new Error('Enter your password to delete your account');
+            }
+            if (!confirm('Delete your account and all your cloud projects? A copy of your projects will be downloaded first. This cannot be undone.')) {
+                return null;
+            }
+
+            // Projects are downloaded before they're gone
+            await downloadExport();
+            await apiClient.deleteAccount(deletePasswordInput.value);
+
+            overlay.remove();
+            if (onAccountDeleted) onAccountDeleted();
+            alert('Your account has been deleted.');
+            return null;
+        }, showDangerMessage, buttonStyle.replace('#007acc', '#d32f2f'));
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = 'Close';
+        closeBtn.style.cssText = 'width: 100%; padding: 10px; background: #333; border: none; border-radius: 4px; color: #fff; cursor: pointer; font-size: 14px;';
+        closeBtn.addEventListener('click', () => overlay.remove());
+        dialog.appendChild(closeBtn);
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) overlay.remove();
+        });
+    }
 }
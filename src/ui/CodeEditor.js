@@ -13,6 +13,9 @@ export class CodeEditor {
         this.theme = options.theme || 'vs-dark';
         this.onChange = options.onChange || (() => {});
 
+        // Problems shown as markers (kept to reapply when upgrading to Monaco)
+        this.markers = [];
+
         // Check if Monaco is available
         this.checkMonacoAvailability();
     }
@@ -138,6 +141,10 @@ export class CodeEditor {
             this.value = this.editor.getValue();
             this.onChange(this.value);
         });
+
+        if (this.markers.length > 0) {
+            this.setMarkers(this.markers);
+        }
     }
 
     createFallbackEditor() {
@@ -298,6 +305,42 @@ export class CodeEditor {
         }
     }
 
+    /**
+     * Show problems as inline markers (squiggles and hovers in Monaco; the textarea fallback has none)
+     * @param {Array} problems - [{ line, column, endLine, endColumn, severity: 'error' | 'warning', message }]
+     */
+    setMarkers(problems) {
+        this.markers = problems;
+        if (!this.editor || !window.monaco) return;
+
+        const { MarkerSeverity } = window.monaco;
+        window.monaco.editor.setModelMarkers(this.editor.getModel(), 'glsl-lint', problems.map(problem => ({
+            startLineNumber: problem.line,
+            startColumn: problem.column,
+            endLineNumber: problem.endLine || problem.line,
+            // Empty ranges (e.g. at the end of the code) still get a visible squiggle
+            endColumn: Math.max(problem.endColumn || 0, problem.column + 1),
+            severity: problem.severity === 'warning' ? MarkerSeverity.Warning : MarkerSeverity.Error,
+            message: problem.message
+        })));
+    }
+
+    /**
+     * Move the cursor to a position (1-based) and scroll it into view
+     */
+    goTo(line, column = 1) {
+        if (this.editor && this.editor.setPosition) {
+            this.editor.setPosition({ lineNumber: line, column });
+            this.editor.revealLineInCenter(line);
+            this.editor.focus();
+        } else if (this.fallbackTextarea) {
+            const lines = this.fallbackTextarea.value.split('\n');
+            const offset = lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0) + column - 1;
+            this.fallbackTextarea.focus();
+            this.fallbackTextarea.setSelectionRange(offset, offset);
+        }
+    }
+
     focus() {
         if (this.editor && this.editor.focus) {
             this.editor.focus();
@@ -24,6 +24,13 @@ export class FloatingCodeEditor {
         this.saveButtonLabel = options.saveButtonLabel || 'Save';
         this.closeButtonLabel = options.closeButtonLabel || 'Close';
 
+        // Checks the code as it's typed: (code) => [{ line, column, endLine, endColumn, severity, message }]
+        this.linter = options.linter || null;
+        this.lintTimeout = null;
+
+        // Additional title bar buttons: [{ label, onClick(editor) }]
+        this.extraButtons = options.extraButtons || [];
+
         // Creation mode: always show save/cancel buttons (don't wait for changes)
         this.isCreationMode = options.saveButtonLabel === 'Create';
 
@@ -171,6 +178,26 @@ export class FloatingCodeEditor {
             this.buttonGroup.appendChild(closeBtn);
         }
 
+        // Extra buttons go before the standard ones
+        const firstStandardButton = this.buttonGroup.firstChild;
+        for (const { label, onClick } of this.extraButtons) {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.cssText = `
+                background: #444;
+                border: none;
+                color: #fff;
+                font-size: 13px;
+                cursor: pointer;
+                padding: 6px 12px;
+                border-radius: 4px;
+            `;
+            button.addEventListener('mouseenter', () => button.style.background = '#555');
+            button.addEventListener('mouseleave', () => button.style.background = '#444');
+            button.addEventListener('click', () => onClick(this));
+            this.buttonGroup.insertBefore(button, firstStandardButton);
+        }
+
         titleBar.appendChild(titleText);
         titleBar.appendChild(this.buttonGroup);
 
@@ -182,14 +209,35 @@ export class FloatingCodeEditor {
         this.window.appendChild(titleBar);
         this.window.appendChild(editorContainer);
 
+        // Linter problems, under the editor
+        if (this.linter) {
+            this.problemsBar = document.createElement('div');
+            this.problemsBar.className = 'floating-editor-problems';
+            this.problemsBar.style.cssText = `
+                max-height: 96px;
+                overflow-y: auto;
+                background: #1e1e1e;
+                border-top: 1px solid #444;
+                border-radius: 0 0 8px 8px;
+                padding: 4px 0;
+                font-family: 'Consolas', 'Courier New', monospace;
+                font-size: 12px;
+            `;
+            this.window.appendChild(this.problemsBar);
+        }
+
         // Initialize code editor
         this.editor = new CodeEditor({
             language: this.language,
             value: this.value,
             readOnly: this.readOnly,
-            onChange: () => this.updateDirtyState()
+            onChange: () => {
+                this.updateDirtyState();
+                this.scheduleLint();
+            }
         });
         this.editor.mount(editorContainer);
+        this.lint();
 
         // Make draggable
         this.makeDraggable(titleBar);
@@ -216,6 +264,68 @@ export class FloatingCodeEditor {
         this.updateButtonVisibility();
     }
 
+    /**
+     * Lint once typing pauses
+     */
+    scheduleLint() {
+        if (!this.linter) return;
+        clearTimeout(this.lintTimeout);
+        this.lintTimeout = setTimeout(() => this.lint(), 300);
+    }
+
+    lint() {
+        if (!this.linter) return;
+
+        let problems = [];
+        try {
+            problems = this.linter(this.editor.getValue());
+        } catch (err) {
+            console.error('[Linter] Failed to check the code:', err);
+        }
+
+        this.editor.setMarkers(problems);
+        this.renderProblems(problems);
+    }
+
+    /**
+     * List problems under the editor; clicking one moves the cursor there
+     */
+    renderProblems(problems) {
+        this.problemsBar.innerHTML = '';
+
+        if (problems.length === 0) {
+            const row = document.createElement('div');
+            row.textContent = '✓ No problems';
+            row.style.cssText = 'color: #6A9955; padding: 2px 12px;';
+            this.problemsBar.appendChild(row);
+            return;
+        }
+
+        for (const problem of problems) {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; gap: 8px; padding: 2px 12px; cursor: pointer; color: #d4d4d4;';
+            row.addEventListener('mouseenter', () => row.style.background = '#2a2d2e');
+            row.addEventListener('mouseleave', () => row.style.background = '');
+            row.addEventListener('click', () => this.editor.goTo(problem.line, problem.column));
+
+            const icon = document.createElement('span');
+            icon.textContent = problem.severity === 'warning' ? '⚠' : '✕';
+            icon.style.color = problem.severity === 'warning' ? '#cca700' : '#f48771';
+
+            const position = document.createElement('span');
+            position.textContent = `${problem.line}:${problem.column}`;
+            position.style.color = '#858585';
+
+            const message = document.createElement('span');
+            message.textContent = problem.message;
+
+            row.appendChild(icon);
+            row.appendChild(position);
+            row.appendChild(message);
+            this.problemsBar.appendChild(row);
+        }
+    }
+
     updateButtonVisibility() {
         if (!this.onSave || this.readOnly) return;
 
@@ -236,6 +346,7 @@ export class FloatingCodeEditor {
         this.editor.setValue(this.originalValue);
         this.isDirty = false;
         this.updateButtonVisibility();
+        this.scheduleLint();
     }
 
     save() {
@@ -353,6 +464,7 @@ export class FloatingCodeEditor {
         this.originalValue = value;
         this.isDirty = false;
         this.updateButtonVisibility();
+        this.scheduleLint();
     }
 
     /**
@@ -418,6 +530,7 @@ export class FloatingCodeEditor {
         }
 
         // Dispose editor and remove window
+        clearTimeout(this.lintTimeout);
         this.editor.dispose();
         this.window.remove();
     }
@@ -1,5 +1,7 @@
 import { CodeEditor } from './CodeEditor.js';
 import { FloatingCodeEditor } from './FloatingCodeEditor.js';
+import { GLSLLinter } from '../utils/GLSLLinter.js';
+import { GLSLCommentParser } from '../utils/GLSLCommentParser.js';
 
 export class NodeDialogs {
     static showCustomNodeDialog(onCreateNode) {
@@ -23,6 +25,7 @@ vec3 myFunction(vec2 uv, float time) {
             value: template,
             saveButtonLabel: 'Create',
             closeButtonLabel: 'Cancel',
+            linter: (code) => GLSLLinter.lintCustomNode(code),
             onSave: (code) => {
                 const glslCode = code.trim();
 
@@ -31,14 +34,20 @@ vec3 myFunction(vec2 uv, float time) {
                     return false; // Keep editor open
                 }
 
-                // Extract function name to use as node name
-                const funcMatch = glslCode.match(/(\w+)\s+(\w+)\s*\(/);
-                if (!funcMatch) {
+                // The node is named after its function: @node, else the last one (helpers come first)
+                let functions;
+                try {
+                    functions = GLSLCommentParser.extractFunctions(glslCode);
+                } catch (err) {
+                    alert(`Could not parse the code (line ${err.loc ? err.loc.line : '?'}): ${err.message}`);
+                    return false; // Keep editor open
+                }
+                if (functions.length === 0) {
                     alert('Could not parse function name. Please ensure your code has a valid GLSL function.');
                     return false; // Keep editor open
                 }
 
-                const nodeName = funcMatch[2];
+                const nodeName = GLSLCommentParser.parse(glslCode).metadata.node || functions[functions.length - 1].name;
                 const result = onCreateNode(nodeName, glslCode);
 
                 // Return result to determine if editor should close
@@ -74,6 +83,7 @@ vec3 myFunction(vec2 uv, float time) {
             nodeType: node.type, // Track the node type for deduplication
             position: editorState?.position,
             size: editorState?.size,
+            linter: (code) => GLSLLinter.lintCustomNode(code),
             onSave: (code) => {
                 const glslCode = code.trim();
                 if (!glslCode) {
@@ -96,17 +106,47 @@ vec3 myFunction(vec2 uv, float time) {
         return editor;
     }
 
-    static showGeneratedCode(shaderSource) {
+    static showGeneratedCode(shaderSource, shaderToyExport = null) {
         if (!shaderSource) {
             alert('No shader code available');
             return;
         }
 
+        const extraButtons = [];
+        if (shaderToyExport && shaderToyExport.code) {
+            extraButtons.push({
+                label: 'ShaderToy',
+                onClick: () => NodeDialogs.showShaderToyExport(shaderToyExport)
+            });
+        }
+
         new FloatingCodeEditor({
             title: 'Generated Fragment Shader',
             language: 'glsl',
             value: shaderSource,
-            readOnly: true
+            readOnly: true,
+            extraButtons
+        });
+    }
+
+    static showShaderToyExport({ code, warnings }) {
+        if (warnings && warnings.length > 0) {
+            alert('ShaderToy export notes:\n' + warnings.join('\n'));
+        }
+
+        new FloatingCodeEditor({
+            title: 'ShaderToy Export',
+            language: 'glsl',
+            value: code,
+            readOnly: true,
+            extraButtons: [{
+                label: 'Copy',
+                onClick: () => {
+                    navigator.clipboard.writeText(code).catch(err => {
+                        console.error('Failed to copy ShaderToy code:', err);
+                    });
+                }
+            }]
         });
     }
 
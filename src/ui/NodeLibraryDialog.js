@@ -0,0 +1,216 @@
+import { NodeDefinitions } from '../core/NodeDefinitions.js';
+import { NodeLibrary } from '../core/NodeLibrary.js';
+
+export class NodeLibraryDialog {
+    /**
+     * Show the custom node library: versions of each node, node packs and cloud sync
+     * @param {Object} options - Configuration object
+     * @param {ApiClient} options.apiClient - API client instance
+     * @param {Function} options.onUseVersion - Callback to make a version the one the project uses (name, glsl)
+     * @param {Function} options.onRemoveNode - Callback when a node is removed from the library (name)
+     */
+    static show({ apiClient, onUseVersion, onRemoveNode }) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background: rgba(0,0,0,0.7); display: flex; align-items: center; justify-content: center; z-index: 10000;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: #2d2d2d; border: 1px solid #444; border-radius: 8px; padding: 20px; width: 640px; max-width: 90vw; max-height: 80vh; display: flex; flex-direction: column;';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Node Library';
+        title.style.cssText = 'margin: 0 0 6px 0; color: #fff; font-size: 18px;';
+        dialog.appendChild(title);
+
+        const description = document.createElement('p');
+        description.textContent = 'Every version of your custom nodes. Projects keep the version they were saved with; pick another one to use it in this project.';
+        description.style.cssText = 'color: #aaa; font-size: 12px; margin: 0 0 15px 0;';
+        dialog.appendChild(description);
+
+        const buttonStyle = 'padding: 6px 12px; background: #444; border: 1px solid #666; border-radius: 4px; color: #fff; cursor: pointer; font-size: 12px;';
+        const createButton = (text, onClick, style = buttonStyle) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = style;
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        const status = document.createElement('div');
+        status.style.cssText = 'color: #888; font-size: 12px; min-height: 16px; margin-bottom: 10px;';
+        const setStatus = (text, isError = false) => {
+            status.textContent = text;
+            status.style.color = isError ? '#f44336' : '#888';
+        };
+
+        const list = document.createElement('div');
+        list.style.cssText = 'flex: 1; overflow-y: auto; margin-bottom: 15px;';
+
+        // Nodes checked for export
+        const selected = new Set();
+
+        const render = () => {
+            list.innerHTML = '';
+            const names = Object.keys(NodeLibrary.nodes).sort((a, b) => a.localeCompare(b));
+
+            if (names.length === 0) {
+                const empty = document.createElement('div');
+                empty.textContent = 'No custom nodes yet. Right-click the canvas to create one, or import a node pack.';
+                empty.style.cssText = 'color: #888; padding: 20px; text-align: center;';
+                list.appendChild(empty);
+                return;
+            }
+
+            for (const name of names) {
+                const versions = NodeLibrary.getVersions(name);
+                const active = NodeLibrary.getActiveVersion(name);
+
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 10px; margin-bottom: 6px; background: #1e1e1e; border-radius: 4px;';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = selected.has(name);
+                checkbox.title = 'Include in exported pack';
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) selected.add(name);
+                    else selected.delete(name);
+                });
+                row.appendChild(checkbox);
+
+                const info = document.createElement('div');
+                info.style.cssText = 'flex: 1; min-width: 0;';
+                const nodeName = document.createElement('div');
+                nodeName.textContent = name;
+                nodeName.style.cssText = 'color: #4ec9b0; font-weight: bold;';
+                const state = document.createElement('div');
+                state.textContent = active ? `v${active.version} in use` : 'Not in this project';
+                state.style.cssText = 'color: #888; font-size: 11px; margin-top: 2px;';
+                info.appendChild(nodeName);
+                info.appendChild(state);
+                row.appendChild(info);
+
+                const versionSelect = document.createElement('select');
+                versionSelect.style.cssText = 'padding: 4px; background: #2d2d2d; border: 1px solid #444; color: #fff; border-radius: 4px; font-size: 12px;';
+                for (const v of [...versions].reverse()) {
+                    const option = document.createElement('option');
+                    option.value = v.hash;
+                    option.textContent = `v${v.version} · ${new Date(v.createdAt).toLocaleDateString()} · ${v.hash.slice(0, 7)}`;
+                    versionSelect.appendChild(option);
+                }
+                versionSelect.value = (active || versions[versions.length - 1]).hash;
+                row.appendChild(versionSelect);
+
+                row.appendChild(createButton(active ? 'Use' : 'Add', () => {
+                    const version = NodeLibrary.findVersion(name, versionSelect.value);
+                    if (version && onUseVersion(name, version.glsl)) {
+                        setStatus(`${name} now uses v${version.version}`);
+                        render();
+                    }
+                }));
+
+                // Nodes in use can't be removed (delete them from the Add Node menu first)
+                const removeBtn = createButton('Remove', () => {
+                    if (!confirm(`Remove ${name} and its ${versions.length} version${versions.length === 1 ? '' : 's'} from the library?`)) return;
+                    selected.delete(name);
+                    onRemoveNode(name);
+                    render();
+                }, buttonStyle.replace('#444', '#d32f2f').replace('#666', '#d32f2f'));
+                removeBtn.disabled = Boolean(NodeDefinitions[name]);
+                removeBtn.style.opacity = removeBtn.disabled ? '0.4' : '1';
+                removeBtn.title = removeBtn.disabled ? 'Used in this project' : 'Remove from library';
+                row.appendChild(removeBtn);
+
+                list.appendChild(row);
+            }
+        };
+
+        // Import/export and sync
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = 'display: flex; gap: 8px; margin-bottom: 10px;';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const updated = NodeLibrary.importPack(JSON.parse(await file.text()));
+                // Nodes the project doesn't have yet start at their latest version
+                for (const name of updated) {
+                    if (!NodeDefinitions[name]) {
+                        onUseVersion(name, NodeLibrary.getLatest(name).glsl);
+                    }
+                }
+                setStatus(updated.length > 0
+                    ? `Imported new versions of ${updated.join(', ')}`
+                    : 'Nothing new in this pack');
+                render();
+            } catch (err) {
+                setStatus('Import failed: ' + err.message, true);
+            }
+        });
+        toolbar.appendChild(fileInput);
+
+        toolbar.appendChild(createButton('Import Pack', () => fileInput.click()));
+
+        toolbar.appendChild(createButton('Export Pack', () => {
+            const names = selected.size > 0 ? [...selected] : Object.keys(NodeLibrary.nodes);
+            if (names.length === 0) {
+                setStatus('No nodes to export', true);
+                return;
+            }
+
+            const packName = prompt('Pack name:', names.length === 1 ? names[0] : 'My Nodes');
+            if (packName === null) return;
+
+            const json = JSON.stringify(NodeLibrary.createPack(names, packName), null, 2);
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${packName.replace(/[^\w-]+/g, '-') || 'nodes'}.patchtoy-nodes.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            setStatus(`Exported ${names.length} node${names.length === 1 ? '' : 's'}`);
+        }));
+
+        if (apiClient.isEnabled() && apiClient.isLoggedIn()) {
+            const syncBtn = createButton('Sync with Cloud', async () => {
+                syncBtn.disabled = true;
+                setStatus('Syncing...');
+                try {
+                    const { pulled, pushed } = await NodeLibrary.syncWithCloud(apiClient);
+                    setStatus(`Synced: ${pulled} version${pulled === 1 ? '' : 's'} downloaded, ${pushed} uploaded`);
+                    render();
+                } catch (err) {
+                    setStatus('Sync failed: ' + err.message, true);
+                }
+                syncBtn.disabled = false;
+            });
+            toolbar.appendChild(syncBtn);
+        }
+
+        dialog.appendChild(toolbar);
+        dialog.appendChild(status);
+        dialog.appendChild(list);
+
+        const footer = document.createElement('div');
+        footer.style.cssText = 'display: flex; justify-content: flex-end;';
+        footer.appendChild(createButton('Close', () => overlay.remove(),
+            'padding: 8px 16px; background: #007acc; border: 1px solid #007acc; border-radius: 4px; color: #fff; cursor: pointer;'));
+        dialog.appendChild(footer);
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) overlay.remove();
+        });
+
+        render();
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+    }
+}
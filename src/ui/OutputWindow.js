@@ -0,0 +1,183 @@
+import { ShaderPreview } from '../rendering/ShaderPreview.js';
+import { MouseTracker } from '../rendering/MouseTracker.js';
+import { RenderClock } from '../rendering/RenderClock.js';
+import { UniformRegistry } from '../managers/UniformRegistry.js';
+
+// Without messages for this long, the window asks the editor for the output again (e.g. after a reload)
+const RECONNECT_INTERVAL = 1000;
+
+/**
+ * OutputWindow - The page of an output window (index.html?output=<nodeId>), opened by OutputManager
+ *
+ * Renders the editor's Preview node at the native resolution of the screen it's on, with the
+ * shader, uniform values, u_time and media frames posted by the editor. The pointer drives u_mouse.
+ * Double-click or F toggles fullscreen.
+ */
+export class OutputWindow {
+    static isOutputWindow() {
+        return new URLSearchParams(window.location.search).has('output');
+    }
+
+    constructor() {
+        this.nodeId = new URLSearchParams(window.location.search).get('output');
+        this.lastMessageTime = 0;
+
+        // Values posted by the editor, read by the renderer like the editor's registry
+        this.uniformRegistry = new UniformRegistry();
+
+        // Texture uniform name -> media source standing in for the editor's node (see VideoTextureCache)
+        this.textureSources = new Map();
+
+        document.title = 'PatchToy Output';
+        document.body.innerHTML = '';
+        document.body.classList.add('output-window');
+
+        this.canvas = document.createElement('canvas');
+        document.body.appendChild(this.canvas);
+
+        this.status = document.createElement('div');
+        this.status.className = 'output-status';
+        document.body.appendChild(this.status);
+
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
+        document.addEventListener('fullscreenchange', () => this.updateStatus());
+        // Moving the window to another screen can change the resolution without a resize
+        if (window.screen.addEventListener) {
+            window.screen.addEventListener('change', () => this.resize());
+        }
+
+        this.mouse = new MouseTracker();
+        this.mouse.attach(this.canvas, (e) => MouseTracker.mapToElement(e, this.canvas));
+
+        this.preview = new ShaderPreview(this.canvas, null, {
+            mouse: this.mouse,
+            uniformRegistry: this.uniformRegistry
+        });
+
+        this.canvas.addEventListener('dblclick', () => this.toggleFullscreen());
+        window.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() === 'f') this.toggleFullscreen();
+        });
+
+        window.addEventListener('message', (e) => this.receive(e));
+        this.connect();
+        setInterval(() => {
+            if (Date.now() - this.lastMessageTime > RECONNECT_INTERVAL) this.connect();
+        }, RECONNECT_INTERVAL);
+    }
+
+    connect() {
+        const editor = window.opener;
+        if (editor && !editor.closed) {
+            editor.postMessage({ type: 'output-ready', nodeId: this.nodeId }, window.location.origin);
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * Render at the screen's resolution, scaled to fit the window until it's fullscreen
+     */
+    resize() {
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas.width = Math.floor(window.screen.width * dpr);
+        this.canvas.height = Math.floor(window.screen.height * dpr);
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            document.documentElement.requestFullscreen().catch(err => {
+                console.error('[Output] Fullscreen failed:', err);
+            });
+        }
+    }
+
+    updateStatus() {
+        const isConnected = Date.now() - this.lastMessageTime <= RECONNECT_INTERVAL;
+        if (!isConnected) {
+            this.status.textContent = 'Waiting for the editor…';
+        } else if (!this.preview || !this.preview.program) {
+            this.status.textContent = 'No signal: the Preview node has no shader';
+        } else {
+            this.status.textContent = 'Double-click for fullscreen';
+        }
+        this.status.style.display = document.fullscreenElement && isConnected ? 'none' : 'block';
+    }
+
+    receive(e) {
+        if (e.origin !== window.location.origin || e.source !== window.opener || !e.data) return;
+
+        const message = e.data;
+        const wasConnected = Date.now() - this.lastMessageTime <= RECONNECT_INTERVAL;
+        this.lastMessageTime = Date.now();
+
+        switch (message.type) {
+            case 'output-shader':
+                this.loadShader(message.shader);
+                this.updateStatus();
+                break;
+
+            case 'output-frame':
+                RenderClock.transportTime = message.time;
+                for (const [name, type, value] of message.values) {
+                    this.uniformRegistry.registerUniform(name, type, value, null);
+                }
+                if (!wasConnected) this.updateStatus();
+                break;
+
+            case 'output-texture': {
+                const source = this.getTextureSource(message.name);
+                const previous = source.media;
+                source.media = message.image;
+                source.options = message.options;
+                if (previous instanceof ImageBitmap) previous.close();
+                break;
+            }
+        }
+    }
+
+    loadShader(shader) {
+        // No shader (the node was deleted or never compiled): back to the static noise
+        if (!shader) {
+            if (this.preview.program) {
+                this.preview.gl.deleteProgram(this.preview.program);
+                this.preview.program = null;
+            }
+            return;
+        }
+
+        const uniformValues = shader.uniforms.map(u => {
+            if (u.type === 'sampler2D') {
+                return { name: u.name, type: u.type, videoNode: this.getTextureSource(u.name) };
+            }
+            const uniform = { name: u.name, type: u.type, value: u.value };
+            if (u.arraySize !== undefined) uniform.arraySize = u.arraySize;
+            return uniform;
+        });
+
+        this.preview.loadShader({ vertex: shader.vertex, fragment: shader.fragment, uniformValues }, (error) => {
+            console.error('[Output] Shader failed to compile:', error);
+        });
+    }
+
+    getTextureSource(name) {
+        let source = this.textureSources.get(name);
+        if (!source) {
+            source = {
+                id: `output-${name}`,
+                media: null,
+                options: {},
+                getTextureSource() {
+                    return this.media;
+                },
+                getTextureOptions() {
+                    return this.options;
+                }
+            };
+            this.textureSources.set(name, source);
+        }
+        return source;
+    }
+}
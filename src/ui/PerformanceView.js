@@ -0,0 +1,344 @@
+/**
+ * PerformanceView - Fullscreen output of the background Preview node with a panel of published controls
+ *
+ * The graph and toolbar are hidden; pointer input on the output drives the shader's u_mouse.
+ * H hides the panel, Escape leaves the view (second windows close instead).
+ */
+export class PerformanceView {
+    constructor(performance, nodeGraph, backgroundRenderer) {
+        this.performance = performance;
+        this.nodeGraph = nodeGraph;
+        this.backgroundRenderer = backgroundRenderer;
+        this.isActive = false;
+        this.isPanelHidden = false;
+
+        // Preview node made the background by this view (reset on exit)
+        this.enabledBackground = null;
+
+        // Inputs of the panel by node ID, updated when values change: Map<nodeId, [{ field, input, display }]>
+        this.fieldInputs = new Map();
+
+        this.element = document.createElement('div');
+        this.element.id = 'performanceView';
+        this.element.style.display = 'none';
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'performance-panel';
+        this.element.appendChild(this.panel);
+        this.buildHeader();
+
+        this.list = document.createElement('div');
+        this.list.className = 'performance-controls';
+        this.panel.appendChild(this.list);
+
+        // Brings a hidden panel back
+        this.showPanelBtn = document.createElement('button');
+        this.showPanelBtn.className = 'timeline-btn performance-show-btn';
+        this.showPanelBtn.textContent = '☰';
+        this.showPanelBtn.title = 'Show controls (H)';
+        this.showPanelBtn.addEventListener('click', () => this.togglePanel());
+        this.element.appendChild(this.showPanelBtn);
+
+        document.body.appendChild(this.element);
+
+        this.performance.onControlsChanged = () => {
+            if (!this.isActive) return;
+            // A graph from another window may have replaced or cleared the background node
+            this.showBackground();
+            this.render();
+        };
+        this.performance.onValuesChanged = (node) => {
+            if (this.isActive) this.updateValues(node);
+        };
+
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+
+    buildHeader() {
+        const row = document.createElement('div');
+        row.className = 'performance-header';
+        this.panel.appendChild(row);
+
+        const title = document.createElement('span');
+        title.className = 'performance-title';
+        title.textContent = 'Performance';
+        row.appendChild(title);
+
+        const button = (text, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'timeline-btn';
+            btn.textContent = text;
+            btn.title = title;
+            btn.addEventListener('click', onClick);
+            row.appendChild(btn);
+            return btn;
+        };
+
+        this.sideBtn = button('◧', 'Move the panel to the other side', () => {
+            this.performance.setSide(this.performance.side === 'right' ? 'left' : 'right');
+        });
+        button('⧉', 'Open a second performance window (e.g. output on a projector, controls here)', () => this.openSecondWindow());
+        button('⛶', 'Toggle fullscreen', () => {
+            if (document.fullscreenElement) {
+                document.exitFullscreen();
+            } else {
+                document.documentElement.requestFullscreen().catch(err => {
+                    console.error('[Performance] Fullscreen failed:', err);
+                });
+            }
+        });
+        button('☰', 'Hide controls (H)', () => this.togglePanel());
+        button('✕', this.performance.isSecondaryWindow ? 'Close this window' : 'Back to the editor (Esc)', () => {
+            if (this.performance.isSecondaryWindow) {
+                window.close();
+            } else {
+                this.exit();
+            }
+        });
+    }
+
+    /**
+     * Show the background Preview node fullscreen (picking one if none is the background)
+     */
+    enter() {
+        if (this.isActive) return;
+
+        if (!this.showBackground()) {
+            alert('Add a Preview node first: the performance view shows its output.');
+            return;
+        }
+
+        this.isActive = true;
+        this.nodeGraph.clearSelection();
+        this.nodeGraph.isSuspended = true;
+        this.nodeGraph.canvas.style.visibility = 'hidden';
+        document.getElementById('floatingControls').style.display = 'none';
+        this.element.style.display = 'block';
+
+        // Presses on the output (not on the panel) drive u_mouse
+        this.backgroundRenderer.attachMouse(this.element, (e) => {
+            return this.panel.contains(e.target) || this.showPanelBtn.contains(e.target);
+        });
+
+        this.render();
+    }
+
+    exit() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.nodeGraph.isSuspended = false;
+        this.nodeGraph.canvas.style.visibility = '';
+        document.getElementById('floatingControls').style.display = '';
+        this.element.style.display = 'none';
+        this.backgroundRenderer.attachMouse();
+
+        if (this.enabledBackground && this.backgroundRenderer.isActive(this.enabledBackground)) {
+            this.nodeGraph.onPreviewBackground(this.enabledBackground);
+        }
+        this.enabledBackground = null;
+
+        if (document.fullscreenElement) document.exitFullscreen();
+        this.nodeGraph.render();
+    }
+
+    /**
+     * Make sure a Preview node is the background: the selected one, else the first one
+     * Returns false if the graph has no Preview node
+     */
+    showBackground() {
+        if (this.backgroundRenderer.activePreviewNode) return true;
+
+        const previewNodes = this.nodeGraph.nodes.filter(n => n.isPreviewNode);
+        const node = previewNodes.find(n => this.nodeGraph.selectionManager.selectedNodes.has(n)) || previewNodes[0];
+        if (!node) return false;
+
+        this.nodeGraph.onPreviewBackground(node);
+        this.enabledBackground = node;
+        return true;
+    }
+
+    togglePanel() {
+        this.isPanelHidden = !this.isPanelHidden;
+        this.render();
+    }
+
+    openSecondWindow() {
+        // The second window joins the channel of the project open here
+        this.performance.updateChannel();
+        const key = encodeURIComponent(this.performance.projectKey);
+        const popup = window.open(`${window.location.pathname}?perform=${key}`, 'patchtoy-performance', 'popup');
+        if (!popup) {
+            alert('The second window was blocked. Allow popups for this site and try again.');
+        }
+    }
+
+    onKeyDown(e) {
+        if (!this.isActive) return;
+
+        const activeElement = document.activeElement;
+        if (activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA')) return;
+
+        if (e.key === 'Escape' && !this.performance.isSecondaryWindow) {
+            this.exit();
+        } else if (e.key.toLowerCase() === 'h' && !e.ctrlKey && !e.metaKey) {
+            this.togglePanel();
+        }
+    }
+
+    /**
+     * Rebuild the panel from the published controls
+     */
+    render() {
+        this.panel.style.display = this.isPanelHidden ? 'none' : 'flex';
+        this.panel.classList.toggle('left', this.performance.side === 'left');
+        this.showPanelBtn.style.display = this.isPanelHidden ? 'block' : 'none';
+        this.showPanelBtn.classList.toggle('left', this.performance.side === 'left');
+
+        this.list.innerHTML = '';
+        this.fieldInputs.clear();
+
+        const controls = this.performance.getControls();
+        if (controls.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'performance-empty';
+            empty.textContent = 'Nothing published yet. In the editor, select Constant, Map or widget nodes and press 📌.';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        for (const control of controls) {
+            this.list.appendChild(this.createControl(control));
+        }
+    }
+
+    createControl({ node, label }) {
+        const card = document.createElement('div');
+        card.className = 'performance-control';
+
+        const header = document.createElement('div');
+        header.className = 'performance-control-header';
+        card.appendChild(header);
+
+        const labelInput = document.createElement('input');
+        labelInput.className = 'performance-label';
+        labelInput.value = label;
+        labelInput.title = 'Rename';
+        labelInput.addEventListener('change', () => this.performance.rename(node.id, labelInput.value.trim()));
+        labelInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') labelInput.blur();
+        });
+        header.appendChild(labelInput);
+
+        const button = (text, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'performance-small-btn';
+            btn.textContent = text;
+            btn.title = title;
+            btn.addEventListener('click', onClick);
+            header.appendChild(btn);
+        };
+        button('▲', 'Move up', () => this.performance.move(node.id, -1));
+        button('▼', 'Move down', () => this.performance.move(node.id, 1));
+        button('✕', 'Unpublish', () => this.performance.unpublish(node.id));
+
+        const inputs = [];
+        const fields = node.getPerformanceFields();
+        for (const field of fields) {
+            const row = document.createElement('div');
+            row.className = 'performance-field';
+            card.appendChild(row);
+
+            // Single "value" fields don't need a name
+            if (fields.length > 1 || field.name !== 'value') {
+                const name = document.createElement('span');
+                name.className = 'timeline-label';
+                name.textContent = field.name;
+                row.appendChild(name);
+            }
+
+            inputs.push({ field, ...this.createFieldInput(node, field, row) });
+        }
+
+        this.fieldInputs.set(node.id, inputs);
+        this.updateValues(node);
+        return card;
+    }
+
+    /**
+     * Input for one field: slider (range), number box, on/off button (bool) or momentary button (trigger)
+     */
+    createFieldInput(node, field, row) {
+        if (field.kind === 'bool' || field.kind === 'trigger') {
+            const btn = document.createElement('button');
+            btn.className = 'timeline-btn performance-toggle';
+            row.appendChild(btn);
+
+            if (field.kind === 'bool') {
+                btn.addEventListener('click', () => node.setPerformanceValue(field.name, !node.data[field.name]));
+            } else {
+                btn.textContent = 'press';
+                btn.addEventListener('pointerdown', (e) => {
+                    btn.setPointerCapture(e.pointerId);
+                    node.setPerformanceValue(field.name, true);
+                });
+                btn.addEventListener('pointerup', () => node.setPerformanceValue(field.name, false));
+                btn.addEventListener('pointercancel', () => node.setPerformanceValue(field.name, false));
+            }
+            return { input: btn, display: null };
+        }
+
+        const input = document.createElement('input');
+        row.appendChild(input);
+
+        if (field.kind === 'range') {
+            input.type = 'range';
+            input.className = 'performance-slider';
+            input.min = Math.min(field.min, field.max);
+            input.max = Math.max(field.min, field.max);
+            input.step = Math.abs(field.max - field.min) / 1000 || 0.001;
+        } else {
+            input.type = 'number';
+            input.className = 'timeline-input';
+            input.step = field.step;
+        }
+
+        input.addEventListener('input', () => {
+            const value = parseFloat(input.value);
+            if (!isNaN(value)) node.setPerformanceValue(field.name, value);
+        });
+
+        let display = null;
+        if (field.kind === 'range') {
+            display = document.createElement('span');
+            display.className = 'timeline-time performance-value';
+            row.appendChild(display);
+        }
+        return { input, display };
+    }
+
+    /**
+     * Sync a node's inputs with its current values (skipping the one being edited)
+     */
+    updateValues(node) {
+        const inputs = this.fieldInputs.get(node.id);
+        if (!inputs) return;
+
+        for (const { field, input, display } of inputs) {
+            if (field.kind === 'trigger') {
+                input.classList.toggle('active', !!node.isHeld);
+                continue;
+            }
+
+            const value = node.data[field.name];
+            if (field.kind === 'bool') {
+                input.classList.toggle('active', !!value);
+                input.textContent = value ? 'on' : 'off';
+                continue;
+            }
+
+            if (document.activeElement !== input) input.value = value;
+            if (display) display.textContent = Number(value).toFixed(3);
+        }
+    }
+}
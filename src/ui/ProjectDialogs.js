@@ -1,4 +1,5 @@
-import { NodeDefinitions } from '../core/NodeDefinitions.js';
+import { NodeLibrary } from '../core/NodeLibrary.js';
+import { ProjectDiff } from '../utils/ProjectDiff.js';
 
 export class ProjectDialogs {
     /**
@@ -11,7 +12,8 @@ export class ProjectDialogs {
      * @param {Function} options.onNewProject - Callback when New Project button is clicked
      * @param {Function} options.onLoadLocalClick - Callback when Load Local button is clicked
      * @param {Function} options.onLoadCloudProject - Callback when cloud project is clicked (projectId)
-     * @param {Function} options.onShowCurrentProjectMenu - Callback to show current project menu (anchorBtn)
+     * @param {Function} options.onShowGallery - Callback when Gallery button is clicked
+     * @param {Function} options.onShowCurrentProjectMenu - Callback to show current project menu (anchorBtn, closeProjectMenu)
      * @param {Function} options.onShowProjectOptionsMenu - Callback to show project options menu (project, anchorBtn, listItem)
      */
     static showProjectMenu({
@@ -22,6 +24,7 @@ export class ProjectDialogs {
         onNewProject,
         onLoadLocalClick,
         onLoadCloudProject,
+        onShowGallery,
         onShowCurrentProjectMenu,
         onShowProjectOptionsMenu
     }) {
@@ -81,7 +84,7 @@ export class ProjectDialogs {
         currentProjectMenuBtn.addEventListener('click', (e) => {
             e.stopPropagation();
             if (onShowCurrentProjectMenu) {
-                onShowCurrentProjectMenu(currentProjectMenuBtn);
+                onShowCurrentProjectMenu(currentProjectMenuBtn, () => overlay.remove());
             }
         });
 
@@ -157,6 +160,26 @@ export class ProjectDialogs {
         buttonsContainer.appendChild(newProjectBtn);
         buttonsContainer.appendChild(loadLocalBtn);
 
+        // Public projects of all users (needs the backend, not an account)
+        if (apiClient.isEnabled() && onShowGallery) {
+            const galleryBtn = document.createElement('button');
+            galleryBtn.textContent = 'Gallery';
+            galleryBtn.style.cssText = loadLocalBtn.style.cssText;
+            galleryBtn.addEventListener('mouseover', () => {
+                galleryBtn.style.background = 'rgba(0, 122, 204, 0.2)';
+                galleryBtn.style.borderColor = '#007acc';
+            });
+            galleryBtn.addEventListener('mouseout', () => {
+                galleryBtn.style.background = 'transparent';
+                galleryBtn.style.borderColor = '#444';
+            });
+            galleryBtn.addEventListener('click', () => {
+                overlay.remove();
+                onShowGallery();
+            });
+            buttonsContainer.appendChild(galleryBtn);
+        }
+
         projectsHeader.appendChild(projectsTitle);
         projectsHeader.appendChild(buttonsContainer);
         menu.appendChild(projectsHeader);
@@ -526,12 +549,13 @@ export class ProjectDialogs {
     }
 
     /**
-     * Show options menu for current project (download)
+     * Show options menu for current project (download, history)
      * @param {Object} options - Configuration object
      * @param {HTMLElement} options.anchorBtn - Button element to anchor menu to
      * @param {Function} options.onDownload - Callback when download is clicked
+     * @param {Function} options.onShowHistory - Callback when history is clicked (option hidden if not set)
      */
-    static showCurrentProjectMenu({ anchorBtn, onDownload }) {
+    static showCurrentProjectMenu({ anchorBtn, onDownload, onShowHistory = null }) {
         // Remove any existing menu
         const existingMenu = document.querySelector('.current-project-menu');
         if (existingMenu) existingMenu.remove();
@@ -588,6 +612,11 @@ export class ProjectDialogs {
             }
         }));
 
+        // Revisions of the current cloud project
+        if (onShowHistory) {
+            menu.appendChild(createOption('🕘', 'History', onShowHistory));
+        }
+
         // Position the menu
         const rect = anchorBtn.getBoundingClientRect();
         menu.style.top = `${rect.bottom + 5}px`;
@@ -668,18 +697,8 @@ export class ProjectDialogs {
                 saveBtn.disabled = true;
                 saveBtn.textContent = 'Saving...';
 
-                // Collect all custom nodes
-                const customNodes = {};
-                for (const [nodeName, def] of Object.entries(NodeDefinitions)) {
-                    if (def.isCustomNode) {
-                        customNodes[nodeName] = {
-                            category: def.category,
-                            inputs: def.inputs,
-                            outputs: def.outputs,
-                            customGLSL: def.customGLSL
-                        };
-                    }
-                }
+                // Collect all custom nodes, pinned to the versions in use
+                const customNodes = NodeLibrary.serializeProjectNodes();
 
                 // Get serialized graph data
                 const graphData = serializeGraph ? serializeGraph() : {};
@@ -734,4 +753,974 @@ export class ProjectDialogs {
 
         setTimeout(() => input.select(), 0);
     }
+
+    /**
+     * Show the gallery of public projects (the ?gallery=recent|popular route)
+     * @param {Object} options - Configuration object
+     * @param {ApiClient} options.apiClient - API client instance
+     * @param {string} options.sort - Initial sort order ('recent' or 'popular')
+     * @param {Function} options.onOpenProject - Callback when a project is opened (projectId)
+     * @param {Function} options.onForkProject - Callback when Fork is clicked (project), resolves true if forked
+     * @param {Function} options.onShowProfile - Callback when a username is clicked (username)
+     */
+    static showGallery({ apiClient, sort = 'recent', onOpenProject, onForkProject, onShowProfile }) {
+        // Closing the gallery goes back to the project URL
+        const previousUrl = new URL(window.location);
+        previousUrl.searchParams.delete('gallery');
+        let currentSort = sort === 'popular' ? 'popular' : 'recent';
+        let nextCursor = null;
+        let loadId = 0;
+
+        const setGalleryUrl = () => {
+            const url = new URL(window.location);
+            url.search = '';
+            url.searchParams.set('gallery', currentSort);
+            window.history.replaceState({}, '', url);
+        };
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background: rgba(0,0,0,0.8); display: flex; align-items: center; justify-content: center; z-index: 10000;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: #2d2d2d; border: 1px solid #444; border-radius: 8px; padding: 20px; width: 960px; max-width: 94vw; height: 85vh; display: flex; flex-direction: column; box-sizing: border-box;';
+
+        const dismiss = () => {
+            overlay.remove();
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+
+        const close = () => {
+            dismiss();
+            window.history.replaceState({}, '', previousUrl);
+        };
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+
+        // Header: title, sort tabs, close button
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 16px; margin-bottom: 16px;';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Gallery';
+        title.style.cssText = 'margin: 0; color: #fff; font-size: 18px; flex: 1;';
+        header.appendChild(title);
+
+        const tabs = {};
+        for (const [value, label] of [['recent', 'Recent'], ['popular', 'Popular']]) {
+            const tab = document.createElement('button');
+            tab.textContent = label;
+            tab.addEventListener('click', () => {
+                if (currentSort === value) return;
+                currentSort = value;
+                updateTabs();
+                setGalleryUrl();
+                reload();
+            });
+            tabs[value] = tab;
+            header.appendChild(tab);
+        }
+
+        const updateTabs = () => {
+            for (const [value, tab] of Object.entries(tabs)) {
+                const active = value === currentSort;
+                tab.style.cssText = `padding: 6px 12px; background: ${active ? 'rgba(0, 122, 204, 0.2)' : 'transparent'}; border: 1px solid ${active ? '#007acc' : '#444'}; color: #fff; cursor: pointer; border-radius: 4px; font-size: 12px;`;
+            }
+        };
+        updateTabs();
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '✕';
+        closeBtn.title = 'Close';
+        closeBtn.style.cssText = 'padding: 4px 10px; background: transparent; border: none; color: #888; cursor: pointer; font-size: 16px;';
+        closeBtn.addEventListener('click', close);
+        header.appendChild(closeBtn);
+
+        dialog.appendChild(header);
+
+        const scroller = document.createElement('div');
+        scroller.style.cssText = 'flex: 1; overflow-y: auto;';
+
+        const grid = document.createElement('div');
+        grid.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fill, minmax(210px, 1fr)); gap: 14px;';
+        scroller.appendChild(grid);
+
+        const status = document.createElement('div');
+        status.style.cssText = 'color: #888; padding: 20px; text-align: center; font-size: 13px;';
+        scroller.appendChild(status);
+
+        const loadMoreBtn = document.createElement('button');
+        loadMoreBtn.textContent = 'Load more';
+        loadMoreBtn.style.cssText = 'display: none; margin: 0 auto 10px; padding: 8px 20px; background: #444; border: 1px solid #666; border-radius: 4px; color: #fff; cursor: pointer; font-size: 13px;';
+        loadMoreBtn.addEventListener('click', () => loadPage());
+        scroller.appendChild(loadMoreBtn);
+
+        dialog.appendChild(scroller);
+
+        const createCard = (project) => ProjectDialogs.createProjectCard(project, {
+            onOpen: () => {
+                close();
+                onOpenProject(project.id);
+            },
+            onFork: async () => {
+                const forked = await onForkProject(project);
+                // The project URL replaces the gallery URL once the fork is open
+                if (forked) {
+                    dismiss();
+                    const url = new URL(window.location);
+                    url.searchParams.delete('gallery');
+                    window.history.replaceState({}, '', url);
+                }
+                return forked;
+            },
+            onShowProfile: onShowProfile ? () => {
+                close();
+                onShowProfile(project.username);
+            } : null
+        });
+
+        const loadPage = async () => {
+            const id = loadId;
+            loadMoreBtn.style.display = 'none';
+            status.textContent = 'Loading...';
+            status.style.display = 'block';
+
+            try {
+                const result = await apiClient.listGallery({ sort: currentSort, cursor: nextCursor });
+                // A newer load (sort change) replaced this one
+                if (id !== loadId) return;
+
+                for (const project of result.projects || []) {
+                    grid.appendChild(createCard(project));
+                }
+                nextCursor = result.nextCursor;
+
+                if (grid.children.length === 0) {
+                    status.textContent = 'No public projects yet';
+                } else {
+                    status.style.display = 'none';
+                }
+                loadMoreBtn.style.display = nextCursor ? 'block' : 'none';
+            } catch (err) {
+                if (id !== loadId) return;
+                status.textContent = 'Failed to load gallery: ' + err.message;
+                loadMoreBtn.style.display = nextCursor ? 'block' : 'none';
+            }
+        };
+
+        const reload = () => {
+            loadId++;
+            nextCursor = null;
+            grid.innerHTML = '';
+            loadPage();
+        };
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        setGalleryUrl();
+        loadPage();
+    }
+
+    /**
+     * Create a project card (thumbnail, name, author, stats) for the gallery and profile pages
+     * @param {Object} project - Project summary from the gallery or profile endpoints
+     * @param {Object} handlers - onOpen(), onFork() resolving true if forked, onShowProfile() (optional)
+     */
+    static createProjectCard(project, { onOpen, onFork, onShowProfile = null }) {
+        const card = document.createElement('div');
+        card.style.cssText = 'background: #1e1e1e; border: 1px solid #333; border-radius: 6px; overflow: hidden; display: flex; flex-direction: column;';
+
+        const thumb = document.createElement('div');
+        thumb.style.cssText = 'aspect-ratio: 16 / 9; background: #111; display: flex; align-items: center; justify-content: center; color: #444; font-size: 12px; cursor: pointer;';
+        if (project.thumbnailUrl) {
+            const img = document.createElement('img');
+            img.src = project.thumbnailUrl;
+            img.alt = project.name;
+            img.loading = 'lazy';
+            img.style.cssText = 'width: 100%; height: 100%; object-fit: cover; display: block;';
+            thumb.appendChild(img);
+        } else {
+            thumb.textContent = 'No preview';
+        }
+        thumb.addEventListener('click', onOpen);
+        card.appendChild(thumb);
+
+        const info = document.createElement('div');
+        info.style.cssText = 'padding: 10px; display: flex; flex-direction: column; gap: 4px; flex: 1;';
+
+        const name = document.createElement('div');
+        name.textContent = project.name;
+        name.style.cssText = 'color: #fff; font-size: 13px; font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+        info.appendChild(name);
+
+        const byline = document.createElement('div');
+        byline.style.cssText = 'color: #888; font-size: 11px;';
+        const author = document.createElement('span');
+        author.textContent = `@${project.username}`;
+        if (onShowProfile) {
+            author.style.cssText = 'color: #007acc; cursor: pointer;';
+            author.addEventListener('click', onShowProfile);
+        }
+        byline.appendChild(author);
+        byline.appendChild(document.createTextNode(
+            ` · ${project.viewCount} view${project.viewCount === 1 ? '' : 's'} · ${project.forkCount} fork${project.forkCount === 1 ? '' : 's'}`));
+        info.appendChild(byline);
+
+        if (project.forkedFrom) {
+            const attribution = document.createElement('div');
+            attribution.textContent = `forked from "${project.forkedFrom.name}" by @${project.forkedFrom.username}`;
+            attribution.style.cssText = 'color: #666; font-size: 11px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+            info.appendChild(attribution);
+        }
+
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 6px; margin-top: auto; padding-top: 6px;';
+
+        const openBtn = document.createElement('button');
+        openBtn.textContent = 'Open';
+        openBtn.style.cssText = 'flex: 1; padding: 6px; background: #007acc; border: none; border-radius: 4px; color: #fff; cursor: pointer; font-size: 12px;';
+        openBtn.addEventListener('click', onOpen);
+
+        const forkBtn = document.createElement('button');
+        forkBtn.textContent = 'Fork';
+        forkBtn.title = 'Copy into your projects';
+        forkBtn.style.cssText = 'flex: 1; padding: 6px; background: #444; border: 1px solid #666; border-radius: 4px; color: #fff; cursor: pointer; font-size: 12px;';
+        forkBtn.addEventListener('click', async () => {
+            forkBtn.disabled = true;
+            forkBtn.textContent = 'Forking...';
+            if (!(await onFork())) {
+                forkBtn.disabled = false;
+                forkBtn.textContent = 'Fork';
+            }
+        });
+
+        actions.appendChild(openBtn);
+        actions.appendChild(forkBtn);
+        info.appendChild(actions);
+        card.appendChild(info);
+
+        return card;
+    }
+
+    /**
+     * Show a user's profile page (the /u/<username> route): avatar, bio and public projects
+     * @param {Object} options - Configuration object
+     * @param {ApiClient} options.apiClient - API client instance
+     * @param {string} options.username - Username of the profile to show
+     * @param {Function} options.onOpenProject - Callback when a project is opened (projectId)
+     * @param {Function} options.onForkProject - Callback when Fork is clicked (project), resolves true if forked
+     * @param {Function} options.onEditProfile - Callback for the Edit Profile button (own profile only)
+     */
+    static showUserProfile({ apiClient, username, onOpenProject, onForkProject, onEditProfile }) {
+        // Closing the profile goes back to the editor URL
+        const previousUrl = new URL(window.location);
+        if (previousUrl.pathname.startsWith('/u/')) {
+            previousUrl.pathname = '/';
+        }
+        window.history.replaceState({}, '', `/u/${encodeURIComponent(username)}`);
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background: rgba(0,0,0,0.8); display: flex; align-items: center; justify-content: center; z-index: 10000;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: #2d2d2d; border: 1px solid #444; border-radius: 8px; padding: 20px; width: 960px; max-width: 94vw; height: 85vh; display: flex; flex-direction: column; box-sizing: border-box;';
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        const dismiss = () => {
+            overlay.remove();
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+        const close = () => {
+            dismiss();
+            window.history.replaceState({}, '', previousUrl);
+        };
+        document.addEventListener('keydown', handleKeyDown);
+
+        // Header: avatar, name, bio
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; gap: 16px; align-items: flex-start; margin-bottom: 20px; padding-bottom: 16px; border-bottom: 1px solid #444;';
+
+        const avatar = document.createElement('div');
+        avatar.style.cssText = 'width: 72px; height: 72px; border-radius: 50%; background: #1e1e1e; border: 1px solid #444; flex-shrink: 0; overflow: hidden; display: flex; align-items: center; justify-content: center; color: #888; font-size: 28px;';
+        avatar.textContent = username.charAt(0).toUpperCase();
+        header.appendChild(avatar);
+
+        const details = document.createElement('div');
+        details.style.cssText = 'flex: 1; min-width: 0;';
+
+        const name = document.createElement('h2');
+        name.textContent = `@${username}`;
+        name.style.cssText = 'margin: 0 0 4px 0; color: #fff; font-size: 18px;';
+        details.appendChild(name);
+
+        const joined = document.createElement('div');
+        joined.style.cssText = 'color: #666; font-size: 12px; margin-bottom: 8px;';
+        details.appendChild(joined);
+
+        const bio = document.createElement('div');
+        bio.style.cssText = 'color: #ccc; font-size: 13px; white-space: pre-wrap; word-wrap: break-word;';
+        details.appendChild(bio);
+
+        header.appendChild(details);
+
+        const currentUser = apiClient.getCurrentUser();
+        if (currentUser && currentUser.username === username.toLowerCase() && onEditProfile) {
+            const editBtn = document.createElement('button');
+            editBtn.textContent = 'Edit Profile';
+            editBtn.style.cssText = 'padding: 6px 12px; background: transparent; border: 1px solid #444; color: #fff; cursor: pointer; border-radius: 4px; font-size: 12px;';
+            editBtn.addEventListener('click', () => {
+                close();
+                onEditProfile();
+            });
+            header.appendChild(editBtn);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '✕';
+        closeBtn.title = 'Close';
+        closeBtn.style.cssText = 'padding: 4px 10px; background: transparent; border: none; color: #888; cursor: pointer; font-size: 16px;';
+        closeBtn.addEventListener('click', close);
+        header.appendChild(closeBtn);
+
+        dialog.appendChild(header);
+
+        const scroller = document.createElement('div');
+        scroller.style.cssText = 'flex: 1; overflow-y: auto;';
+
+        const grid = document.createElement('div');
+        grid.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fill, minmax(210px, 1fr)); gap: 14px;';
+        scroller.appendChild(grid);
+
+        const status = document.createElement('div');
+        status.textContent = 'Loading...';
+        status.style.cssText = 'color: #888; padding: 20px; text-align: center; font-size: 13px;';
+        scroller.appendChild(status);
+
+        dialog.appendChild(scroller);
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        (async () => {
+            try {
+                const profile = await apiClient.getUserProfile(username);
+
+                name.textContent = `@${profile.username}`;
+                joined.textContent = `Joined ${new Date(profile.createdAt).toLocaleDateString()}`;
+                bio.textContent = profile.bio;
+
+                if (profile.avatarUrl) {
+                    const img = document.createElement('img');
+                    img.src = profile.avatarUrl;
+                    img.alt = profile.username;
+                    img.style.cssText = 'width: 100%; height: 100%; object-fit: cover;';
+                    avatar.textContent = '';
+                    avatar.appendChild(img);
+                }
+
+                for (const project of profile.projects) {
+                    grid.appendChild(ProjectDialogs.createProjectCard(project, {
+                        onOpen: () => {
+                            close();
+                            onOpenProject(project.id);
+                        },
+                        onFork: async () => {
+                            const forked = await onForkProject(project);
+                            // Keep the fork's project URL, back on the editor path
+                            if (forked) {
+                                dismiss();
+                                const url = new URL(window.location);
+                                url.pathname = '/';
+                                window.history.replaceState({}, '', url);
+                            }
+                            return forked;
+                        }
+                    }));
+                }
+
+                if (profile.projects.length === 0) {
+                    status.textContent = 'No public projects yet';
+                } else {
+                    status.style.display = 'none';
+                }
+            } catch (err) {
+                status.textContent = err.message === 'User not found'
+                    ? `There is no user named @${username}`
+                    : 'Failed to load profile: ' + err.message;
+            }
+        })();
+    }
+
+    /**
+     * Describe a revision for lists: its message, or how it was made
+     */
+    static describeRevision(revision) {
+        if (revision.restoredFrom) {
+            return `Restored the revision from ${new Date(revision.restoredFrom.createdAt).toLocaleString()}`;
+        }
+        return revision.message || 'Saved';
+    }
+
+    /**
+     * Create the list of a ProjectDiff's changes (+ added, − removed, ~ changed, with details)
+     */
+    static createChangeList(changes) {
+        const list = document.createElement('div');
+        list.style.cssText = 'font-family: monospace; font-size: 12px;';
+
+        if (changes.length === 0) {
+            list.textContent = 'No changes';
+            list.style.color = '#888';
+        }
+
+        const symbols = { added: ['+', '#4caf50'], removed: ['−', '#f44336'], changed: ['~', '#dcdcaa'] };
+        for (const change of changes) {
+            const [symbol, color] = symbols[change.change];
+            const line = document.createElement('div');
+            line.style.cssText = `color: ${color}; padding: 3px 0;`;
+            line.textContent = `${symbol} ${change.kind}: ${change.label}`;
+            list.appendChild(line);
+
+            for (const detail of change.details) {
+                const detailLine = document.createElement('div');
+                detailLine.textContent = detail;
+                detailLine.style.cssText = 'color: #aaa; padding-left: 24px; white-space: pre-wrap; word-break: break-all;';
+                list.appendChild(detailLine);
+            }
+        }
+
+        return list;
+    }
+
+    /**
+     * Show the revision history of the current cloud project
+     * @param {Object} options - Configuration object
+     * @param {ApiClient} options.apiClient - API client instance
+     * @param {string} options.projectId - Cloud project ID
+     * @param {string} options.projectTitle - Project title
+     * @param {Function} options.getCurrentData - Returns the project's current data (for diffs)
+     * @param {Function} options.onSaveRevision - Callback to save the project with a message, resolves true if saved (message)
+     * @param {Function} options.onPreview - Callback to show a revision in the editor (revision with data)
+     * @param {Function} options.onRestore - Callback to restore a revision (revision)
+     */
+    static showHistory({ apiClient, projectId, projectTitle, getCurrentData, onSaveRevision, onPreview, onRestore }) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background: rgba(0,0,0,0.7); display: flex; align-items: center; justify-content: center; z-index: 10000;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: #2d2d2d; border: 1px solid #444; border-radius: 8px; padding: 20px; width: 720px; max-width: 92vw; height: 80vh; display: flex; flex-direction: column; box-sizing: border-box;';
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        const close = () => {
+            overlay.remove();
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+        document.addEventListener('keydown', handleKeyDown);
+
+        const title = document.createElement('h2');
+        title.textContent = `History: ${projectTitle}`;
+        title.style.cssText = 'margin: 0 0 6px 0; color: #fff; font-size: 18px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        dialog.appendChild(title);
+
+        const description = document.createElement('p');
+        description.textContent = 'Every cloud save is kept as a revision. Preview a revision in the editor, compare it with the current graph, or restore it.';
+        description.style.cssText = 'color: #aaa; font-size: 12px; margin: 0 0 15px 0;';
+        dialog.appendChild(description);
+
+        const buttonStyle = 'padding: 6px 12px; background: #444; border: 1px solid #666; border-radius: 4px; color: #fff; cursor: pointer; font-size: 12px;';
+        const createButton = (text, onClick, style = buttonStyle) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = style;
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        // Save with a message
+        const saveRow = document.createElement('div');
+        saveRow.style.cssText = 'display: flex; gap: 8px; margin-bottom: 10px;';
+        const messageInput = document.createElement('input');
+        messageInput.type = 'text';
+        messageInput.maxLength = 200;
+        messageInput.placeholder = 'Describe your changes (optional)';
+        messageInput.style.cssText = 'flex: 1; padding: 6px 10px; background: #1e1e1e; border: 1px solid #444; color: #fff; border-radius: 4px; font-size: 13px;';
+        const saveBtn = createButton('Save Revision', async () => {
+            saveBtn.disabled = true;
+            setStatus('Saving...');
+            if (await onSaveRevision(messageInput.value.trim())) {
+                messageInput.value = '';
+                await loadRevisions();
+            } else {
+                setStatus('');
+            }
+            saveBtn.disabled = false;
+        }, 'padding: 6px 12px; background: #007acc; border: 1px solid #007acc; border-radius: 4px; color: #fff; cursor: pointer; font-size: 12px;');
+        messageInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveBtn.click();
+        });
+        saveRow.appendChild(messageInput);
+        saveRow.appendChild(saveBtn);
+        dialog.appendChild(saveRow);
+
+        const status = document.createElement('div');
+        status.style.cssText = 'color: #888; font-size: 12px; min-height: 16px; margin-bottom: 10px;';
+        const setStatus = (text, isError = false) => {
+            status.textContent = text;
+            status.style.color = isError ? '#f44336' : '#888';
+        };
+        dialog.appendChild(status);
+
+        const content = document.createElement('div');
+        content.style.cssText = 'flex: 1; overflow-y: auto; margin-bottom: 15px;';
+        dialog.appendChild(content);
+
+        // Revisions with their data, fetched on first use
+        const fullRevisions = new Map();
+        const fetchRevision = async (revision) => {
+            if (!fullRevisions.has(revision.id)) {
+                fullRevisions.set(revision.id, await apiClient.getRevision(projectId, revision.id));
+            }
+            return fullRevisions.get(revision.id);
+        };
+
+        let revisions = [];
+        let retention = null;
+
+        const showDiff = async (revision) => {
+            setStatus('Comparing...');
+            let changes;
+            try {
+                changes = ProjectDiff.diff((await fetchRevision(revision)).data, getCurrentData());
+            } catch (err) {
+                setStatus('Failed to load revision: ' + err.message, true);
+                return;
+            }
+            setStatus(`Changes from the revision of ${new Date(revision.createdAt).toLocaleString()} to the current graph`);
+
+            content.innerHTML = '';
+            content.appendChild(createButton('← Back to History', () => renderList()));
+
+            const list = ProjectDialogs.createChangeList(changes);
+            list.style.marginTop = '10px';
+            content.appendChild(list);
+        };
+
+        const renderList = () => {
+            content.innerHTML = '';
+
+            if (revisions.length === 0) {
+                const empty = document.createElement('div');
+                empty.textContent = 'No revisions yet. They are recorded from the next cloud save.';
+                empty.style.cssText = 'color: #888; padding: 20px; text-align: center;';
+                content.appendChild(empty);
+                return;
+            }
+
+            if (retention) {
+                setStatus(`${revisions.length} revision${revisions.length === 1 ? '' : 's'} · up to ${retention.maxRevisions} are kept; past the latest ${retention.minRevisions}, revisions older than ${retention.maxAgeDays} days are removed`);
+            }
+
+            revisions.forEach((revision, index) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 12px; padding: 8px; margin-bottom: 6px; background: #1e1e1e; border-radius: 4px;';
+
+                const thumb = document.createElement('div');
+                thumb.style.cssText = 'width: 96px; height: 54px; flex-shrink: 0; background: #111; border-radius: 3px; overflow: hidden; display: flex; align-items: center; justify-content: center; color: #555; font-size: 18px;';
+                if (revision.thumbnailUrl) {
+                    const img = document.createElement('img');
+                    img.src = revision.thumbnailUrl;
+                    img.loading = 'lazy';
+                    img.alt = '';
+                    img.style.cssText = 'width: 100%; height: 100%; object-fit: cover;';
+                    thumb.appendChild(img);
+                } else {
+                    thumb.textContent = '◇';
+                }
+                row.appendChild(thumb);
+
+                const info = document.createElement('div');
+                info.style.cssText = 'flex: 1; min-width: 0;';
+                const date = document.createElement('div');
+                date.textContent = new Date(revision.createdAt).toLocaleString() + (index === 0 ? ' · latest' : '');
+                date.style.cssText = 'color: #fff; font-size: 13px;';
+                const message = document.createElement('div');
+                message.textContent = ProjectDialogs.describeRevision(revision);
+                message.style.cssText = `color: ${revision.message ? '#ccc' : '#888'}; font-size: 12px; margin-top: 2px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;`;
+                const meta = document.createElement('div');
+                meta.textContent = `${revision.name} · ${(revision.size / 1024).toFixed(1)} KB`;
+                meta.style.cssText = 'color: #666; font-size: 11px; margin-top: 2px;';
+                info.appendChild(date);
+                info.appendChild(message);
+                info.appendChild(meta);
+                row.appendChild(info);
+
+                row.appendChild(createButton('Preview', async () => {
+                    setStatus('Loading revision...');
+                    try {
+                        const full = await fetchRevision(revision);
+                        close();
+                        onPreview(full);
+                    } catch (err) {
+                        setStatus('Failed to load revision: ' + err.message, true);
+                    }
+                }));
+
+                row.appendChild(createButton('Diff', () => showDiff(revision)));
+
+                row.appendChild(createButton('Restore', () => {
+                    if (!confirm(`Restore the revision from ${new Date(revision.createdAt).toLocaleString()}?\n\nUnsaved changes are lost; the current version stays in the history.`)) return;
+                    close();
+                    onRestore(revision);
+                }, buttonStyle.replace('#444', '#007acc').replace('#666', '#007acc')));
+
+                content.appendChild(row);
+            });
+        };
+
+        const loadRevisions = async () => {
+            setStatus('Loading...');
+            try {
+                const result = await apiClient.listRevisions(projectId);
+                revisions = result.revisions;
+                retention = result.retention;
+                setStatus('');
+                renderList();
+            } catch (err) {
+                setStatus('Failed to load history: ' + err.message, true);
+            }
+        };
+
+        const footer = document.createElement('div');
+        footer.style.cssText = 'display: flex; justify-content: flex-end;';
+        footer.appendChild(createButton('Close', close,
+            'padding: 8px 16px; background: #007acc; border: 1px solid #007acc; border-radius: 4px; color: #fff; cursor: pointer;'));
+        dialog.appendChild(footer);
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        loadRevisions();
+    }
+
+    /**
+     * Show the bar shown while a revision is previewed in the editor, returns a function that removes it
+     * @param {Object} options - Configuration object
+     * @param {Object} options.revision - The previewed revision
+     * @param {Function} options.onRestore - Callback to restore the revision
+     * @param {Function} options.onExit - Callback to go back to the current project
+     */
+    static showRevisionPreviewBar({ revision, onRestore, onExit }) {
+        const existing = document.querySelector('.revision-preview-bar');
+        if (existing) existing.remove();
+
+        const bar = document.createElement('div');
+        bar.className = 'revision-preview-bar';
+        bar.style.cssText = `
+            position: fixed;
+            top: 80px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: rgba(45, 45, 45, 0.98);
+            backdrop-filter: blur(10px);
+            border: 1px solid #007acc;
+            border-radius: 8px;
+            padding: 8px 12px;
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            max-width: calc(100vw - 40px);
+            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+            z-index: 9000;
+        `;
+
+        const label = document.createElement('div');
+        label.style.cssText = 'color: #fff; font-size: 13px; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        label.textContent = `Previewing the revision from ${new Date(revision.createdAt).toLocaleString()} · ${ProjectDialogs.describeRevision(revision)}`;
+        bar.appendChild(label);
+
+        const buttonStyle = 'padding: 6px 12px; border-radius: 4px; color: #fff; cursor: pointer; font-size: 12px; flex-shrink: 0;';
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.style.cssText = buttonStyle + ' background: #007acc; border: 1px solid #007acc;';
+        restoreBtn.addEventListener('click', () => {
+            if (!confirm('Restore this revision? The current version stays in the history.')) return;
+            onRestore();
+        });
+        bar.appendChild(restoreBtn);
+
+        const exitBtn = document.createElement('button');
+        exitBtn.textContent = 'Back to Current';
+        exitBtn.style.cssText = buttonStyle + ' background: transparent; border: 1px solid #444;';
+        exitBtn.addEventListener('click', onExit);
+        bar.appendChild(exitBtn);
+
+        document.body.appendChild(bar);
+        return () => bar.remove();
+    }
+
+    /**
+     * Ask which version of a project to keep when it changed both locally and in the cloud since the last sync
+     * Resolves 'merge', 'local', 'cloud', or null to decide later
+     * @param {Object} options - Configuration object
+     * @param {string} options.title - Project title
+     * @param {Object} options.local - Local project data
+     * @param {Object} options.cloud - Cloud project data
+     * @param {Object} options.base - Data of the last synced version (null if never synced)
+     * @param {Object} options.merged - ProjectMerge result ({ data, conflicts }), null if there's nothing to merge from
+     * @param {string} options.cloudUpdatedAt - When the cloud project was last saved
+     */
+    static showSyncConflict({ title, local, cloud, base, merged, cloudUpdatedAt }) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background: rgba(0,0,0,0.7); display: flex; align-items: center; justify-content: center; z-index: 10000;';
+
+            const dialog = document.createElement('div');
+            dialog.style.cssText = 'background: #2d2d2d; border: 1px solid #444; border-radius: 8px; padding: 20px; width: 720px; max-width: 92vw; max-height: 80vh; display: flex; flex-direction: column; box-sizing: border-box;';
+
+            const handleKeyDown = (e) => {
+                if (e.key === 'Escape') close(null);
+            };
+            const close = (choice) => {
+                overlay.remove();
+                document.removeEventListener('keydown', handleKeyDown);
+                resolve(choice);
+            };
+            document.addEventListener('keydown', handleKeyDown);
+
+            const heading = document.createElement('h2');
+            heading.textContent = `"${title}" changed in the cloud`;
+            heading.style.cssText = 'margin: 0 0 6px 0; color: #fff; font-size: 18px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            dialog.appendChild(heading);
+
+            const description = document.createElement('p');
+            const savedAt = cloudUpdatedAt ? ` (last saved ${new Date(cloudUpdatedAt).toLocaleString()})` : '';
+            description.textContent = `The project was saved from somewhere else${savedAt} while you had changes here that weren't synced. Choose which version to keep.`;
+            description.style.cssText = 'color: #aaa; font-size: 12px; margin: 0 0 15px 0;';
+            dialog.appendChild(description);
+
+            const content = document.createElement('div');
+            content.style.cssText = 'flex: 1; overflow-y: auto; margin-bottom: 15px;';
+            dialog.appendChild(content);
+
+            const addSection = (label, changes) => {
+                const sectionTitle = document.createElement('div');
+                sectionTitle.textContent = label;
+                sectionTitle.style.cssText = 'color: #fff; font-size: 13px; margin: 10px 0 4px 0;';
+                content.appendChild(sectionTitle);
+                content.appendChild(ProjectDialogs.createChangeList(changes));
+            };
+
+            if (base) {
+                addSection('Your changes', ProjectDiff.diff(base, local));
+                addSection('Changes in the cloud', ProjectDiff.diff(base, cloud));
+            } else {
+                // Never synced: all there is to show is how the versions differ
+                addSection('Your version compared to the cloud version', ProjectDiff.diff(cloud, local));
+            }
+
+            if (merged && merged.conflicts.length > 0) {
+                addSection(
+                    'Changed on both sides (merging keeps your version)',
+                    merged.conflicts.map(c => ({ change: 'changed', kind: c.kind, label: c.label, details: [] }))
+                );
+            }
+
+            const buttonStyle = 'padding: 8px 16px; background: #444; border: 1px solid #666; border-radius: 4px; color: #fff; cursor: pointer;';
+            const primaryStyle = 'padding: 8px 16px; background: #007acc; border: 1px solid #007acc; border-radius: 4px; color: #fff; cursor: pointer;';
+            const footer = document.createElement('div');
+            footer.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px;';
+            const addButton = (text, choice, style, tooltip) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = tooltip;
+                button.style.cssText = style;
+                button.addEventListener('click', () => close(choice));
+                footer.appendChild(button);
+            };
+
+            addButton('Decide Later', null, buttonStyle, 'Keep working on your version; you\'ll be asked again on the next save');
+            addButton('Use Cloud Version', 'cloud', buttonStyle, 'Discard your changes');
+            addButton('Keep Mine', 'local', merged ? buttonStyle : primaryStyle, 'Replace the cloud version with yours when saving');
+            if (merged) {
+                addButton('Merge', 'merge', primaryStyle, 'Keep the changes from both sides');
+            }
+            dialog.appendChild(footer);
+
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close(null);
+            });
+
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+        });
+    }
+
+    /**
+     * Show the collaboration dialog: join a room, or share and leave the current one
+     * @param {Object} options - Configuration object
+     * @param {string} options.room - Current room (or the last one joined)
+     * @param {string} options.name - Display name shown to others
+     * @param {boolean} options.isConnected - Whether a session is active
+     * @param {Array} options.peers - Others in the session ([{ name, color }])
+     * @param {Function} options.onJoin - Callback when Join is clicked (room, name)
+     * @param {Function} options.onLeave - Callback when Leave is clicked
+     */
+    static showCollabDialog({ room, name, isConnected, peers, onJoin, onLeave }) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background: rgba(0,0,0,0.7); display: flex; align-items: center; justify-content: center; z-index: 10000;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: #2d2d2d; border: 1px solid #444; border-radius: 8px; padding: 20px; width: 400px; max-width: 90vw;';
+
+        const close = () => overlay.remove();
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+
+        const title = document.createElement('h2');
+        title.textContent = isConnected ? `Collaborating in "${room}"` : 'Collaborate';
+        title.style.cssText = 'margin: 0 0 15px 0; color: #fff; font-size: 18px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        dialog.appendChild(title);
+
+        const labelStyle = 'display: block; color: #ccc; margin-bottom: 5px;';
+        const inputStyle = 'width: 100%; padding: 8px; background: #1e1e1e; border: 1px solid #444; color: #fff; border-radius: 4px; margin-bottom: 15px; box-sizing: border-box;';
+        const buttonStyle = 'flex: 1; padding: 10px; background: #333; border: none; border-radius: 4px; color: #fff; cursor: pointer; font-size: 14px;';
+        const primaryStyle = 'flex: 1; padding: 10px; background: #007acc; border: none; border-radius: 4px; color: #fff; cursor: pointer; font-size: 14px;';
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; gap: 10px;';
+
+        if (isConnected) {
+            const people = document.createElement('div');
+            people.style.cssText = 'color: #ccc; font-size: 13px; margin-bottom: 15px;';
+            if (peers.length === 0) {
+                people.textContent = 'Nobody else is here yet. Share the link below to invite others.';
+            } else {
+                people.textContent = 'Here with you: ';
+                peers.forEach((peer, i) => {
+                    const tag = document.createElement('span');
+                    tag.textContent = peer.name;
+                    tag.style.cssText = `color: ${peer.color}; font-weight: bold;`;
+                    if (i > 0) people.appendChild(document.createTextNode(', '));
+                    people.appendChild(tag);
+                });
+            }
+            dialog.appendChild(people);
+
+            const linkLabel = document.createElement('label');
+            linkLabel.textContent = 'Invite link';
+            linkLabel.style.cssText = labelStyle;
+            dialog.appendChild(linkLabel);
+
+            const url = new URL(window.location.origin + window.location.pathname);
+            url.searchParams.set('room', room);
+            const linkInput = document.createElement('input');
+            linkInput.type = 'text';
+            linkInput.readOnly = true;
+            linkInput.value = url.toString();
+            linkInput.style.cssText = inputStyle;
+            linkInput.addEventListener('focus', () => linkInput.select());
+            dialog.appendChild(linkInput);
+
+            const copyBtn = document.createElement('button');
+            copyBtn.textContent = 'Copy Link';
+            copyBtn.style.cssText = primaryStyle;
+            copyBtn.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(linkInput.value);
+                    copyBtn.textContent = 'Copied!';
+                } catch {
+                    linkInput.select();
+                }
+            });
+
+            const leaveBtn = document.createElement('button');
+            leaveBtn.textContent = 'Leave';
+            leaveBtn.style.cssText = buttonStyle;
+            leaveBtn.addEventListener('click', () => {
+                close();
+                onLeave();
+            });
+
+            buttonContainer.appendChild(copyBtn);
+            buttonContainer.appendChild(leaveBtn);
+        } else {
+            const description = document.createElement('p');
+            description.textContent = 'Edit this patch together in real time. The first one in a room shares their project; anyone joining later gets a copy of it.';
+            description.style.cssText = 'color: #aaa; font-size: 12px; margin: 0 0 15px 0;';
+            dialog.appendChild(description);
+
+            const roomLabel = document.createElement('label');
+            roomLabel.textContent = 'Room';
+            roomLabel.style.cssText = labelStyle;
+            const roomInput = document.createElement('input');
+            roomInput.type = 'text';
+            roomInput.value = room || Math.random().toString(36).slice(2, 8);
+            roomInput.style.cssText = inputStyle;
+
+            const nameLabel = document.createElement('label');
+            nameLabel.textContent = 'Your name';
+            nameLabel.style.cssText = labelStyle;
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = name;
+            nameInput.maxLength = 32;
+            nameInput.style.cssText = inputStyle;
+
+            const joinBtn = document.createElement('button');
+            joinBtn.textContent = 'Join';
+            joinBtn.style.cssText = primaryStyle;
+            joinBtn.addEventListener('click', () => {
+                const roomName = roomInput.value.trim();
+                if (!roomName) {
+                    roomInput.focus();
+                    return;
+                }
+                close();
+                onJoin(roomName, nameInput.value.trim());
+            });
+
+            const cancelBtn = document.createElement('button');
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.style.cssText = buttonStyle;
+            cancelBtn.addEventListener('click', close);
+
+            for (const input of [roomInput, nameInput]) {
+                input.addEventListener('keypress', (e) => {
+                    if (e.key === 'Enter') joinBtn.click();
+                });
+            }
+
+            dialog.appendChild(roomLabel);
+            dialog.appendChild(roomInput);
+            dialog.appendChild(nameLabel);
+            dialog.appendChild(nameInput);
+            buttonContainer.appendChild(joinBtn);
+            buttonContainer.appendChild(cancelBtn);
+            setTimeout(() => roomInput.select(), 0);
+        }
+
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+    }
 }
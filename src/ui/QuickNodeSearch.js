@@ -280,11 +280,11 @@ export class QuickNodeSearch {
         title.style.fontWeight = 'bold';
         titleRow.appendChild(title);
 
-        // Add delete button for custom nodes
-        if (def.isCustomNode) {
+        // Add delete button for custom nodes and groups
+        if (def.isCustomNode || def.isGroupNode) {
             const deleteBtn = document.createElement('button');
             deleteBtn.textContent = 'Delete';
-            deleteBtn.title = 'Delete custom node';
+            deleteBtn.title = def.isGroupNode ? 'Delete group and its instances' : 'Delete custom node';
             deleteBtn.style.background = '#d32f2f';
             deleteBtn.style.border = 'none';
             deleteBtn.style.borderRadius = '3px';
@@ -0,0 +1,269 @@
+import { OfflineRenderer } from '../rendering/OfflineRenderer.js';
+import { InputRecorder } from '../rendering/InputRecorder.js';
+
+const FIELD_STYLE = 'width: 100%; padding: 6px 8px; background: #1e1e1e; border: 1px solid #444; color: #fff; border-radius: 4px; box-sizing: border-box;';
+const LABEL_STYLE = 'display: block; color: #ccc; font-size: 12px; margin-bottom: 4px;';
+const SMALL_BUTTON_STYLE = 'padding: 6px 10px; background: #333; border: none; border-radius: 4px; color: #fff; cursor: pointer; font-size: 12px;';
+
+export class RenderDialog {
+    /**
+     * Show the offline render dialog for a preview node
+     * @param {Object} options - Configuration object
+     * @param {PreviewNode} options.node - Preview node to render
+     * @param {OfflineRenderer} options.offlineRenderer - Renderer instance
+     * @param {InputRecorder} options.inputRecorder - Recorder for MIDI, Microphone and JS node values
+     */
+    static show({ node, offlineRenderer, inputRecorder }) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background: rgba(0,0,0,0.7); display: flex; align-items: center; justify-content: center; z-index: 10000;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: #2d2d2d; border: 1px solid #444; border-radius: 8px; padding: 20px; width: 420px; max-width: 90vw;';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Render';
+        title.style.cssText = 'margin: 0 0 20px 0; color: #fff; font-size: 18px;';
+        dialog.appendChild(title);
+
+        // Default to 1080p wide at the preview's aspect ratio
+        const aspect = node.renderer && node.renderer.height ? node.renderer.width / node.renderer.height : 16 / 9;
+        const defaultHeight = 1080;
+        const defaultWidth = Math.round(defaultHeight * aspect / 2) * 2;
+
+        const grid = document.createElement('div');
+        grid.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 16px;';
+        dialog.appendChild(grid);
+
+        const addField = (labelText, input) => {
+            const wrapper = document.createElement('div');
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            label.style.cssText = LABEL_STYLE;
+            input.style.cssText = FIELD_STYLE;
+            wrapper.appendChild(label);
+            wrapper.appendChild(input);
+            grid.appendChild(wrapper);
+            return input;
+        };
+        const numberInput = (value, min, step = 1) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = value;
+            input.min = min;
+            input.step = step;
+            return input;
+        };
+
+        const widthInput = addField('Width', numberInput(defaultWidth, 1));
+        const heightInput = addField('Height', numberInput(defaultHeight, 1));
+        const fpsInput = addField('Frame rate', numberInput(30, 1));
+        // Animated projects default to the timeline's loop region
+        const timeline = offlineRenderer.timeline;
+        const useLoop = timeline && timeline.tracks.size > 0 && timeline.loopEnd > timeline.loopStart;
+        const durationInput = addField('Duration (s)', numberInput(useLoop ? +(timeline.loopEnd - timeline.loopStart).toFixed(2) : 5, 0.1, 0.1));
+        const startInput = addField('Start time (s)', numberInput(useLoop ? +timeline.loopStart.toFixed(2) : 0, 0, 0.1));
+
+        const formatSelect = document.createElement('select');
+        for (const [value, format] of Object.entries(OfflineRenderer.FORMATS)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = format.label;
+            formatSelect.appendChild(option);
+        }
+        addField('Format', formatSelect);
+
+        const frameInfo = document.createElement('div');
+        frameInfo.style.cssText = 'color: #888; font-size: 12px; margin-bottom: 16px;';
+        dialog.appendChild(frameInfo);
+
+        const getSettings = () => {
+            const fps = parseFloat(fpsInput.value);
+            const duration = parseFloat(durationInput.value);
+            return {
+                width: parseInt(widthInput.value),
+                height: parseInt(heightInput.value),
+                fps,
+                frameCount: Math.max(1, Math.round(duration * fps)),
+                startTime: parseFloat(startInput.value) || 0,
+                format: formatSelect.value
+            };
+        };
+        const updateFrameInfo = () => {
+            const { frameCount, format } = getSettings();
+            frameInfo.textContent = isNaN(frameCount) ? '' : `${frameCount} frames` +
+                (format === 'webm' ? ' - WebM is encoded in real time' : '');
+        };
+        for (const input of [fpsInput, durationInput, formatSelect]) {
+            input.addEventListener('input', updateFrameInfo);
+        }
+        updateFrameInfo();
+
+        // Input recording (only offered when the graph has live inputs)
+        const inputSection = document.createElement('div');
+        inputSection.style.cssText = 'border-top: 1px solid #444; padding-top: 12px; margin-bottom: 16px;';
+
+        if (InputRecorder.getInputNodes(node.graph).length > 0) {
+            const status = document.createElement('div');
+            status.style.cssText = 'color: #ccc; font-size: 12px; margin-bottom: 8px;';
+
+            const inputButtons = document.createElement('div');
+            inputButtons.style.cssText = 'display: flex; gap: 8px;';
+
+            const makeButton = (text, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.style.cssText = SMALL_BUTTON_STYLE;
+                button.addEventListener('click', onClick);
+                inputButtons.appendChild(button);
+                return button;
+            };
+
+            const updateStatus = () => {
+                if (inputRecorder.isRecording) {
+                    status.textContent = 'Recording inputs... play your MIDI controller, keys, sound or JS inputs now';
+                    recordBtn.textContent = 'Stop';
+                    recordBtn.style.background = '#f44336';
+                } else {
+                    status.textContent = inputRecorder.hasRecording
+                        ? `Replaying recorded inputs (${inputRecorder.duration.toFixed(1)} s)`
+                        : 'MIDI, keyboard and audio inputs use live values, JS nodes run at the frame time';
+                    recordBtn.textContent = 'Record inputs';
+                    recordBtn.style.background = '#333';
+                }
+                clearBtn.disabled = saveBtn.disabled = !inputRecorder.hasRecording || inputRecorder.isRecording;
+            };
+
+            const recordBtn = makeButton('Record inputs', () => {
+                if (inputRecorder.isRecording) {
+                    inputRecorder.stop();
+                } else {
+                    inputRecorder.start();
+                }
+                updateStatus();
+            });
+            const clearBtn = makeButton('Clear', () => {
+                inputRecorder.clear();
+                updateStatus();
+            });
+            const saveBtn = makeButton('Save', () => {
+                const json = JSON.stringify(inputRecorder.serialize());
+                RenderDialog.download(new Blob([json], { type: 'application/json' }), `patchtoy-inputs-${Date.now()}.json`);
+            });
+            makeButton('Load', () => {
+                const fileInput = document.createElement('input');
+                fileInput.type = 'file';
+                fileInput.accept = '.json,application/json';
+                fileInput.onchange = async () => {
+                    try {
+                        inputRecorder.load(JSON.parse(await fileInput.files[0].text()));
+                    } catch (err) {
+                        alert('Failed to load input recording: ' + err.message);
+                    }
+                    updateStatus();
+                };
+                fileInput.click();
+            });
+
+            inputSection.appendChild(status);
+            inputSection.appendChild(inputButtons);
+            dialog.appendChild(inputSection);
+            updateStatus();
+        }
+
+        const progress = document.createElement('progress');
+        progress.style.cssText = 'width: 100%; margin-bottom: 16px; display: none;';
+        dialog.appendChild(progress);
+
+        const errorMsg = document.createElement('div');
+        errorMsg.style.cssText = 'color: #f44336; margin-bottom: 15px; display: none;';
+        dialog.appendChild(errorMsg);
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; gap: 10px;';
+
+        const renderBtn = document.createElement('button');
+        renderBtn.textContent = 'Render';
+        renderBtn.style.cssText = 'flex: 1; padding: 10px; background: #007acc; border: none; border-radius: 4px; color: #fff; cursor: pointer; font-size: 14px;';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = 'flex: 1; padding: 10px; background: #333; border: none; border-radius: 4px; color: #fff; cursor: pointer; font-size: 14px;';
+
+        const close = () => {
+            inputRecorder.stop();
+            overlay.remove();
+        };
+
+        renderBtn.addEventListener('click', async () => {
+            const settings = getSettings();
+            if (!(settings.width > 0 && settings.height > 0 && settings.fps > 0 && settings.frameCount > 0)) {
+                errorMsg.textContent = 'Size, frame rate and duration must be positive numbers';
+                errorMsg.style.display = 'block';
+                return;
+            }
+
+            inputRecorder.stop();
+            errorMsg.style.display = 'none';
+            renderBtn.disabled = true;
+            renderBtn.textContent = 'Rendering...';
+            progress.style.display = 'block';
+            progress.max = settings.frameCount;
+            progress.value = 0;
+            for (const element of dialog.querySelectorAll('input, select, button')) {
+                if (element !== cancelBtn) element.disabled = true;
+            }
+
+            try {
+                const blob = await offlineRenderer.render(node, {
+                    ...settings,
+                    recorder: inputRecorder,
+                    onProgress: (done, total) => {
+                        progress.value = done;
+                        renderBtn.textContent = `Rendering ${done}/${total}`;
+                    }
+                });
+
+                if (blob) {
+                    const { extension } = OfflineRenderer.FORMATS[settings.format];
+                    RenderDialog.download(blob, `patchtoy-render-${Date.now()}.${extension}`);
+                    console.log(`Rendered ${settings.frameCount} frames at ${settings.width}x${settings.height}`);
+                }
+                overlay.remove();
+            } catch (err) {
+                console.error('Render failed:', err);
+                errorMsg.textContent = err.message || 'Render failed';
+                errorMsg.style.display = 'block';
+                for (const element of dialog.querySelectorAll('input, select, button')) {
+                    element.disabled = false;
+                }
+                renderBtn.textContent = 'Render';
+                progress.style.display = 'none';
+            }
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            if (offlineRenderer.isRendering) {
+                offlineRenderer.cancel();
+            } else {
+                close();
+            }
+        });
+
+        buttonContainer.appendChild(renderBtn);
+        buttonContainer.appendChild(cancelBtn);
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+    }
+
+    static download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
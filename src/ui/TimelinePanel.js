@@ -0,0 +1,416 @@
+import { EASINGS } from '../managers/TimelineManager.js';
+
+const LABEL_WIDTH = 150;
+const RULER_HEIGHT = 22;
+const ROW_HEIGHT = 22;
+const KEY_SIZE = 5;
+const MIN_ROWS = 3;
+
+/**
+ * TimelinePanel - Docked panel for the timeline transport and keyframe editing
+ *
+ * Ruler: click/drag to scrub, shift-drag to set the loop region.
+ * Tracks: click a keyframe to select it (easing is edited in the transport row), drag to move it.
+ */
+export class TimelinePanel {
+    constructor(timeline, nodeGraph) {
+        this.timeline = timeline;
+        this.nodeGraph = nodeGraph;
+        this.selected = null; // { nodeId, keyframe }
+        this.drag = null;     // { mode: 'scrub' | 'loop' | 'key', ... }
+
+        this.element = document.createElement('div');
+        this.element.id = 'timelinePanel';
+        this.element.style.display = 'none';
+
+        this.buildTransport();
+
+        this.trackArea = document.createElement('div');
+        this.trackArea.className = 'timeline-tracks';
+        this.canvas = document.createElement('canvas');
+        this.trackArea.appendChild(this.canvas);
+        this.element.appendChild(this.trackArea);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        window.addEventListener('mouseup', () => this.onMouseUp());
+        window.addEventListener('resize', () => {
+            if (this.isShown) this.draw();
+        });
+
+        this.timeline.onTick = () => {
+            if (this.isShown) this.draw();
+        };
+        this.timeline.onTracksChanged = () => {
+            // Snapshots (undo, project load) replace the keyframe objects
+            if (this.selected && !this.getTrackKeyframes(this.selected.nodeId).includes(this.selected.keyframe)) {
+                this.selected = null;
+            }
+            this.updateControls();
+            if (this.isShown) this.draw();
+        };
+
+        document.getElementById('floatingControls').appendChild(this.element);
+        this.updateControls();
+    }
+
+    get isShown() {
+        return this.timeline.isShown;
+    }
+
+    toggle() {
+        this.timeline.isShown = !this.timeline.isShown;
+        this.element.style.display = this.timeline.isShown ? 'flex' : 'none';
+        if (this.isShown) {
+            this.updateControls();
+            this.draw();
+        }
+        return this.isShown;
+    }
+
+    buildTransport() {
+        const row = document.createElement('div');
+        row.className = 'timeline-transport';
+        this.element.appendChild(row);
+
+        const button = (text, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'timeline-btn';
+            btn.textContent = text;
+            btn.title = title;
+            btn.addEventListener('click', onClick);
+            row.appendChild(btn);
+            return btn;
+        };
+        const numberInput = (title, step, onChange) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'timeline-input';
+            input.title = title;
+            input.min = 0;
+            input.step = step;
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!isNaN(value) && value >= 0) onChange(value);
+                this.updateControls();
+            });
+            row.appendChild(input);
+            return input;
+        };
+        const label = (text) => {
+            const span = document.createElement('span');
+            span.className = 'timeline-label';
+            span.textContent = text;
+            row.appendChild(span);
+        };
+
+        this.playBtn = button('⏸', 'Pause', () => {
+            if (this.timeline.isPlaying) this.timeline.pause(); else this.timeline.play();
+            this.updateControls();
+        });
+        button('⏮', 'Stop and go to loop start', () => {
+            this.timeline.pause();
+            this.timeline.seek(this.timeline.loopStart);
+            this.updateControls();
+            this.draw();
+        });
+
+        this.timeDisplay = document.createElement('span');
+        this.timeDisplay.className = 'timeline-time';
+        row.appendChild(this.timeDisplay);
+
+        this.loopBtn = button('🔁', 'Loop playback', () => {
+            this.timeline.loop = !this.timeline.loop;
+            this.timeline.changed();
+        });
+        label('Loop');
+        this.loopStartInput = numberInput('Loop start (s)', 0.1, (value) => this.timeline.setLoopRegion(value, this.timeline.loopEnd));
+        label('to');
+        this.loopEndInput = numberInput('Loop end (s)', 0.1, (value) => this.timeline.setLoopRegion(this.timeline.loopStart, value));
+        label('Length');
+        this.durationInput = numberInput('Timeline length (s)', 1, (value) => {
+            if (value <= 0) return;
+            this.timeline.duration = value;
+            this.timeline.changed();
+        });
+
+        const separator = document.createElement('span');
+        separator.className = 'timeline-separator';
+        row.appendChild(separator);
+
+        button('◆ Key', 'Keyframe the selected uniform constants at the playhead', () => this.keySelectedNodes());
+
+        this.easingSelect = document.createElement('select');
+        this.easingSelect.className = 'timeline-input';
+        this.easingSelect.title = 'Easing from the selected keyframe to the next';
+        for (const easing of EASINGS) {
+            const option = document.createElement('option');
+            option.value = easing;
+            option.textContent = easing;
+            this.easingSelect.appendChild(option);
+        }
+        this.easingSelect.addEventListener('change', () => {
+            if (this.selected) this.timeline.setEasing(this.selected.keyframe, this.easingSelect.value);
+        });
+        row.appendChild(this.easingSelect);
+
+        this.bezierInput = document.createElement('input');
+        this.bezierInput.className = 'timeline-input timeline-bezier';
+        this.bezierInput.title = 'Bezier control points: x1, y1, x2, y2';
+        this.bezierInput.addEventListener('change', () => {
+            const values = this.bezierInput.value.split(',').map(v => parseFloat(v));
+            if (values.length === 4 && values.every(v => !isNaN(v))) {
+                // x must stay in [0, 1] for the curve to be a function of time
+                values[0] = Math.min(1, Math.max(0, values[0]));
+                values[2] = Math.min(1, Math.max(0, values[2]));
+                this.timeline.setEasing(this.selected.keyframe, 'bezier', values);
+            } else {
+                this.updateControls();
+            }
+        });
+        row.appendChild(this.bezierInput);
+
+        this.deleteBtn = button('🗑', 'Delete the selected keyframe', () => {
+            if (!this.selected) return;
+            const { nodeId, keyframe } = this.selected;
+            this.selected = null;
+            this.timeline.removeKeyframe(nodeId, keyframe);
+        });
+    }
+
+    /**
+     * Sync the transport row with the timeline state
+     */
+    updateControls() {
+        const timeline = this.timeline;
+        this.playBtn.textContent = timeline.isPlaying ? '⏸' : '▶';
+        this.playBtn.title = timeline.isPlaying ? 'Pause' : 'Play';
+        this.loopBtn.classList.toggle('active', timeline.loop);
+
+        for (const [input, value] of [
+            [this.loopStartInput, timeline.loopStart],
+            [this.loopEndInput, timeline.loopEnd],
+            [this.durationInput, timeline.duration]
+        ]) {
+            if (document.activeElement !== input) input.value = +value.toFixed(2);
+        }
+
+        const keyframe = this.selected ? this.selected.keyframe : null;
+        this.easingSelect.disabled = this.deleteBtn.disabled = !keyframe;
+        this.easingSelect.value = keyframe ? keyframe.easing : 'linear';
+        this.bezierInput.style.display = keyframe && keyframe.easing === 'bezier' ? '' : 'none';
+        if (keyframe && keyframe.bezier) this.bezierInput.value = keyframe.bezier.join(', ');
+    }
+
+    keySelectedNodes() {
+        let keyed = 0;
+        for (const node of this.nodeGraph.selectionManager.selectedNodes) {
+            if (this.timeline.setKeyframe(node, this.timeline.time)) keyed++;
+        }
+        if (keyed === 0) {
+            alert('Select a constant node in uniform mode to add a keyframe');
+        }
+    }
+
+    /**
+     * Nodes of the project's own graph (tracks belong to it even while a group is being edited)
+     */
+    getRootNodes() {
+        const stack = this.nodeGraph.groupEditStack;
+        return (stack && stack.length > 0 ? stack[0] : this.nodeGraph).nodes;
+    }
+
+    getTrackKeyframes(nodeId) {
+        const track = this.timeline.tracks.get(nodeId);
+        return track ? track.keyframes : [];
+    }
+
+    getTracks() {
+        const nodes = new Map(this.getRootNodes().map(n => [n.id, n]));
+        return [...this.timeline.tracks.values()]
+            .filter(track => nodes.has(track.nodeId))
+            .map(track => ({ track, node: nodes.get(track.nodeId) }));
+    }
+
+    timeToX(time) {
+        const width = this.canvas.clientWidth - LABEL_WIDTH - KEY_SIZE * 2;
+        return LABEL_WIDTH + KEY_SIZE + (time / this.timeline.duration) * width;
+    }
+
+    xToTime(x) {
+        const width = this.canvas.clientWidth - LABEL_WIDTH - KEY_SIZE * 2;
+        const time = ((x - LABEL_WIDTH - KEY_SIZE) / width) * this.timeline.duration;
+        return Math.max(0, Math.min(this.timeline.duration, time));
+    }
+
+    getMousePos(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    hitTestKeyframe(x, y) {
+        const tracks = this.getTracks();
+        const row = Math.floor((y - RULER_HEIGHT) / ROW_HEIGHT);
+        if (row < 0 || row >= tracks.length) return null;
+
+        const { track } = tracks[row];
+        for (const keyframe of track.keyframes) {
+            if (Math.abs(this.timeToX(keyframe.time) - x) <= KEY_SIZE + 2) {
+                return { nodeId: track.nodeId, keyframe };
+            }
+        }
+        return null;
+    }
+
+    onMouseDown(e) {
+        const { x, y } = this.getMousePos(e);
+        if (x < LABEL_WIDTH) return;
+
+        if (y < RULER_HEIGHT) {
+            const time = this.xToTime(x);
+            if (e.shiftKey) {
+                this.drag = { mode: 'loop', anchor: time, moved: false };
+            } else {
+                this.drag = { mode: 'scrub' };
+                this.timeline.seek(time);
+            }
+        } else {
+            this.selected = this.hitTestKeyframe(x, y);
+            if (this.selected) {
+                this.drag = { mode: 'key', moved: false };
+            } else {
+                this.drag = { mode: 'scrub' };
+                this.timeline.seek(this.xToTime(x));
+            }
+            this.updateControls();
+        }
+        this.draw();
+        e.preventDefault();
+    }
+
+    onMouseMove(e) {
+        if (!this.drag) return;
+        const time = this.xToTime(this.getMousePos(e).x);
+
+        if (this.drag.mode === 'scrub') {
+            this.timeline.seek(time);
+        } else if (this.drag.mode === 'loop') {
+            // Update live, committed on mouse up
+            this.timeline.loopStart = Math.min(this.drag.anchor, time);
+            this.timeline.loopEnd = Math.max(this.drag.anchor, time);
+            this.drag.moved = true;
+            this.updateControls();
+        } else if (this.drag.mode === 'key') {
+            this.timeline.moveKeyframe(this.selected.nodeId, this.selected.keyframe, time, false);
+            this.drag.moved = true;
+        }
+        this.draw();
+    }
+
+    onMouseUp() {
+        if (!this.drag) return;
+        const { mode, moved } = this.drag;
+        this.drag = null;
+
+        if (mode === 'loop' && moved) {
+            this.timeline.setLoopRegion(this.timeline.loopStart, this.timeline.loopEnd);
+        } else if (mode === 'key' && moved && this.selected) {
+            this.timeline.moveKeyframe(this.selected.nodeId, this.selected.keyframe, this.selected.keyframe.time);
+        }
+    }
+
+    draw() {
+        const tracks = this.getTracks();
+        const dpr = window.devicePixelRatio || 1;
+        const width = this.trackArea.clientWidth;
+        const height = RULER_HEIGHT + Math.max(MIN_ROWS, tracks.length) * ROW_HEIGHT;
+        if (this.canvas.width !== width * dpr || this.canvas.height !== height * dpr) {
+            this.canvas.width = width * dpr;
+            this.canvas.height = height * dpr;
+            this.canvas.style.height = `${height}px`;
+        }
+
+        const ctx = this.ctx;
+        const timeline = this.timeline;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textBaseline = 'middle';
+
+        // Loop region
+        const loopX = this.timeToX(timeline.loopStart);
+        const loopWidth = this.timeToX(timeline.loopEnd) - loopX;
+        ctx.fillStyle = timeline.loop ? 'rgba(0, 122, 204, 0.15)' : 'rgba(255, 255, 255, 0.05)';
+        ctx.fillRect(loopX, 0, loopWidth, height);
+        ctx.fillStyle = timeline.loop ? '#007acc' : '#555';
+        ctx.fillRect(loopX, 0, loopWidth, 3);
+
+        // Ruler ticks, about one label every 60px
+        const pixelsPerSecond = (this.timeToX(timeline.duration) - this.timeToX(0)) / timeline.duration;
+        const step = [0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60].find(s => s * pixelsPerSecond >= 60) || 60;
+        ctx.strokeStyle = '#444';
+        ctx.fillStyle = '#888';
+        ctx.beginPath();
+        for (let t = 0; t <= timeline.duration + 1e-6; t += step) {
+            const x = Math.round(this.timeToX(t)) + 0.5;
+            ctx.moveTo(x, RULER_HEIGHT - 6);
+            ctx.lineTo(x, height);
+            ctx.fillText(`${+t.toFixed(2)}s`, x + 3, RULER_HEIGHT / 2);
+        }
+        ctx.stroke();
+
+        // Track rows
+        tracks.forEach(({ track, node }, i) => {
+            const rowY = RULER_HEIGHT + i * ROW_HEIGHT;
+            const centerY = rowY + ROW_HEIGHT / 2;
+
+            ctx.fillStyle = i % 2 ? 'rgba(255, 255, 255, 0.03)' : 'transparent';
+            ctx.fillRect(0, rowY, width, ROW_HEIGHT);
+
+            ctx.fillStyle = '#ccc';
+            const name = node.definition?.displayTitle || node.type;
+            ctx.fillText(`${name} #${node.id}`, 8, centerY, LABEL_WIDTH - 16);
+
+            // Segments between keyframes, dashed for step easing
+            for (let k = 0; k < track.keyframes.length - 1; k++) {
+                const a = track.keyframes[k];
+                ctx.strokeStyle = '#666';
+                ctx.setLineDash(a.easing === 'step' ? [3, 3] : []);
+                ctx.beginPath();
+                ctx.moveTo(this.timeToX(a.time), centerY);
+                ctx.lineTo(this.timeToX(track.keyframes[k + 1].time), centerY);
+                ctx.stroke();
+            }
+            ctx.setLineDash([]);
+
+            for (const keyframe of track.keyframes) {
+                const x = this.timeToX(keyframe.time);
+                const isSelected = this.selected && this.selected.keyframe === keyframe;
+                ctx.fillStyle = isSelected ? '#ffb300' : '#4fc3f7';
+                ctx.beginPath();
+                ctx.moveTo(x, centerY - KEY_SIZE);
+                ctx.lineTo(x + KEY_SIZE, centerY);
+                ctx.lineTo(x, centerY + KEY_SIZE);
+                ctx.lineTo(x - KEY_SIZE, centerY);
+                ctx.closePath();
+                ctx.fill();
+            }
+        });
+
+        if (tracks.length === 0) {
+            ctx.fillStyle = '#777';
+            ctx.fillText('Select constant nodes in uniform mode and press ◆ Key to animate them', LABEL_WIDTH + 10, RULER_HEIGHT + ROW_HEIGHT);
+        }
+
+        // Playhead
+        const playX = Math.round(this.timeToX(Math.min(timeline.time, timeline.duration))) + 0.5;
+        ctx.strokeStyle = '#f44336';
+        ctx.beginPath();
+        ctx.moveTo(playX, 0);
+        ctx.lineTo(playX, height);
+        ctx.stroke();
+
+        this.timeDisplay.textContent = `${timeline.time.toFixed(2)}s`;
+    }
+}
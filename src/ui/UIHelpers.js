@@ -1,5 +1,7 @@
+import { MouseTracker } from '../rendering/MouseTracker.js';
+
 export class UIHelpers {
-    static showAccountMenu(apiClient, onLogout) {
+    static showAccountMenu(apiClient, onLogout, { onShowProfile, onShowSettings } = {}) {
         const user = apiClient.getCurrentUser();
 
         const overlay = document.createElement('div');
@@ -60,13 +62,9 @@ export class UIHelpers {
         menu.appendChild(header);
 
         // Menu items
-        menu.appendChild(createMenuItem('👤', 'Profile', () => {
-            alert('Profile feature coming soon!');
-        }, true));
+        menu.appendChild(createMenuItem('👤', 'Profile', () => onShowProfile(), !onShowProfile));
 
-        menu.appendChild(createMenuItem('⚙️', 'Settings', () => {
-            alert('Settings feature coming soon!');
-        }, true));
+        menu.appendChild(createMenuItem('⚙️', 'Settings', () => onShowSettings(), !onShowSettings));
 
         // Separator
         const separator = document.createElement('div');
@@ -125,8 +123,8 @@ export class UIHelpers {
     }
 
     static async enableAllMicrophones(nodeGraph) {
-        // Find all microphone nodes in the graph
-        const micNodes = nodeGraph.nodes.filter(n => n.isMicrophoneNode);
+        // Find all audio input nodes (Microphone, Audio Spectrum, BPM) in the graph
+        const micNodes = nodeGraph.nodes.filter(n => n.isAudioInputNode);
 
         if (micNodes.length === 0) {
             console.log('No microphone nodes found in graph');
@@ -303,14 +301,19 @@ export class UIHelpers {
 
         // Create a new ShaderPreview instance that renders directly to the display canvas
         // This avoids the expensive gl.readPixels() call in getDisplayCanvas()
+        // Sized for the whole screen (the overlay goes fullscreen), scaled down to fit until then
         const dpr = window.devicePixelRatio || 1;
-        const fullscreenWidth = Math.floor(window.innerWidth * dpr);
-        const fullscreenHeight = Math.floor(window.innerHeight * dpr);
+        const fullscreenWidth = Math.floor(window.screen.width * dpr);
+        const fullscreenHeight = Math.floor(window.screen.height * dpr);
 
         displayCanvas.width = fullscreenWidth;
         displayCanvas.height = fullscreenHeight;
-        displayCanvas.style.width = window.innerWidth + 'px';
-        displayCanvas.style.height = window.innerHeight + 'px';
+        displayCanvas.style.width = '100%';
+        displayCanvas.style.height = '100%';
+
+        // Pointer on the fullscreen canvas drives u_mouse
+        const fullscreenMouse = new MouseTracker();
+        fullscreenMouse.attach(displayCanvas, (e) => MouseTracker.mapToElement(e, displayCanvas));
 
         // Import ShaderPreview - already imported in main.js, so use direct import
         import('../rendering/ShaderPreview.js').then(module => {
@@ -318,7 +321,7 @@ export class UIHelpers {
             const fullscreenPreview = new ShaderPreview(
                 displayCanvas,
                 previewInstance.videoElement,
-                { offscreen: false }
+                { offscreen: false, mouse: fullscreenMouse }
             );
 
             // Pass graph reference so it can find video nodes
@@ -357,6 +360,7 @@ export class UIHelpers {
             if (overlay._fullscreenPreview) {
                 overlay._fullscreenPreview.destroy();
             }
+            fullscreenMouse.detachElement();
 
             // Exit fullscreen if active (with error handling)
             if (document.fullscreenElement) {
@@ -418,8 +422,8 @@ export class UIHelpers {
         };
         document.addEventListener('keydown', escapeHandler);
 
-        // Close on click
-        overlay.addEventListener('click', () => {
+        // Close on double-click (single clicks and drags go to the shader as mouse input)
+        overlay.addEventListener('dblclick', () => {
             closeFullscreen();
         });
     }
@@ -1,8 +1,10 @@
+import { GLSLParser } from './GLSLParser.js';
+
 /**
  * Parser for magic comments in custom GLSL nodes
  *
  * Supports both single-line and multi-line comments
- * Parses directives like @node, @title, @category, @input, @description
+ * Parses directives like @node, @title, @category, @input, @output, @description
  */
 
 export class GLSLCommentParser {
@@ -17,6 +19,7 @@ export class GLSLCommentParser {
             title: null,
             category: 'custom',
             inputs: {},
+            outputs: {},
             description: '',
             options: {}
         };
@@ -139,6 +142,10 @@ export class GLSLCommentParser {
                 this.processInputDirective(content, metadata);
                 break;
 
+            case 'output':
+                this.processOutputDirective(content, metadata);
+                break;
+
             case 'description':
                 metadata.description = this.processDescription(content);
                 break;
@@ -172,6 +179,17 @@ export class GLSLCommentParser {
         }
     }
 
+    /**
+     * Process @output directive (out/inout parameters, or "return" for the return value)
+     * Format: paramName "DisplayName"
+     */
+    static processOutputDirective(content, metadata) {
+        const match = content.match(/(\w+)\s+"([^"]+)"/);
+        if (match) {
+            metadata.outputs[match[1]] = { displayName: match[2] };
+        }
+    }
+
     /**
      * Process @description with special formatting rules:
      * - Strip leading whitespace and *
@@ -250,40 +268,34 @@ export class GLSLCommentParser {
      * @returns {string} Code with generated magic comments prepended
      */
     static generateDefaultComments(glslCode) {
-        // Parse existing code to find main function
-        const funcMatch = glslCode.match(/(\w+)\s+(\w+)\s*\((.*?)\)/);
-
-        if (!funcMatch) {
+        // Helpers come before the functions calling them, so the node is the last function
+        let functions;
+        try {
+            functions = this.extractFunctions(glslCode);
+        } catch (err) {
             return glslCode;
         }
-
-        const returnType = funcMatch[1];
-        const funcName = funcMatch[2];
-        const paramsString = funcMatch[3];
-
-        // Parse parameters
-        const params = [];
-        if (paramsString.trim()) {
-            const paramList = paramsString.split(',').map(p => p.trim());
-            for (const param of paramList) {
-                const parts = param.split(/\s+/);
-                if (parts.length >= 2) {
-                    const type = parts[0];
-                    const name = parts[1];
-                    params.push({ type, name });
-                }
-            }
+        if (functions.length === 0) {
+            return glslCode;
         }
 
+        const { name: funcName, params } = functions[functions.length - 1];
+
         // Generate comment block
         let comment = `/* \n * @node ${funcName}\n`;
         comment += ` * @title ${funcName}\n`;
         comment += ` * @category custom\n * \n`;
 
-        // Add input directives
+        // Add input directives (out parameters are outputs, inout parameters both)
         for (const param of params) {
+            if (!param.name) continue;
             const prettyName = this.prettifyParamName(param.name);
-            comment += ` * @input ${param.name} "${prettyName}"\n`;
+            if (param.qualifier !== 'out') {
+                comment += ` * @input ${param.name} "${prettyName}"\n`;
+            }
+            if (param.qualifier !== 'in') {
+                comment += ` * @output ${param.name} "${prettyName}"\n`;
+            }
         }
 
         comment += ` * \n * @description\n`;
@@ -296,25 +308,16 @@ export class GLSLCommentParser {
      * Check if code already has magic comments
      */
     static hasComments(glslCode) {
-        return /@node|@title|@category|@input|@description/.test(glslCode);
+        return /@node|@title|@category|@input|@output|@description/.test(glslCode);
     }
 
     /**
-     * Extract all function names from GLSL code
+     * Extract all function definitions from GLSL code (prototypes are skipped)
+     * Throws a GLSLSyntaxError if the code doesn't parse
+     * @returns {Array} [{ name, returnType, params: [{ qualifier, type, name }] }]
      */
     static extractFunctions(glslCode) {
-        const functions = [];
-        const regex = /(\w+)\s+(\w+)\s*\([^)]*\)\s*\{/g;
-        let match;
-
-        while ((match = regex.exec(glslCode)) !== null) {
-            functions.push({
-                returnType: match[1],
-                name: match[2]
-            });
-        }
-
-        return functions;
+        return GLSLParser.parseSignatures(glslCode).functions.filter(f => f.hasBody);
     }
 
     /**
@@ -323,7 +326,14 @@ export class GLSLCommentParser {
      */
     static validate(metadata, glslCode) {
         const errors = [];
-        const functions = this.extractFunctions(glslCode);
+
+        let functions;
+        try {
+            functions = this.extractFunctions(glslCode);
+        } catch (err) {
+            const where = err.loc ? ` (line ${err.loc.line})` : '';
+            return { valid: false, errors: [`Syntax error${where}: ${err.message}`] };
+        }
 
         // If @node is specified, it must match an actual function
         if (metadata.node) {
@@ -338,36 +348,34 @@ export class GLSLCommentParser {
             errors.push(`Multiple functions found, @node directive is required`);
         }
 
-        // Validate @input directives match function parameters
+        // Validate @input and @output directives match function parameters
         if (metadata.node || functions.length === 1) {
             const mainFunc = metadata.node
                 ? functions.find(f => f.name === metadata.node)
                 : functions[0];
 
             if (mainFunc) {
-                const funcMatch = glslCode.match(
-                    new RegExp(`${mainFunc.returnType}\\s+${mainFunc.name}\\s*\\(([^)]*)\\)`)
-                );
-
-                if (funcMatch) {
-                    const paramsString = funcMatch[1];
-                    const actualParams = new Set();
-
-                    if (paramsString.trim()) {
-                        const paramList = paramsString.split(',').map(p => p.trim());
-                        for (const param of paramList) {
-                            const parts = param.split(/\s+/);
-                            if (parts.length >= 2) {
-                                actualParams.add(parts[1]);
-                            }
-                        }
+                const params = new Map(mainFunc.params.map(p => [p.name, p]));
+
+                // Check that all @input directives reference actual parameters
+                for (const inputName of Object.keys(metadata.inputs)) {
+                    const param = params.get(inputName);
+                    if (!param) {
+                        errors.push(`@input "${inputName}" does not match any parameter in function ${mainFunc.name}`);
+                    } else if (param.qualifier === 'out') {
+                        errors.push(`@input "${inputName}" is an out parameter of ${mainFunc.name}: use @output`);
                     }
+                }
 
-                    // Check that all @input directives reference actual parameters
-                    for (const inputName of Object.keys(metadata.inputs)) {
-                        if (!actualParams.has(inputName)) {
-                            errors.push(`@input "${inputName}" does not match any parameter in function ${mainFunc.name}`);
+                // @output names an out/inout parameter, or "return" for the return value
+                for (const outputName of Object.keys(metadata.outputs)) {
+                    const param = params.get(outputName);
+                    if (outputName === 'return') {
+                        if (mainFunc.returnType === 'void') {
+                            errors.push(`@output "return": function ${mainFunc.name} returns void`);
                         }
+                    } else if (!param || param.qualifier === 'in') {
+                        errors.push(`@output "${outputName}" does not match any out or inout parameter in function ${mainFunc.name}`);
                     }
                 }
             }
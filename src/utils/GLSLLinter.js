@@ -0,0 +1,1291 @@
+import { TypeRegistry } from '../core/TypeRegistry.js';
+import { GLSLCommentParser } from './GLSLCommentParser.js';
+import { GLSLLexer, GLSLParser, GLSLSyntaxError } from './GLSLParser.js';
+
+/**
+ * GLSLLinter - GLSL ES 3.00 checks in JS, so custom node code is validated as it's typed
+ * instead of when WebGL compiles the whole shader
+ *
+ * The code is tokenized, parsed into a syntax tree and type checked: syntax errors, undeclared
+ * identifiers, unknown types, operators and calls with the wrong argument types (GLSL ES has no
+ * implicit int/float conversions), assignments to constants, bad swizzles and missing returns.
+ * lintCustomNode() also checks the magic comments (@node, @input) against the node's function.
+ *
+ * Problems are { line, column, endLine, endColumn, severity: 'error' | 'warning', message }
+ * with 1-based lines and columns, like Monaco markers. The linter stops at the first syntax error.
+ */
+export class GLSLLinter {
+    /**
+     * Check a GLSL ES 3.00 snippet (functions and declarations, like custom node code)
+     */
+    static lint(code) {
+        return GLSLLinter.analyze(code).problems;
+    }
+
+    /**
+     * Check custom node code: the GLSL and the magic comments describing the node
+     */
+    static lintCustomNode(code) {
+        const { problems, program, checker } = GLSLLinter.analyze(code);
+        if (!program) return problems;
+
+        // Only functions are copied into the generated shader (see ShaderCompiler.extractAllFunctions),
+        // structs become node types (see createNodeFromGLSL)
+        for (const item of program.items) {
+            const struct = item.kind === 'struct' ? item : item.struct;
+            if (struct) GLSLLinter.checkStructMembers(struct, checker, problems);
+            if (item.kind === 'struct' || (item.kind === 'function' && item.body) || item.kind === 'precision') continue;
+            const what = item.kind === 'function' ? 'Prototypes' : 'Global declarations';
+            problems.push(warning(item.loc, `${what} aren't copied into the shader, only functions are: move this into a function`));
+        }
+        for (const define of program.defines) {
+            problems.push(warning(define.loc, `#define isn't copied into the shader, only functions are`));
+        }
+
+        GLSLLinter.checkMetadata(code, program, checker, problems);
+        return sortProblems(problems);
+    }
+
+    static analyze(code) {
+        const problems = [];
+        let program = null;
+        let checker = null;
+
+        try {
+            program = GLSLParser.parse(code);
+        } catch (err) {
+            if (!(err instanceof GLSLSyntaxError)) throw err;
+            problems.push(error(err.loc, err.message));
+            return { problems, program: null, checker: null };
+        }
+
+        checker = new Checker(problems, program.defines.map(d => d.name));
+        checker.checkProgram(program);
+        return { problems: sortProblems(problems), program, checker };
+    }
+
+    /**
+     * Struct members must be types nodes know, since the struct is registered as one
+     */
+    static checkStructMembers(struct, checker, problems) {
+        for (const member of struct.members) {
+            const type = checker.resolveType(member.type, false, member.array);
+            if (type !== UNKNOWN && !GLSLLinter.isNodeType(type, checker, false)) {
+                problems.push(error(member.loc, `Struct members of custom nodes must be node types (${portTypeNames().join(', ')}), not ${type}`));
+            }
+        }
+    }
+
+    /**
+     * Whether a type can be a port: registered types, structs of the code and (for parameters) arrays of them
+     */
+    static isNodeType(type, checker, allowArrays) {
+        if (isArrayType(type)) {
+            return allowArrays && GLSLLinter.isNodeType(elementType(type), checker, false);
+        }
+        return TypeRegistry.hasType(type) || checker.structs.has(type);
+    }
+
+    /**
+     * Compare @node, @input and @output comments with the node's function
+     */
+    static checkMetadata(code, program, checker, problems) {
+        const { metadata } = GLSLCommentParser.parse(code);
+        const functions = program.items.filter(item => item.kind === 'function' && item.body);
+        const nodeDirective = findDirective(code, 'node', metadata.node);
+
+        let mainFunction = null;
+        if (metadata.node) {
+            mainFunction = functions.find(f => f.name === metadata.node) || null;
+            if (!mainFunction) {
+                problems.push(error(nodeDirective || program.loc, `@node "${metadata.node}" doesn't match any function in the code`));
+                return;
+            }
+        } else if (functions.length === 1) {
+            mainFunction = functions[0];
+        } else if (functions.length > 1) {
+            problems.push(error(functions[1].nameLoc, 'Several functions are defined: add "@node name" to pick the function of the node'));
+            return;
+        } else {
+            problems.push(error(program.loc, 'A custom node needs a function, like: vec3 myNode(vec2 uv) { ... }'));
+            return;
+        }
+
+        // The return value and out/inout parameters are the outputs
+        const isOutput = (param) => param.qualifier === 'out' || param.qualifier === 'inout';
+        const returnType = checker.resolveType(mainFunction.returnType, false);
+        if (returnType === 'void' && !mainFunction.params.some(isOutput)) {
+            problems.push(error(mainFunction.returnType.loc, `${mainFunction.name}() must return a value or have out parameters: they are the outputs of the node`));
+        } else if (returnType !== 'void' && returnType !== UNKNOWN && !GLSLLinter.isNodeType(returnType, checker, false)) {
+            problems.push(warning(mainFunction.returnType.loc, `Nodes can't connect ${returnType} outputs (use ${portTypeNames().join(', ')} or a struct)`));
+        }
+
+        for (const param of mainFunction.params) {
+            const type = checker.resolveType(param.type, false, param.array);
+            if (type === UNKNOWN) continue;
+            if (isArrayType(type) && arrayLength(type) === null) {
+                problems.push(error(param.loc, `Array parameter ${param.name} needs a size (a number)`));
+            } else if (!GLSLLinter.isNodeType(type, checker, true)) {
+                const kind = isOutput(param) ? 'outputs' : 'inputs';
+                problems.push(warning(param.type.loc, `Nodes can't connect ${type} ${kind} (use ${portTypeNames().join(', ')}, a struct or an array of them)`));
+            }
+        }
+
+        // @input/@output lines GLSLCommentParser can't read are ignored by it
+        for (const match of code.matchAll(/@(input|output)\s+(\w+)/g)) {
+            const [, directive, name] = match;
+            if (!metadata[`${directive}s`][name]) {
+                const loc = rangeAt(code, match.index + match[0].length - name.length, name.length);
+                const format = directive === 'input' ? `"Display Name" default="expression"` : `"Display Name"`;
+                problems.push(warning(loc, `@${directive} ${name} is ignored: the format is @${directive} ${name} ${format}`));
+            }
+        }
+
+        for (const [name, input] of Object.entries(metadata.inputs)) {
+            const directive = findDirective(code, 'input', name);
+            const param = mainFunction.params.find(p => p.name === name);
+            if (!param) {
+                problems.push(error(directive || mainFunction.nameLoc, `@input "${name}" doesn't match any parameter of ${mainFunction.name}()`));
+                continue;
+            }
+            if (param.qualifier === 'out') {
+                problems.push(error(directive || param.loc, `${name} is an out parameter: describe it with @output`));
+                continue;
+            }
+            if (input.default && directive) {
+                checker.checkDefault(input.default, param, locateDefault(code, directive, input.default));
+            }
+        }
+
+        for (const name of Object.keys(metadata.outputs)) {
+            const directive = findDirective(code, 'output', name) || mainFunction.nameLoc;
+            if (name === 'return') {
+                if (returnType === 'void') problems.push(error(directive, `@output return: ${mainFunction.name}() returns void`));
+                continue;
+            }
+            const param = mainFunction.params.find(p => p.name === name);
+            if (!param || !isOutput(param)) {
+                problems.push(error(directive, `@output "${name}" doesn't match any out or inout parameter of ${mainFunction.name}() (or "return")`));
+            }
+        }
+    }
+}
+
+// --- Problems ---
+
+function error(loc, message) {
+    return problem(loc, 'error', message);
+}
+
+function warning(loc, message) {
+    return problem(loc, 'warning', message);
+}
+
+// Locations can be tokens or nodes: only the range is kept
+function problem({ line, column, endLine, endColumn }, severity, message) {
+    return { line, column, endLine, endColumn, severity, message };
+}
+
+function sortProblems(problems) {
+    return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+function positionAt(code, offset) {
+    const before = code.slice(0, offset);
+    const line = before.split('\n').length;
+    return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+function rangeAt(code, offset, length) {
+    const start = positionAt(code, offset);
+    const end = positionAt(code, offset + length);
+    return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+}
+
+// Location of the name after "@directive" in a comment, with its offset in the code
+function findDirective(code, directive, name) {
+    if (!name) return null;
+    const regex = new RegExp(`@${directive}\\s+(${name.replace(/\W/g, '\\$&')})\\b`);
+    const match = regex.exec(code);
+    if (!match) return null;
+    const offset = match.index + match[0].length - match[1].length;
+    return { ...rangeAt(code, offset, match[1].length), offset };
+}
+
+function locateDefault(code, directive, expression) {
+    const offset = code.indexOf(expression, directive.offset);
+    return offset === -1 ? directive : rangeAt(code, offset, expression.length);
+}
+
+// --- Types ---
+// Types are strings: 'float', 'vec3', 'mat2x3' (2 columns, 3 rows), struct names and arrays ('float[3]')
+
+const UNKNOWN = '?'; // Type of expressions with an error already reported
+
+const VECTOR_PREFIX = { float: 'vec', int: 'ivec', uint: 'uvec', bool: 'bvec' };
+
+const BUILTIN_TYPES = new Map([['void', { kind: 'void' }]]);
+for (const base of Object.keys(VECTOR_PREFIX)) {
+    BUILTIN_TYPES.set(base, { kind: 'scalar', base, size: 1 });
+    for (let n = 2; n <= 4; n++) {
+        BUILTIN_TYPES.set(VECTOR_PREFIX[base] + n, { kind: 'vector', base, size: n });
+    }
+}
+for (let cols = 2; cols <= 4; cols++) {
+    for (let rows = 2; rows <= 4; rows++) {
+        const info = { kind: 'matrix', base: 'float', cols, rows, size: cols * rows };
+        BUILTIN_TYPES.set(matrixType(cols, rows), info);
+        if (cols === rows) BUILTIN_TYPES.set(`mat${cols}x${rows}`, info); // Alias of matN
+    }
+}
+for (const sampler of ['sampler2D', 'sampler3D', 'samplerCube', 'sampler2DArray', 'sampler2DShadow', 'samplerCubeShadow',
+    'sampler2DArrayShadow', 'isampler2D', 'isampler3D', 'isamplerCube', 'isampler2DArray',
+    'usampler2D', 'usampler3D', 'usamplerCube', 'usampler2DArray']) {
+    BUILTIN_TYPES.set(sampler, { kind: 'sampler' });
+}
+
+function vectorType(base, size) {
+    return size === 1 ? base : VECTOR_PREFIX[base] + size;
+}
+
+function matrixType(cols, rows) {
+    return cols === rows ? `mat${cols}` : `mat${cols}x${rows}`;
+}
+
+// matNxN is the same type as matN
+function canonicalType(name) {
+    const info = BUILTIN_TYPES.get(name);
+    return info && info.kind === 'matrix' ? matrixType(info.cols, info.rows) : name;
+}
+
+function isArrayType(type) {
+    return type.endsWith(']');
+}
+
+function elementType(type) {
+    return type.slice(0, type.indexOf('['));
+}
+
+// Length of an array type, null if unsized or not known ('float[*]': sized by a constant the linter doesn't evaluate)
+function arrayLength(type) {
+    const size = parseInt(type.slice(type.indexOf('[') + 1, -1), 10);
+    return isNaN(size) ? null : size;
+}
+
+function isUnsized(type) {
+    return type.endsWith('[]');
+}
+
+function portTypeNames() {
+    return Object.values(TypeRegistry.types).filter(t => !t.isSpecial).map(t => t.name);
+}
+
+// --- Built-in functions ---
+// genF: float or vecN, genI: int or ivecN, genU: uint or uvecN, genB: bool or bvecN,
+// vec/ivec/uvec/bvec: vectors only, mat: any matrix; all generic types of a signature share N
+
+const BUILTIN_SIGNATURES = `
+genF radians(genF) genF degrees(genF) genF sin(genF) genF cos(genF) genF tan(genF)
+genF asin(genF) genF acos(genF) genF atan(genF, genF) genF atan(genF)
+genF sinh(genF) genF cosh(genF) genF tanh(genF) genF asinh(genF) genF acosh(genF) genF atanh(genF)
+genF pow(genF, genF) genF exp(genF) genF log(genF) genF exp2(genF) genF log2(genF) genF sqrt(genF) genF inversesqrt(genF)
+genF abs(genF) genI abs(genI) genF sign(genF) genI sign(genI)
+genF floor(genF) genF trunc(genF) genF round(genF) genF roundEven(genF) genF ceil(genF) genF fract(genF)
+genF mod(genF, float) genF mod(genF, genF) genF modf(genF, out genF)
+genF min(genF, genF) genF min(genF, float) genI min(genI, genI) genI min(genI, int) genU min(genU, genU) genU min(genU, uint)
+genF max(genF, genF) genF max(genF, float) genI max(genI, genI) genI max(genI, int) genU max(genU, genU) genU max(genU, uint)
+genF clamp(genF, genF, genF) genF clamp(genF, float, float) genI clamp(genI, genI, genI) genI clamp(genI, int, int)
+genU clamp(genU, genU, genU) genU clamp(genU, uint, uint)
+genF mix(genF, genF, genF) genF mix(genF, genF, float) genF mix(genF, genF, genB)
+genF step(genF, genF) genF step(float, genF) genF smoothstep(genF, genF, genF) genF smoothstep(float, float, genF)
+genB isnan(genF) genB isinf(genF)
+genI floatBitsToInt(genF) genU floatBitsToUint(genF) genF intBitsToFloat(genI) genF uintBitsToFloat(genU)
+uint packSnorm2x16(vec2) vec2 unpackSnorm2x16(uint) uint packUnorm2x16(vec2) vec2 unpackUnorm2x16(uint)
+uint packHalf2x16(vec2) vec2 unpackHalf2x16(uint)
+float length(genF) float distance(genF, genF) float dot(genF, genF) vec3 cross(vec3, vec3) genF normalize(genF)
+genF faceforward(genF, genF, genF) genF reflect(genF, genF) genF refract(genF, genF, float)
+mat matrixCompMult(mat, mat) float determinant(mat) mat inverse(mat)
+bvec lessThan(vec, vec) bvec lessThan(ivec, ivec) bvec lessThan(uvec, uvec)
+bvec lessThanEqual(vec, vec) bvec lessThanEqual(ivec, ivec) bvec lessThanEqual(uvec, uvec)
+bvec greaterThan(vec, vec) bvec greaterThan(ivec, ivec) bvec greaterThan(uvec, uvec)
+bvec greaterThanEqual(vec, vec) bvec greaterThanEqual(ivec, ivec) bvec greaterThanEqual(uvec, uvec)
+bvec equal(vec, vec) bvec equal(ivec, ivec) bvec equal(uvec, uvec) bvec equal(bvec, bvec)
+bvec notEqual(vec, vec) bvec notEqual(ivec, ivec) bvec notEqual(uvec, uvec) bvec notEqual(bvec, bvec)
+bool any(bvec) bool all(bvec) bvec not(bvec)
+ivec2 textureSize(sampler2D, int) ivec2 textureSize(samplerCube, int) ivec3 textureSize(sampler3D, int) ivec3 textureSize(sampler2DArray, int)
+ivec2 textureSize(isampler2D, int) ivec2 textureSize(usampler2D, int)
+vec4 texture(sampler2D, vec2) vec4 texture(sampler2D, vec2, float) vec4 texture(samplerCube, vec3) vec4 texture(samplerCube, vec3, float)
+vec4 texture(sampler3D, vec3) vec4 texture(sampler3D, vec3, float) vec4 texture(sampler2DArray, vec3) vec4 texture(sampler2DArray, vec3, float)
+ivec4 texture(isampler2D, vec2) uvec4 texture(usampler2D, vec2) float texture(sampler2DShadow, vec3)
+vec4 textureProj(sampler2D, vec3) vec4 textureProj(sampler2D, vec4) vec4 textureProj(sampler2D, vec3, float) vec4 textureProj(sampler2D, vec4, float)
+vec4 textureLod(sampler2D, vec2, float) vec4 textureLod(samplerCube, vec3, float) vec4 textureLod(sampler3D, vec3, float) vec4 textureLod(sampler2DArray, vec3, float)
+vec4 textureOffset(sampler2D, vec2, ivec2) vec4 textureOffset(sampler2D, vec2, ivec2, float)
+vec4 texelFetch(sampler2D, ivec2, int) vec4 texelFetch(sampler3D, ivec3, int) vec4 texelFetch(sampler2DArray, ivec3, int)
+ivec4 texelFetch(isampler2D, ivec2, int) uvec4 texelFetch(usampler2D, ivec2, int)
+vec4 texelFetchOffset(sampler2D, ivec2, int, ivec2)
+vec4 textureProjOffset(sampler2D, vec3, ivec2) vec4 textureProjOffset(sampler2D, vec4, ivec2)
+vec4 textureLodOffset(sampler2D, vec2, float, ivec2) vec4 textureProjLod(sampler2D, vec3, float) vec4 textureProjLod(sampler2D, vec4, float)
+vec4 textureGrad(sampler2D, vec2, vec2, vec2) vec4 textureGrad(samplerCube, vec3, vec3, vec3) vec4 textureGrad(sampler3D, vec3, vec3, vec3)
+vec4 textureGradOffset(sampler2D, vec2, vec2, vec2, ivec2) vec4 textureProjGrad(sampler2D, vec3, vec2, vec2) vec4 textureProjGrad(sampler2D, vec4, vec2, vec2)
+genF dFdx(genF) genF dFdy(genF) genF fwidth(genF)
+`;
+
+// name -> [{ returnType, params: [{ type, qualifier }] }]
+const BUILTIN_FUNCTIONS = new Map();
+for (const match of BUILTIN_SIGNATURES.matchAll(/(\w+) (\w+)\(([^)]*)\)/g)) {
+    const [, returnType, name, paramList] = match;
+    const params = paramList.split(',').map(param => {
+        const parts = param.trim().split(' ');
+        return parts.length === 2 ? { qualifier: parts[0], type: parts[1] } : { qualifier: 'in', type: parts[0] };
+    });
+    if (!BUILTIN_FUNCTIONS.has(name)) BUILTIN_FUNCTIONS.set(name, []);
+    BUILTIN_FUNCTIONS.get(name).push({ returnType, params });
+}
+
+// Built-ins that can't be used in constant expressions
+const NON_CONSTANT_BUILTINS = /^(texture|texel|dFd|fwidth)/;
+
+const GENERIC_TYPES = {
+    genF: { base: 'float', sizes: [1, 2, 3, 4] },
+    genI: { base: 'int', sizes: [1, 2, 3, 4] },
+    genU: { base: 'uint', sizes: [1, 2, 3, 4] },
+    genB: { base: 'bool', sizes: [1, 2, 3, 4] },
+    vec: { base: 'float', sizes: [2, 3, 4] },
+    ivec: { base: 'int', sizes: [2, 3, 4] },
+    uvec: { base: 'uint', sizes: [2, 3, 4] },
+    bvec: { base: 'bool', sizes: [2, 3, 4] }
+};
+
+// Return type of a built-in signature for the argument types, or null if they don't match
+function matchBuiltin(signature, argTypes) {
+    if (signature.params.length !== argTypes.length) return null;
+    let size = null;
+    let matrix = null;
+
+    for (let i = 0; i < argTypes.length; i++) {
+        const expected = signature.params[i].type;
+        const actual = argTypes[i];
+        const generic = GENERIC_TYPES[expected];
+
+        if (generic) {
+            const info = BUILTIN_TYPES.get(actual);
+            if (!info || info.base !== generic.base || info.kind === 'matrix' || !generic.sizes.includes(info.size)) return null;
+            if (size !== null && size !== info.size) return null;
+            size = info.size;
+        } else if (expected === 'mat') {
+            const info = BUILTIN_TYPES.get(actual);
+            if (!info || info.kind !== 'matrix' || (matrix && matrix !== actual)) return null;
+            matrix = actual;
+        } else if (expected !== actual) {
+            return null;
+        }
+    }
+
+    const returnType = signature.returnType;
+    if (GENERIC_TYPES[returnType]) return vectorType(GENERIC_TYPES[returnType].base, size);
+    if (returnType === 'mat') return matrix;
+    return returnType;
+}
+
+// Hints for names that exist in other GLSL versions
+const UNDECLARED_HINTS = {
+    texture2D: 'use texture() in GLSL ES 3.00',
+    textureCube: 'use texture() in GLSL ES 3.00',
+    texture2DLod: 'use textureLod() in GLSL ES 3.00',
+    gl_FragColor: 'custom nodes return their result instead',
+    iTime: 'use a Time input (or u_time)',
+    iResolution: 'use u_resolution',
+    iMouse: 'use u_mouse'
+};
+
+// --- Type checker ---
+
+class Checker {
+    constructor(problems, macros) {
+        this.problems = problems;
+        this.macros = new Set(macros);
+
+        // Structs: name -> [{ name, type }]
+        this.structs = new Map();
+        for (const type of Object.values(TypeRegistry.types)) {
+            if (type.isStruct) this.structs.set(type.name, type.members.map(m => ({ name: m.name, type: m.type })));
+        }
+
+        // Structs registered from custom node code, which the code being checked may declare again
+        this.redeclarableStructs = new Set(Object.values(TypeRegistry.types).filter(t => t.definedBy).map(t => t.name));
+
+        // User functions: name -> [{ returnType, params: [{ type, qualifier }], isDefined, loc }]
+        this.functions = new Map();
+
+        // Variable scopes: name -> { type, qualifier, isConstant }
+        // Fragment shader built-ins and the PatchToy uniforms custom code can use
+        this.scopes = [new Map([
+            ['gl_FragCoord', { type: 'vec4', qualifier: 'in' }],
+            ['gl_FrontFacing', { type: 'bool', qualifier: 'in' }],
+            ['gl_PointCoord', { type: 'vec2', qualifier: 'in' }],
+            ['gl_FragDepth', { type: 'float', qualifier: 'out' }],
+            ['u_time', { type: 'float', qualifier: 'uniform' }],
+            ['u_resolution', { type: 'vec2', qualifier: 'uniform' }],
+            ['u_mouse', { type: 'vec4', qualifier: 'uniform' }]
+        ])];
+
+        this.currentFunction = null;
+        this.loopDepth = 0;
+        this.switchDepth = 0;
+    }
+
+    error(loc, message) {
+        this.problems.push(error(loc, message));
+        return UNKNOWN;
+    }
+
+    checkProgram(program) {
+        for (const item of program.items) {
+            if (item.kind === 'struct') this.declareStruct(item);
+            else if (item.kind === 'function') this.checkFunction(item);
+            else if (item.kind === 'declaration') this.checkDeclaration(item, true);
+        }
+    }
+
+    /**
+     * Check an @input default expression against its parameter, in the global scope
+     */
+    checkDefault(source, param, loc) {
+        let expression;
+        try {
+            const lexer = new GLSLLexer(source);
+            const parser = new GLSLParser(lexer.tokenize(), lexer.defines);
+            expression = parser.parseExpression();
+            if (parser.peek().type !== 'eof') throw parser.unexpected('Expected the end of the default');
+        } catch (err) {
+            if (!(err instanceof GLSLSyntaxError)) throw err;
+            this.error(loc, `Default of ${param.name}: ${err.message}`);
+            return;
+        }
+
+        // Positions in the default are relative to the expression: report on the whole default
+        const start = this.problems.length;
+        const type = this.typeOf(expression);
+        for (const problem of this.problems.splice(start)) {
+            this.error(loc, `Default of ${param.name}: ${problem.message}`);
+        }
+
+        const paramType = this.resolveType(param.type, false, param.array);
+        if (type !== UNKNOWN && paramType !== UNKNOWN && type !== paramType) {
+            this.error(loc, `Default of ${param.name} is ${article(type)}, the parameter is ${article(paramType)}`);
+        }
+    }
+
+    // --- Declarations ---
+
+    /**
+     * Type name of a type specifier (with its array size), reporting unknown types
+     */
+    resolveType(typeSpec, report = true, array = null) {
+        if (typeSpec.struct && !this.structs.has(typeSpec.name)) this.declareStruct(typeSpec.struct);
+
+        let name = canonicalType(typeSpec.name);
+        if (!BUILTIN_TYPES.has(name) && !this.structs.has(name)) {
+            if (this.macros.has(name)) return UNKNOWN;
+            return report ? this.error(typeSpec.loc, `Unknown type '${typeSpec.name}'`) : UNKNOWN;
+        }
+
+        const arrays = [typeSpec.array, array].filter(Boolean);
+        if (arrays.length > 1) {
+            return report ? this.error(typeSpec.loc, 'Arrays of arrays are not allowed in GLSL ES 3.00') : UNKNOWN;
+        }
+        if (arrays.length === 1) {
+            name += `[${this.arraySize(arrays[0], report)}]`;
+        }
+        return name;
+    }
+
+    arraySize(array, report) {
+        if (!array.size) return '';
+        if (!report) return this.constantValue(array.size) ?? '*';
+
+        const type = this.typeOf(array.size);
+        if (type !== UNKNOWN && type !== 'int' && type !== 'uint') {
+            this.error(array.size.loc, `Array size must be an integer, not ${article(type)}`);
+            return '';
+        }
+        if (!this.isConstant(array.size)) {
+            this.error(array.size.loc, 'Array size must be a constant expression');
+            return '';
+        }
+        const literal = this.constantValue(array.size);
+        if (literal !== null && literal <= 0) {
+            this.error(array.size.loc, 'Array size must be greater than zero');
+            return '';
+        }
+        return literal === null ? '*' : literal;
+    }
+
+    // Value of integer literals and constants initialized with one (sizes and indices), null for anything else
+    constantValue(expression) {
+        if (expression.kind === 'ident') {
+            const symbol = this.lookup(expression.name);
+            return symbol && symbol.value !== undefined ? symbol.value : null;
+        }
+        if (expression.kind !== 'literal' || expression.type === 'float' || expression.type === 'bool') return null;
+        return expression.value;
+    }
+
+    declareStruct(struct) {
+        if (this.redeclarableStructs.delete(struct.name)) {
+            this.structs.delete(struct.name);
+        }
+        if (this.structs.has(struct.name) || BUILTIN_TYPES.has(struct.name)) {
+            this.error(struct.nameLoc, `'${struct.name}' is already defined`);
+            return;
+        }
+
+        const members = [];
+        for (const member of struct.members) {
+            const type = this.resolveType(member.type, true, member.array);
+            if (members.some(m => m.name === member.name)) {
+                this.error(member.loc, `Duplicate member '${member.name}' in struct ${struct.name}`);
+            }
+            members.push({ name: member.name, type });
+        }
+        this.structs.set(struct.name, members);
+    }
+
+    declareVariable(name, loc, symbol) {
+        const scope = this.scopes[this.scopes.length - 1];
+        if (scope.has(name) || (this.scopes.length === 1 && this.functions.has(name))) {
+            this.error(loc, `'${name}' is already declared in this scope`);
+            return;
+        }
+        if (name.startsWith('gl_')) {
+            this.error(loc, `Names starting with gl_ are reserved`);
+        }
+        scope.set(name, symbol);
+    }
+
+    lookup(name) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            const symbol = this.scopes[i].get(name);
+            if (symbol) return symbol;
+        }
+        return null;
+    }
+
+    checkDeclaration(declaration, isGlobal = false) {
+        const { qualifier } = declaration;
+
+        for (const declarator of declaration.declarators) {
+            const type = this.resolveType(declaration.type, true, declarator.array);
+
+            if (declarator.init) {
+                const initType = this.typeOf(declarator.init);
+                if (qualifier === 'uniform' || qualifier === 'in') {
+                    this.error(declarator.init.loc, `${qualifier} variables can't be initialized`);
+                } else if (type !== UNKNOWN && initType !== UNKNOWN && !this.isAssignable(type, initType)) {
+                    this.error(declarator.init.loc, `Can't initialize ${article(type)} with ${article(initType)}`);
+                }
+                if (qualifier === 'const' && !this.isConstant(declarator.init)) {
+                    this.error(declarator.init.loc, `const ${declarator.name} needs a constant value (uniforms, inputs and texture reads aren't constant)`);
+                }
+            } else if (qualifier === 'const') {
+                this.error(declarator.nameLoc, `const ${declarator.name} needs a value`);
+            }
+
+            // Unsized arrays take the size of their initializer
+            let declaredType = type;
+            if (type !== UNKNOWN && isUnsized(type)) {
+                const initType = declarator.init ? this.typeOf(declarator.init, true) : UNKNOWN;
+                if (initType !== UNKNOWN && isArrayType(initType)) declaredType = initType;
+                else if (!declarator.init) this.error(declarator.nameLoc, `Array ${declarator.name} needs a size`);
+            }
+
+            this.declareVariable(declarator.name, declarator.nameLoc, {
+                type: declaredType,
+                qualifier: isGlobal || qualifier === 'const' ? qualifier : null,
+                isConstant: qualifier === 'const',
+                value: qualifier === 'const' && declarator.init ? this.constantValue(declarator.init) ?? undefined : undefined
+            });
+        }
+    }
+
+    // --- Functions ---
+
+    checkFunction(func) {
+        const returnType = this.resolveType(func.returnType);
+        const params = func.params.map(param => ({
+            name: param.name,
+            qualifier: param.qualifier,
+            type: this.resolveType(param.type, true, param.array),
+            loc: param.loc
+        }));
+
+        if (BUILTIN_FUNCTIONS.has(func.name)) {
+            this.error(func.nameLoc, `${func.name}() is a built-in function and can't be redefined`);
+        }
+        if (this.scopes[0].has(func.name) || this.structs.has(func.name)) {
+            this.error(func.nameLoc, `'${func.name}' is already declared`);
+        }
+
+        const overloads = this.functions.get(func.name) || [];
+        const existing = overloads.find(o => o.params.length === params.length && o.params.every((p, i) => p.type === params[i].type));
+        if (existing) {
+            if (existing.returnType !== returnType && returnType !== UNKNOWN && existing.returnType !== UNKNOWN) {
+                this.error(func.returnType.loc, `${func.name}() was declared returning ${existing.returnType}`);
+            }
+            if (existing.isDefined && func.body) {
+                this.error(func.nameLoc, `${func.name}(${params.map(p => p.type).join(', ')}) is already defined`);
+            }
+            existing.isDefined = existing.isDefined || !!func.body;
+        } else {
+            overloads.push({ returnType, params, isDefined: !!func.body, loc: func.nameLoc });
+            this.functions.set(func.name, overloads);
+        }
+
+        if (!func.body) return;
+
+        // Parameters and the body's top-level declarations share one scope
+        this.scopes.push(new Map());
+        for (const param of params) {
+            if (param.name) this.declareVariable(param.name, param.loc, { type: param.type, qualifier: param.qualifier === 'in' ? null : param.qualifier });
+        }
+        this.currentFunction = { name: func.name, returnType };
+        this.checkStatements(func.body.statements);
+        this.currentFunction = null;
+        this.scopes.pop();
+
+        if (returnType !== 'void' && returnType !== UNKNOWN && !this.returns(func.body)) {
+            this.error(func.nameLoc, `${func.name}() must return ${article(returnType)}`);
+        }
+    }
+
+    // Whether a statement always ends with a return (or discard)
+    returns(statement) {
+        switch (statement.kind) {
+            case 'return':
+            case 'discard':
+                return true;
+            case 'block':
+                return statement.statements.some(s => this.returns(s));
+            case 'if':
+                return !!statement.otherwise && this.returns(statement.then) && this.returns(statement.otherwise);
+            case 'do':
+                return this.returns(statement.body);
+            case 'switch':
+                return statement.body.statements.some(s => s.kind === 'case' && !s.value)
+                    && statement.body.statements.every(s => s.kind !== 'break')
+                    && this.returns(statement.body);
+            default:
+                return false;
+        }
+    }
+
+    // --- Statements ---
+
+    checkStatements(statements) {
+        for (const statement of statements) {
+            this.checkStatement(statement);
+        }
+    }
+
+    checkStatement(statement) {
+        switch (statement.kind) {
+            case 'block':
+                this.scopes.push(new Map());
+                this.checkStatements(statement.statements);
+                this.scopes.pop();
+                break;
+
+            case 'declaration':
+                this.checkDeclaration(statement);
+                break;
+
+            case 'struct':
+                this.declareStruct(statement);
+                break;
+
+            case 'expression':
+                this.typeOf(statement.expression);
+                break;
+
+            case 'if':
+                this.checkCondition(statement.condition, 'if');
+                this.checkScoped(statement.then);
+                if (statement.otherwise) this.checkScoped(statement.otherwise);
+                break;
+
+            case 'for':
+                this.scopes.push(new Map());
+                this.checkStatement(statement.init);
+                if (statement.condition) this.checkCondition(statement.condition, 'for');
+                if (statement.update) this.typeOf(statement.update);
+                this.loopDepth++;
+                this.checkScoped(statement.body);
+                this.loopDepth--;
+                this.scopes.pop();
+                break;
+
+            case 'while':
+            case 'do':
+                this.loopDepth++;
+                if (statement.kind === 'while') this.checkCondition(statement.condition, 'while');
+                this.checkScoped(statement.body);
+                if (statement.kind === 'do') this.checkCondition(statement.condition, 'do-while');
+                this.loopDepth--;
+                break;
+
+            case 'switch': {
+                const type = this.typeOf(statement.selector);
+                if (type !== UNKNOWN && type !== 'int' && type !== 'uint') {
+                    this.error(statement.selector.loc, `switch needs an int or uint, not ${article(type)}`);
+                }
+                this.switchDepth++;
+                this.checkStatement(statement.body);
+                this.switchDepth--;
+                break;
+            }
+
+            case 'case':
+                if (this.switchDepth === 0) {
+                    this.error(statement.loc, `${statement.value ? 'case' : 'default'} outside of a switch`);
+                } else if (statement.value) {
+                    const type = this.typeOf(statement.value);
+                    if (type !== UNKNOWN && type !== 'int' && type !== 'uint') {
+                        this.error(statement.value.loc, `case labels must be int or uint, not ${article(type)}`);
+                    } else if (!this.isConstant(statement.value)) {
+                        this.error(statement.value.loc, 'case labels must be constant');
+                    }
+                }
+                break;
+
+            case 'return':
+                this.checkReturn(statement);
+                break;
+
+            case 'break':
+                if (this.loopDepth === 0 && this.switchDepth === 0) this.error(statement.loc, 'break outside of a loop or switch');
+                break;
+
+            case 'continue':
+                if (this.loopDepth === 0) this.error(statement.loc, 'continue outside of a loop');
+                break;
+        }
+    }
+
+    // Statements of if/loop bodies get their own scope even without braces
+    checkScoped(statement) {
+        this.scopes.push(new Map());
+        this.checkStatement(statement);
+        this.scopes.pop();
+    }
+
+    checkCondition(expression, statement) {
+        const type = this.typeOf(expression);
+        if (type !== UNKNOWN && type !== 'bool') {
+            this.error(expression.loc, `The ${statement} condition must be a bool, not ${article(type)}`);
+        }
+    }
+
+    checkReturn(statement) {
+        const func = this.currentFunction;
+        if (!func) return;
+
+        if (!statement.value) {
+            if (func.returnType !== 'void' && func.returnType !== UNKNOWN) {
+                this.error(statement.loc, `${func.name}() must return ${article(func.returnType)}`);
+            }
+            return;
+        }
+
+        const type = this.typeOf(statement.value);
+        if (func.returnType === 'void') {
+            this.error(statement.value.loc, `${func.name}() returns void, it can't return a value`);
+        } else if (type !== UNKNOWN && func.returnType !== UNKNOWN && type !== func.returnType) {
+            this.error(statement.value.loc, `${func.name}() returns ${article(func.returnType)}, not ${article(type)}`);
+        }
+    }
+
+    // --- Expressions ---
+
+    isAssignable(target, value) {
+        if (target === value) return true;
+        // Unsized arrays take any size (and sizes the linter doesn't know match any)
+        return isArrayType(target) && isArrayType(value) && elementType(target) === elementType(value)
+            && (arrayLength(target) === null || arrayLength(value) === null);
+    }
+
+    /**
+     * Type of an expression, reporting its errors (quiet re-evaluates without reporting)
+     */
+    typeOf(expression, quiet = false) {
+        if (quiet) {
+            const start = this.problems.length;
+            const type = this.typeOf(expression);
+            this.problems.splice(start);
+            return type;
+        }
+
+        switch (expression.kind) {
+            case 'literal':
+                return expression.type;
+            case 'ident':
+                return this.identType(expression);
+            case 'sequence':
+                return expression.expressions.map(e => this.typeOf(e)).pop();
+            case 'assign':
+                return this.assignType(expression);
+            case 'ternary':
+                return this.ternaryType(expression);
+            case 'binary':
+                return this.binaryType(expression.operator, this.typeOf(expression.left), this.typeOf(expression.right), expression);
+            case 'unary':
+            case 'postfix':
+                return this.unaryType(expression);
+            case 'index':
+                return this.indexType(expression);
+            case 'field':
+                return this.fieldType(expression);
+            case 'length': {
+                const type = this.typeOf(expression.object);
+                const info = BUILTIN_TYPES.get(type);
+                if (type !== UNKNOWN && !isArrayType(type) && !(info && (info.kind === 'vector' || info.kind === 'matrix'))) {
+                    return this.error(expression.loc, `length() needs an array, vector or matrix, not ${article(type)}`);
+                }
+                return 'int';
+            }
+            case 'call':
+                return this.callType(expression);
+        }
+        return UNKNOWN;
+    }
+
+    identType(expression) {
+        const symbol = this.lookup(expression.name);
+        if (symbol) return symbol.type;
+        if (this.macros.has(expression.name)) return UNKNOWN;
+        if (this.functions.has(expression.name) || BUILTIN_FUNCTIONS.has(expression.name)) {
+            return this.error(expression.loc, `${expression.name} is a function: call it with ${expression.name}(...)`);
+        }
+        if (BUILTIN_TYPES.has(expression.name) || this.structs.has(expression.name)) {
+            return this.error(expression.loc, `${expression.name} is a type, not a value`);
+        }
+        const hint = UNDECLARED_HINTS[expression.name];
+        return this.error(expression.loc, `'${expression.name}' is not declared${hint ? ` (${hint})` : ''}`);
+    }
+
+    // Why an expression can't be assigned to, or null if it can
+    notWritable(expression) {
+        switch (expression.kind) {
+            case 'ident': {
+                const symbol = this.lookup(expression.name);
+                if (!symbol) return null; // Already reported
+                if (symbol.qualifier === 'const') return `${expression.name} is const`;
+                if (symbol.qualifier === 'uniform') return `${expression.name} is a uniform`;
+                if (symbol.qualifier === 'in') return `${expression.name} is an input`;
+                return null;
+            }
+            case 'index':
+                return this.notWritable(expression.object);
+            case 'field': {
+                const field = expression.field;
+                if (BUILTIN_TYPES.get(this.typeOf(expression.object, true))?.kind === 'vector' && new Set(field).size !== field.length) {
+                    return `the swizzle .${field} repeats a component`;
+                }
+                return this.notWritable(expression.object);
+            }
+            default:
+                return 'it is not a variable';
+        }
+    }
+
+    assignType(expression) {
+        const targetType = this.typeOf(expression.target);
+        const valueType = this.typeOf(expression.value);
+
+        const reason = this.notWritable(expression.target);
+        if (reason) this.error(expression.target.loc, `Can't assign: ${reason}`);
+
+        if (targetType === UNKNOWN || valueType === UNKNOWN) return targetType;
+
+        if (expression.operator === '=') {
+            if (!this.isAssignable(targetType, valueType)) {
+                this.error(expression.loc, `Can't assign ${article(valueType)} to ${article(targetType)}`);
+            }
+            return targetType;
+        }
+
+        const operator = expression.operator.slice(0, -1);
+        const resultType = this.binaryType(operator, targetType, valueType, expression);
+        if (resultType !== UNKNOWN && resultType !== targetType) {
+            this.error(expression.loc, `${targetType} ${operator} ${valueType} is ${article(resultType)}, it can't be stored in ${article(targetType)}`);
+        }
+        return targetType;
+    }
+
+    ternaryType(expression) {
+        this.checkCondition(expression.condition, '?:');
+        const thenType = this.typeOf(expression.then);
+        const otherwiseType = this.typeOf(expression.otherwise);
+        if (thenType === UNKNOWN || otherwiseType === UNKNOWN) return UNKNOWN;
+        if (thenType !== otherwiseType) {
+            return this.error(expression.loc, `Both sides of ?: must have the same type (${thenType} and ${otherwiseType})`);
+        }
+        return thenType;
+    }
+
+    binaryType(operator, left, right, expression) {
+        if (left === UNKNOWN || right === UNKNOWN) return UNKNOWN;
+
+        const l = BUILTIN_TYPES.get(left);
+        const r = BUILTIN_TYPES.get(right);
+        const loc = expression.operatorLoc || expression.loc;
+        const mismatch = () => {
+            const hint = l && r && l.base !== r.base && (l.base === 'int' || r.base === 'int')
+                ? ' (GLSL ES has no implicit conversions: write 1.0 instead of 1, or float(i))'
+                : '';
+            return this.error(loc, `No operator ${operator} for ${left} and ${right}${hint}`);
+        };
+
+        switch (operator) {
+            case '&&':
+            case '||':
+            case '^^':
+                if (left !== 'bool' || right !== 'bool') return this.error(loc, `${operator} needs two bools, not ${left} and ${right}`);
+                return 'bool';
+
+            case '==':
+            case '!=':
+                if (left !== right || (l && l.kind === 'sampler')) return mismatch();
+                return 'bool';
+
+            case '<':
+            case '>':
+            case '<=':
+            case '>=':
+                if (left !== right || !l || l.kind !== 'scalar' || l.base === 'bool') {
+                    const hint = l && l.kind === 'vector' ? ` (use lessThan(), greaterThan()… to compare vectors)` : '';
+                    if (left === right && hint) return this.error(loc, `${operator} only compares scalars${hint}`);
+                    return mismatch();
+                }
+                return 'bool';
+
+            case '<<':
+            case '>>':
+                if (!l || !r || !['int', 'uint'].includes(l.base) || !['int', 'uint'].includes(r.base) || l.kind === 'matrix') return mismatch();
+                if (r.kind === 'vector' && r.size !== l.size) return mismatch();
+                return left;
+
+            case '%':
+            case '&':
+            case '|':
+            case '^':
+                if (!l || !r || !['int', 'uint'].includes(l.base)) return mismatch();
+                return this.componentWiseType(left, right, l, r) || mismatch();
+
+            default: // + - * /
+                if (!l || !r || !['float', 'int', 'uint'].includes(l.base) || !['float', 'int', 'uint'].includes(r.base)) return mismatch();
+                if (operator === '*' && (l.kind === 'matrix' || r.kind === 'matrix')) {
+                    return this.multiplyType(l, r) || mismatch();
+                }
+                return this.componentWiseType(left, right, l, r) || mismatch();
+        }
+    }
+
+    // Same types, or a scalar with a vector or matrix of the same base type
+    componentWiseType(left, right, l, r) {
+        if (l.base !== r.base) return null;
+        if (left === right) return left;
+        if (l.kind === 'scalar' && r.kind !== 'sampler') return right;
+        if (r.kind === 'scalar' && l.kind !== 'sampler') return left;
+        return null;
+    }
+
+    // Linear algebra products with matrices
+    multiplyType(l, r) {
+        if (l.base !== 'float' || r.base !== 'float') return null;
+        if (l.kind === 'scalar') return matrixType(r.cols, r.rows);
+        if (r.kind === 'scalar') return matrixType(l.cols, l.rows);
+        if (l.kind === 'matrix' && r.kind === 'vector') return l.cols === r.size ? vectorType('float', l.rows) : null;
+        if (l.kind === 'vector' && r.kind === 'matrix') return l.size === r.rows ? vectorType('float', r.cols) : null;
+        if (l.kind === 'matrix' && r.kind === 'matrix') return l.cols === r.rows ? matrixType(r.cols, l.rows) : null;
+        return null;
+    }
+
+    unaryType(expression) {
+        const type = this.typeOf(expression.operand);
+        if (type === UNKNOWN) return UNKNOWN;
+        const info = BUILTIN_TYPES.get(type);
+        const { operator } = expression;
+
+        if (operator === '!') {
+            if (type !== 'bool') return this.error(expression.loc, `! needs a bool, not ${article(type)} (use not() for bvec)`);
+            return 'bool';
+        }
+        if (operator === '~') {
+            if (!info || !['int', 'uint'].includes(info.base)) return this.error(expression.loc, `~ needs an integer, not ${article(type)}`);
+            return type;
+        }
+        if (!info || !['float', 'int', 'uint'].includes(info.base)) {
+            return this.error(expression.loc, `${operator} needs a number, not ${article(type)}`);
+        }
+        if (operator === '++' || operator === '--') {
+            const reason = this.notWritable(expression.operand);
+            if (reason) this.error(expression.loc, `Can't use ${operator}: ${reason}`);
+        }
+        return type;
+    }
+
+    indexType(expression) {
+        const type = this.typeOf(expression.object);
+        const indexType = this.typeOf(expression.index);
+
+        if (indexType !== UNKNOWN && indexType !== 'int' && indexType !== 'uint') {
+            this.error(expression.index.loc, `Index must be an int or uint, not ${article(indexType)}`);
+        }
+        if (type === UNKNOWN) return UNKNOWN;
+
+        const info = BUILTIN_TYPES.get(type);
+        let element;
+        let length;
+        if (isArrayType(type)) {
+            element = elementType(type);
+            length = arrayLength(type);
+        } else if (info && info.kind === 'vector') {
+            element = info.base;
+            length = info.size;
+        } else if (info && info.kind === 'matrix') {
+            element = vectorType('float', info.rows);
+            length = info.cols;
+        } else {
+            return this.error(expression.loc, `${type} can't be indexed`);
+        }
+
+        const index = this.constantValue(expression.index);
+        if (index !== null && length !== null && index >= length) {
+            this.error(expression.index.loc, `Index ${index} is out of range (${type} has ${length})`);
+        }
+        return element;
+    }
+
+    fieldType(expression) {
+        const type = this.typeOf(expression.object);
+        if (type === UNKNOWN) return UNKNOWN;
+        const { field } = expression;
+
+        if (this.structs.has(type)) {
+            const member = this.structs.get(type).find(m => m.name === field);
+            if (!member) {
+                const names = this.structs.get(type).map(m => m.name).join(', ');
+                return this.error(expression.fieldLoc, `${type} has no member '${field}' (members: ${names})`);
+            }
+            return member.type;
+        }
+
+        const info = BUILTIN_TYPES.get(type);
+        if (!info || info.kind !== 'vector') {
+            const hint = info && info.kind === 'scalar' ? ' (scalars can\'t be swizzled in GLSL ES)' : '';
+            return this.error(expression.fieldLoc, `${type} has no field .${field}${hint}`);
+        }
+
+        const set = ['xyzw', 'rgba', 'stpq'].find(s => s.includes(field[0]));
+        if (!set || field.length > 4 || [...field].some(c => !set.includes(c))) {
+            return this.error(expression.fieldLoc, `Invalid swizzle .${field} (components come from one of xyzw, rgba or stpq)`);
+        }
+        const outOfRange = [...field].find(c => set.indexOf(c) >= info.size);
+        if (outOfRange) {
+            return this.error(expression.fieldLoc, `.${field}: ${type} has no ${outOfRange} component`);
+        }
+        return vectorType(info.base, field.length);
+    }
+
+    // --- Calls ---
+
+    callType(expression) {
+        const { name } = expression;
+        const argTypes = expression.args.map(arg => this.typeOf(arg));
+
+        if (expression.arrayType) {
+            return this.arrayConstructorType(expression, argTypes);
+        }
+        if (BUILTIN_TYPES.has(name)) {
+            return this.constructorType(expression, canonicalType(name), argTypes);
+        }
+        if (this.structs.has(name)) {
+            return this.structConstructorType(expression, argTypes);
+        }
+        if (this.macros.has(name)) return UNKNOWN;
+
+        // Built-ins the signature table can't express
+        if ((name === 'transpose' || name === 'outerProduct') && !this.functions.has(name)) {
+            if (argTypes.includes(UNKNOWN)) return UNKNOWN;
+            return this.matrixFunctionType(name, argTypes)
+                || this.error(expression.loc, `No matching call ${name}(${argTypes.join(', ')}): ${name} takes ${name === 'transpose' ? 'a matrix' : 'two float vectors'}`);
+        }
+
+        const overloads = this.functions.get(name) || BUILTIN_FUNCTIONS.get(name);
+        if (!overloads) {
+            if (this.lookup(name)) return this.error(expression.nameLoc, `${name} is a variable, not a function`);
+            const hint = UNDECLARED_HINTS[name];
+            return this.error(expression.nameLoc, `Function ${name}() is not declared${hint ? ` (${hint})` : ''}`);
+        }
+        if (argTypes.includes(UNKNOWN)) {
+            // Still give the result type when all overloads agree
+            const returnTypes = new Set(overloads.map(o => o.returnType));
+            return returnTypes.size === 1 && !GENERIC_TYPES[[...returnTypes][0]] && [...returnTypes][0] !== 'mat' ? [...returnTypes][0] : UNKNOWN;
+        }
+
+        const isBuiltin = !this.functions.has(name);
+        for (const overload of overloads) {
+            const returnType = isBuiltin
+                ? matchBuiltin(overload, argTypes)
+                : (overload.params.length === argTypes.length && overload.params.every((p, i) => p.type === argTypes[i]) ? overload.returnType : null);
+            if (returnType) {
+                this.checkOutArguments(expression, overload.params);
+                return returnType;
+            }
+        }
+
+        const call = `${name}(${argTypes.join(', ')})`;
+        if (overloads.length === 1) {
+            const expected = overloads[0].params.map(p => p.type).join(', ');
+            return this.error(expression.loc, `No matching call ${call}: ${name} takes (${expected})${this.conversionHint(argTypes)}`);
+        }
+        return this.error(expression.loc, `No overload of ${name}() takes (${argTypes.join(', ')})${this.conversionHint(argTypes)}`);
+    }
+
+    conversionHint(argTypes) {
+        return argTypes.some(t => BUILTIN_TYPES.get(t)?.base === 'int')
+            ? ' (GLSL ES has no implicit conversions: write 1.0 instead of 1, or float(i))'
+            : '';
+    }
+
+    matrixFunctionType(name, argTypes) {
+        const infos = argTypes.map(t => BUILTIN_TYPES.get(t));
+        if (name === 'transpose' && infos.length === 1 && infos[0]?.kind === 'matrix') {
+            return matrixType(infos[0].rows, infos[0].cols);
+        }
+        if (name === 'outerProduct' && infos.length === 2 && infos.every(i => i?.kind === 'vector' && i.base === 'float')) {
+            return matrixType(infos[1].size, infos[0].size);
+        }
+        return null;
+    }
+
+    checkOutArguments(expression, params) {
+        params.forEach((param, i) => {
+            if (param.qualifier !== 'out' && param.qualifier !== 'inout') return;
+            const reason = this.notWritable(expression.args[i]);
+            if (reason) this.error(expression.args[i].loc, `Argument ${i + 1} of ${expression.name}() is ${param.qualifier}: ${reason}`);
+        });
+    }
+
+    // vecN(...), matN(...), float(...): scalars, vectors and matrices converted component by component
+    constructorType(expression, type, argTypes) {
+        const info = BUILTIN_TYPES.get(type);
+        if (info.kind === 'sampler' || info.kind === 'void') {
+            return this.error(expression.nameLoc, `${type} has no constructor`);
+        }
+        if (argTypes.includes(UNKNOWN)) return type;
+        if (argTypes.length === 0) {
+            return this.error(expression.loc, `${type}() needs arguments`);
+        }
+
+        const argInfos = argTypes.map(t => BUILTIN_TYPES.get(t));
+        const invalid = argTypes.find((t, i) => !argInfos[i] || !['scalar', 'vector', 'matrix'].includes(argInfos[i].kind));
+        if (invalid) {
+            return this.error(expression.loc, `${type}() can't be built from ${article(invalid)}`);
+        }
+
+        if (info.kind === 'scalar') {
+            if (argTypes.length > 1) return this.error(expression.loc, `${type}() takes a single argument`);
+            return type;
+        }
+
+        // A single scalar fills a vector or a matrix diagonal, a single matrix converts
+        if (argTypes.length === 1 && (argInfos[0].kind === 'scalar' || (info.kind === 'matrix' && argInfos[0].kind === 'matrix'))) {
+            return type;
+        }
+        if (info.kind === 'matrix' && argInfos.some(a => a.kind === 'matrix')) {
+            return this.error(expression.loc, `${type}() can't mix matrices with other arguments`);
+        }
+
+        let components = 0;
+        for (let i = 0; i < argInfos.length; i++) {
+            if (components >= info.size) {
+                return this.error(expression.args[i].loc, `Too many arguments for ${type}(): it has ${info.size} components`);
+            }
+            components += argInfos[i].size;
+        }
+        if (components < info.size) {
+            return this.error(expression.loc, `Not enough components for ${type}(): ${components} of ${info.size}`);
+        }
+        return type;
+    }
+
+    structConstructorType(expression, argTypes) {
+        const { name } = expression;
+        const members = this.structs.get(name);
+        if (argTypes.length !== members.length) {
+            return this.error(expression.loc, `${name}() takes ${members.length} arguments (${members.map(m => `${m.type} ${m.name}`).join(', ')})`);
+        }
+        members.forEach((member, i) => {
+            if (argTypes[i] !== UNKNOWN && member.type !== UNKNOWN && argTypes[i] !== member.type) {
+                this.error(expression.args[i].loc, `${name}.${member.name} is ${article(member.type)}, not ${article(argTypes[i])}`);
+            }
+        });
+        return name;
+    }
+
+    arrayConstructorType(expression, argTypes) {
+        const type = this.resolveType(expression.arrayType);
+        if (type === UNKNOWN) return UNKNOWN;
+
+        const element = elementType(type);
+        const length = arrayLength(type);
+        if (length !== null && length !== argTypes.length) {
+            return this.error(expression.loc, `${type} constructor needs ${length} values, not ${argTypes.length}`);
+        }
+        argTypes.forEach((argType, i) => {
+            if (argType !== UNKNOWN && argType !== element) {
+                this.error(expression.args[i].loc, `Array elements must be ${article(element)}, not ${article(argType)}`);
+            }
+        });
+        return `${element}[${argTypes.length}]`;
+    }
+
+    // --- Constant expressions ---
+
+    isConstant(expression) {
+        switch (expression.kind) {
+            case 'literal':
+                return true;
+            case 'ident': {
+                const symbol = this.lookup(expression.name);
+                return this.macros.has(expression.name) || !!(symbol && symbol.isConstant);
+            }
+            case 'binary':
+                return this.isConstant(expression.left) && this.isConstant(expression.right);
+            case 'unary':
+                return expression.operator !== '++' && expression.operator !== '--' && this.isConstant(expression.operand);
+            case 'ternary':
+                return this.isConstant(expression.condition) && this.isConstant(expression.then) && this.isConstant(expression.otherwise);
+            case 'field':
+            case 'length':
+                return this.isConstant(expression.object);
+            case 'index':
+                return this.isConstant(expression.object) && this.isConstant(expression.index);
+            case 'sequence':
+                return expression.expressions.every(e => this.isConstant(e));
+            case 'call': {
+                const { name } = expression;
+                const isConstructor = !!expression.arrayType || BUILTIN_TYPES.has(name) || this.structs.has(name);
+                const isPureBuiltin = BUILTIN_FUNCTIONS.has(name) && !this.functions.has(name) && !NON_CONSTANT_BUILTINS.test(name);
+                return (isConstructor || isPureBuiltin || this.macros.has(name)) && expression.args.every(arg => this.isConstant(arg));
+            }
+            default:
+                return false;
+        }
+    }
+}
+
+function article(type) {
+    return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
@@ -0,0 +1,727 @@
+import { TypeRegistry } from '../core/TypeRegistry.js';
+
+/**
+ * GLSLParser - Tokenizer and recursive descent parser for GLSL ES 3.00
+ *
+ * parse() gives the syntax tree the linter type checks (GLSLLinter); parseSignatures() gives the
+ * functions and structs of custom node code, with qualifiers and array sizes, to build nodes from.
+ * Syntax errors are thrown as GLSLSyntaxError with the location of the offending token
+ * (1-based line and column, like editor markers).
+ */
+
+export class GLSLSyntaxError extends Error {
+    constructor(loc, message) {
+        super(message);
+        this.loc = loc;
+    }
+}
+
+// Built-in type names (the parser only needs to tell types from other names)
+const BUILTIN_TYPE_REGEX = /^(void|float|int|uint|bool|[iub]?vec[234]|mat[234](x[234])?|[iu]?sampler(2D|3D|Cube|2DArray)|sampler(2D|Cube|2DArray)Shadow)$/;
+
+function isBuiltinType(name) {
+    return BUILTIN_TYPE_REGEX.test(name);
+}
+
+// Type name of a parsed type (and array suffix of its declarator): matNxN is matN, sizes must be literals
+function signatureType(typeSpec, array = null) {
+    const name = typeSpec.name.replace(/^mat([234])x\1$/, 'mat$1');
+    const arrayInfo = typeSpec.array || array;
+    if (!arrayInfo) return name;
+    const size = arrayInfo.size && arrayInfo.size.kind === 'literal' && arrayInfo.size.type !== 'float' ? arrayInfo.size.value : '';
+    return `${name}[${size}]`;
+}
+
+// --- Lexer ---
+
+const KEYWORDS = new Set([
+    'const', 'uniform', 'in', 'out', 'inout', 'centroid', 'flat', 'smooth', 'layout', 'invariant',
+    'precision', 'highp', 'mediump', 'lowp', 'struct',
+    'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default',
+    'break', 'continue', 'return', 'discard', 'true', 'false'
+]);
+
+// GLSL ES 1.00 storage qualifiers, reserved in 3.00
+const REMOVED_QUALIFIERS = { attribute: 'in', varying: 'in or out' };
+
+const OPERATORS = [
+    '<<=', '>>=', '++', '--', '<=', '>=', '==', '!=', '&&', '||', '^^', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>',
+    '+', '-', '*', '/', '%', '<', '>', '=', '!', '~', '&', '|', '^', '?', ':', ';', ',', '.', '(', ')', '[', ']', '{', '}'
+];
+
+const NUMBER_PATTERNS = [
+    { regex: /^(\d+\.\d*|\.\d+)([eE][+-]?\d+)?[fF]?|^\d+[eE][+-]?\d+[fF]?/y, type: 'float' },
+    { regex: /^0[xX][0-9a-fA-F]+[uU]?|^\d+[uU]?/y, type: 'int' }
+];
+
+export class GLSLLexer {
+    constructor(code) {
+        this.code = code;
+        this.offset = 0;
+        this.line = 1;
+        this.column = 1;
+        this.defines = []; // [{ name, loc }] from #define lines
+    }
+
+    loc(length = 1) {
+        return { line: this.line, column: this.column, endLine: this.line, endColumn: this.column + length };
+    }
+
+    advance(length) {
+        for (let i = 0; i < length; i++) {
+            if (this.code[this.offset] === '\n') {
+                this.line++;
+                this.column = 1;
+            } else {
+                this.column++;
+            }
+            this.offset++;
+        }
+    }
+
+    tokenize() {
+        const tokens = [];
+        let isLineStart = true;
+
+        while (this.offset < this.code.length) {
+            const rest = this.code.slice(this.offset);
+            const char = rest[0];
+
+            if (char === '\n') {
+                isLineStart = true;
+                this.advance(1);
+                continue;
+            }
+            if (/\s/.test(char)) {
+                this.advance(1);
+                continue;
+            }
+            if (rest.startsWith('//')) {
+                const end = rest.indexOf('\n');
+                this.advance(end === -1 ? rest.length : end);
+                continue;
+            }
+            if (rest.startsWith('/*')) {
+                const end = rest.indexOf('*/', 2);
+                if (end === -1) throw new GLSLSyntaxError(this.loc(2), 'Unterminated comment');
+                this.advance(end + 2);
+                continue;
+            }
+            if (char === '#') {
+                if (!isLineStart) throw new GLSLSyntaxError(this.loc(), "'#' must start a line (preprocessor directive)");
+                this.readDirective(rest);
+                continue;
+            }
+            isLineStart = false;
+
+            const word = /^[A-Za-z_]\w*/.exec(rest);
+            if (word) {
+                const value = word[0];
+                tokens.push({ type: KEYWORDS.has(value) ? 'keyword' : 'ident', value, ...this.loc(value.length) });
+                this.advance(value.length);
+                continue;
+            }
+
+            const number = this.readNumber(rest);
+            if (number) {
+                tokens.push(number);
+                this.advance(number.value.length);
+                continue;
+            }
+
+            const operator = OPERATORS.find(op => rest.startsWith(op));
+            if (operator) {
+                tokens.push({ type: 'op', value: operator, ...this.loc(operator.length) });
+                this.advance(operator.length);
+                continue;
+            }
+
+            throw new GLSLSyntaxError(this.loc(), `Unexpected character '${char}'`);
+        }
+
+        tokens.push({ type: 'eof', value: 'end of code', ...this.loc(0) });
+        return tokens;
+    }
+
+    readNumber(rest) {
+        for (const { regex, type } of NUMBER_PATTERNS) {
+            regex.lastIndex = 0;
+            const match = regex.exec(rest);
+            if (match) {
+                const value = match[0];
+                const numberType = type === 'int' && /[uU]$/.test(value) ? 'uint' : type;
+                return { type: 'number', value, numberType, ...this.loc(value.length) };
+            }
+        }
+        return null;
+    }
+
+    // Preprocessor lines are skipped; #define names are remembered so their uses aren't reported
+    readDirective(rest) {
+        const match = /^#[^\n]*(\\\n[^\n]*)*/.exec(rest);
+        const define = /^#\s*define\s+([A-Za-z_]\w*)/.exec(match[0]);
+        if (define) {
+            this.defines.push({ name: define[1], loc: this.loc(match[0].split('\n')[0].length) });
+        }
+        this.advance(match[0].length);
+    }
+}
+
+// --- Parser ---
+
+const STORAGE_QUALIFIERS = new Set(['const', 'uniform', 'in', 'out', 'inout']);
+const OTHER_QUALIFIERS = new Set(['centroid', 'flat', 'smooth', 'invariant', 'highp', 'mediump', 'lowp', 'layout']);
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+const BINARY_PRECEDENCE = {
+    '||': 1, '^^': 2, '&&': 3, '|': 4, '^': 5, '&': 6, '==': 7, '!=': 7,
+    '<': 8, '>': 8, '<=': 8, '>=': 8, '<<': 9, '>>': 9, '+': 10, '-': 10, '*': 11, '/': 11, '%': 11
+};
+
+/**
+ * Recursive descent parser producing a syntax tree (nodes have a kind and a loc)
+ */
+export class GLSLParser {
+    /**
+     * Parse a whole snippet: { kind: 'program', items, defines, loc }
+     */
+    static parse(code) {
+        const lexer = new GLSLLexer(code);
+        const program = new GLSLParser(lexer.tokenize(), lexer.defines).parseProgram();
+        program.defines = lexer.defines;
+        return program;
+    }
+
+    /**
+     * Functions and structs declared at the top level of a snippet:
+     * {
+     *   functions: [{ name, returnType, params: [{ qualifier: 'in' | 'out' | 'inout', type, name }], hasBody }],
+     *   structs: [{ name, members: [{ type, name }] }]
+     * }
+     * Types are GLSL type names with array sizes ('float[4]'; 'float[]' when the size isn't a number)
+     */
+    static parseSignatures(code) {
+        const program = GLSLParser.parse(code);
+        const functions = [];
+        const structs = [];
+
+        for (const item of program.items) {
+            const struct = item.kind === 'struct' ? item : item.struct;
+            if (struct) {
+                structs.push({
+                    name: struct.name,
+                    members: struct.members.map(m => ({ type: signatureType(m.type, m.array), name: m.name }))
+                });
+            }
+
+            if (item.kind !== 'function') continue;
+            functions.push({
+                name: item.name,
+                returnType: signatureType(item.returnType),
+                params: item.params.map(param => ({
+                    // const and unqualified parameters are inputs
+                    qualifier: param.qualifier === 'out' || param.qualifier === 'inout' ? param.qualifier : 'in',
+                    type: signatureType(param.type, param.array),
+                    name: param.name
+                })),
+                hasBody: !!item.body
+            });
+        }
+
+        return { functions, structs };
+    }
+
+    constructor(tokens, defines) {
+        this.tokens = tokens;
+        this.pos = 0;
+        this.macros = new Set(defines.map(d => d.name));
+
+        // Struct names, to tell declarations from expressions
+        this.structNames = new Set(Object.values(TypeRegistry.types).filter(t => t.isStruct).map(t => t.name));
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (this.pos < this.tokens.length - 1) this.pos++;
+        this.previous = token;
+        return token;
+    }
+
+    at(value, offset = 0) {
+        const token = this.peek(offset);
+        return (token.type === 'op' || token.type === 'keyword') && token.value === value;
+    }
+
+    accept(value) {
+        return this.at(value) ? this.next() : null;
+    }
+
+    expect(value, context = '') {
+        if (!this.at(value)) {
+            throw this.unexpected(`Expected '${value}'${context}`);
+        }
+        return this.next();
+    }
+
+    expectIdent(what) {
+        const token = this.peek();
+        if (token.type !== 'ident') throw this.unexpected(`Expected ${what}`);
+        this.checkIdentifier(token);
+        return this.next();
+    }
+
+    unexpected(message) {
+        const token = this.peek();
+        const found = token.type === 'eof' ? 'the end of the code' : `'${token.value}'`;
+        return new GLSLSyntaxError(token, `${message}, found ${found}`);
+    }
+
+    checkIdentifier(token) {
+        if (REMOVED_QUALIFIERS[token.value]) {
+            throw new GLSLSyntaxError(token, `'${token.value}' doesn't exist in GLSL ES 3.00 (use ${REMOVED_QUALIFIERS[token.value]})`);
+        }
+    }
+
+    // Location from a start token to the last token read
+    locFrom(start) {
+        const end = this.previous || start;
+        return { line: start.line, column: start.column, endLine: end.endLine, endColumn: end.endColumn };
+    }
+
+    isTypeName(token) {
+        return token.type === 'ident' && (isBuiltinType(token.value) || this.structNames.has(token.value));
+    }
+
+    parseProgram() {
+        const start = this.peek();
+        const items = [];
+        while (this.peek().type !== 'eof') {
+            if (this.accept(';')) continue;
+            items.push(this.parseExternalDeclaration());
+        }
+        return { kind: 'program', items, loc: { line: start.line, column: start.column, endLine: start.line, endColumn: start.endColumn } };
+    }
+
+    parseExternalDeclaration() {
+        const start = this.peek();
+
+        if (this.accept('precision')) {
+            this.next(); // Precision
+            this.parseTypeSpec();
+            this.expect(';');
+            return { kind: 'precision', loc: this.locFrom(start) };
+        }
+
+        const qualifier = this.parseQualifiers();
+        const type = this.parseTypeSpec();
+
+        // Struct definition on its own
+        if (type.struct && this.accept(';')) {
+            return type.struct;
+        }
+
+        if (this.peek().type === 'ident' && this.at('(', 1)) {
+            return this.parseFunction(type, start);
+        }
+
+        const declaration = this.parseDeclarators(qualifier, type, start);
+        declaration.struct = type.struct || null;
+        return declaration;
+    }
+
+    // Storage qualifier (const, uniform, in, out, inout); precision, interpolation and layout are skipped
+    parseQualifiers() {
+        let qualifier = null;
+        for (;;) {
+            const token = this.peek();
+            if (token.type === 'ident') this.checkIdentifier(token);
+            if (token.type !== 'keyword') break;
+
+            if (STORAGE_QUALIFIERS.has(token.value)) {
+                qualifier = token.value;
+                this.next();
+            } else if (token.value === 'layout') {
+                this.next();
+                this.expect('(');
+                while (!this.at(')') && this.peek().type !== 'eof') this.next();
+                this.expect(')');
+            } else if (OTHER_QUALIFIERS.has(token.value)) {
+                this.next();
+            } else {
+                break;
+            }
+        }
+        return qualifier;
+    }
+
+    parseTypeSpec() {
+        const start = this.peek();
+        let struct = null;
+        let name;
+
+        if (this.at('struct')) {
+            struct = this.parseStruct();
+            name = struct.name;
+        } else {
+            const token = this.peek();
+            if (token.type !== 'ident') throw this.unexpected('Expected a type');
+            this.checkIdentifier(token);
+            name = this.next().value;
+        }
+
+        const type = { name, array: this.parseArraySuffix(), loc: this.locFrom(start), struct };
+        return type;
+    }
+
+    // [size] or [] after a type or a name; null without brackets
+    parseArraySuffix() {
+        if (!this.accept('[')) return null;
+        if (this.accept(']')) return { size: null };
+        const size = this.parseExpression();
+        this.expect(']');
+        return { size };
+    }
+
+    parseStruct() {
+        const start = this.expect('struct');
+        const nameToken = this.expectIdent('a struct name');
+        this.structNames.add(nameToken.value);
+        this.expect('{');
+
+        const members = [];
+        while (!this.accept('}')) {
+            const memberStart = this.peek();
+            this.parseQualifiers();
+            const type = this.parseTypeSpec();
+            do {
+                const name = this.expectIdent('a member name');
+                members.push({ type, name: name.value, array: this.parseArraySuffix(), loc: this.locFrom(memberStart) });
+            } while (this.accept(','));
+            this.expect(';');
+        }
+
+        return { kind: 'struct', name: nameToken.value, members, loc: this.locFrom(start), nameLoc: nameToken };
+    }
+
+    parseFunction(returnType, start) {
+        const nameToken = this.next();
+        this.expect('(');
+
+        const params = [];
+        if (this.peek().value === 'void' && this.at(')', 1)) {
+            this.next();
+        } else if (!this.at(')')) {
+            do {
+                const paramStart = this.peek();
+                const qualifier = this.parseQualifiers() || 'in';
+                const type = this.parseTypeSpec();
+                let name = null;
+                let array = null;
+                if (this.peek().type === 'ident') {
+                    name = this.expectIdent('a parameter name').value;
+                    array = this.parseArraySuffix();
+                }
+                params.push({ qualifier, type, name, array, loc: this.locFrom(paramStart) });
+            } while (this.accept(','));
+        }
+        this.expect(')', ` to close the parameters of ${nameToken.value}()`);
+
+        const signatureLoc = this.locFrom(start);
+        const body = this.accept(';') ? null : this.parseBlock();
+
+        return {
+            kind: 'function',
+            returnType,
+            name: nameToken.value,
+            nameLoc: nameToken,
+            params,
+            body,
+            loc: body ? signatureLoc : this.locFrom(start)
+        };
+    }
+
+    parseDeclarators(qualifier, type, start) {
+        const declarators = [];
+        do {
+            const name = this.expectIdent('a variable name');
+            const array = this.parseArraySuffix();
+            const init = this.accept('=') ? this.parseAssignment() : null;
+            declarators.push({ name: name.value, nameLoc: name, array, init });
+        } while (this.accept(','));
+        this.expect(';', ' after the declaration');
+
+        return { kind: 'declaration', qualifier, type, declarators, loc: this.locFrom(start) };
+    }
+
+    parseBlock() {
+        const start = this.expect('{');
+        const statements = [];
+        while (!this.accept('}')) {
+            if (this.peek().type === 'eof') throw this.unexpected("Expected '}'");
+            statements.push(this.parseStatement());
+        }
+        return { kind: 'block', statements, loc: this.locFrom(start) };
+    }
+
+    parseStatement() {
+        const start = this.peek();
+
+        if (this.at('{')) return this.parseBlock();
+        if (this.accept(';')) return { kind: 'empty', loc: this.locFrom(start) };
+
+        if (start.type === 'keyword') {
+            switch (start.value) {
+                case 'if': {
+                    this.next();
+                    this.expect('(');
+                    const condition = this.parseExpression();
+                    this.expect(')');
+                    const then = this.parseStatement();
+                    const otherwise = this.accept('else') ? this.parseStatement() : null;
+                    return { kind: 'if', condition, then, otherwise, loc: this.locFrom(start) };
+                }
+                case 'for': {
+                    this.next();
+                    this.expect('(');
+                    const init = this.parseSimpleStatement();
+                    const condition = this.at(';') ? null : this.parseExpression();
+                    this.expect(';');
+                    const update = this.at(')') ? null : this.parseExpression();
+                    this.expect(')');
+                    const body = this.parseStatement();
+                    return { kind: 'for', init, condition, update, body, loc: this.locFrom(start) };
+                }
+                case 'while': {
+                    this.next();
+                    this.expect('(');
+                    const condition = this.parseExpression();
+                    this.expect(')');
+                    const body = this.parseStatement();
+                    return { kind: 'while', condition, body, loc: this.locFrom(start) };
+                }
+                case 'do': {
+                    this.next();
+                    const body = this.parseStatement();
+                    this.expect('while');
+                    this.expect('(');
+                    const condition = this.parseExpression();
+                    this.expect(')');
+                    this.expect(';');
+                    return { kind: 'do', condition, body, loc: this.locFrom(start) };
+                }
+                case 'switch': {
+                    this.next();
+                    this.expect('(');
+                    const selector = this.parseExpression();
+                    this.expect(')');
+                    const body = this.parseBlock();
+                    return { kind: 'switch', selector, body, loc: this.locFrom(start) };
+                }
+                case 'case': {
+                    this.next();
+                    const value = this.parseExpression();
+                    this.expect(':');
+                    return { kind: 'case', value, loc: this.locFrom(start) };
+                }
+                case 'default':
+                    this.next();
+                    this.expect(':');
+                    return { kind: 'case', value: null, loc: this.locFrom(start) };
+                case 'return': {
+                    this.next();
+                    const value = this.at(';') ? null : this.parseExpression();
+                    this.expect(';', ' after return');
+                    return { kind: 'return', value, loc: this.locFrom(start) };
+                }
+                case 'break':
+                case 'continue':
+                    this.next();
+                    this.expect(';');
+                    return { kind: start.value, loc: this.locFrom(start) };
+            }
+        }
+
+        if (start.type === 'ident' && start.value === 'discard') {
+            this.next();
+            this.expect(';');
+            return { kind: 'discard', loc: this.locFrom(start) };
+        }
+
+        return this.parseSimpleStatement();
+    }
+
+    // Declaration or expression statement (also the first part of a for loop)
+    parseSimpleStatement() {
+        const start = this.peek();
+        if (this.accept(';')) return { kind: 'empty', loc: this.locFrom(start) };
+
+        if (this.isDeclarationStart()) {
+            const qualifier = this.parseQualifiers();
+            const type = this.parseTypeSpec();
+            if (type.struct && this.accept(';')) return type.struct;
+            const declaration = this.parseDeclarators(qualifier, type, start);
+            declaration.struct = type.struct || null;
+            return declaration;
+        }
+
+        const expression = this.parseExpression();
+        this.expect(';', ' after the expression');
+        return { kind: 'expression', expression, loc: this.locFrom(start) };
+    }
+
+    isDeclarationStart() {
+        const token = this.peek();
+        if (token.type === 'keyword') {
+            return STORAGE_QUALIFIERS.has(token.value) || OTHER_QUALIFIERS.has(token.value) || token.value === 'struct';
+        }
+        if (token.type !== 'ident') return false;
+        if (REMOVED_QUALIFIERS[token.value]) return true;
+
+        if (this.isTypeName(token)) {
+            if (this.at('(', 1)) return false; // Constructor
+            if (!this.at('[', 1)) return true;
+            // float[3] a; vs float[3](...)
+            let depth = 0;
+            for (let i = 1; ; i++) {
+                const ahead = this.peek(i);
+                if (ahead.type === 'eof') return true;
+                if (this.at('[', i)) depth++;
+                if (this.at(']', i) && --depth === 0) return !this.at('(', i + 1);
+            }
+        }
+
+        // Unknown type name followed by a variable name (reported by the checker)
+        return this.peek(1).type === 'ident' && !this.macros.has(token.value);
+    }
+
+    parseExpression() {
+        const start = this.peek();
+        const expressions = [this.parseAssignment()];
+        while (this.accept(',')) {
+            expressions.push(this.parseAssignment());
+        }
+        if (expressions.length === 1) return expressions[0];
+        return { kind: 'sequence', expressions, loc: this.locFrom(start) };
+    }
+
+    parseAssignment() {
+        const start = this.peek();
+        const target = this.parseConditional();
+        const operator = this.peek();
+        if (operator.type === 'op' && ASSIGNMENT_OPERATORS.has(operator.value)) {
+            this.next();
+            const value = this.parseAssignment();
+            return { kind: 'assign', operator: operator.value, target, value, loc: this.locFrom(start), operatorLoc: operator };
+        }
+        return target;
+    }
+
+    parseConditional() {
+        const start = this.peek();
+        const condition = this.parseBinary(1);
+        if (!this.accept('?')) return condition;
+        const then = this.parseExpression();
+        this.expect(':', ' in the ?: expression');
+        const otherwise = this.parseAssignment();
+        return { kind: 'ternary', condition, then, otherwise, loc: this.locFrom(start) };
+    }
+
+    parseBinary(minPrecedence) {
+        const start = this.peek();
+        let left = this.parseUnary();
+        for (;;) {
+            const operator = this.peek();
+            const precedence = operator.type === 'op' ? BINARY_PRECEDENCE[operator.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) return left;
+            this.next();
+            const right = this.parseBinary(precedence + 1);
+            left = { kind: 'binary', operator: operator.value, left, right, loc: this.locFrom(start), operatorLoc: operator };
+        }
+    }
+
+    parseUnary() {
+        const start = this.peek();
+        if (start.type === 'op' && ['+', '-', '!', '~', '++', '--'].includes(start.value)) {
+            this.next();
+            const operand = this.parseUnary();
+            return { kind: 'unary', operator: start.value, operand, loc: this.locFrom(start) };
+        }
+        return this.parsePostfix(this.parsePrimary(), start);
+    }
+
+    parsePostfix(expression, start) {
+        for (;;) {
+            if (this.accept('[')) {
+                const index = this.parseExpression();
+                this.expect(']');
+                expression = { kind: 'index', object: expression, index, loc: this.locFrom(start) };
+            } else if (this.accept('.')) {
+                const field = this.peek();
+                if (field.type !== 'ident') throw this.unexpected("Expected a field or swizzle after '.'");
+                this.next();
+                if (field.value === 'length' && this.accept('(')) {
+                    this.expect(')');
+                    expression = { kind: 'length', object: expression, loc: this.locFrom(start) };
+                } else {
+                    expression = { kind: 'field', object: expression, field: field.value, fieldLoc: field, loc: this.locFrom(start) };
+                }
+            } else if (this.at('++') || this.at('--')) {
+                const operator = this.next().value;
+                expression = { kind: 'postfix', operator, operand: expression, loc: this.locFrom(start) };
+            } else {
+                return expression;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number') {
+            this.next();
+            const value = token.numberType === 'float' ? parseFloat(token.value) : parseInt(token.value, token.value.match(/^0[xX]/) ? 16 : 10);
+            return { kind: 'literal', type: token.numberType, value, loc: this.locFrom(token) };
+        }
+        if (this.at('true') || this.at('false')) {
+            this.next();
+            return { kind: 'literal', type: 'bool', loc: this.locFrom(token) };
+        }
+        if (this.accept('(')) {
+            const expression = this.parseExpression();
+            this.expect(')');
+            return expression;
+        }
+        if (token.type === 'ident') {
+            this.checkIdentifier(token);
+
+            // Array constructor: float[3](...)
+            if (this.isTypeName(token) && this.at('[', 1)) {
+                const type = this.parseTypeSpec();
+                return this.parseCall(token, token.value, type);
+            }
+
+            this.next();
+            if (this.at('(')) return this.parseCall(token, token.value, null);
+            return { kind: 'ident', name: token.value, loc: this.locFrom(token) };
+        }
+
+        throw this.unexpected('Expected an expression');
+    }
+
+    parseCall(start, name, arrayType) {
+        this.expect('(');
+        const args = [];
+        if (this.peek().value === 'void' && this.at(')', 1)) {
+            this.next();
+        } else if (!this.at(')')) {
+            do {
+                args.push(this.parseAssignment());
+            } while (this.accept(','));
+        }
+        this.expect(')', ` to close the call to ${name}()`);
+        return { kind: 'call', name, nameLoc: start, arrayType, args, loc: this.locFrom(start) };
+    }
+}
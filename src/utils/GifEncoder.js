@@ -0,0 +1,146 @@
+/**
+ * Minimal animated GIF encoder
+ *
+ * Frames are quantized to a fixed 3-3-2 bit RGB palette with ordered (Bayer) dithering,
+ * which is fast and needs no per-frame palette analysis. Output loops forever.
+ */
+
+// 4x4 Bayer matrix, normalized to [0, 1)
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(v => (v + 0.5) / 16);
+
+function buildPalette() {
+    const palette = new Uint8Array(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        palette[i * 3] = Math.round(((i >> 5) & 7) * 255 / 7);
+        palette[i * 3 + 1] = Math.round(((i >> 2) & 7) * 255 / 7);
+        palette[i * 3 + 2] = Math.round((i & 3) * 255 / 3);
+    }
+    return palette;
+}
+
+/**
+ * LZW-compress palette indices into GIF sub-blocks
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const write = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    write(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = table.get(key);
+
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        write(prefix);
+        if (nextCode === 4096) {
+            // Table full - start over
+            write(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+
+    write(prefix);
+    write(endCode);
+    if (bitCount > 0) bytes.push(bitBuffer & 0xFF);
+
+    // Split into sub-blocks of at most 255 bytes
+    const blocks = [minCodeSize];
+    for (let i = 0; i < bytes.length; i += 255) {
+        const chunk = bytes.slice(i, i + 255);
+        blocks.push(chunk.length, ...chunk);
+    }
+    blocks.push(0);
+    return new Uint8Array(blocks);
+}
+
+export class GifEncoder {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {number} fps - Playback rate (GIF delays are in 1/100 s)
+     */
+    constructor(width, height, fps) {
+        this.width = width;
+        this.height = height;
+        this.delay = Math.max(2, Math.round(100 / fps));
+        this.parts = [];
+
+        const header = [
+            ...new TextEncoder().encode('GIF89a'),
+            width & 0xFF, width >> 8, height & 0xFF, height >> 8,
+            0xF7, 0, 0 // Global color table of 256 entries
+        ];
+        this.parts.push(new Uint8Array(header), buildPalette());
+
+        // NETSCAPE2.0 extension: loop forever
+        this.parts.push(new Uint8Array([
+            0x21, 0xFF, 0x0B, ...new TextEncoder().encode('NETSCAPE2.0'), 0x03, 0x01, 0x00, 0x00, 0x00
+        ]));
+    }
+
+    /**
+     * Add a frame
+     * @param {Uint8ClampedArray|Uint8Array} rgba - Top-down RGBA pixels, width * height * 4
+     */
+    addFrame(rgba) {
+        const { width, height } = this;
+        const indices = new Uint8Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const threshold = BAYER_4X4[(y & 3) * 4 + (x & 3)];
+                const r = Math.min(7, Math.floor(rgba[p * 4] * 7 / 255 + threshold));
+                const g = Math.min(7, Math.floor(rgba[p * 4 + 1] * 7 / 255 + threshold));
+                const b = Math.min(3, Math.floor(rgba[p * 4 + 2] * 3 / 255 + threshold));
+                indices[p] = (r << 5) | (g << 2) | b;
+            }
+        }
+
+        const { delay } = this;
+        this.parts.push(new Uint8Array([
+            // Graphic control extension: frame delay, no transparency
+            0x21, 0xF9, 0x04, 0x04, delay & 0xFF, delay >> 8, 0x00, 0x00,
+            // Image descriptor: full frame, global palette
+            0x2C, 0, 0, 0, 0, width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0x00
+        ]));
+        this.parts.push(lzwEncode(indices, 8));
+    }
+
+    /**
+     * @returns {Blob}
+     */
+    finish() {
+        this.parts.push(new Uint8Array([0x3B]));
+        return new Blob(this.parts, { type: 'image/gif' });
+    }
+}
@@ -0,0 +1,158 @@
+import { NodeDefinitions } from '../core/NodeDefinitions.js';
+
+/**
+ * ProjectDiff - Compares two saved projects (e.g. a revision and the current graph)
+ *
+ * Changes are listed per node, connection, custom node and node group:
+ * { change: 'added' | 'removed' | 'changed', kind, label, details: [string] }
+ * Nodes are matched by ID, connections by their endpoints, definitions by name.
+ */
+
+const MAX_VALUE_LENGTH = 40;
+
+function formatValue(value) {
+    if (value === undefined) return '(none)';
+    const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+    return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH - 1) + '…' : text;
+}
+
+function nodeLabel(node) {
+    const def = NodeDefinitions[node.type];
+    return `${(def && def.displayTitle) || node.type} #${node.id}`;
+}
+
+function connectionKey(c) {
+    return `${c.fromId}:${c.fromOutput}>${c.toId}:${c.toInput}`;
+}
+
+export class ProjectDiff {
+    /**
+     * List the changes from one project's data to another's
+     */
+    static diff(before, after) {
+        // Very old projects are the graph itself
+        const beforeGraph = before.graph || before;
+        const afterGraph = after.graph || after;
+
+        return [
+            ...ProjectDiff.diffNodes(beforeGraph.nodes || [], afterGraph.nodes || []),
+            ...ProjectDiff.diffConnections(beforeGraph, afterGraph),
+            ...ProjectDiff.diffCustomNodes(before.customNodes || {}, after.customNodes || {}),
+            ...ProjectDiff.diffDefinitions('group', before.nodeGroups || {}, after.nodeGroups || {}),
+            ...ProjectDiff.diffSection('Timeline', beforeGraph.timeline, afterGraph.timeline),
+            ...ProjectDiff.diffSection('Performance panel', beforeGraph.performance, afterGraph.performance)
+        ];
+    }
+
+    static diffNodes(beforeNodes, afterNodes) {
+        const changes = [];
+        const beforeById = new Map(beforeNodes.map(n => [n.id, n]));
+        const afterById = new Map(afterNodes.map(n => [n.id, n]));
+
+        for (const node of beforeNodes) {
+            if (!afterById.has(node.id)) {
+                changes.push({ change: 'removed', kind: 'node', label: nodeLabel(node), details: [] });
+            }
+        }
+
+        for (const node of afterNodes) {
+            const old = beforeById.get(node.id);
+            if (!old) {
+                changes.push({ change: 'added', kind: 'node', label: nodeLabel(node), details: [] });
+                continue;
+            }
+
+            const details = [];
+            if (old.type !== node.type) {
+                details.push(`type: ${old.type} → ${node.type}`);
+            }
+            const oldData = old.data || {};
+            const newData = node.data || {};
+            for (const key of new Set([...Object.keys(oldData), ...Object.keys(newData)])) {
+                if (JSON.stringify(oldData[key]) !== JSON.stringify(newData[key])) {
+                    details.push(`${key}: ${formatValue(oldData[key])} → ${formatValue(newData[key])}`);
+                }
+            }
+            if (old.x !== node.x || old.y !== node.y) {
+                details.push('moved');
+            }
+
+            if (details.length > 0) {
+                changes.push({ change: 'changed', kind: 'node', label: nodeLabel(node), details });
+            }
+        }
+
+        return changes;
+    }
+
+    static diffConnections(beforeGraph, afterGraph) {
+        const changes = [];
+        const nodes = new Map([...(beforeGraph.nodes || []), ...(afterGraph.nodes || [])].map(n => [n.id, n]));
+        const endpoint = (id, socket) => `${nodes.has(id) ? nodeLabel(nodes.get(id)) : `#${id}`}.${socket}`;
+        const label = (c) => `${endpoint(c.fromId, c.fromOutput)} → ${endpoint(c.toId, c.toInput)}`;
+
+        const beforeByKey = new Map((beforeGraph.connections || []).map(c => [connectionKey(c), c]));
+        const afterByKey = new Map((afterGraph.connections || []).map(c => [connectionKey(c), c]));
+
+        for (const [key, c] of beforeByKey) {
+            if (!afterByKey.has(key)) {
+                changes.push({ change: 'removed', kind: 'connection', label: label(c), details: [] });
+            }
+        }
+        for (const [key, c] of afterByKey) {
+            const old = beforeByKey.get(key);
+            if (!old) {
+                changes.push({ change: 'added', kind: 'connection', label: label(c), details: [] });
+            } else if ((old.swizzle || '') !== (c.swizzle || '')) {
+                changes.push({
+                    change: 'changed',
+                    kind: 'connection',
+                    label: label(c),
+                    details: [`swizzle: ${formatValue(old.swizzle)} → ${formatValue(c.swizzle)}`]
+                });
+            }
+        }
+
+        return changes;
+    }
+
+    static diffCustomNodes(beforeNodes, afterNodes) {
+        return ProjectDiff.diffDefinitions('custom node', beforeNodes, afterNodes, (old, node) => {
+            if (old.customGLSL === node.customGLSL) return null;
+            // Projects saved with the node library pin each node's version
+            return [old.version && node.version ? `v${old.version} → v${node.version}` : 'code changed'];
+        });
+    }
+
+    /**
+     * Compare named definitions (custom nodes, node groups)
+     * compare(old, new) returns the details of a change, or null if unchanged
+     */
+    static diffDefinitions(kind, before, after, compare = null) {
+        const changes = [];
+        const compareDefs = compare || ((old, def) => JSON.stringify(old) === JSON.stringify(def) ? null : []);
+
+        for (const name of Object.keys(before)) {
+            if (!(name in after)) {
+                changes.push({ change: 'removed', kind, label: name, details: [] });
+            }
+        }
+        for (const [name, def] of Object.entries(after)) {
+            if (!(name in before)) {
+                changes.push({ change: 'added', kind, label: name, details: [] });
+                continue;
+            }
+            const details = compareDefs(before[name], def);
+            if (details) {
+                changes.push({ change: 'changed', kind, label: name, details });
+            }
+        }
+
+        return changes;
+    }
+
+    static diffSection(label, before, after) {
+        if (JSON.stringify(before || null) === JSON.stringify(after || null)) return [];
+        return [{ change: 'changed', kind: 'section', label, details: [] }];
+    }
+}
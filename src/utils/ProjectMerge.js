@@ -0,0 +1,167 @@
+import { ProjectDiff } from './ProjectDiff.js';
+
+/**
+ * ProjectMerge - Three-way merge of two versions of a project that share a common ancestor
+ * (e.g. offline edits and a cloud save made elsewhere since the last sync)
+ *
+ * Nodes are merged by ID, connections by their endpoints, custom nodes and node groups by
+ * name; the timeline and performance panel are merged as a whole. When only one side changed
+ * something, that change is kept. When both sides changed the same thing differently, the
+ * local version wins and the item is listed in conflicts as { kind, label }.
+ */
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function connectionKey(c) {
+    return `${c.fromId}:${c.fromOutput}>${c.toId}:${c.toInput}`;
+}
+
+/**
+ * Merge one item that exists (or not: undefined) in each version
+ * Returns { value, conflict }
+ */
+function mergeValue(base, local, cloud) {
+    if (same(local, cloud)) return { value: local, conflict: false };
+    if (same(local, base)) return { value: cloud, conflict: false };
+    if (same(cloud, base)) return { value: local, conflict: false };
+    // Changed on both sides: keep the local change (an edit wins over a deletion)
+    return { value: local !== undefined ? local : cloud, conflict: true };
+}
+
+export class ProjectMerge {
+    /**
+     * Merge local and cloud project data, base being the version both started from
+     * Returns { data, conflicts }
+     */
+    static merge(base, local, cloud) {
+        const baseGraph = base.graph || base;
+        const localGraph = local.graph || local;
+        const cloudGraph = cloud.graph || cloud;
+        const conflicts = [];
+
+        const { nodes, renumbered } = ProjectMerge.mergeNodes(
+            baseGraph.nodes || [], localGraph.nodes || [], cloudGraph.nodes || [], conflicts
+        );
+        const connections = ProjectMerge.mergeConnections(
+            baseGraph.connections || [], localGraph.connections || [], cloudGraph.connections || [],
+            renumbered, new Set(nodes.map(n => n.id))
+        );
+
+        const mergeSection = (label, b, l, c) => {
+            const { value, conflict } = mergeValue(b, l, c);
+            if (conflict) conflicts.push({ kind: 'section', label });
+            return value;
+        };
+
+        const maxId = nodes.reduce((max, n) => Math.max(max, n.id), -1);
+        const graph = {
+            ...localGraph,
+            nodes,
+            connections,
+            nextNodeId: Math.max(localGraph.nextNodeId || 0, cloudGraph.nextNodeId || 0, maxId + 1),
+            timeline: mergeSection('Timeline', baseGraph.timeline, localGraph.timeline, cloudGraph.timeline),
+            performance: mergeSection('Performance panel', baseGraph.performance, localGraph.performance, cloudGraph.performance)
+        };
+
+        return {
+            data: {
+                ...local,
+                graph,
+                customNodes: ProjectMerge.mergeDefinitions(
+                    'custom node', base.customNodes || {}, local.customNodes || {}, cloud.customNodes || {}, conflicts
+                ),
+                nodeGroups: ProjectMerge.mergeDefinitions(
+                    'group', base.nodeGroups || {}, local.nodeGroups || {}, cloud.nodeGroups || {}, conflicts
+                ),
+                assets: { ...(cloud.assets || {}), ...(local.assets || {}) }
+            },
+            conflicts
+        };
+    }
+
+    /**
+     * Merge nodes by ID; nodes added on both sides with the same ID keep the cloud's ID
+     * and the local one gets a new ID (renumbered maps old local IDs to new ones)
+     */
+    static mergeNodes(baseNodes, localNodes, cloudNodes, conflicts) {
+        const baseById = new Map(baseNodes.map(n => [n.id, n]));
+        const localById = new Map(localNodes.map(n => [n.id, n]));
+        const cloudById = new Map(cloudNodes.map(n => [n.id, n]));
+        const renumbered = new Map();
+        const nodes = [];
+        const added = [];
+
+        let nextId = Math.max(-1, ...[...localById.keys(), ...cloudById.keys(), ...baseById.keys()]) + 1;
+
+        // Local order first, then nodes only the cloud has
+        const ids = [...new Set([...localById.keys(), ...cloudById.keys(), ...baseById.keys()])];
+        for (const id of ids) {
+            const b = baseById.get(id);
+            const l = localById.get(id);
+            const c = cloudById.get(id);
+
+            if (!b && l && c && !same(l, c)) {
+                nodes.push(c);
+                renumbered.set(id, nextId);
+                added.push({ ...l, id: nextId++ });
+                continue;
+            }
+
+            const { value, conflict } = mergeValue(b, l, c);
+            if (conflict) {
+                const [change] = ProjectDiff.diffNodes([], [value]);
+                conflicts.push({ kind: 'node', label: change.label });
+            }
+            if (value) nodes.push(value);
+        }
+
+        return { nodes: [...nodes, ...added], renumbered };
+    }
+
+    /**
+     * Merge connections by their endpoints
+     * Connections to removed nodes are dropped, and an input connected differently on both sides keeps the local connection.
+     */
+    static mergeConnections(baseConnections, localConnections, cloudConnections, renumbered, nodeIds) {
+        const renumber = (c) => renumbered.size === 0 ? c : {
+            ...c,
+            fromId: renumbered.has(c.fromId) ? renumbered.get(c.fromId) : c.fromId,
+            toId: renumbered.has(c.toId) ? renumbered.get(c.toId) : c.toId
+        };
+
+        const baseByKey = new Map(baseConnections.map(c => [connectionKey(c), c]));
+        const localByKey = new Map(localConnections.map(renumber).map(c => [connectionKey(c), c]));
+        const cloudByKey = new Map(cloudConnections.map(c => [connectionKey(c), c]));
+
+        const merged = [];
+        for (const key of new Set([...localByKey.keys(), ...cloudByKey.keys(), ...baseByKey.keys()])) {
+            const { value } = mergeValue(baseByKey.get(key), localByKey.get(key), cloudByKey.get(key));
+            if (value && nodeIds.has(value.fromId) && nodeIds.has(value.toId)) {
+                merged.push({ connection: value, isLocal: localByKey.has(key) });
+            }
+        }
+
+        // An input takes a single connection
+        const byInput = new Map();
+        for (const entry of merged) {
+            const input = `${entry.connection.toId}:${entry.connection.toInput}`;
+            const existing = byInput.get(input);
+            if (!existing || (entry.isLocal && !existing.isLocal)) {
+                byInput.set(input, entry);
+            }
+        }
+        return [...byInput.values()].map(entry => entry.connection);
+    }
+
+    static mergeDefinitions(kind, base, local, cloud, conflicts) {
+        const result = {};
+        for (const name of new Set([...Object.keys(local), ...Object.keys(cloud), ...Object.keys(base)])) {
+            const { value, conflict } = mergeValue(base[name], local[name], cloud[name]);
+            if (conflict) conflicts.push({ kind, label: name });
+            if (value !== undefined) result[name] = value;
+        }
+        return result;
+    }
+}
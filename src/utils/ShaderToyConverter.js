@@ -0,0 +1,424 @@
+/**
+ * Converts between PatchToy shaders and ShaderToy's mainImage() format
+ *
+ * Export: takes a compiled preview shader (ShaderCompiler.compileForPreviewNode) and maps
+ * u_time/u_resolution/u_mouse to iTime/iResolution/iMouse and texture uniforms to iChannel0-3.
+ *
+ * Import: turns a ShaderToy shader into custom node GLSL (with magic comments). ShaderToy
+ * built-ins become parameters of the node's function, so they can be wired to Time/UV/etc.
+ */
+
+import { TypeRegistry } from '../core/TypeRegistry.js';
+
+// Built-ins we can provide to imported shaders, in parameter order
+const SHADERTOY_BUILTINS = [
+    { name: 'iTime', type: 'float' },
+    { name: 'iTimeDelta', type: 'float' },
+    { name: 'iFrame', type: 'int' },
+    { name: 'iResolution', type: 'vec3' },
+    { name: 'iMouse', type: 'vec4' },
+    { name: 'iChannel0', type: 'sampler2D' },
+    { name: 'iChannel1', type: 'sampler2D' },
+    { name: 'iChannel2', type: 'sampler2D' },
+    { name: 'iChannel3', type: 'sampler2D' }
+];
+
+const UNSUPPORTED_BUILTINS = ['iChannelResolution', 'iChannelTime', 'iDate', 'iSampleRate', 'iFrameRate'];
+
+const MAX_CHANNELS = 4;
+
+export class ShaderToyConverter {
+    /**
+     * Check if GLSL code looks like a ShaderToy shader
+     */
+    static isShaderToy(glslCode) {
+        return /\bvoid\s+mainImage\s*\(/.test(glslCode);
+    }
+
+    /**
+     * Convert a compiled preview shader to ShaderToy format
+     * @param {Object} shader - Result of ShaderCompiler.compileForPreviewNode
+     * @returns {Object} { code, channels: [{ channel, uniform, source }], warnings }
+     */
+    static exportShader(shader) {
+        const warnings = [];
+        const channels = [];
+        const header = [];
+
+        if (!shader || !shader.fragment) {
+            return { code: '', channels, warnings: ['No compiled shader to export'] };
+        }
+
+        const uniformValues = new Map((shader.uniformValues || []).map(u => [u.name, u]));
+        const lines = shader.fragment.split('\n');
+        const output = [];
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+
+            // ShaderToy provides the version, precision and output itself
+            if (trimmed.startsWith('#version') || trimmed.startsWith('precision ') || trimmed === 'out vec4 fragColor;') {
+                continue;
+            }
+
+            if (trimmed === 'void main() {') {
+                output.push('void mainImage(out vec4 fragColor, in vec2 fragCoord) {');
+                continue;
+            }
+
+            // Uniform arrays (MIDI Note voices) have no ShaderToy equivalent and stay zero
+            const arrayMatch = trimmed.match(/^uniform\s+(\w+)\s+(\w+)\s*\[\d+\]\s*;$/);
+            if (arrayMatch) {
+                warnings.push(`${arrayMatch[2]} is a live input array and is left as an unset uniform`);
+                output.push(line);
+                continue;
+            }
+
+            const uniformMatch = trimmed.match(/^uniform\s+(\w+)\s+(\w+)\s*;$/);
+            if (uniformMatch) {
+                const [, type, name] = uniformMatch;
+                output.push(this.exportUniform(type, name, uniformValues.get(name), channels, header, warnings));
+                continue;
+            }
+
+            output.push(line);
+        }
+
+        // Describe the channel setup so it can be recreated on ShaderToy
+        const comments = ['// Exported from PatchToy'];
+        for (const { channel, source } of channels) {
+            comments.push(`// iChannel${channel}: ${source}`);
+        }
+
+        const code = [...comments, '', ...header, '', ...output]
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim() + '\n';
+
+        return { code, channels, warnings };
+    }
+
+    /**
+     * Map a single uniform declaration to its ShaderToy equivalent
+     */
+    static exportUniform(type, name, uniform, channels, header, warnings) {
+        if (name === 'u_time') return '#define u_time iTime';
+        if (name === 'u_resolution') return '#define u_resolution iResolution.xy';
+        if (name === 'u_mouse') return '#define u_mouse iMouse';
+
+        if (type === 'sampler2D') {
+            let source = 'Texture';
+            if (uniform && uniform.videoNodeId !== undefined) source = 'Webcam / video';
+            else if (uniform && uniform.feedbackNodeId !== undefined) source = 'Buffer (previous frame of Feedback node)';
+            else if (uniform && uniform.renderTargetNodeId !== undefined) source = 'Buffer (Render Target pass)';
+
+            if (channels.length >= MAX_CHANNELS) {
+                warnings.push(`ShaderToy only has ${MAX_CHANNELS} channels - ${name} (${source}) was not mapped`);
+                return `// ${name}: no free iChannel`;
+            }
+
+            const channel = channels.length;
+            channels.push({ channel, uniform: name, source });
+            return `#define ${name} iChannel${channel}`;
+        }
+
+        // Live inputs are frozen at their current value
+        if (uniform && (uniform.microphoneNodeId !== undefined || uniform.midiCCNodeId !== undefined || uniform.midiNoteNodeId !== undefined || uniform.audioSpectrumNodeId !== undefined || uniform.bpmNodeId !== undefined || uniform.keyboardNodeId !== undefined)) {
+            warnings.push(`${name} is a live input and was exported as a constant`);
+        }
+
+        if (!uniform || uniform.value === undefined) {
+            warnings.push(`No value for uniform ${name}`);
+            return `uniform ${type} ${name};`;
+        }
+
+        header.push(`const ${type} ${name} = ${this.formatValue(type, uniform.value)};`);
+        return '';
+    }
+
+    /**
+     * Format a uniform value as a GLSL literal
+     */
+    static formatValue(type, value) {
+        const formatFloat = (v) => {
+            const str = String(Number(v));
+            return /[.eE]/.test(str) ? str : `${str}.0`;
+        };
+
+        if (type === 'float') return formatFloat(value);
+        if (type === 'int') return String(Math.round(value));
+        if (type === 'bool') return value ? 'true' : 'false';
+        if (Array.isArray(value)) return `${type}(${value.map(formatFloat).join(', ')})`;
+        return `${type}(${formatFloat(value)})`;
+    }
+
+    /**
+     * Convert a ShaderToy shader into custom node GLSL
+     * @param {string} source - ShaderToy code containing mainImage()
+     * @param {string} nodeName - Name for the node's entry function
+     * @returns {Object} { code, inputs: [{ name, type, defaultNode, defaultOutput }], warnings }
+     */
+    static importShader(source, nodeName) {
+        const warnings = [];
+        const items = this.splitTopLevel(this.stripComments(source));
+
+        const defines = [];
+        const constants = [];
+        const structs = [];
+        const functions = [];
+
+        for (const item of items) {
+            if (item.kind === 'preprocessor') {
+                const defineMatch = item.text.match(/^#\s*define\s+(\w+)(\(?)\s*([\s\S]*)$/);
+                if (defineMatch && !defineMatch[2]) {
+                    defines.push({ name: defineMatch[1], value: defineMatch[3].replace(/\\\n/g, ' ').trim() });
+                } else if (defineMatch) {
+                    warnings.push(`Function-like macro ${defineMatch[1]}() is not supported`);
+                } else {
+                    warnings.push(`Ignored preprocessor directive: ${item.text.split('\n')[0]}`);
+                }
+            } else if (item.kind === 'function') {
+                functions.push(item);
+            } else if (/^const\b/.test(item.text)) {
+                constants.push(item.text);
+            } else if (/^struct\b/.test(item.text)) {
+                const structMatch = item.text.match(/^struct\s+(\w+)\s*\{([\s\S]*)\}\s*([^;]*);$/);
+                if (!structMatch) {
+                    warnings.push(`Global declarations are not supported and were dropped: ${item.text}`);
+                    continue;
+                }
+                if (structMatch[3].trim()) {
+                    warnings.push(`Global variables are not supported, ${structMatch[3].trim()} was dropped from: ${item.text}`);
+                }
+                structs.push({ name: structMatch[1], members: structMatch[2] });
+            } else if (/^precision\b/.test(item.text)) {
+                continue;
+            } else if (/^(uniform|in|out)\b/.test(item.text)) {
+                warnings.push(`Ignored global declaration: ${item.text}`);
+            } else {
+                warnings.push(`Global declarations are not supported and were dropped: ${item.text}`);
+            }
+        }
+
+        const mainImage = functions.find(f => f.name === 'mainImage');
+        if (!mainImage) {
+            throw new Error('No mainImage() function found');
+        }
+
+        // Expand object-like macros (a few passes for macros that use other macros)
+        const expand = (text) => {
+            for (let pass = 0; pass < 4; pass++) {
+                let changed = false;
+                for (const { name, value } of defines) {
+                    const replaced = text.replace(new RegExp(`\\b${name}\\b`, 'g'), value ? `(${value})` : '');
+                    if (replaced !== text) {
+                        text = replaced;
+                        changed = true;
+                    }
+                }
+                if (!changed) break;
+            }
+            return text;
+        };
+        for (const func of functions) {
+            func.params = expand(func.params);
+            func.body = expand(func.body);
+        }
+        const constDecls = constants.map(text => {
+            const expanded = expand(text);
+            const names = [...expanded.matchAll(/(\w+)\s*(?:\[[^\]]*\])?\s*=/g)].map(m => m[1]);
+            return { text: expanded, names };
+        });
+
+        // Structs become types: one that clashes with an existing type (e.g. Ray) is renamed
+        for (const struct of structs) {
+            struct.members = expand(struct.members);
+            const existing = TypeRegistry.getType(struct.name);
+            if (existing && existing.definedBy !== nodeName) {
+                const renamed = `${nodeName}_${struct.name}`;
+                warnings.push(`struct ${struct.name} is already a type and was renamed to ${renamed}`);
+                const rename = (text) => text.replace(new RegExp(`\\b${struct.name}\\b`, 'g'), renamed);
+                for (const func of functions) {
+                    func.returnType = rename(func.returnType);
+                    func.params = rename(func.params);
+                    func.body = rename(func.body);
+                }
+                for (const constant of constDecls) constant.text = rename(constant.text);
+                for (const other of structs) other.members = rename(other.members);
+                struct.name = renamed;
+            }
+        }
+        const structDecls = structs.map(({ name, members }) => {
+            const lines = members.split(';').map(m => m.trim()).filter(Boolean);
+            return `struct ${name} {\n${lines.map(m => `    ${m};`).join('\n')}\n};`;
+        });
+
+        const allCode = functions.map(f => f.params + f.body).join('\n') + constDecls.map(c => c.text).join('\n');
+        for (const name of UNSUPPORTED_BUILTINS) {
+            if (new RegExp(`\\b${name}\\b`).test(allCode)) {
+                warnings.push(`${name} is not supported`);
+            }
+        }
+
+        // Built-ins used anywhere are threaded through every function as parameters
+        const used = SHADERTOY_BUILTINS.filter(b => new RegExp(`\\b${b.name}\\b`).test(allCode));
+        const builtinParams = used.map(b => `${b.type} ${b.name}`).join(', ');
+        const builtinArgs = used.map(b => b.name).join(', ');
+        const functionNames = [...new Set(functions.map(f => f.name))];
+
+        const threadBuiltins = (body) => {
+            if (!builtinArgs) return body;
+            for (const name of functionNames) {
+                body = body.replace(new RegExp(`\\b${name}\\s*\\(\\s*(\\)?)`, 'g'), (match, closing) =>
+                    closing ? `${name}(${builtinArgs})` : `${name}(${builtinArgs}, `
+                );
+            }
+            return body;
+        };
+
+        // Global constants are copied into the functions that use them
+        const localConstants = (body) => {
+            const needed = new Set(body.match(/\w+/g) || []);
+            const include = new Set();
+            for (let i = constDecls.length - 1; i >= 0; i--) {
+                if (constDecls[i].names.some(n => needed.has(n))) {
+                    include.add(i);
+                    for (const id of constDecls[i].text.match(/\w+/g) || []) needed.add(id);
+                }
+            }
+            return constDecls
+                .filter((_, i) => include.has(i))
+                .map(c => `\n    ${c.text}`)
+                .join('');
+        };
+
+        const rewritten = functions.map(func => {
+            const params = [builtinParams, func.params.trim()].filter(p => p && p !== 'void').join(', ');
+            const body = threadBuiltins(func.body);
+            return `${func.returnType} ${func.name}(${params}) {${localConstants(body)}${body}}`;
+        });
+
+        // Entry function: node inputs -> ShaderToy built-ins -> mainImage()
+        const inputs = [
+            { name: 'uv', type: 'vec2', title: 'UV', defaultNode: 'UV' },
+            { name: 'resolution', type: 'vec2', title: 'Resolution', defaultNode: 'Resolution' }
+        ];
+        const setup = ['vec3 iResolution = vec3(resolution, 1.0);'];
+
+        for (const { name } of used) {
+            if (name === 'iTime') {
+                inputs.push({ name: 'iTime', type: 'float', title: 'Time', defaultNode: 'Time' });
+            } else if (name === 'iTimeDelta') {
+                setup.push('float iTimeDelta = 1.0 / 60.0;');
+            } else if (name === 'iFrame') {
+                if (!used.some(b => b.name === 'iTime')) {
+                    inputs.push({ name: 'iTime', type: 'float', title: 'Time', defaultNode: 'Time' });
+                }
+                setup.push('int iFrame = int(iTime * 60.0);');
+            } else if (name === 'iMouse') {
+                inputs.push({ name: 'iMouse', type: 'vec4', title: 'Mouse', defaultNode: 'Mouse', defaultOutput: 4 });
+            } else if (name.startsWith('iChannel')) {
+                inputs.push({ name, type: 'sampler2D', title: name, defaultNode: null });
+            }
+        }
+
+        const entryParams = inputs.map(i => `${i.type} ${i.name}`).join(', ');
+        const mainArgs = [builtinArgs, 'color', 'uv * resolution'].filter(Boolean).join(', ');
+
+        const inputDirectives = inputs.map(i =>
+            ` * @input ${i.name} "${i.title}"` + (i.defaultNode ? ` defaultNode="${i.defaultNode}"` : '')
+        ).join('\n');
+
+        const code = `/*
+ * @node ${nodeName}
+ * @title ${nodeName}
+ * @category shadertoy
+${inputDirectives}
+ *
+ * @description
+ * Imported from ShaderToy.
+ */
+
+${[...structDecls, ...rewritten].join('\n\n')}
+
+vec4 ${nodeName}(${entryParams}) {
+    ${setup.join('\n    ')}
+    vec4 color = vec4(0.0, 0.0, 0.0, 1.0);
+    mainImage(${mainArgs});
+    return color;
+}
+`;
+
+        return {
+            code,
+            inputs: inputs.map(({ name, type, defaultNode, defaultOutput }) => ({ name, type, defaultNode, defaultOutput })),
+            warnings
+        };
+    }
+
+    /**
+     * Replace comments with whitespace (keeping line breaks)
+     */
+    static stripComments(code) {
+        return code
+            .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+            .replace(/\/\/[^\n]*/g, '');
+    }
+
+    /**
+     * Split code into top-level items: preprocessor lines, function definitions and declarations
+     */
+    static splitTopLevel(code) {
+        const items = [];
+        let current = '';
+        let depth = 0;
+        let i = 0;
+
+        while (i < code.length) {
+            const char = code[i];
+
+            // Preprocessor directive at the start of a top-level line (with \ continuations)
+            if (depth === 0 && char === '#' && current.trim() === '') {
+                let end = i;
+                while (end < code.length && (code[end] !== '\n' || code[end - 1] === '\\')) end++;
+                items.push({ kind: 'preprocessor', text: code.slice(i, end).trim() });
+                current = '';
+                i = end + 1;
+                continue;
+            }
+
+            current += char;
+
+            if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                // A function ends with its closing brace (structs end with ';')
+                if (depth === 0) {
+                    const funcMatch = current.match(/^\s*([\w\s]+?)\s+(\w+)\s*\(([^)]*)\)\s*\{([\s\S]*)\}$/);
+                    if (funcMatch && !/^\s*struct\b/.test(current)) {
+                        items.push({
+                            kind: 'function',
+                            returnType: funcMatch[1].trim(),
+                            name: funcMatch[2],
+                            params: funcMatch[3],
+                            body: funcMatch[4]
+                        });
+                        current = '';
+                    }
+                }
+            } else if (char === ';' && depth === 0) {
+                const text = current.trim().replace(/\s+/g, ' ');
+                // Skip forward declarations (prototypes) - functions are defined in full anyway
+                if (!/^[\w\s]+\s+\w+\s*\([^)]*\)\s*;$/.test(text) && text !== ';') {
+                    items.push({ kind: 'declaration', text });
+                }
+                current = '';
+            }
+
+            i++;
+        }
+
+        return items;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Minimal ZIP archive writer (stored entries, no compression)
+ *
+ * Used for PNG sequence exports - PNGs are already compressed, so storing them is enough.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];         // Local headers and file data, in order
+        this.centralEntries = [];
+        this.offset = 0;
+
+        // Entry timestamps in MS-DOS format
+        const now = new Date();
+        this.dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        this.dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {Uint8Array} data - File contents
+     */
+    addFile(name, data) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);   // Local file header signature
+        header.setUint16(4, 20, true);           // Version needed
+        header.setUint16(8, 0, true);            // Method: stored
+        header.setUint16(10, this.dosTime, true);
+        header.setUint16(12, this.dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true); // Compressed size
+        header.setUint32(22, data.length, true); // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+
+        this.centralEntries.push({ nameBytes, crc, size: data.length, offset: this.offset });
+        this.parts.push(header.buffer, nameBytes, data);
+        this.offset += 30 + nameBytes.length + data.length;
+    }
+
+    /**
+     * Write the central directory and return the archive
+     * @returns {Blob}
+     */
+    finish() {
+        const centralParts = [];
+        let centralSize = 0;
+
+        for (const entry of this.centralEntries) {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true); // Central directory signature
+            header.setUint16(4, 20, true);         // Version made by
+            header.setUint16(6, 20, true);         // Version needed
+            header.setUint16(12, this.dosTime, true);
+            header.setUint16(14, this.dosDate, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint32(42, entry.offset, true);
+
+            centralParts.push(header.buffer, entry.nameBytes);
+            centralSize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // End of central directory signature
+        end.setUint16(8, this.centralEntries.length, true);
+        end.setUint16(10, this.centralEntries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...centralParts, end.buffer], { type: 'application/zip' });
+    }
+}